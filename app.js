@@ -22,6 +22,11 @@ const {
   asyncHandler,
 } = require("./middleware/errorHandler");
 const { swaggerUi, swaggerDocs } = require("./swagger");
+const {
+  initializePool,
+  shutdownPool,
+} = require("./services/browserPoolService");
+const { restoreJobs, stopJobQueue } = require("./services/jobQueueService");
 
 const app = express();
 
@@ -240,7 +245,17 @@ const gracefulShutdown = (signal) => {
       }
 
       logger.info("Server closed successfully");
-      process.exit(0);
+
+      // Stop starting queued render jobs; unfinished ones resume on restart
+      stopJobQueue();
+
+      // Close pooled Chromium instances before exiting
+      shutdownPool()
+        .then(() => logger.info("Browser pool shut down"))
+        .catch((poolErr) =>
+          logger.error("Error during browser pool shutdown:", poolErr)
+        )
+        .finally(() => process.exit(0));
     });
 
     // Force close after 10 seconds
@@ -297,6 +312,20 @@ if (require.main === module) {
     }
   });
 
+  // Warm up the browser pool so the first conversion does not pay for startup
+  initializePool().catch((err) =>
+    logger.error("Failed to warm up browser pool:", err)
+  );
+
+  // Resume render jobs that were queued or running before the last shutdown
+  restoreJobs()
+    .then((restored) => {
+      if (restored > 0) {
+        logger.info(`Restored ${restored} pending render jobs`);
+      }
+    })
+    .catch((err) => logger.error("Failed to restore render jobs:", err));
+
   // Handle server errors
   server.on("error", (err) => {
     if (err.code === "EADDRINUSE") {
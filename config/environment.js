@@ -27,7 +27,47 @@ module.exports = {
     headless: process.env.PUPPETEER_HEADLESS !== "false",
     args: process.env.PUPPETEER_ARGS
       ? process.env.PUPPETEER_ARGS.split(",")
-      : ["--no-sandbox", "--disable-setuid-sandbox", "--disable-dev-shm-usage"],
+      : [
+          "--no-sandbox",
+          "--disable-setuid-sandbox",
+          "--disable-dev-shm-usage",
+          "--disable-gpu",
+          "--disable-software-rasterizer",
+        ],
+  },
+
+  // Browser Pool Configuration (shared Chromium instances for rendering)
+  browserPool: {
+    minBrowsers: parseInt(process.env.BROWSER_POOL_MIN, 10) || 1,
+    maxBrowsers: parseInt(process.env.BROWSER_POOL_MAX, 10) || 2,
+    maxPagesPerBrowser:
+      parseInt(process.env.BROWSER_POOL_PAGES_PER_BROWSER, 10) || 4,
+    maxRendersPerBrowser:
+      parseInt(process.env.BROWSER_POOL_MAX_RENDERS, 10) || 200,
+    maxMemoryMb: parseInt(process.env.BROWSER_POOL_MAX_MEMORY_MB, 10) || 512,
+    memoryCheckInterval:
+      parseInt(process.env.BROWSER_POOL_MEMORY_CHECK_INTERVAL, 10) || 10000,
+    acquireTimeout:
+      parseInt(process.env.BROWSER_POOL_ACQUIRE_TIMEOUT, 10) || 30000,
+  },
+
+  // Async Job Queue Configuration (jobs persisted under database/jobs)
+  jobQueue: {
+    concurrency: parseInt(process.env.JOB_QUEUE_CONCURRENCY, 10) || 2,
+    retentionMs: parseInt(process.env.JOB_RETENTION_MS, 10) || 24 * 60 * 60 * 1000, // 24 hours
+    payloadKey: process.env.JOB_PAYLOAD_KEY || "", // 64 hex chars; generated into database/config if unset
+  },
+
+  // Batch Conversion Configuration (POST /api/v1/html2pdf/batch)
+  batch: {
+    maxItems: parseInt(process.env.BATCH_MAX_ITEMS, 10) || 100,
+    concurrency: parseInt(process.env.BATCH_CONCURRENCY, 10) || 2,
+  },
+
+  // PDF Signing Configuration (PKCS#12 keystore used for the `signature` option)
+  signing: {
+    keystorePath: process.env.PDF_SIGNING_KEYSTORE || "",
+    keystorePassword: process.env.PDF_SIGNING_KEYSTORE_PASSWORD || "",
   },
 
   // Request Configuration
@@ -54,10 +54,18 @@ const logger = winston.createLogger({
   ],
 });
 
-// Add request ID to logs
+// Incoming request IDs are kept only if safe to echo in headers and logs
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Add request ID to logs and echo it to the client
 logger.addRequestId = (req, res, next) => {
-  req.requestId = req.headers["x-request-id"] || require("uuid").v4();
+  const incoming = req.headers["x-request-id"];
+
+  req.requestId = REQUEST_ID_PATTERN.test(incoming || "")
+    ? incoming
+    : require("uuid").v4();
   req.logger = logger.child({ requestId: req.requestId });
+  res.setHeader("X-Request-Id", req.requestId);
   next();
 };
 
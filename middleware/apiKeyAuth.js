@@ -133,12 +133,14 @@ async function apiKeyAuth(req, res, next) {
       },
       usage: user.usage,
       timestamps: user.timestamps,
+      externalResources: user.externalResources,
+      errorMode: user.errorMode,
     };
 
     // Step 8: Add request metadata
     req.apiKey = apiKey;
     req.clientIP = clientIP;
-    req.requestId = generateRequestId();
+    req.requestId = req.requestId || generateRequestId();
 
     // Continue to next middleware
     next();
@@ -251,7 +253,7 @@ async function optionalApiKeyAuth(req, res, next) {
       req.user = null;
       req.apiKey = null;
       req.clientIP = getClientIP(req);
-      req.requestId = generateRequestId();
+      req.requestId = req.requestId || generateRequestId();
       return next();
     }
 
@@ -296,11 +298,13 @@ async function optionalApiKeyAuth(req, res, next) {
       },
       usage: user.usage,
       timestamps: user.timestamps,
+      externalResources: user.externalResources,
+      errorMode: user.errorMode,
     };
 
     req.apiKey = apiKey;
     req.clientIP = clientIP;
-    req.requestId = generateRequestId();
+    req.requestId = req.requestId || generateRequestId();
 
     next();
   } catch (error) {
@@ -310,7 +314,7 @@ async function optionalApiKeyAuth(req, res, next) {
     req.user = null;
     req.apiKey = null;
     req.clientIP = getClientIP(req);
-    req.requestId = generateRequestId();
+    req.requestId = req.requestId || generateRequestId();
 
     next();
   }
@@ -506,11 +510,13 @@ async function apiKeyValidationOnly(req, res, next) {
       },
       usage: user.usage,
       timestamps: user.timestamps,
+      externalResources: user.externalResources,
+      errorMode: user.errorMode,
     };
 
     req.apiKey = apiKey;
     req.clientIP = getClientIP(req);
-    req.requestId = generateRequestId();
+    req.requestId = req.requestId || generateRequestId();
 
     next();
   } catch (error) {
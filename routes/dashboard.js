@@ -8,6 +8,7 @@ const configService = require("../services/configService");
 const { sessionAuth, csrfProtection } = require("../middleware/sessionAuth");
 const { rateLimit } = require("../middleware/rateLimitAuth");
 const { validateBody, validateQuery } = require("../middleware/validation");
+const { validateResourceAllowlist, validateErrorMode } = require("../utils/validation");
 
 /**
  * Dashboard API Routes
@@ -804,6 +805,231 @@ router.get("/pdf-generator",
   }
 );
 
+/**
+ * @route GET /dashboard/external-resources
+ * @desc Get the account's allowlist for external resources of rendered documents
+ * @access Private (requires session)
+ * @rateLimit 100 requests per hour per IP
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "allowlist": ["*.example.com", "fonts.gstatic.com"]
+ *   }
+ * }
+ */
+router.get("/external-resources",
+  sessionAuth,
+  rateLimit({ maxRequests: 100, windowMs: 3600000 }),
+  async(req, res) => {
+    try {
+      const user = await userService.findUserById(req.session.userId);
+      
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: "User not found",
+          message: "User account not found",
+          code: "USER_NOT_FOUND"
+        });
+      }
+      
+      return res.json({
+        success: true,
+        data: {
+          allowlist: user.externalResources?.allowlist || []
+        }
+      });
+    } catch (error) {
+      console.error("External resources retrieval error:", error);
+      return res.status(500).json({
+        success: false,
+        error: "External resources retrieval failed",
+        message: "An error occurred while retrieving the resource allowlist. Please try again.",
+        code: "EXTERNAL_RESOURCES_ERROR"
+      });
+    }
+  }
+);
+
+/**
+ * @route PUT /dashboard/external-resources
+ * @desc Replace the account's allowlist for external resources
+ * @access Private (requires session)
+ * @rateLimit 30 requests per hour per IP
+ * 
+ * Once the list has entries, documents rendered with this account's API key
+ * only load external resources (fonts, images, stylesheets) from the listed
+ * hosts. An empty list allows any public host. Private network addresses
+ * stay blocked either way.
+ * 
+ * Request Body:
+ * {
+ *   "allowlist": ["*.example.com", "fonts.gstatic.com"]
+ * }
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Resource allowlist updated",
+ *   "data": {
+ *     "allowlist": ["*.example.com", "fonts.gstatic.com"]
+ *   }
+ * }
+ */
+router.put("/external-resources",
+  sessionAuth,
+  csrfProtection,
+  rateLimit({ maxRequests: 30, windowMs: 3600000 }),
+  async(req, res) => {
+    try {
+      const validation = validateResourceAllowlist(req.body?.allowlist);
+      
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid allowlist",
+          message: validation.error,
+          code: "INVALID_ALLOWLIST"
+        });
+      }
+      
+      const user = await userService.updateUser(req.session.userId, {
+        externalResources: { allowlist: validation.allowlist }
+      });
+      
+      return res.json({
+        success: true,
+        message: "Resource allowlist updated",
+        data: {
+          allowlist: user.externalResources.allowlist
+        }
+      });
+    } catch (error) {
+      console.error("External resources update error:", error);
+      return res.status(500).json({
+        success: false,
+        error: "External resources update failed",
+        message: "An error occurred while updating the resource allowlist. Please try again.",
+        code: "EXTERNAL_RESOURCES_UPDATE_ERROR"
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /dashboard/error-mode
+ * @desc Get how failed conversions made with the account's API key are reported
+ * @access Private (requires session)
+ * @rateLimit 100 requests per hour per IP
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "errorMode": "pdf"
+ *   }
+ * }
+ */
+router.get("/error-mode",
+  sessionAuth,
+  rateLimit({ maxRequests: 100, windowMs: 3600000 }),
+  async(req, res) => {
+    try {
+      const user = await userService.findUserById(req.session.userId);
+      
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: "User not found",
+          message: "User account not found",
+          code: "USER_NOT_FOUND"
+        });
+      }
+      
+      return res.json({
+        success: true,
+        data: {
+          errorMode: user.errorMode || "pdf"
+        }
+      });
+    } catch (error) {
+      console.error("Error mode retrieval error:", error);
+      return res.status(500).json({
+        success: false,
+        error: "Error mode retrieval failed",
+        message: "An error occurred while retrieving the error mode. Please try again.",
+        code: "ERROR_MODE_ERROR"
+      });
+    }
+  }
+);
+
+/**
+ * @route PUT /dashboard/error-mode
+ * @desc Set how failed conversions made with the account's API key are reported
+ * @access Private (requires session)
+ * @rateLimit 30 requests per hour per IP
+ * 
+ * "pdf" returns an error document, "json" a JSON error body, and "both"
+ * the JSON body with the error document as base64. Requests can override
+ * the setting with their own "errorMode".
+ * 
+ * Request Body:
+ * {
+ *   "errorMode": "json"
+ * }
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Error mode updated",
+ *   "data": {
+ *     "errorMode": "json"
+ *   }
+ * }
+ */
+router.put("/error-mode",
+  sessionAuth,
+  csrfProtection,
+  rateLimit({ maxRequests: 30, windowMs: 3600000 }),
+  async(req, res) => {
+    try {
+      const validation = validateErrorMode(req.body?.errorMode);
+      
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid error mode",
+          message: validation.error,
+          code: "INVALID_ERROR_MODE"
+        });
+      }
+      
+      const user = await userService.updateUser(req.session.userId, {
+        errorMode: req.body.errorMode
+      });
+      
+      return res.json({
+        success: true,
+        message: "Error mode updated",
+        data: {
+          errorMode: user.errorMode
+        }
+      });
+    } catch (error) {
+      console.error("Error mode update error:", error);
+      return res.status(500).json({
+        success: false,
+        error: "Error mode update failed",
+        message: "An error occurred while updating the error mode. Please try again.",
+        code: "ERROR_MODE_UPDATE_ERROR"
+      });
+    }
+  }
+);
+
 /**
  * @route DELETE /dashboard/account
  * @desc Delete user account (soft delete)
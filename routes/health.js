@@ -6,6 +6,8 @@ const express = require("express");
 const router = express.Router();
 const { version } = require("../package.json");
 const { nodeEnv, port } = require("../config/environment");
+const { getPoolStats } = require("../services/browserPoolService");
+const { getJobQueueStats } = require("../services/jobQueueService");
 
 /**
  * @swagger
@@ -100,6 +102,12 @@ router.get("/", (req, res) => {
  *                       type: string
  *                     port:
  *                       type: number
+ *                 browserPool:
+ *                   type: object
+ *                   description: Shared Chromium pool usage and limits
+ *                 jobQueue:
+ *                   type: object
+ *                   description: Async render job queue depth and concurrency
  */
 router.get("/detailed", (req, res) => {
   const memoryUsage = process.memoryUsage();
@@ -129,6 +137,8 @@ router.get("/detailed", (req, res) => {
       port: port,
       pid: process.pid,
     },
+    browserPool: getPoolStats(),
+    jobQueue: getJobQueueStats(),
   };
 
   res.status(200).json(detailedHealth);
@@ -1,269 +1,1185 @@
 // routes/bundleHtml2PDF.js
 const express = require("express");
-const puppeteer = require("puppeteer");
 const fs = require("fs/promises");
-const path = require("path");
-const { PDFDocument } = require("pdf-lib");
 
 const {
-  buildHtmlFromPdfDocumentBundle,
-  buildErrorHtml,
-} = require("../utils/buildHtmlFromPdfDocumentBundle");
-const { sendEmail } = require("../utils/email");
+  writeLogFile,
+  renderErrorPdf,
+  resolveMarkup,
+  decodePdfPart,
+  resolveParts,
+  resolveImageOutput,
+  generatePdf,
+  generateUrlPdf,
+  generateImages,
+  previewDocument,
+  reportFailure,
+} = require("../services/renderService");
+const { validateBatchRequest, runBatch } = require("../services/batchService");
+const {
+  getRateLimitStatus,
+  trackApiUsage,
+} = require("../services/apiKeyService");
+const { getConfig } = require("../services/configService");
+const { maxRequestSize } = require("../config/environment");
+const { checkUrl } = require("../utils/urlGuard");
+const { validateErrorMode } = require("../utils/validation");
+const { validateRequestBundles } = require("../utils/bundleValidation");
+const { resolveWatermark } = require("../utils/pdfWatermark");
+const { resolveOutline } = require("../utils/pdfOutline");
+const { resolveAttachments } = require("../utils/pdfAttachments");
+const { listFormFields, fillPdfForm } = require("../utils/pdfForm");
+const { resolvePdfMetadata } = require("../utils/pdfMetadata");
+const { resolveEncryption } = require("../utils/pdfEncryption");
+const { resolveSignature } = require("../utils/pdfSigning");
+const {
+  resolveConformance,
+  conformanceConflicts,
+  notConformantError,
+} = require("../utils/pdfA");
+const {
+  isSigningConfigured,
+  verifyDocument,
+} = require("../services/signingService");
+const {
+  createJob,
+  getJob,
+  getJobOutputPath,
+  toPublicJob,
+} = require("../services/jobQueueService");
 
 // API KEY AUTHENTICATION - Added for authentication system
-const { apiKeyAuth } = require("../middleware/apiKeyAuth");
+const {
+  apiKeyAuth,
+  apiKeyValidationOnly,
+} = require("../middleware/apiKeyAuth");
 
 const router = express.Router();
 
-// --- small helpers ---
-function nowStamp() {
-  const d = new Date();
-  const iso = d.toISOString().replace(/[:.]/g, "-");
-  return iso;
+// Blocked URLs listed in the X-Blocked-Resources header; the rest are counted
+const MAX_BLOCKED_URLS_IN_HEADER = 20;
+
+// What /preview returns: the generated markup, or the DOM after pagination
+const PREVIEW_MODES = ["source", "paginated"];
+
+/**
+ * Send a rendered buffer (PDF by default) as a file download
+ */
+function sendFile(res, buffer, filename, contentType = "application/pdf") {
+  res.setHeader("Content-Type", contentType);
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.setHeader("Content-Length", buffer.length);
+
+  return res.end(buffer);
+}
+
+/**
+ * Answer a request whose document cannot be made PDF/A conformant
+ */
+function sendNotConformant(res, err) {
+  return res.status(422).json({
+    success: false,
+    error: "PDF/A conversion failed",
+    message: err.message,
+    code: err.code,
+    reasons: err.reasons,
+  });
+}
+
+/**
+ * Label the response with the PDF/A level the document was converted to
+ */
+function setConformanceHeader(res, body) {
+  const level = resolveConformance(body.conformance);
+
+  if (level) {
+    res.setHeader("X-PDF-Conformance", level.label);
+  }
+}
+
+/**
+ * How a /convert request wants failures reported: its own errorMode,
+ * else the account default, else "pdf"
+ */
+function resolveErrorMode(req) {
+  return req.body?.errorMode ?? req.user?.errorMode ?? "pdf";
 }
 
 /**
- * Compress a PDF buffer using pdf-lib
- * @param {Buffer} pdfBuffer - The original PDF buffer
- * @returns {Promise<Buffer>} - The compressed PDF buffer
+ * Answer a failed /convert request in its error mode
+ *
+ * The response always carries the error's status, so a failure is never
+ * mistaken for a rendered document. "json" sends `body` with the request
+ * id; "pdf" sends the error document, labelled with X-Error and
+ * X-Error-Code; "both" adds the error document to the JSON as base64
+ * (`errorPdf`). If the error document cannot be rendered, the JSON body
+ * is sent instead.
+ *
+ * @param {string} errorMode - "pdf", "json" or "both"
+ * @param {number} status - HTTP status of the failure
+ * @param {Object} body - `{ success: false, error, message, code, reasons }`
  */
-async function compressPDF(pdfBuffer) {
+async function sendConversionError(req, res, errorMode, status, body) {
+  const errorBody = { ...body, requestId: req.requestId };
+
+  if (errorMode === "json") {
+    return res.status(status).json(errorBody);
+  }
+
+  let pdfBuffer;
+
   try {
-    // Load the PDF document
-    const pdfDoc = await PDFDocument.load(pdfBuffer);
-
-    // Save the document with compression enabled
-    // pdf-lib automatically applies compression when saving
-    const compressedPdfBytes = await pdfDoc.save({
-      useObjectStreams: true, // Enable object streams for better compression
-      addDefaultPage: false,
+    pdfBuffer = await renderErrorPdf(body.message, req.requestId);
+  } catch (err) {
+    console.error("Error PDF failed:", err);
+    await writeLogFile({
+      ok: false,
+      details: `Error PDF failed: ${err?.message || err}`,
     });
+    return res.status(status).json(errorBody);
+  }
 
-    return Buffer.from(compressedPdfBytes);
-  } catch (error) {
-    console.warn(
-      "PDF compression failed, returning original PDF:",
-      error.message
-    );
-    return pdfBuffer; // Return original if compression fails
+  if (errorMode === "both") {
+    return res
+      .status(status)
+      .json({ ...errorBody, errorPdf: pdfBuffer.toString("base64") });
   }
+
+  res.status(status);
+  res.setHeader("X-Error", "true");
+  res.setHeader("X-Error-Code", body.code);
+  return sendFile(res, pdfBuffer, "html2pdf-error.pdf");
 }
 
-async function writeLogFile({ ok, details }) {
-  try {
-    const dir = path.join(process.cwd(), "logs");
-    await fs.mkdir(dir, { recursive: true });
-    const file = path.join(
-      dir,
-      `pdf-${ok ? "success" : "error"}-${nowStamp()}.txt`
-    );
-    const lines = [
-      `timestamp: ${new Date().toISOString()}`,
-      `status: ${ok ? "success" : "error"}`,
-      `details: ${details || "n/a"}`,
-      "",
-    ].join("\n");
-    await fs.writeFile(file, lines, "utf8");
-    return file;
-  } catch (e) {
-    console.warn("Failed to write log file:", e.message);
+/**
+ * Report the resources a render refused to load: the count, and the
+ * first URLs separated by spaces
+ */
+function setBlockedRequestHeaders(res, blockedRequests = []) {
+  if (blockedRequests.length === 0) {
+    return;
+  }
+  res.setHeader("X-Blocked-Requests", blockedRequests.length);
+  res.setHeader(
+    "X-Blocked-Resources",
+    blockedRequests
+      .slice(0, MAX_BLOCKED_URLS_IN_HEADER)
+      .map(({ url }) => url)
+      .join(" ")
+  );
+}
+
+/**
+ * Report how a document was rendered: X-Page-Count, X-Render-Time-Ms
+ * (the total, then each stage, in milliseconds), the same stages as
+ * Server-Timing for browser dev tools, and X-Clipped-Pages when page
+ * content overflowed
+ */
+function setRenderReportHeaders(res, report) {
+  const stages = Object.entries(report.timings).filter(
+    ([stage]) => stage !== "total"
+  );
+
+  res.setHeader("X-Page-Count", report.pageCount);
+  res.setHeader(
+    "X-Render-Time-Ms",
+    [["total", report.timings.total], ...stages]
+      .map(([stage, ms]) => `${stage.toLowerCase()}=${ms}`)
+      .join(", ")
+  );
+  res.setHeader(
+    "Server-Timing",
+    stages.map(([stage, ms]) => `${stage.toLowerCase()};dur=${ms}`).join(", ")
+  );
+  if (report.clippedPages.length > 0) {
+    res.setHeader("X-Clipped-Pages", report.clippedPages.join(","));
+  }
+}
+
+/**
+ * External resource allowlists for the requesting account: the system
+ * list from the externalResources setting and the account's own list
+ */
+async function getResourceOptions(req) {
+  const { externalResources = {} } = await getConfig();
+
+  return {
+    allowlist: externalResources.allowlist || [],
+    accountAllowlist: req.user?.externalResources?.allowlist || [],
+  };
+}
+
+/**
+ * Read the PDF of a request sent as the raw body (application/pdf) or as
+ * JSON { "pdf": "<base64>" }
+ *
+ * @throws {Error} If the request carries no PDF
+ */
+function readPdfBody(req) {
+  if (Buffer.isBuffer(req.body)) {
+    if (req.body.subarray(0, 5).toString("latin1") !== "%PDF-") {
+      throw new Error("The request body is not a PDF");
+    }
+    return req.body;
+  }
+  if (typeof req.body?.pdf === "string") {
+    return decodePdfPart(req.body.pdf);
+  }
+  throw new Error(
+    "Send the PDF as application/pdf or as JSON { \"pdf\": \"<base64>\" }"
+  );
+}
+
+/**
+ * Load a job for the authenticated user, answering 404 if it does not
+ * exist or belongs to someone else
+ */
+async function findOwnJob(req, res) {
+  const job = await getJob(req.params.jobId);
+
+  const { _id: userId } = req.user;
+
+  if (!job || job.userId !== userId) {
+    res.status(404).json({
+      success: false,
+      error: "Job not found",
+      message: `No render job found with ID ${req.params.jobId}`,
+      code: "JOB_NOT_FOUND",
+    });
     return null;
   }
+
+  return job;
+}
+
+// Whether an optional request field was sent (null counts as not sent)
+function isSet(value) {
+  return value !== undefined && value !== null;
 }
 
 /**
- * POST /convert
- * Simple endpoint that accepts either HTML content or pdfDocumentBundle
- * API KEY AUTHENTICATION - Added for authentication system
+ * Check the document options of a conversion request before rendering
+ *
+ * @returns {Object|null} `{ status, body }` error response, or null if the
+ *   options are usable
  */
-router.post("/convert", apiKeyAuth, async (req, res) => {
-  let browser;
-  let ok = false;
-  let logDetails = "";
+function checkDocumentOptions(body = {}) {
+  const checks = [
+    [
+      "Invalid output options",
+      "INVALID_OUTPUT",
+      () => {
+        if (!resolveImageOutput(body.output)) {
+          return;
+        }
+        if (body.parts !== undefined) {
+          throw new Error("Image output is not available in merge mode");
+        }
+        if (isSet(body.encryption)) {
+          throw new Error("Encryption is only available for PDF output");
+        }
+        if (isSet(body.signature) && body.signature !== false) {
+          throw new Error("Signing is only available for PDF output");
+        }
+        if (isSet(body.conformance)) {
+          throw new Error("PDF/A conformance is only available for PDF output");
+        }
+        if (isSet(body.watermark)) {
+          throw new Error("Watermarks are only available for PDF output");
+        }
+        if (isSet(body.pdfMetadata)) {
+          throw new Error("PDF metadata is only available for PDF output");
+        }
+        if (isSet(body.outline) && body.outline !== false) {
+          throw new Error("Bookmarks are only available for PDF output");
+        }
+        if (isSet(body.attachments) || body.attachSourceBundle) {
+          throw new Error("Attachments are only available for PDF output");
+        }
+        if (body.diagnostics) {
+          throw new Error("Diagnostics are only available for PDF output");
+        }
+      },
+    ],
+    [
+      "Invalid diagnostics option",
+      "INVALID_DIAGNOSTICS",
+      () => {
+        if (isSet(body.diagnostics) && typeof body.diagnostics !== "boolean") {
+          throw new Error("\"diagnostics\" must be a boolean");
+        }
+        if (body.diagnostics && body.async === true) {
+          throw new Error("Diagnostics are not available in async mode");
+        }
+      },
+    ],
+    [
+      "Invalid outline options",
+      "INVALID_OUTLINE",
+      () => resolveOutline(body.outline),
+    ],
+    [
+      "Invalid attachments",
+      "INVALID_ATTACHMENTS",
+      () => resolveAttachments(body),
+    ],
+    [
+      "Invalid watermark",
+      "INVALID_WATERMARK",
+      () => resolveWatermark(body.watermark),
+    ],
+    [
+      "Invalid PDF metadata",
+      "INVALID_METADATA",
+      () => resolvePdfMetadata(body),
+    ],
+    [
+      "Invalid encryption options",
+      "INVALID_ENCRYPTION",
+      () => resolveEncryption(body.encryption),
+    ],
+    [
+      "Invalid signature options",
+      "INVALID_SIGNATURE",
+      () => {
+        if (resolveSignature(body.signature) && isSet(body.encryption)) {
+          throw new Error("A signed PDF cannot also be encrypted");
+        }
+      },
+    ],
+    [
+      "Invalid conformance",
+      "INVALID_CONFORMANCE",
+      () => {
+        const level = resolveConformance(body.conformance);
+        const conflicts = level
+          ? conformanceConflicts(
+              {
+                watermark: resolveWatermark(body.watermark),
+                encryption: resolveEncryption(body.encryption),
+                signature: resolveSignature(body.signature),
+                attachments: resolveAttachments(body),
+              },
+              level
+            )
+          : [];
+
+        if (conflicts.length > 0) {
+          throw notConformantError(level, conflicts);
+        }
+      },
+    ],
+  ];
+
+  for (const [error, code, check] of checks) {
+    try {
+      check();
+    } catch (err) {
+      return {
+        status: err.status || 400,
+        body: {
+          success: false,
+          error,
+          message: err.message,
+          code: err.code || code,
+          ...(err.reasons && { reasons: err.reasons }),
+        },
+      };
+    }
+  }
+
+  if (resolveSignature(body.signature) && !isSigningConfigured()) {
+    return {
+      status: 503,
+      body: {
+        success: false,
+        error: "Signing unavailable",
+        message: "PDF signing is not configured on this server",
+        code: "SIGNING_UNAVAILABLE",
+      },
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Check that a /convert request has content to render, before rendering
+ *
+ * Bundles are checked against the pdfDocumentBundle schema first, so
+ * their errors come back with JSON paths (see validateBundle).
+ *
+ * @returns {Object|null} `{ status, body }` error response, or null if the
+ *   request can be rendered
+ */
+function checkContent(body = {}) {
+  const bundleCheck = validateRequestBundles(body);
+
+  if (bundleCheck && !bundleCheck.valid) {
+    const problems = bundleCheck.problems.filter(
+      (problem) => problem.severity === "error"
+    );
+
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: "Invalid pdfDocumentBundle",
+        message: problems
+          .map(({ path, message }) => `${path}: ${message}`)
+          .join("; "),
+        code: "INVALID_BUNDLE",
+        problems,
+      },
+    };
+  }
 
   try {
-    const {
-      html,
-      htmlContent,
-      pdfDocumentBundle,
-      pdfOptions = {},
-      emailTo,
-    } = req.body;
-
-    // Determine the HTML content to use
-    let markup;
-    if (pdfDocumentBundle && typeof pdfDocumentBundle === "object") {
-      // Use the existing bundle system
-      markup = buildHtmlFromPdfDocumentBundle(pdfDocumentBundle);
+    if (body.parts !== undefined) {
+      resolveParts(body.parts);
     } else {
-      // Use direct HTML content
-      const htmlToUse = html || htmlContent;
-      if (!htmlToUse) {
-        throw new Error(
-          'Either "html", "htmlContent", or "pdfDocumentBundle" must be provided'
-        );
-      }
-      markup = htmlToUse;
+      resolveMarkup(body);
     }
-
-    if (!markup || typeof markup !== "string" || !markup.trim()) {
-      throw new Error("Failed to generate HTML content from provided input");
+    if (body.async === true && resolveImageOutput(body.output)) {
+      throw new Error("Async mode only supports PDF output");
     }
+  } catch (err) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: "Invalid payload",
+        message: err.message,
+        code: "INVALID_PAYLOAD",
+      },
+    };
+  }
 
-    // Launch browser
-    browser = await puppeteer.launch({
-      headless: "new",
-      args: [
-        "--no-sandbox",
-        "--disable-setuid-sandbox",
-        "--disable-dev-shm-usage",
-        "--disable-gpu",
-        "--disable-software-rasterizer",
-      ],
-    });
+  return null;
+}
 
-    const page = await browser.newPage();
+/**
+ * Queue a /convert request as a background job (async mode)
+ *
+ * The request has already passed checkContent.
+ */
+async function queueConversion(req, res) {
+  const payload = { ...req.body };
 
-    // Set content
-    await page.setContent(markup, { waitUntil: "networkidle0" });
+  delete payload.async;
 
-    // Generate PDF with provided options or defaults
-    let pdfBuffer = await page.pdf({
-      format: pdfOptions.format || "A4",
-      printBackground: pdfOptions.printBackground !== false,
-      margin: pdfOptions.margin || {
-        top: "1cm",
-        right: "1cm",
-        bottom: "1cm",
-        left: "1cm",
-      },
-      landscape: pdfOptions.landscape || false,
-      scale: pdfOptions.scale || 1,
-      ...pdfOptions,
+  const { _id: userId } = req.user;
+  const job = await createJob({
+    userId,
+    payload,
+    resourceOptions: await getResourceOptions(req),
+  });
+
+  return res.status(202).json({
+    success: true,
+    message: "PDF generation queued",
+    data: {
+      ...toPublicJob(job),
+      statusUrl: `${req.baseUrl}/status/${job.jobId}`,
+      downloadUrl: `${req.baseUrl}/download/${job.jobId}`,
+    },
+  });
+}
+
+/**
+ * POST /convert
+ * Simple endpoint that accepts either HTML content or pdfDocumentBundle
+ * Pass "async": true to queue the render and poll /status/:jobId instead
+ * Pass output.format "png", "jpeg" or "webp" to get images instead of a PDF
+ * Pass "parts" to merge bundles, HTML and existing PDFs into one PDF
+ * Resources the markup loads are checked against the bundle's
+ * security.allowExternalResources and the allowlists; refused URLs are
+ * reported in the X-Blocked-Requests and X-Blocked-Resources headers
+ * PDFs carry a render report in X-Page-Count, X-Render-Time-Ms and
+ * X-Clipped-Pages; pass "diagnostics": true to get the PDF (base64) and
+ * the full report as JSON instead
+ * Failures are answered with a 4xx/5xx status in the request's errorMode
+ * ("pdf", "json" or "both"; the account default applies if none is sent)
+ * API KEY AUTHENTICATION - Added for authentication system
+ */
+router.post("/convert", apiKeyAuth, async(req, res) => {
+  const errorMode = resolveErrorMode(req);
+  const modeValidation = validateErrorMode(errorMode);
+
+  if (!modeValidation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid error mode",
+      message: modeValidation.error,
+      code: "INVALID_ERROR_MODE",
+      requestId: req.requestId,
     });
+  }
 
-    // Apply compression if requested
-    const originalSize = pdfBuffer.length;
-    if (pdfOptions.compress) {
-      pdfBuffer = await compressPDF(pdfBuffer);
-      const compressedSize = pdfBuffer.length;
-      const compressionRatio = (
-        ((originalSize - compressedSize) / originalSize) *
-        100
-      ).toFixed(1);
-      console.log(
-        `PDF compressed: ${originalSize} bytes -> ${compressedSize} bytes (${compressionRatio}% reduction)`
-      );
+  const problem = checkDocumentOptions(req.body) || checkContent(req.body);
+
+  if (problem) {
+    return sendConversionError(
+      req,
+      res,
+      errorMode,
+      problem.status,
+      problem.body
+    );
+  }
+  const imageOutput = resolveImageOutput(req.body?.output);
+
+  if (req.body?.async === true) {
+    try {
+      return await queueConversion(req, res);
+    } catch (err) {
+      console.error("Failed to queue PDF job:", err);
+      return sendConversionError(req, res, errorMode, 500, {
+        success: false,
+        error: "Failed to queue job",
+        message: err.message,
+        code: "JOB_QUEUE_ERROR",
+      });
     }
+  }
+
+  try {
+    const resourceOptions = await getResourceOptions(req);
+
+    if (imageOutput) {
+      const { buffer, contentType, extension, blockedRequests } =
+        await generateImages(req.body, resourceOptions);
 
-    // Success flow
-    ok = true;
-    logDetails = `PDF generated successfully. Size: ${pdfBuffer.length} bytes${
-      pdfOptions.compress ? ` (compressed from ${originalSize} bytes)` : ""
-    }`;
-    await writeLogFile({ ok: true, details: logDetails });
-
-    // Send success email if requested
-    if (emailTo) {
-      const sizeText = pdfOptions.compress
-        ? `Size: ${Math.round(
-            pdfBuffer.length / 1024
-          )}KB (compressed from ${Math.round(originalSize / 1024)}KB)`
-        : `Size: ${Math.round(pdfBuffer.length / 1024)}KB`;
-
-      await sendEmail({
-        to: emailTo,
-        subject: "PDF generated successfully",
-        text: `Your PDF has been generated successfully.\n\n${sizeText}\nGenerated at: ${new Date().toISOString()}`,
-      }).catch((e) => console.warn("Email (success) failed:", e.message));
+      setBlockedRequestHeaders(res, blockedRequests);
+      return sendFile(
+        res,
+        buffer,
+        `html2pdf-${Date.now()}.${extension}`,
+        contentType
+      );
     }
 
-    // Set response headers
+    const { pdfBuffer, originalSize, blockedRequests, report } =
+      await generatePdf(req.body, resourceOptions);
     const filename = `html2pdf-${Date.now()}.pdf`;
-    res.setHeader("Content-Type", "application/pdf");
-    res.setHeader("X-Content-Type-Options", "nosniff");
-    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
-    res.setHeader("Content-Length", pdfBuffer.length);
 
-    return res.end(pdfBuffer);
+    setBlockedRequestHeaders(res, blockedRequests);
+    setConformanceHeader(res, req.body);
+    setRenderReportHeaders(res, report);
+    if (req.body.diagnostics === true) {
+      return res.json({
+        success: true,
+        data: {
+          filename,
+          contentType: "application/pdf",
+          pdf: pdfBuffer.toString("base64"),
+          report: {
+            requestId: req.requestId,
+            ...report,
+            size: pdfBuffer.length,
+            originalSize,
+            blockedRequests,
+          },
+        },
+      });
+    }
+    return sendFile(res, pdfBuffer, filename);
   } catch (err) {
     console.error("Error generating PDF:", err);
 
-    // Build fallback error HTML
     const errorMessage = err.message || "An unknown error occurred";
-    const fallbackHtml = buildErrorHtml(
-      `PDF generation failed: ${errorMessage}\n\nPlease check your input and try again.`
+
+    await reportFailure(req.body, errorMessage);
+
+    // Errors raised for the caller's input carry their own status and code
+    const status = err.status || 500;
+    let error = status < 500 ? "Invalid document" : "PDF generation failed";
+
+    if (err.code === "PDFA_NOT_CONFORMANT") {
+      error = "PDF/A conversion failed";
+    }
+
+    return sendConversionError(req, res, errorMode, status, {
+      success: false,
+      error,
+      message: errorMessage,
+      code: (err.status && err.code) || "RENDER_FAILED",
+      ...(err.reasons && { reasons: err.reasons }),
+    });
+  }
+});
+
+/**
+ * POST /validate
+ * Check a pdfDocumentBundle (or, in merge mode, the bundle of each part)
+ * against the bundle schema without rendering it. Every problem is
+ * returned with its JSON path, a severity and a suggested fix; the
+ * bundle renders if none is an error.
+ */
+router.post("/validate", apiKeyValidationOnly, (req, res) => {
+  const result = validateRequestBundles(req.body || {});
+
+  if (!result) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid payload",
+      message: "Send a \"pdfDocumentBundle\", or \"parts\" with bundles",
+      code: "INVALID_PAYLOAD",
+    });
+  }
+
+  function count(severity) {
+    return result.problems.filter((problem) => problem.severity === severity)
+      .length;
+  }
+
+  return res.json({
+    success: true,
+    data: {
+      valid: result.valid,
+      bundleCount: result.bundleCount,
+      errorCount: count("error"),
+      warningCount: count("warning"),
+      problems: result.problems,
+    },
+  });
+});
+
+/**
+ * POST /preview
+ * Return the HTML a pdfDocumentBundle (or raw HTML) is rendered from, to
+ * open in a browser. "mode": "source" (default) is the generated markup
+ * with layout CSS and the paginator script; "paginated" is a snapshot of
+ * the DOM after the paginator has run, with scripts removed and each page
+ * numbered in data-preview-page. The HTML is served in a sandbox so it
+ * cannot act on this site.
+ * API KEY AUTHENTICATION - Added for authentication system
+ */
+router.post("/preview", apiKeyAuth, async(req, res) => {
+  const body = req.body || {};
+  const mode = body.mode ?? "source";
+
+  if (!PREVIEW_MODES.includes(mode)) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid preview mode",
+      message: `"mode" must be one of: ${PREVIEW_MODES.join(", ")}`,
+      code: "INVALID_PREVIEW_MODE",
+    });
+  }
+  if (body.parts !== undefined) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid payload",
+      message: "Preview is not available in merge mode",
+      code: "INVALID_PAYLOAD",
+    });
+  }
+
+  const problem = checkContent(body);
+
+  if (problem) {
+    return res.status(problem.status).json(problem.body);
+  }
+
+  try {
+    const { html, pageCount, blockedRequests } = await previewDocument(
+      { ...body, mode },
+      await getResourceOptions(req)
+    );
+
+    setBlockedRequestHeaders(res, blockedRequests);
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.setHeader(
+      "Content-Security-Policy",
+      mode === "source" ? "sandbox allow-scripts" : "sandbox"
+    );
+    res.setHeader("Content-Disposition", "inline; filename=\"preview.html\"");
+    res.setHeader("X-Preview-Mode", mode);
+    if (pageCount !== null) {
+      res.setHeader("X-Preview-Pages", pageCount);
+    }
+    return res.send(html);
+  } catch (err) {
+    console.error("Error building preview:", err);
+    return res.status(err.status || 500).json({
+      success: false,
+      error: "Preview failed",
+      message: err.message,
+      code: (err.status && err.code) || "PREVIEW_FAILED",
+    });
+  }
+});
+
+/**
+ * POST /batch
+ * Render up to batch.maxItems documents in one call and return a ZIP of
+ * PDFs plus manifest.json. Usage is counted per rendered document rather
+ * than per request, so the quota is checked against the item count first.
+ * Every item gets the /convert checks before anything is rendered.
+ */
+router.post("/batch", apiKeyValidationOnly, async(req, res) => {
+  const problem = validateBatchRequest(req.body);
+
+  if (problem) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid payload",
+      message: problem,
+      code: "INVALID_PAYLOAD",
+    });
+  }
+
+  try {
+    const rateLimit = await getRateLimitStatus(req.apiKey);
+
+    if (rateLimit.remaining < req.body.items.length) {
+      return res.status(429).json({
+        success: false,
+        error: "Rate limit exceeded",
+        message: `This batch needs ${req.body.items.length} requests but only ${rateLimit.remaining} remain in the current period`,
+        code: "RATE_LIMIT_EXCEEDED",
+      });
+    }
+
+    const { zipBuffer, manifest } = await runBatch(
+      req.body,
+      await getResourceOptions(req),
+      (item) => checkDocumentOptions(item) || checkContent(item)
+    );
+
+    if (manifest.succeeded > 0) {
+      await trackApiUsage(req.apiKey, req.clientIP, manifest.succeeded);
+    }
+
+    res.setHeader("X-Batch-Total", manifest.total);
+    res.setHeader("X-Batch-Succeeded", manifest.succeeded);
+    res.setHeader("X-Batch-Failed", manifest.failed);
+
+    if (!zipBuffer) {
+      return res.status(422).json({
+        success: false,
+        error: "Batch failed",
+        message: "None of the batch items could be rendered",
+        code: "BATCH_FAILED",
+        data: manifest,
+      });
+    }
+
+    return sendFile(
+      res,
+      zipBuffer,
+      `html2pdf-batch-${Date.now()}.zip`,
+      "application/zip"
     );
+  } catch (err) {
+    console.error("Batch conversion failed:", err);
+    return res.status(500).json({
+      success: false,
+      error: "Batch conversion failed",
+      message: err.message,
+      code: "BATCH_ERROR",
+    });
+  }
+});
 
+/**
+ * Check whether a cookie would be set for a host other than the target
+ *
+ * @returns {boolean} True if the cookie's domain or url names another host
+ */
+function isForeignCookie(cookie, hostname) {
+  if (
+    typeof cookie.domain === "string" &&
+    cookie.domain.replace(/^\./, "").toLowerCase() !== hostname
+  ) {
+    return true;
+  }
+  if (cookie.url !== undefined) {
     try {
-      // Launch browser for error PDF if not already launched
-      if (!browser) {
-        browser = await puppeteer.launch({
-          headless: "new",
-          args: ["--no-sandbox", "--disable-setuid-sandbox"],
-        });
-      }
+      return new URL(cookie.url).hostname !== hostname;
+    } catch (error) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Check the shape of a /convert-url request body
+ *
+ * @returns {string|null} Problem description, or null if the body is usable
+ */
+function validateUrlRequest(body) {
+  const { url, headers, cookies, basicAuth } = body;
 
-      const page = await browser.newPage();
-      const pdfBuffer = await page.pdf({
-        format: "A4",
-        margin: { top: "1cm", right: "1cm", bottom: "1cm", left: "1cm" },
+  if (typeof url !== "string" || !url.trim()) {
+    return "\"url\" must be a non-empty string";
+  }
+
+  if (
+    headers !== undefined &&
+    (!headers ||
+      typeof headers !== "object" ||
+      Array.isArray(headers) ||
+      Object.values(headers).some((value) => typeof value !== "string"))
+  ) {
+    return "\"headers\" must be an object of string values";
+  }
+
+  if (
+    cookies !== undefined &&
+    (!Array.isArray(cookies) ||
+      cookies.some(
+        (cookie) =>
+          !cookie ||
+          typeof cookie.name !== "string" ||
+          typeof cookie.value !== "string"
+      ))
+  ) {
+    return "\"cookies\" must be an array of { name, value } objects";
+  }
+
+  if (cookies !== undefined) {
+    let hostname = null;
+
+    try {
+      ({ hostname } = new URL(url.trim()));
+    } catch (error) {
+      // The URL guard reports invalid URLs
+    }
+
+    if (
+      hostname &&
+      cookies.some((cookie) => isForeignCookie(cookie, hostname))
+    ) {
+      return `"cookies" can only be set for ${hostname}`;
+    }
+  }
+
+  if (
+    basicAuth !== undefined &&
+    (!basicAuth ||
+      typeof basicAuth.username !== "string" ||
+      (basicAuth.password !== undefined &&
+        typeof basicAuth.password !== "string"))
+  ) {
+    return "\"basicAuth\" must be { username, password }";
+  }
+
+  return null;
+}
+
+/**
+ * POST /convert-url
+ * Render a remote http(s) page to PDF. Private and internal addresses are
+ * refused unless an admin has allowlisted them (urlFetch.allowlist).
+ * API KEY AUTHENTICATION - Added for authentication system
+ */
+router.post("/convert-url", apiKeyAuth, async(req, res) => {
+  const body = req.body || {};
+  const problem = validateUrlRequest(body);
+
+  if (problem) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid payload",
+      message: problem,
+      code: "INVALID_PAYLOAD",
+    });
+  }
+
+  const optionsProblem = checkDocumentOptions(body);
+
+  if (optionsProblem) {
+    return res.status(optionsProblem.status).json(optionsProblem.body);
+  }
+
+  const payload = {
+    url: body.url.trim(),
+    headers: body.headers,
+    cookies: body.cookies,
+    basicAuth: body.basicAuth,
+    outline: body.outline,
+    watermark: body.watermark,
+    attachments: body.attachments,
+    pdfMetadata: body.pdfMetadata,
+    encryption: body.encryption,
+    signature: body.signature,
+    conformance: body.conformance,
+    pdfOptions: body.pdfOptions || body.options || {},
+    emailTo: body.emailTo,
+  };
+
+  try {
+    const { urlFetch = {} } = await getConfig();
+
+    // Refuse obviously bad targets before a browser page is taken
+    const check = await checkUrl(payload.url, {
+      allowlist: urlFetch.allowlist,
+    });
+
+    if (!check.allowed) {
+      return res.status(check.url ? 403 : 400).json({
+        success: false,
+        error: check.url ? "URL not allowed" : "Invalid URL",
+        message: check.reason,
+        code: check.url ? "URL_NOT_ALLOWED" : "INVALID_URL",
       });
+    }
 
-      // Failure flow
-      ok = false;
-      logDetails = `Error: ${errorMessage}`;
-      await writeLogFile({ ok: false, details: logDetails });
-
-      // Send failure email if requested
-      if (req.body?.emailTo) {
-        await sendEmail({
-          to: req.body.emailTo,
-          subject: "PDF generation failed",
-          text: `PDF generation failed with the following error:\n\n${errorMessage}`,
-        }).catch((e) => console.warn("Email (failure) failed:", e.message));
-      }
+    const { pdfBuffer, blockedRequests } = await generateUrlPdf(
+      payload,
+      urlFetch
+    );
 
-      // Return error PDF
-      res.setHeader("Content-Type", "application/pdf");
-      res.setHeader("X-Content-Type-Options", "nosniff");
-      res.setHeader(
-        "Content-Disposition",
-        'attachment; filename="html2pdf-error.pdf"'
-      );
-      res.setHeader("Content-Length", pdfBuffer.length);
-      res.setHeader("X-Error", "true");
+    setBlockedRequestHeaders(res, blockedRequests);
+    setConformanceHeader(res, payload);
+    return sendFile(res, pdfBuffer, `url2pdf-${Date.now()}.pdf`);
+  } catch (err) {
+    console.error("Error rendering URL:", err);
+    await reportFailure(payload, err.message || "An unknown error occurred");
 
-      return res.end(pdfBuffer);
-    } catch (fallbackErr) {
-      console.error("Fallback PDF failed:", fallbackErr);
+    if (err.code === "URL_NOT_ALLOWED") {
+      return res.status(403).json({
+        success: false,
+        error: "URL not allowed",
+        message: err.message,
+        code: err.code,
+      });
+    }
+    if (err.code === "PDFA_NOT_CONFORMANT") {
+      return sendNotConformant(res, err);
+    }
 
-      // Final fallback: return JSON error
-      await writeLogFile({
-        ok: false,
-        details: `Fallback failed: ${fallbackErr?.message || fallbackErr}`,
+    return res.status(502).json({
+      success: false,
+      error: "Failed to render URL",
+      message: err.message,
+      code: "URL_RENDER_FAILED",
+    });
+  }
+});
+
+/**
+ * POST /verify
+ * Report whether a PDF carries a signature made with this server's
+ * certificate and is unchanged since signing. Send the PDF as the raw
+ * body (Content-Type: application/pdf) or as JSON { "pdf": "<base64>" }.
+ */
+router.post(
+  "/verify",
+  express.raw({ type: "application/pdf", limit: maxRequestSize }),
+  apiKeyValidationOnly,
+  async(req, res) => {
+    let pdfBuffer;
+
+    try {
+      pdfBuffer = readPdfBody(req);
+    } catch (err) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid payload",
+        message: err.message,
+        code: "INVALID_PAYLOAD",
       });
+    }
 
+    try {
+      const report = await verifyDocument(pdfBuffer);
+
+      return res.json({
+        success: true,
+        data: {
+          ...report,
+          valid: Boolean(report.signedByService && report.unmodified),
+        },
+      });
+    } catch (err) {
+      console.error("Failed to verify PDF signature:", err);
       return res.status(500).json({
         success: false,
-        error: {
-          message: "PDF generation failed and fallback also failed",
-          originalError: errorMessage,
-          fallbackError: fallbackErr?.message || "Unknown fallback error",
-          timestamp: new Date().toISOString(),
-        },
+        error: "Verification failed",
+        message: err.message,
+        code: "VERIFY_ERROR",
+      });
+    }
+  }
+);
+
+/**
+ * POST /fields
+ * List the AcroForm fields of a PDF with their types, current values and
+ * options, i.e. what /fill accepts. Send the PDF as for /verify.
+ */
+router.post(
+  "/fields",
+  express.raw({ type: "application/pdf", limit: maxRequestSize }),
+  apiKeyValidationOnly,
+  async(req, res) => {
+    let pdfBuffer;
+
+    try {
+      pdfBuffer = readPdfBody(req);
+    } catch (err) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid payload",
+        message: err.message,
+        code: "INVALID_PAYLOAD",
       });
     }
-  } finally {
-    // Clean up browser
-    if (browser) {
-      try {
-        await browser.close();
-      } catch (closeErr) {
-        console.warn("Failed to close browser:", closeErr.message);
+
+    try {
+      const fields = await listFormFields(pdfBuffer);
+
+      return res.json({ success: true, data: { fields } });
+    } catch (err) {
+      if (err.code === "PDF_ENCRYPTED") {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid payload",
+          message: err.message,
+          code: err.code,
+        });
       }
+      console.error("Failed to read PDF form fields:", err);
+      return res.status(500).json({
+        success: false,
+        error: "Failed to read form fields",
+        message: err.message,
+        code: "FIELDS_ERROR",
+      });
+    }
+  }
+);
+
+/**
+ * POST /fill
+ * Fill the AcroForm of an existing PDF from { "pdf": "<base64>",
+ * "fields": { name: value }, "flatten": false } and return the filled PDF
+ * API KEY AUTHENTICATION - Added for authentication system
+ */
+router.post("/fill", apiKeyAuth, async(req, res) => {
+  const { pdf, fields, flatten = false } = req.body || {};
+
+  let pdfBuffer;
+
+  try {
+    if (typeof pdf !== "string" || !pdf) {
+      throw new Error("\"pdf\" must be a base64-encoded PDF");
+    }
+    pdfBuffer = decodePdfPart(pdf);
+    if (!fields || typeof fields !== "object" || Array.isArray(fields)) {
+      throw new Error("\"fields\" must be an object of field name to value");
+    }
+    if (typeof flatten !== "boolean") {
+      throw new Error("\"flatten\" must be a boolean");
     }
+  } catch (err) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid payload",
+      message: err.message,
+      code: "INVALID_PAYLOAD",
+    });
+  }
+
+  try {
+    const filled = await fillPdfForm(pdfBuffer, fields, { flatten });
+
+    return sendFile(res, filled, `filled-${Date.now()}.pdf`);
+  } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({
+        success: false,
+        error:
+          err.code === "INVALID_FIELD_VALUES"
+            ? "Invalid field values"
+            : "Invalid payload",
+        message: err.message,
+        code: err.code,
+        ...(err.reasons && { reasons: err.reasons }),
+      });
+    }
+    console.error("Failed to fill PDF form:", err);
+    return res.status(500).json({
+      success: false,
+      error: "Failed to fill form",
+      message: err.message,
+      code: "FILL_ERROR",
+    });
+  }
+});
+
+/**
+ * GET /status/:jobId
+ * Report the state of an async render job (does not count against usage)
+ */
+router.get("/status/:jobId", apiKeyValidationOnly, async(req, res) => {
+  try {
+    const job = await findOwnJob(req, res);
+
+    if (!job) {
+      return res;
+    }
+
+    const data = toPublicJob(job);
+
+    if (job.status === "completed") {
+      data.downloadUrl = `${req.baseUrl}/download/${job.jobId}`;
+    }
+
+    return res.json({ success: true, data });
+  } catch (err) {
+    console.error("Failed to read job status:", err);
+    return res.status(500).json({
+      success: false,
+      error: "Failed to read job status",
+      message: err.message,
+      code: "JOB_STATUS_ERROR",
+    });
+  }
+});
+
+/**
+ * GET /download/:jobId
+ * Download the PDF produced by a completed async render job
+ */
+router.get("/download/:jobId", apiKeyValidationOnly, async(req, res) => {
+  try {
+    const job = await findOwnJob(req, res);
+
+    if (!job) {
+      return res;
+    }
+
+    if (job.status !== "completed") {
+      return res.status(409).json({
+        success: false,
+        error: job.status === "failed" ? "Job failed" : "Job not ready",
+        message:
+          job.status === "failed"
+            ? job.error?.message || "PDF generation failed"
+            : `Job is ${job.status}; poll /status/${job.jobId} until it completes`,
+        code: job.status === "failed" ? "JOB_FAILED" : "JOB_NOT_READY",
+        data: toPublicJob(job),
+      });
+    }
+
+    const pdfBuffer = await fs.readFile(getJobOutputPath(job.jobId));
+
+    return sendFile(res, pdfBuffer, job.result.filename);
+  } catch (err) {
+    console.error("Failed to download job output:", err);
+    return res.status(500).json({
+      success: false,
+      error: "Failed to download job output",
+      message: err.message,
+      code: "JOB_DOWNLOAD_ERROR",
+    });
   }
 });
 
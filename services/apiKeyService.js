@@ -176,6 +176,7 @@ async function validateApiKeyFormat(apiKey) {
  *
  * @param {string} apiKey - API key
  * @param {string} ipAddress - Client IP address
+ * @param {number} [count=1] - Number of requests to record (e.g. documents in a batch)
  * @returns {Promise<Object>} Updated usage statistics
  * @throws {Error} If tracking fails
  *
@@ -183,7 +184,7 @@ async function validateApiKeyFormat(apiKey) {
  * const usage = await trackApiUsage('sk_live_...', '192.168.1.1');
  * console.log(`Total requests: ${usage.totalRequests}`);
  */
-async function trackApiUsage(apiKey, ipAddress) {
+async function trackApiUsage(apiKey, ipAddress, count = 1) {
   if (!apiKey || typeof apiKey !== "string") {
     throw new Error("API key is required and must be a string");
   }
@@ -192,6 +193,10 @@ async function trackApiUsage(apiKey, ipAddress) {
     throw new Error("IP address is required and must be a string");
   }
 
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error("Count must be a positive integer");
+  }
+
   try {
     // Validate API key and get user
     const validation = await validateApiKeyFormat(apiKey);
@@ -217,12 +222,12 @@ async function trackApiUsage(apiKey, ipAddress) {
     // Find existing IP entry or create new one
     let ipEntry = requestsByIP.find((entry) => entry.ip === ipAddress);
     if (ipEntry) {
-      ipEntry.count += 1;
+      ipEntry.count += count;
       ipEntry.lastRequest = new Date().toISOString();
     } else {
       requestsByIP.push({
         ip: ipAddress,
-        count: 1,
+        count,
         lastRequest: new Date().toISOString(),
       });
     }
@@ -231,7 +236,7 @@ async function trackApiUsage(apiKey, ipAddress) {
     const updatedUser = await updateUser(userId, {
       usage: {
         ...currentUsage,
-        totalRequests: currentUsage.totalRequests + 1,
+        totalRequests: currentUsage.totalRequests + count,
         requestsByIP: requestsByIP,
       },
     });
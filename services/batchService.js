@@ -0,0 +1,295 @@
+/**
+ * Batch Service
+ *
+ * Renders many documents in one request and packs the PDFs into a ZIP
+ * together with a manifest.json describing the outcome of every item.
+ * A failing item does not stop the batch; it is reported in the manifest.
+ *
+ * @fileoverview Batch PDF conversion to a ZIP archive
+ * @author PDF Service Team
+ * @version 1.0.0
+ */
+
+const path = require("path");
+const JSZip = require("jszip");
+const { batch: batchConfig } = require("../config/environment");
+const { renderDocument, writeLogFile } = require("./renderService");
+const { sendEmail } = require("../utils/email");
+
+/**
+ * Check the batch request shape (not the content of each item)
+ *
+ * @param {Object} body - Request body with `items`
+ * @returns {string|null} Problem description, or null if the batch is usable
+ */
+function validateBatchRequest(body) {
+  const items = body && body.items;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return "\"items\" must be a non-empty array";
+  }
+
+  if (items.length > batchConfig.maxItems) {
+    return `A batch can contain at most ${batchConfig.maxItems} items (got ${items.length})`;
+  }
+
+  return null;
+}
+
+/**
+ * Turn a requested filename into a safe, unique ZIP entry name
+ *
+ * @param {string} [requested] - Filename supplied with the item
+ * @param {number} index - Item position, used for the default name
+ * @param {Set<string>} used - Names already taken in this batch
+ * @returns {string} Entry name ending in .pdf
+ */
+function toEntryName(requested, index, used) {
+  const base =
+    typeof requested === "string"
+      ? path
+          .basename(requested.trim().replace(/\\/g, "/"))
+          .replace(/[^\w.\- ]+/g, "_")
+      : "";
+  const stem = base.replace(/\.pdf$/i, "").replace(/^\.+/, "");
+  const safeStem = stem || `document-${index + 1}`;
+
+  let name = `${safeStem}.pdf`;
+
+  for (let n = 2; used.has(name.toLowerCase()); n += 1) {
+    name = `${safeStem}-${n}.pdf`;
+  }
+  used.add(name.toLowerCase());
+
+  return name;
+}
+
+/**
+ * Name the /convert option an item sets that a batch cannot honour
+ *
+ * Every batch entry is a PDF rendered now, so image output, async mode
+ * and diagnostics are refused rather than silently ignored.
+ *
+ * @param {Object} item - Batch item
+ * @returns {string|null} The option name, or null if there is none
+ */
+function findUnsupportedOption(item) {
+  const { output } = item;
+  const format =
+    output && typeof output === "object" ? output.format || "pdf" : "pdf";
+
+  if (String(format).toLowerCase() !== "pdf") {
+    return "output";
+  }
+  if (item.async === true) {
+    return "async";
+  }
+  if (item.diagnostics === true) {
+    return "diagnostics";
+  }
+  return null;
+}
+
+/**
+ * Check every item before anything is rendered
+ *
+ * @param {Array} items - Batch items
+ * @param {Function} [checkItem] - Returns the `{ status, body }` error
+ *   response /convert would send for an item, or null if it can be rendered
+ * @returns {Array<Object|null>} Manifest fields (`error`, `code` and any
+ *   `problems` or `reasons`) for each invalid item, null for valid ones
+ */
+function findInvalidItems(items, checkItem) {
+  return items.map((item) => {
+    if (!item || typeof item !== "object" || Array.isArray(item)) {
+      return { error: "Item must be an object", code: "INVALID_PAYLOAD" };
+    }
+
+    const unsupported = findUnsupportedOption(item);
+
+    if (unsupported) {
+      return {
+        error: `"${unsupported}" is not supported in a batch; every item is rendered as a PDF`,
+        code: "UNSUPPORTED_IN_BATCH",
+      };
+    }
+
+    const problem = checkItem ? checkItem(item) : null;
+
+    if (!problem) {
+      return null;
+    }
+
+    const { message, code, problems, reasons } = problem.body;
+
+    return {
+      error: message,
+      code,
+      ...(problems && { problems }),
+      ...(reasons && { reasons }),
+    };
+  });
+}
+
+/**
+ * Render one batch item, never throwing
+ */
+async function renderItem(
+  item,
+  index,
+  filename,
+  defaultPdfOptions,
+  resourceOptions
+) {
+  try {
+    const { pdfBuffer, blockedRequests = [] } = await renderDocument(
+      {
+        ...item,
+        pdfOptions: { ...defaultPdfOptions, ...(item.pdfOptions || {}) },
+      },
+      resourceOptions
+    );
+
+    return {
+      entry: {
+        index,
+        filename,
+        status: "success",
+        size: pdfBuffer.length,
+        ...(blockedRequests.length > 0 && { blockedRequests }),
+      },
+      pdfBuffer,
+    };
+  } catch (error) {
+    return {
+      entry: {
+        index,
+        filename,
+        status: "error",
+        error: error.message || "An unknown error occurred",
+      },
+      pdfBuffer: null,
+    };
+  }
+}
+
+/**
+ * Render every item of a batch and build the ZIP archive
+ *
+ * Items are rendered `batch.concurrency` at a time. Each item takes the
+ * same document fields as /convert (`html`, `htmlContent`,
+ * `pdfDocumentBundle`, `parts`, `watermark`, ...), optional `pdfOptions`
+ * (merged over the batch-level `pdfOptions`) and an optional `filename`.
+ * Every item is checked before rendering starts; invalid items are not
+ * rendered and are listed in the manifest with status "invalid". Image
+ * `output`, `async` and `diagnostics` are refused per item with code
+ * UNSUPPORTED_IN_BATCH.
+ *
+ * @param {Object} body - Validated batch request body
+ * @param {Object[]} body.items - Items to render
+ * @param {Object} [body.pdfOptions] - PDF options applied to every item
+ * @param {string} [body.emailTo] - Address for a summary email
+ * @param {Object} [resourceOptions] - `{ allowlist, accountAllowlist }`
+ *   for external resources; an item's refused URLs are listed in its
+ *   manifest entry as `blockedRequests`
+ * @param {Function} [checkItem] - The /convert request checks (see
+ *   findInvalidItems)
+ * @returns {Promise<Object>} `{ zipBuffer, manifest }`; zipBuffer is null if every item failed
+ *
+ * @example
+ * const { zipBuffer, manifest } = await runBatch(req.body);
+ * console.log(`${manifest.succeeded}/${manifest.total} documents rendered`);
+ */
+async function runBatch(
+  { items, pdfOptions = {}, emailTo },
+  resourceOptions = {},
+  checkItem = null
+) {
+  const used = new Set();
+  const filenames = items.map((item, index) =>
+    toEntryName(item && item.filename, index, used)
+  );
+
+  const invalid = findInvalidItems(items, checkItem);
+  const results = invalid.map((fields, index) =>
+    fields
+      ? {
+          entry: {
+            index,
+            filename: filenames[index],
+            status: "invalid",
+            ...fields,
+          },
+          pdfBuffer: null,
+        }
+      : null
+  );
+  const pending = items
+    .map((item, index) => index)
+    .filter((index) => !invalid[index]);
+
+  async function worker() {
+    while (pending.length > 0) {
+      const index = pending.shift();
+
+      results[index] = await renderItem(
+        items[index],
+        index,
+        filenames[index],
+        pdfOptions,
+        resourceOptions
+      );
+    }
+  }
+
+  const workers = Math.min(batchConfig.concurrency, pending.length);
+
+  await Promise.all(Array.from({ length: workers }, worker));
+
+  const entries = results.map((result) => result.entry);
+  const succeeded = entries.filter((entry) => entry.status === "success");
+  const manifest = {
+    createdAt: new Date().toISOString(),
+    total: entries.length,
+    succeeded: succeeded.length,
+    failed: entries.length - succeeded.length,
+    items: entries,
+  };
+
+  await writeLogFile({
+    ok: manifest.failed === 0,
+    details: `Batch rendered: ${manifest.succeeded}/${manifest.total} documents succeeded`,
+  });
+
+  if (emailTo) {
+    await sendEmail({
+      to: emailTo,
+      subject: "Batch PDF generation finished",
+      text: `Your batch has been processed.\n\nSucceeded: ${manifest.succeeded}\nFailed: ${manifest.failed}\nFinished at: ${manifest.createdAt}`,
+    }).catch((e) => console.warn("Email (batch) failed:", e.message));
+  }
+
+  if (succeeded.length === 0) {
+    return { zipBuffer: null, manifest };
+  }
+
+  const zip = new JSZip();
+
+  results.forEach(({ entry, pdfBuffer }) => {
+    if (pdfBuffer) {
+      zip.file(entry.filename, pdfBuffer);
+    }
+  });
+  zip.file("manifest.json", JSON.stringify(manifest, null, 2));
+
+  return {
+    zipBuffer: await zip.generateAsync({ type: "nodebuffer" }),
+    manifest,
+  };
+}
+
+module.exports = {
+  validateBatchRequest,
+  toEntryName,
+  runBatch,
+};
@@ -0,0 +1,568 @@
+/**
+ * Browser Pool Service
+ *
+ * Keeps a small set of long-lived Chromium instances and hands out pages
+ * for rendering, so a conversion no longer pays for a full browser startup.
+ * Browsers are recycled after a configurable number of renders or once
+ * their memory use crosses a threshold, and crashed browsers are replaced
+ * automatically.
+ *
+ * @fileoverview Shared Puppeteer browser pool for PDF rendering
+ * @author PDF Service Team
+ * @version 1.0.0
+ */
+
+const EventEmitter = require("events");
+const fs = require("fs").promises;
+const puppeteer = require("puppeteer");
+const {
+  puppeteer: puppeteerConfig,
+  browserPool,
+} = require("../config/environment");
+
+// Pool state
+const pool = [];
+const waiters = [];
+let launching = 0;
+let nextBrowserId = 1;
+let shuttingDown = false;
+let initPromise = null;
+
+// Browser lifecycle events ("disconnected" with the pool entry)
+const poolEvents = new EventEmitter();
+
+/**
+ * Launch a new browser and register it in the pool
+ *
+ * @returns {Promise<Object>} Pool entry for the launched browser
+ * @throws {Error} If Chromium cannot be started
+ */
+async function launchEntry() {
+  launching += 1;
+
+  try {
+    const browser = await puppeteer.launch({
+      headless: puppeteerConfig.headless,
+      args: puppeteerConfig.args,
+    });
+
+    const entry = {
+      id: nextBrowserId,
+      browser,
+      activePages: 0,
+      renders: 0,
+      memoryCheckedAt: 0,
+      retiring: false,
+      closing: false,
+      launchedAt: new Date().toISOString(),
+    };
+
+    nextBrowserId += 1;
+    browser.on("disconnected", () => poolEvents.emit("disconnected", entry));
+    pool.push(entry);
+
+    return entry;
+  } finally {
+    launching -= 1;
+  }
+}
+
+/**
+ * Find the least busy browser that can take another page
+ *
+ * @returns {Object|null} Pool entry or null if every browser is full
+ */
+function findAvailableEntry() {
+  let best = null;
+
+  for (const entry of pool) {
+    const usable =
+      !entry.retiring &&
+      !entry.closing &&
+      entry.browser.isConnected() &&
+      entry.activePages < browserPool.maxPagesPerBrowser;
+
+    if (usable && (!best || entry.activePages < best.activePages)) {
+      best = entry;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Hand free capacity to queued acquire requests, launching another
+ * browser when the queue is not empty and the pool may still grow
+ */
+function drainWaiters() {
+  while (waiters.length > 0) {
+    const entry = findAvailableEntry();
+
+    if (!entry) {
+      break;
+    }
+
+    const waiter = waiters.shift();
+
+    clearTimeout(waiter.timer);
+    entry.activePages += 1;
+    waiter.resolve(entry);
+  }
+
+  const canGrow = pool.length + launching < browserPool.maxBrowsers;
+
+  if (waiters.length > 0 && canGrow && !shuttingDown) {
+    launchEntry()
+      .then(drainWaiters)
+      .catch((error) => {
+        console.error("Failed to launch pooled browser:", error.message);
+
+        // Nothing will free up if the pool is empty, so fail fast
+        if (pool.length === 0 && launching === 0) {
+          waiters.splice(0).forEach((waiter) => {
+            clearTimeout(waiter.timer);
+            waiter.reject(error);
+          });
+        }
+      });
+  }
+}
+
+/**
+ * Launch browsers until the configured minimum is reached
+ */
+function ensureMinimumBrowsers() {
+  const missing = browserPool.minBrowsers - (pool.length + launching);
+
+  for (let i = 0; i < missing; i += 1) {
+    launchEntry()
+      .then(drainWaiters)
+      .catch((error) =>
+        console.error("Failed to launch pooled browser:", error.message)
+      );
+  }
+}
+
+/**
+ * Remove a browser that went away without being closed by the pool
+ * (crash, killed process) and start a replacement if needed
+ *
+ * @param {Object} entry - Pool entry whose browser disconnected
+ */
+function handleDisconnect(entry) {
+  const index = pool.indexOf(entry);
+
+  if (index === -1) {
+    return;
+  }
+
+  pool.splice(index, 1);
+
+  if (!entry.closing) {
+    console.warn(
+      `Browser #${entry.id} disconnected unexpectedly after ${entry.renders} renders, replacing it`
+    );
+  }
+
+  if (!shuttingDown) {
+    ensureMinimumBrowsers();
+    drainWaiters();
+  }
+}
+
+poolEvents.on("disconnected", handleDisconnect);
+
+/**
+ * Reserve a page slot on a browser, waiting for one if the pool is full
+ *
+ * @returns {Promise<Object>} Pool entry with a reserved slot
+ * @throws {Error} If no slot frees up within the acquire timeout
+ */
+async function reserveEntry() {
+  const entry = findAvailableEntry();
+
+  if (entry) {
+    entry.activePages += 1;
+    return entry;
+  }
+
+  if (pool.length + launching < browserPool.maxBrowsers) {
+    const launched = await launchEntry();
+
+    launched.activePages += 1;
+    return launched;
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, reject, timer: null };
+
+    waiter.timer = setTimeout(() => {
+      const index = waiters.indexOf(waiter);
+
+      if (index !== -1) {
+        waiters.splice(index, 1);
+      }
+      reject(
+        new Error(
+          `Timed out after ${browserPool.acquireTimeout}ms waiting for a browser`
+        )
+      );
+    }, browserPool.acquireTimeout);
+
+    waiters.push(waiter);
+  });
+}
+
+/**
+ * Process ids of a process and all of its descendants, from /proc
+ *
+ * @param {number} rootPid - Process to start from
+ * @returns {Promise<number[]>} The root and its descendants
+ */
+async function processTree(rootPid) {
+  const names = await fs.readdir("/proc");
+  const children = new Map();
+
+  await Promise.all(
+    names
+      .filter((name) => /^\d+$/.test(name))
+      .map(async(name) => {
+        try {
+          const stat = await fs.readFile(`/proc/${name}/stat`, "utf8");
+          // The command name may contain spaces, so read past its ")"
+          const [, ppid] = stat.slice(stat.lastIndexOf(")") + 2).split(" ");
+          const parent = parseInt(ppid, 10);
+
+          children.set(parent, [
+            ...(children.get(parent) || []),
+            parseInt(name, 10),
+          ]);
+        } catch (error) {
+          // The process exited while /proc was being read
+        }
+      })
+  );
+
+  const pids = [rootPid];
+
+  for (let i = 0; i < pids.length; i += 1) {
+    pids.push(...(children.get(pids[i]) || []));
+  }
+  return pids;
+}
+
+/**
+ * Resident memory of one process in kilobytes, or 0 if it is gone
+ */
+async function residentKb(pid) {
+  try {
+    const status = await fs.readFile(`/proc/${pid}/status`, "utf8");
+    const match = status.match(/VmRSS:\s+(\d+)\s+kB/);
+
+    return match ? parseInt(match[1], 10) : 0;
+  } catch (error) {
+    return 0;
+  }
+}
+
+/**
+ * Read the resident memory of a browser in megabytes
+ *
+ * Pages render in child processes of the browser (renderer, GPU, utility),
+ * so the memory of the whole process tree is added up. Pages shared
+ * between processes count once per process, which errs on the side of
+ * recycling early.
+ *
+ * Only available where /proc exists (Linux); returns null elsewhere so the
+ * memory threshold is simply not enforced.
+ *
+ * @param {Object} browser - Puppeteer browser instance
+ * @returns {Promise<number|null>} Resident memory in MB, or null if unknown
+ */
+async function getBrowserMemoryMb(browser) {
+  const proc = browser.process();
+
+  if (!proc || !proc.pid) {
+    return null;
+  }
+
+  try {
+    const pids = await processTree(proc.pid);
+    const sizes = await Promise.all(pids.map(residentKb));
+    const totalKb = sizes.reduce((sum, size) => sum + size, 0);
+
+    return totalKb > 0 ? Math.round(totalKb / 1024) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Close a browser and drop it from the pool
+ *
+ * @param {Object} entry - Pool entry to close
+ * @returns {Promise<void>}
+ */
+async function closeEntry(entry) {
+  entry.closing = true;
+
+  try {
+    await entry.browser.close();
+  } catch (error) {
+    console.warn(`Failed to close browser #${entry.id}:`, error.message);
+  }
+
+  const index = pool.indexOf(entry);
+
+  if (index !== -1) {
+    pool.splice(index, 1);
+  }
+}
+
+/**
+ * Retire the browser if it hit its render or memory limit, closing it
+ * once its last page has been released
+ *
+ * Reading the memory walks /proc, so each browser is measured at most
+ * once per `browserPool.memoryCheckInterval`.
+ *
+ * @param {Object} entry - Pool entry that just finished a render
+ * @returns {Promise<void>}
+ */
+async function maybeRecycle(entry) {
+  if (!entry.retiring) {
+    if (entry.renders >= browserPool.maxRendersPerBrowser) {
+      entry.retiring = true;
+      console.log(
+        `Recycling browser #${entry.id} after ${entry.renders} renders`
+      );
+    } else if (
+      Date.now() - entry.memoryCheckedAt >= browserPool.memoryCheckInterval
+    ) {
+      entry.memoryCheckedAt = Date.now();
+
+      const memoryMb = await getBrowserMemoryMb(entry.browser);
+
+      if (memoryMb !== null && memoryMb > browserPool.maxMemoryMb) {
+        entry.retiring = true;
+        console.log(
+          `Recycling browser #${entry.id} at ${memoryMb}MB (limit ${browserPool.maxMemoryMb}MB)`
+        );
+      }
+    }
+  }
+
+  if (entry.retiring && entry.activePages === 0 && !entry.closing) {
+    await closeEntry(entry);
+    if (!shuttingDown) {
+      ensureMinimumBrowsers();
+    }
+  }
+}
+
+/**
+ * Warm up the pool by launching the minimum number of browsers
+ *
+ * Safe to call more than once; later calls return the same promise.
+ *
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await initializePool();
+ */
+function initializePool() {
+  if (!initPromise) {
+    shuttingDown = false;
+
+    const launches = [];
+    const missing = browserPool.minBrowsers - (pool.length + launching);
+
+    for (let i = 0; i < missing; i += 1) {
+      launches.push(launchEntry());
+    }
+
+    initPromise = Promise.all(launches).then(() => undefined);
+    initPromise.catch(() => {
+      // Allow a later call to retry the warm-up
+      initPromise = null;
+    });
+  }
+
+  return initPromise;
+}
+
+/**
+ * Acquire a fresh page from the pool
+ *
+ * Every acquired page must be handed back with releasePage().
+ * Prefer withPage() which does this automatically.
+ *
+ * Pages normally share the browser's default context (cookies, storage and
+ * cache). An isolated page gets a browser context of its own, closed with
+ * the page, so nothing it stores is seen by later renders.
+ *
+ * @param {Object} [options] - Page options
+ * @param {boolean} [options.isolated=false] - Open the page in its own
+ *   browser context
+ * @param {string} [options.proxyServer] - Proxy for the page's own
+ *   browser context (implies isolated)
+ * @returns {Promise<Object>} Lease object with `page`, pool `entry` and
+ *   the isolated `context` (null for shared pages)
+ * @throws {Error} If the pool is shutting down or no browser is available
+ *
+ * @example
+ * const lease = await acquirePage();
+ * try {
+ *   await lease.page.setContent(html);
+ * } finally {
+ *   await releasePage(lease);
+ * }
+ */
+async function acquirePage(options = {}) {
+  if (shuttingDown) {
+    throw new Error("Browser pool is shutting down");
+  }
+
+  await initializePool();
+
+  const entry = await reserveEntry();
+  let context = null;
+
+  try {
+    if (options.proxyServer) {
+      context = await entry.browser.createBrowserContext({
+        proxyServer: options.proxyServer,
+      });
+    } else if (options.isolated) {
+      context = await entry.browser.createBrowserContext();
+    }
+
+    const page = await (context || entry.browser).newPage();
+
+    return { page, entry, context };
+  } catch (error) {
+    if (context) {
+      await context.close().catch(() => undefined);
+    }
+    entry.activePages -= 1;
+    drainWaiters();
+    throw error;
+  }
+}
+
+/**
+ * Close a leased page and return its slot to the pool
+ *
+ * @param {Object} lease - Lease returned by acquirePage()
+ * @returns {Promise<void>}
+ */
+async function releasePage(lease) {
+  if (!lease || !lease.entry) {
+    return;
+  }
+
+  const { page, entry, context } = lease;
+
+  try {
+    if (page && !page.isClosed()) {
+      await page.close();
+    }
+  } catch (error) {
+    console.warn("Failed to close pooled page:", error.message);
+  }
+
+  if (context) {
+    try {
+      await context.close();
+    } catch (error) {
+      console.warn("Failed to close browser context:", error.message);
+    }
+  }
+
+  entry.activePages -= 1;
+  entry.renders += 1;
+
+  try {
+    await maybeRecycle(entry);
+  } finally {
+    drainWaiters();
+  }
+}
+
+/**
+ * Run a function with a pooled page and always release it afterwards
+ *
+ * @param {Function} fn - Async callback receiving the Puppeteer page
+ * @param {Object} [options] - Page options (see acquirePage)
+ * @returns {Promise<any>} Whatever the callback returns
+ *
+ * @example
+ * const pdf = await withPage(async (page) => {
+ *   await page.setContent(html, { waitUntil: "networkidle0" });
+ *   return page.pdf({ format: "A4" });
+ * });
+ */
+async function withPage(fn, options = {}) {
+  const lease = await acquirePage(options);
+
+  try {
+    return await fn(lease.page);
+  } finally {
+    await releasePage(lease);
+  }
+}
+
+/**
+ * Close every browser and reject pending acquire requests
+ *
+ * Called from the graceful shutdown handler in app.js.
+ *
+ * @returns {Promise<void>}
+ */
+async function shutdownPool() {
+  shuttingDown = true;
+  initPromise = null;
+
+  waiters.splice(0).forEach((waiter) => {
+    clearTimeout(waiter.timer);
+    waiter.reject(new Error("Browser pool is shutting down"));
+  });
+
+  await Promise.all(pool.slice().map((entry) => closeEntry(entry)));
+}
+
+/**
+ * Get a snapshot of the pool for health checks and monitoring
+ *
+ * @returns {Object} Pool statistics
+ *
+ * @example
+ * const stats = getPoolStats();
+ * console.log(`${stats.activePages} pages in use`);
+ */
+function getPoolStats() {
+  return {
+    browsers: pool.length,
+    launching,
+    waiting: waiters.length,
+    activePages: pool.reduce((sum, entry) => sum + entry.activePages, 0),
+    shuttingDown,
+    limits: { ...browserPool },
+    instances: pool.map((entry) => ({
+      id: entry.id,
+      activePages: entry.activePages,
+      renders: entry.renders,
+      retiring: entry.retiring,
+      launchedAt: entry.launchedAt,
+    })),
+  };
+}
+
+module.exports = {
+  initializePool,
+  acquirePage,
+  releasePage,
+  withPage,
+  shutdownPool,
+  getPoolStats,
+};
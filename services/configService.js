@@ -73,6 +73,18 @@ const DEFAULT_CONFIG = {
     enableRateLimiting: true,
     enableAccountBlocking: true,
   },
+  urlFetch: {
+    // Hosts ("intranet.example.com", "*.example.com"), IPs or CIDRs that
+    // /convert-url may reach even though they resolve to private addresses
+    allowlist: [],
+    navigationTimeout: 30000,
+  },
+  externalResources: {
+    // Hosts, IPs or CIDRs that rendered documents may load resources from,
+    // private ones included. Once it (or an account's own list) has
+    // entries, resources can only come from the listed hosts
+    allowlist: [],
+  },
   logging: {
     logFailedLogins: true,
     logApiUsage: true,
@@ -212,6 +224,48 @@ async function updateRateLimits(limit, period) {
   });
 }
 
+/**
+ * Replace the admin allowlist for URL rendering
+ *
+ * @param {string[]} allowlist - Hosts, *.wildcard domains, IPs or CIDRs
+ * @returns {Promise<Object>} Updated configuration object
+ * @throws {Error} If update fails or validation fails
+ *
+ * @example
+ * const config = await updateUrlAllowlist([
+ *   "intranet.example.com",
+ *   "10.20.0.0/16"
+ * ]);
+ */
+async function updateUrlAllowlist(allowlist) {
+  const currentConfig = await getConfig();
+
+  return await updateConfig({
+    urlFetch: {
+      ...DEFAULT_CONFIG.urlFetch,
+      ...currentConfig.urlFetch,
+      allowlist,
+    },
+  });
+}
+
+/**
+ * Replace the system allowlist for external resources of rendered documents
+ *
+ * @param {string[]} allowlist - Hosts, *.wildcard domains, IPs or CIDRs
+ * @returns {Promise<Object>} Updated configuration object
+ * @throws {Error} If update fails or validation fails
+ *
+ * @example
+ * const config = await updateResourceAllowlist([
+ *   "fonts.gstatic.com",
+ *   "assets.example.com"
+ * ]);
+ */
+async function updateResourceAllowlist(allowlist) {
+  return await updateConfig({ externalResources: { allowlist } });
+}
+
 /**
  * Update security settings
  *
@@ -356,6 +410,35 @@ function validateConfigUpdates(updates) {
     };
   }
 
+  if (updates.urlFetch !== undefined) {
+    const { allowlist } = updates.urlFetch || {};
+
+    if (
+      !Array.isArray(allowlist) ||
+      allowlist.some((entry) => typeof entry !== "string" || !entry.trim())
+    ) {
+      return {
+        isValid: false,
+        error: "urlFetch.allowlist must be an array of non-empty strings",
+      };
+    }
+  }
+
+  if (updates.externalResources !== undefined) {
+    const { allowlist } = updates.externalResources || {};
+
+    if (
+      !Array.isArray(allowlist) ||
+      allowlist.some((entry) => typeof entry !== "string" || !entry.trim())
+    ) {
+      return {
+        isValid: false,
+        error:
+          "externalResources.allowlist must be an array of non-empty strings",
+      };
+    }
+  }
+
   return { isValid: true, error: null };
 }
 
@@ -534,6 +617,8 @@ module.exports = {
   updateConfig,
   toggleEmailVerification,
   updateRateLimits,
+  updateUrlAllowlist,
+  updateResourceAllowlist,
   updateSecuritySettings,
   updateFeatureFlags,
   validateConfigUpdates,
@@ -0,0 +1,471 @@
+/**
+ * Job Queue Service
+ *
+ * Runs conversion requests in the background with a concurrency limit.
+ * Every job is persisted as a JSON file under database/jobs (with the
+ * rendered PDF stored next to it), so queued and interrupted work is
+ * picked up again after a restart. The request body can hold PDF
+ * passwords, attachments and email addresses, so it is written to disk
+ * encrypted with AES-256-GCM under JOB_PAYLOAD_KEY (or a key generated
+ * once and kept in database/config).
+ *
+ * @fileoverview Persistent background render job queue
+ * @author PDF Service Team
+ * @version 1.0.0
+ */
+
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+const { v4: uuidv4, validate: uuidValidate } = require("uuid");
+const {
+  readJSONFile,
+  writeJSONFile,
+  fileExists,
+  listFiles,
+  ensureDirectory,
+  deleteFile,
+} = require("../utils/fileSystem");
+const { jobQueue: queueConfig } = require("../config/environment");
+const { generatePdf, reportFailure } = require("./renderService");
+
+// File paths
+const JOBS_DIR = path.join(process.cwd(), "database", "jobs");
+const PAYLOAD_KEY_PATH = path.join(
+  process.cwd(),
+  "database",
+  "config",
+  "job-payload.key"
+);
+
+// How often expired jobs are removed from disk
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Queue state
+const queue = [];
+let running = 0;
+let stopped = false;
+let cleanupTimer = null;
+let payloadKeyPromise = null;
+
+/**
+ * Decode a payload key given as 64 hex characters
+ *
+ * @param {string} hex - Key in hex
+ * @param {string} source - Where the key came from, for the error message
+ * @returns {Buffer} 32-byte key
+ * @throws {Error} If the key is not exactly 32 bytes of hex
+ */
+function decodePayloadKey(hex, source) {
+  if (!/^[0-9a-f]{64}$/i.test(hex)) {
+    throw new Error(
+      `${source} must be 64 hex characters (a 32-byte AES-256 key)`
+    );
+  }
+  return Buffer.from(hex, "hex");
+}
+
+/**
+ * Load the key job payloads are encrypted with
+ *
+ * JOB_PAYLOAD_KEY wins. Without it a key is generated on first use and
+ * stored in database/config/job-payload.key, so jobs written before a
+ * restart can still be read afterwards.
+ *
+ * @returns {Promise<Buffer>} 32-byte key
+ * @throws {Error} If the configured or stored key is malformed
+ */
+async function loadPayloadKey() {
+  if (queueConfig.payloadKey) {
+    return decodePayloadKey(queueConfig.payloadKey, "JOB_PAYLOAD_KEY");
+  }
+
+  await ensureDirectory(path.dirname(PAYLOAD_KEY_PATH));
+
+  try {
+    await fs.writeFile(
+      PAYLOAD_KEY_PATH,
+      crypto.randomBytes(32).toString("hex"),
+      { flag: "wx", mode: 0o600 }
+    );
+  } catch (error) {
+    if (error.code !== "EEXIST") {
+      throw error;
+    }
+  }
+
+  const stored = await fs.readFile(PAYLOAD_KEY_PATH, "utf8");
+
+  return decodePayloadKey(stored.trim(), PAYLOAD_KEY_PATH);
+}
+
+/**
+ * Get the payload key, loading it once per process
+ *
+ * @returns {Promise<Buffer>} 32-byte key
+ */
+function getPayloadKey() {
+  if (!payloadKeyPromise) {
+    payloadKeyPromise = loadPayloadKey().catch((error) => {
+      payloadKeyPromise = null;
+      throw error;
+    });
+  }
+  return payloadKeyPromise;
+}
+
+/**
+ * Encrypt a request body for storage in a job file
+ *
+ * @param {Object} payload - Conversion request body
+ * @param {Buffer} key - Payload key
+ * @returns {string} `iv:tag:ciphertext`, base64-encoded parts
+ */
+function sealPayload(payload, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([
+    cipher.update(JSON.stringify(payload), "utf8"),
+    cipher.final(),
+  ]);
+
+  return [iv, cipher.getAuthTag(), data]
+    .map((part) => part.toString("base64"))
+    .join(":");
+}
+
+/**
+ * Decrypt a request body sealed by sealPayload
+ *
+ * @param {string} sealed - Sealed payload
+ * @param {Buffer} key - Payload key
+ * @returns {Object|null} Request body, or null if it cannot be decrypted
+ *   (e.g. it was sealed under another key)
+ */
+function openPayload(sealed, key) {
+  try {
+    const [iv, tag, data] = sealed
+      .split(":")
+      .map((part) => Buffer.from(part, "base64"));
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+
+    decipher.setAuthTag(tag);
+
+    return JSON.parse(
+      Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8")
+    );
+  } catch (error) {
+    return null;
+  }
+}
+
+function getJobPath(jobId) {
+  return path.join(JOBS_DIR, `${jobId}.json`);
+}
+
+/**
+ * Get the path of a job's rendered PDF
+ *
+ * @param {string} jobId - Job ID
+ * @returns {string} Absolute path of the output file
+ */
+function getJobOutputPath(jobId) {
+  return path.join(JOBS_DIR, `${jobId}.pdf`);
+}
+
+async function saveJob(job) {
+  job.updatedAt = new Date().toISOString();
+  await writeJSONFile(getJobPath(job.jobId), job);
+  return job;
+}
+
+/**
+ * Load a job by ID
+ *
+ * @param {string} jobId - Job ID (UUID v4)
+ * @returns {Promise<Object|null>} Job record or null if it does not exist
+ *
+ * @example
+ * const job = await getJob(req.params.jobId);
+ * if (job && job.status === "completed") { ... }
+ */
+async function getJob(jobId) {
+  // Only accept UUIDs so the ID can never escape the jobs directory
+  if (typeof jobId !== "string" || !uuidValidate(jobId)) {
+    return null;
+  }
+
+  const jobPath = getJobPath(jobId);
+
+  if (!(await fileExists(jobPath))) {
+    return null;
+  }
+
+  return readJSONFile(jobPath);
+}
+
+/**
+ * Render a single job and record the outcome
+ *
+ * @param {string} jobId - Job ID
+ * @returns {Promise<void>}
+ */
+async function runJob(jobId) {
+  const job = await getJob(jobId);
+
+  if (!job || job.status !== "queued") {
+    return;
+  }
+
+  job.status = "processing";
+  job.startedAt = new Date().toISOString();
+  await saveJob(job);
+
+  const payload =
+    typeof job.payload === "string"
+      ? openPayload(job.payload, await getPayloadKey())
+      : null;
+
+  try {
+    if (!payload) {
+      throw new Error(
+        "The request could not be recovered after a restart; submit it again"
+      );
+    }
+
+    const { pdfBuffer, originalSize, blockedRequests } = await generatePdf(
+      payload,
+      job.resourceOptions || {}
+    );
+
+    await fs.writeFile(getJobOutputPath(jobId), pdfBuffer);
+
+    job.status = "completed";
+    job.result = {
+      filename: `html2pdf-${jobId}.pdf`,
+      contentType: "application/pdf",
+      size: pdfBuffer.length,
+      originalSize,
+      blockedRequests,
+    };
+  } catch (error) {
+    console.error(`Render job ${jobId} failed:`, error);
+
+    job.status = "failed";
+    job.error = { message: error.message || "An unknown error occurred" };
+    await reportFailure(payload, job.error.message);
+  }
+
+  // The request body is no longer needed once the job has finished
+  job.payload = null;
+  job.resourceOptions = null;
+  job.completedAt = new Date().toISOString();
+  await saveJob(job);
+}
+
+/**
+ * Start queued jobs while there are free worker slots
+ */
+function processNext() {
+  while (!stopped && running < queueConfig.concurrency && queue.length > 0) {
+    const jobId = queue.shift();
+
+    running += 1;
+
+    runJob(jobId)
+      .catch((error) => console.error(`Render job ${jobId} crashed:`, error))
+      .finally(() => {
+        running -= 1;
+        processNext();
+      });
+  }
+}
+
+/**
+ * Persist a new job and queue it for rendering
+ *
+ * @param {Object} options - Job options
+ * @param {string} options.userId - Owner of the job
+ * @param {Object} options.payload - Conversion request body
+ * @param {Object} [options.resourceOptions] - External resource allowlists
+ *   of the owner at the time of the request
+ * @returns {Promise<Object>} Created job record
+ *
+ * @example
+ * const job = await createJob({ userId: req.user._id, payload: req.body });
+ * console.log(`Queued job ${job.jobId}`);
+ */
+async function createJob({ userId, payload, resourceOptions = {} }) {
+  const now = new Date().toISOString();
+  const job = {
+    jobId: uuidv4(),
+    userId,
+    status: "queued",
+    payload: sealPayload(payload, await getPayloadKey()),
+    resourceOptions,
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    completedAt: null,
+  };
+
+  await saveJob(job);
+  queue.push(job.jobId);
+  processNext();
+
+  return job;
+}
+
+/**
+ * Delete finished jobs (and their PDFs) older than the retention period
+ *
+ * @returns {Promise<number>} Number of jobs removed
+ */
+async function cleanupExpiredJobs() {
+  await ensureDirectory(JOBS_DIR);
+
+  const files = await listFiles(JOBS_DIR, ".json");
+  const cutoff = Date.now() - queueConfig.retentionMs;
+  let removed = 0;
+
+  for (const file of files) {
+    try {
+      const job = await readJSONFile(file);
+      const finished = job.status === "completed" || job.status === "failed";
+
+      if (finished && new Date(job.completedAt).getTime() < cutoff) {
+        await deleteFile(getJobOutputPath(job.jobId));
+        await deleteFile(file);
+        removed += 1;
+      }
+    } catch (error) {
+      console.warn(`Skipping unreadable job file ${file}:`, error.message);
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Re-queue jobs left over from a previous run and start the cleanup timer
+ *
+ * Jobs that were still processing when the process stopped are rendered
+ * again from the start. Jobs whose payload was sealed under another key
+ * fail when they run. The payload key is loaded first, so a malformed
+ * JOB_PAYLOAD_KEY is reported at startup.
+ *
+ * @returns {Promise<number>} Number of jobs restored
+ *
+ * @example
+ * const restored = await restoreJobs();
+ * console.log(`Restored ${restored} pending jobs`);
+ */
+async function restoreJobs() {
+  stopped = false;
+  await getPayloadKey();
+  await ensureDirectory(JOBS_DIR);
+
+  const files = await listFiles(JOBS_DIR, ".json");
+  const pending = [];
+
+  for (const file of files) {
+    try {
+      const job = await readJSONFile(file);
+
+      if (job.status === "queued" || job.status === "processing") {
+        pending.push(job);
+      }
+    } catch (error) {
+      console.warn(`Skipping unreadable job file ${file}:`, error.message);
+    }
+  }
+
+  pending.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  for (const job of pending) {
+    if (job.status === "processing") {
+      job.status = "queued";
+      job.startedAt = null;
+      await saveJob(job);
+    }
+    if (!queue.includes(job.jobId)) {
+      queue.push(job.jobId);
+    }
+  }
+
+  processNext();
+
+  if (!cleanupTimer) {
+    cleanupExpiredJobs().catch((error) =>
+      console.warn("Job cleanup failed:", error.message)
+    );
+    cleanupTimer = setInterval(() => {
+      cleanupExpiredJobs().catch((error) =>
+        console.warn("Job cleanup failed:", error.message)
+      );
+    }, CLEANUP_INTERVAL_MS);
+    cleanupTimer.unref();
+  }
+
+  return pending.length;
+}
+
+/**
+ * Stop starting new jobs (called on graceful shutdown)
+ *
+ * Jobs already running are left to finish; anything interrupted stays
+ * persisted and is restored on the next start.
+ */
+function stopJobQueue() {
+  stopped = true;
+
+  if (cleanupTimer) {
+    clearInterval(cleanupTimer);
+    cleanupTimer = null;
+  }
+}
+
+/**
+ * Shape a job record for API responses (no owner or request body)
+ *
+ * @param {Object} job - Job record
+ * @returns {Object} Public job fields
+ */
+function toPublicJob(job) {
+  return {
+    jobId: job.jobId,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    result: job.result,
+    error: job.error,
+  };
+}
+
+/**
+ * Get queue statistics for monitoring
+ *
+ * @returns {Object} Queue statistics
+ */
+function getJobQueueStats() {
+  return {
+    queued: queue.length,
+    running,
+    concurrency: queueConfig.concurrency,
+    stopped,
+  };
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  getJobOutputPath,
+  restoreJobs,
+  stopJobQueue,
+  cleanupExpiredJobs,
+  toPublicJob,
+  getJobQueueStats,
+};
@@ -0,0 +1,1335 @@
+/**
+ * Render Service
+ *
+ * Turns a conversion request (raw HTML, a pdfDocumentBundle or a remote
+ * URL) into a PDF, or PNG/JPEG/WebP images, on the shared browser pool.
+ * Used by the synchronous routes and by the background job queue so both
+ * produce identical output.
+ *
+ * @fileoverview PDF rendering pipeline shared by routes and jobs
+ * @author PDF Service Team
+ * @version 1.0.0
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+const JSZip = require("jszip");
+const { PDFDocument } = require("pdf-lib");
+
+const {
+  buildHtmlFromPdfDocumentBundle,
+  buildErrorHtml,
+} = require("../utils/buildHtmlFromPdfDocumentBundle");
+const { sendEmail } = require("../utils/email");
+const logger = require("../config/logger");
+const { checkUrl, checkResourceUrl } = require("../utils/urlGuard");
+const { startGuardProxy } = require("../utils/guardProxy");
+const { resolveWatermark, applyWatermark } = require("../utils/pdfWatermark");
+const {
+  resolvePdfMetadata,
+  applyPdfMetadata,
+} = require("../utils/pdfMetadata");
+const { resolveEncryption, encryptPdf } = require("../utils/pdfEncryption");
+const { resolveSignature } = require("../utils/pdfSigning");
+const {
+  resolveOutline,
+  collectOutlineEntries,
+  applyOutline,
+} = require("../utils/pdfOutline");
+const {
+  collectFormFields,
+  applyFormFields,
+} = require("../utils/pdfFormFields");
+const {
+  resolveAttachments,
+  applyAttachments,
+} = require("../utils/pdfAttachments");
+const {
+  resolveConformance,
+  conformanceConflicts,
+  notConformantError,
+  convertToPdfA,
+} = require("../utils/pdfA");
+const { withPage } = require("./browserPoolService");
+const { signDocument } = require("./signingService");
+
+// Image output formats: MIME type and file extension
+const IMAGE_FORMATS = {
+  png: { contentType: "image/png", extension: "png" },
+  jpeg: { contentType: "image/jpeg", extension: "jpg" },
+  webp: { contentType: "image/webp", extension: "webp" },
+};
+
+// Viewport used for image captures before it is fitted to the document
+const IMAGE_VIEWPORT = { width: 1024, height: 768 };
+
+// Upper bound for deviceScaleFactor, to keep screenshots within memory
+const MAX_DEVICE_SCALE_FACTOR = 4;
+
+// Most parts accepted in one merge request
+const MAX_MERGE_PARTS = 50;
+
+// Markup with bundle page sections, which the render report inspects
+const BUNDLE_PAGE_PATTERN = /class="[^"]*\bpage\b/;
+
+// --- small helpers ---
+function nowStamp() {
+  const d = new Date();
+  const iso = d.toISOString().replace(/[:.]/g, "-");
+
+  return iso;
+}
+
+/**
+ * Compress a PDF buffer using pdf-lib
+ * @param {Buffer} pdfBuffer - The original PDF buffer
+ * @returns {Promise<Buffer>} - The compressed PDF buffer
+ */
+async function compressPDF(pdfBuffer) {
+  try {
+    // Load the PDF document
+    const pdfDoc = await PDFDocument.load(pdfBuffer);
+
+    // Save the document with compression enabled
+    // pdf-lib automatically applies compression when saving
+    const compressedPdfBytes = await pdfDoc.save({
+      useObjectStreams: true, // Enable object streams for better compression
+      addDefaultPage: false,
+    });
+
+    return Buffer.from(compressedPdfBytes);
+  } catch (error) {
+    console.warn(
+      "PDF compression failed, returning original PDF:",
+      error.message
+    );
+    return pdfBuffer; // Return original if compression fails
+  }
+}
+
+async function writeLogFile({ ok, details }) {
+  try {
+    const dir = path.join(process.cwd(), "logs");
+
+    await fs.mkdir(dir, { recursive: true });
+    const file = path.join(
+      dir,
+      `pdf-${ok ? "success" : "error"}-${nowStamp()}.txt`
+    );
+    const lines = [
+      `timestamp: ${new Date().toISOString()}`,
+      `status: ${ok ? "success" : "error"}`,
+      `details: ${details || "n/a"}`,
+      "",
+    ].join("\n");
+
+    await fs.writeFile(file, lines, "utf8");
+    return file;
+  } catch (e) {
+    console.warn("Failed to write log file:", e.message);
+    return null;
+  }
+}
+
+/**
+ * Resolve the HTML markup for a conversion request
+ *
+ * @param {Object} payload - Request body with html, htmlContent or pdfDocumentBundle
+ * @returns {string} Full HTML document to render
+ * @throws {Error} If no usable content was provided
+ *
+ * @example
+ * const markup = resolveMarkup({ html: "<h1>Hello</h1>" });
+ */
+function resolveMarkup({ html, htmlContent, pdfDocumentBundle } = {}) {
+  // Determine the HTML content to use
+  let markup;
+
+  if (pdfDocumentBundle && typeof pdfDocumentBundle === "object") {
+    // Use the existing bundle system
+    markup = buildHtmlFromPdfDocumentBundle(pdfDocumentBundle);
+  } else {
+    // Use direct HTML content
+    const htmlToUse = html || htmlContent;
+
+    if (!htmlToUse) {
+      throw new Error(
+        "Either \"html\", \"htmlContent\", or \"pdfDocumentBundle\" must be provided"
+      );
+    }
+    markup = htmlToUse;
+  }
+
+  if (!markup || typeof markup !== "string" || !markup.trim()) {
+    throw new Error("Failed to generate HTML content from provided input");
+  }
+
+  return markup;
+}
+
+/**
+ * Whether the markup of a request may load external resources
+ *
+ * Bundles opt in with `security.allowExternalResources: true`. Raw HTML
+ * has no such setting and may, within the URL guard and allowlists.
+ */
+function allowsExternalResources({ pdfDocumentBundle } = {}) {
+  if (pdfDocumentBundle && typeof pdfDocumentBundle === "object") {
+    return pdfDocumentBundle.security?.allowExternalResources === true;
+  }
+  return true;
+}
+
+/**
+ * Record a refused request (or a host the guard proxy refused), once each
+ */
+function recordBlocked(blockedRequests, url, reason) {
+  if (!blockedRequests.some((blocked) => blocked.url === url)) {
+    blockedRequests.push({ url, reason });
+  }
+}
+
+/**
+ * Treat an intercepted request whose check failed as blocked
+ *
+ * Aborts the request unless it was already continued or aborted, so the
+ * page never waits on it, and records it with the failure reason.
+ *
+ * @param {HTTPRequest} interceptedRequest - Puppeteer request
+ * @param {Object[]} blockedRequests - Receives `{ url, reason }` entries
+ * @param {Error} error - Why the check failed
+ * @returns {string} The reason recorded for the request
+ */
+function blockUncheckedRequest(interceptedRequest, blockedRequests, error) {
+  const requestUrl = interceptedRequest.url();
+  const reason = `The request could not be checked: ${error.message}`;
+
+  logger.warn(`Request check failed for ${requestUrl}: ${error.message}`);
+  recordBlocked(blockedRequests, requestUrl, reason);
+
+  if (!interceptedRequest.isInterceptResolutionHandled()) {
+    interceptedRequest.abort("blockedbyclient").catch(() => undefined);
+  }
+  return reason;
+}
+
+/**
+ * Intercept the requests a page makes for its content's resources
+ *
+ * Must run before the content is set. Each request is checked with
+ * checkResourceUrl; refused ones, and ones the check fails on, are
+ * aborted and recorded once per URL in `blockedRequests`.
+ *
+ * @param {Page} page - Puppeteer page
+ * @param {Object} resources - `{ allowExternal, allowlist, accountAllowlist }`
+ * @param {Object[]} blockedRequests - Receives `{ url, reason }` entries
+ * @returns {Promise<void>}
+ */
+async function guardResources(page, resources, blockedRequests) {
+  await page.setRequestInterception(true);
+
+  page.on("request", (interceptedRequest) => {
+    const requestUrl = interceptedRequest.url();
+
+    checkResourceUrl(requestUrl, resources)
+      .then((result) => {
+        if (result.allowed) {
+          return interceptedRequest.continue();
+        }
+        recordBlocked(blockedRequests, requestUrl, result.reason);
+        return interceptedRequest.abort("blockedbyclient");
+      })
+      .catch((error) =>
+        blockUncheckedRequest(interceptedRequest, blockedRequests, error)
+      );
+  });
+}
+
+/**
+ * Run a callback with a pooled page whose traffic goes through a guard proxy
+ *
+ * The page gets a browser context of its own that connects only to the
+ * addresses the proxy checked (see utils/guardProxy), so a host that
+ * passed the URL guard cannot be rebound to an internal address before
+ * Chromium connects.
+ *
+ * @param {Function} fn - Async callback receiving the Puppeteer page
+ * @param {Object} proxyOptions - `{ allowlist, onBlocked }` for the proxy
+ * @returns {Promise<any>} Whatever the callback returns
+ */
+async function withProxiedPage(fn, proxyOptions) {
+  const proxy = await startGuardProxy(proxyOptions);
+
+  try {
+    return await withPage(fn, { proxyServer: proxy.proxyServer });
+  } finally {
+    await proxy.close();
+  }
+}
+
+/**
+ * Run a callback with a pooled page whose content's requests are guarded
+ *
+ * Installs guardResources before the callback runs. Documents that may
+ * load external resources are also rendered behind a guard proxy.
+ *
+ * @param {Function} fn - Async callback receiving the Puppeteer page
+ * @param {Object} resources - `{ allowExternal, allowlist, accountAllowlist }`
+ * @param {Object[]} blockedRequests - Receives `{ url, reason }` entries
+ * @returns {Promise<any>} Whatever the callback returns
+ */
+async function withGuardedPage(fn, resources, blockedRequests) {
+  async function render(page) {
+    await guardResources(page, resources, blockedRequests);
+    return fn(page);
+  }
+
+  if (!resources.allowExternal) {
+    return withPage(render);
+  }
+
+  return withProxiedPage(render, {
+    allowlist: resources.allowlist,
+    onBlocked: (hostname, reason) =>
+      recordBlocked(blockedRequests, hostname, reason),
+  });
+}
+
+/**
+ * Read the pagination time and the clipped pages of a rendered bundle
+ * (runs in the browser)
+ *
+ * A page is clipped when its body content is larger than the space
+ * between header and footer, which hides the overflow.
+ *
+ * @returns {Object} `{ paginateMs, clippedPages }`, pages numbered from 1
+ */
+function collectRenderReport() {
+  const clippedPages = [];
+
+  document.querySelectorAll(".page").forEach((page, index) => {
+    const body = page.querySelector("main.body");
+
+    if (
+      body &&
+      (body.scrollHeight > body.clientHeight + 1 ||
+        body.scrollWidth > body.clientWidth + 1)
+    ) {
+      clippedPages.push(index + 1);
+    }
+  });
+
+  return {
+    paginateMs: Math.round(window.paginatorMs || 0),
+    clippedPages,
+  };
+}
+
+/**
+ * Apply the service's PDF defaults to caller-supplied Puppeteer options
+ */
+function buildPdfOptions(pdfOptions = {}) {
+  return {
+    format: pdfOptions.format || "A4",
+    printBackground: pdfOptions.printBackground !== false,
+    margin: pdfOptions.margin || {
+      top: "1cm",
+      right: "1cm",
+      bottom: "1cm",
+      left: "1cm",
+    },
+    landscape: pdfOptions.landscape || false,
+    scale: pdfOptions.scale || 1,
+    ...pdfOptions,
+  };
+}
+
+/**
+ * Compress a rendered PDF if the caller asked for it
+ */
+async function finishPdf(pdfBuffer, pdfOptions = {}) {
+  // Apply compression if requested
+  const originalSize = pdfBuffer.length;
+
+  if (pdfOptions.compress) {
+    pdfBuffer = await compressPDF(pdfBuffer);
+    const compressedSize = pdfBuffer.length;
+    const compressionRatio = (
+      ((originalSize - compressedSize) / originalSize) *
+      100
+    ).toFixed(1);
+
+    console.log(
+      `PDF compressed: ${originalSize} bytes -> ${compressedSize} bytes (${compressionRatio}% reduction)`
+    );
+  }
+
+  return { pdfBuffer, originalSize };
+}
+
+/**
+ * Render markup to a PDF on a pooled page, compressing it if requested
+ *
+ * With an outline requested, bundle pages are read for bookmark entries
+ * once the paginator has run. Markup without bundle pages gets Chromium's
+ * own heading outline instead, and no entries are returned. Elements
+ * marked with `data-pdf-field` are located the same way. Resources the
+ * markup loads are checked with guardResources.
+ *
+ * Each stage is timed in milliseconds: `load` (content and resources,
+ * less pagination), `paginate` (the bundle paginator), `pdf` (printing)
+ * and `compress`. Bundle pages whose content overflows are reported in
+ * `clippedPages`.
+ *
+ * @param {string} markup - Full HTML document
+ * @param {Object} [pdfOptions] - Puppeteer PDF options plus `compress`
+ * @param {Object} [outline] - Settings from resolveOutline()
+ * @param {Object} [resources] - `{ allowExternal, allowlist,
+ *   accountAllowlist }` (see checkResourceUrl); by default only inline
+ *   data can be loaded
+ * @returns {Promise<Object>} `{ pdfBuffer, originalSize, outlineEntries,
+ *   formFields, blockedRequests, timings, clippedPages }` (outlineEntries
+ *   is null unless collected from bundle pages)
+ *
+ * @example
+ * const { pdfBuffer } = await renderPdf(markup, { format: "A4" });
+ */
+async function renderPdf(
+  markup,
+  pdfOptions = {},
+  outline = null,
+  resources = {}
+) {
+  let outlineEntries = null;
+  let formFields = [];
+  let clippedPages = [];
+  const blockedRequests = [];
+  const timings = { load: 0, paginate: 0, pdf: 0, compress: 0 };
+
+  // Render on a pooled browser page
+  const pdfBuffer = await withGuardedPage(async(page) => {
+    // Set content
+    let started = Date.now();
+
+    await page.setContent(markup, { waitUntil: "networkidle0" });
+    timings.load = Date.now() - started;
+    if (BUNDLE_PAGE_PATTERN.test(markup)) {
+      const report = await page.evaluate(collectRenderReport);
+
+      timings.paginate = Math.min(report.paginateMs, timings.load);
+      timings.load -= timings.paginate;
+      ({ clippedPages } = report);
+    }
+
+    // Generate PDF with provided options or defaults
+    const options = buildPdfOptions(pdfOptions);
+
+    if (outline) {
+      const collected = await page.evaluate(
+        collectOutlineEntries,
+        outline.maxHeadingLevel
+      );
+
+      if (collected.pageCount > 0) {
+        outlineEntries = collected.entries;
+      } else {
+        options.outline = true;
+      }
+    }
+    if (markup.includes("data-pdf-field")) {
+      formFields = (await page.evaluate(collectFormFields)).fields;
+    }
+
+    started = Date.now();
+    const printed = await page.pdf(options);
+
+    timings.pdf = Date.now() - started;
+    return printed;
+  }, resources, blockedRequests);
+
+  const started = Date.now();
+  const result = await finishPdf(pdfBuffer, pdfOptions);
+
+  timings.compress = Date.now() - started;
+  return {
+    ...result,
+    outlineEntries,
+    formFields,
+    blockedRequests,
+    timings,
+    clippedPages,
+  };
+}
+
+/**
+ * Render the error document sent when a conversion fails
+ *
+ * The page shows the failure message and, if given, the request id the
+ * client can quote to support. Nothing outside the document is loaded.
+ *
+ * @param {string} message - Failure reason
+ * @param {string} [requestId] - Id of the failed request
+ * @returns {Promise<Buffer>} A4 error PDF
+ *
+ * @example
+ * const pdfBuffer = await renderErrorPdf(err.message, req.requestId);
+ */
+async function renderErrorPdf(message, requestId) {
+  const markup = buildErrorHtml(message, requestId);
+
+  const pdfBuffer = await withPage(async(page) => {
+    await guardResources(page, { allowExternal: false }, []);
+    await page.setContent(markup, { waitUntil: "load" });
+    return page.pdf({
+      format: "A4",
+      printBackground: true,
+      margin: { top: "1cm", right: "1cm", bottom: "1cm", left: "1cm" },
+    });
+  });
+
+  return Buffer.from(pdfBuffer);
+}
+
+/**
+ * Decode a base64 PDF part (a data: URI prefix is accepted)
+ */
+function decodePdfPart(data) {
+  const base64 = data.replace(/^data:application\/pdf;base64,/i, "");
+  const bytes = Buffer.from(base64, "base64");
+
+  if (bytes.subarray(0, 5).toString("latin1") !== "%PDF-") {
+    throw new Error("\"pdf\" is not a base64-encoded PDF");
+  }
+
+  return bytes;
+}
+
+/**
+ * Validate the parts of a merge request and resolve their content
+ *
+ * A part is either an existing PDF (`pdf`: base64) or something to render
+ * (`html`, `htmlContent` or `pdfDocumentBundle`, with optional
+ * `pdfOptions` merged over the request's own).
+ *
+ * @param {Object[]} parts - Ordered parts from the request body
+ * @returns {Object[]} `{ pdfBytes }` or `{ markup, pdfOptions,
+ *   allowExternal }` per part, in order
+ * @throws {Error} Naming the first part that is unusable
+ *
+ * @example
+ * const resolved = resolveParts([
+ *   { pdfDocumentBundle: schedule },
+ *   { pdf: termsBase64 },
+ * ]);
+ */
+function resolveParts(parts) {
+  if (!Array.isArray(parts) || parts.length === 0) {
+    throw new Error("\"parts\" must be a non-empty array");
+  }
+  if (parts.length > MAX_MERGE_PARTS) {
+    throw new Error(`At most ${MAX_MERGE_PARTS} parts can be merged`);
+  }
+
+  return parts.map((part, index) => {
+    try {
+      if (!part || typeof part !== "object" || Array.isArray(part)) {
+        throw new Error("must be an object");
+      }
+
+      if (part.pdf !== undefined) {
+        if (typeof part.pdf !== "string" || !part.pdf) {
+          throw new Error("\"pdf\" must be a base64 string");
+        }
+        return { pdfBytes: decodePdfPart(part.pdf) };
+      }
+
+      return {
+        markup: resolveMarkup(part),
+        pdfOptions: part.pdfOptions || {},
+        allowExternal: allowsExternalResources(part),
+      };
+    } catch (error) {
+      throw new Error(`Part ${index + 1}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Render and concatenate resolved parts into one PDF
+ *
+ * Parts are appended in order and keep their own page order. Compression
+ * is applied once, to the merged document. Outline entries, form fields
+ * and clipped pages of bundle parts are moved to the pages they land on
+ * in the merged document, and stage timings are summed over the parts.
+ *
+ * @param {Object[]} resolvedParts - Output of resolveParts()
+ * @param {Object} [pdfOptions] - PDF options for rendered parts plus `compress`
+ * @param {Object} [outline] - Settings from resolveOutline()
+ * @param {Object} [resourceOptions] - `{ allowlist, accountAllowlist }`;
+ *   each rendered part applies its own allowExternal
+ * @returns {Promise<Object>} `{ pdfBuffer, originalSize, outlineEntries,
+ *   formFields, blockedRequests, timings, clippedPages }`
+ * @throws {Error} Naming the part that could not be rendered or read
+ */
+async function renderMergedPdf(
+  resolvedParts,
+  pdfOptions = {},
+  outline = null,
+  resourceOptions = {}
+) {
+  const merged = await PDFDocument.create();
+  const outlineEntries = [];
+  const formFields = [];
+  const blockedRequests = [];
+  const clippedPages = [];
+  const timings = { load: 0, paginate: 0, pdf: 0, compress: 0 };
+
+  for (const [index, part] of resolvedParts.entries()) {
+    try {
+      let bytes = part.pdfBytes;
+
+      if (!bytes) {
+        const rendered = await renderPdf(
+          part.markup,
+          { ...pdfOptions, ...part.pdfOptions, compress: false },
+          outline,
+          { ...resourceOptions, allowExternal: part.allowExternal }
+        );
+
+        bytes = rendered.pdfBuffer;
+        blockedRequests.push(...rendered.blockedRequests);
+
+        const pageOffset = merged.getPageCount();
+
+        (rendered.outlineEntries || []).forEach((entry) =>
+          outlineEntries.push({
+            ...entry,
+            section: `${index}:${entry.section}`,
+            pageIndex: entry.pageIndex + pageOffset,
+          })
+        );
+        rendered.formFields.forEach((field) =>
+          formFields.push({ ...field, pageIndex: field.pageIndex + pageOffset })
+        );
+        rendered.clippedPages.forEach((pageNumber) =>
+          clippedPages.push(pageNumber + pageOffset)
+        );
+        ["load", "paginate", "pdf"].forEach((stage) => {
+          timings[stage] += rendered.timings[stage];
+        });
+      }
+
+      const source = await PDFDocument.load(bytes);
+      const pages = await merged.copyPages(source, source.getPageIndices());
+
+      pages.forEach((page) => merged.addPage(page));
+    } catch (error) {
+      throw new Error(`Part ${index + 1}: ${error.message}`);
+    }
+  }
+
+  const saved = Buffer.from(await merged.save());
+  const started = Date.now();
+  const result = await finishPdf(saved, pdfOptions);
+
+  timings.compress = Date.now() - started;
+  return {
+    ...result,
+    outlineEntries: outline ? outlineEntries : null,
+    formFields,
+    blockedRequests,
+    timings,
+    clippedPages,
+  };
+}
+
+/**
+ * Apply the post-render document options of a request with pdf-lib
+ *
+ * Runs on the final rendered (or merged) PDF, so nothing added here can be
+ * removed by editing the source HTML. Bookmarks and form fields are added
+ * from what was collected while rendering, and requested files are
+ * attached. Document metadata is always
+ * written. PDF/A conversion follows, as it mirrors the metadata into XMP.
+ * Encryption or signing comes last, after every other change to the
+ * document; the two cannot be combined.
+ *
+ * @param {Buffer} pdfBuffer - Rendered PDF
+ * @param {Object} payload - Request body (`outline`, `watermark`,
+ *   `attachments`, `attachSourceBundle`, `pdfMetadata`, `conformance`,
+ *   `encryption`, `signature`, bundle head)
+ * @param {Object} [collected] - `outlineEntries` and `formFields` from
+ *   renderPdf() or renderMergedPdf()
+ * @param {Object} [report] - Receives `pageCount`, the number of pages of
+ *   the processed PDF
+ * @returns {Promise<Buffer>} Processed PDF
+ * @throws {Error} If an option is invalid or cannot be applied; a
+ *   PDFA_NOT_CONFORMANT error (status 422) lists why PDF/A is not possible
+ */
+async function postProcessPdf(pdfBuffer, payload, collected = {}, report = {}) {
+  const { outlineEntries, formFields = [] } = collected;
+  const outline = resolveOutline(payload.outline);
+  const watermark = resolveWatermark(payload.watermark);
+  const attachments = resolveAttachments(payload);
+  const metadata = resolvePdfMetadata(payload);
+  const encryption = resolveEncryption(payload.encryption);
+  const signature = resolveSignature(payload.signature);
+
+  if (encryption && signature) {
+    throw new Error("A signed PDF cannot also be encrypted");
+  }
+  const conformance = resolveConformance(payload.conformance);
+
+  if (conformance) {
+    const conflicts = conformanceConflicts(
+      { watermark, encryption, signature, attachments },
+      conformance
+    );
+
+    if (conflicts.length > 0) {
+      throw notConformantError(conformance, conflicts);
+    }
+  }
+
+  // Keep pdf-lib from stamping its own Producer and dates on save
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+
+  report.pageCount = pdfDoc.getPageCount();
+  if (outline && outlineEntries) {
+    applyOutline(pdfDoc, outlineEntries, outline);
+  }
+  applyFormFields(pdfDoc, formFields);
+  if (watermark) {
+    await applyWatermark(pdfDoc, watermark);
+  }
+  if (attachments) {
+    await applyAttachments(pdfDoc, attachments);
+  }
+  applyPdfMetadata(pdfDoc, metadata);
+
+  let processed = Buffer.from(await pdfDoc.save({ useObjectStreams: true }));
+
+  if (conformance) {
+    processed = await convertToPdfA(processed, conformance);
+  }
+  if (encryption) {
+    return encryptPdf(processed, encryption);
+  }
+  if (signature) {
+    return signDocument(processed, signature);
+  }
+  return processed;
+}
+
+/**
+ * Render a conversion request to its final PDF, without logging or email
+ *
+ * Handles both single documents and merge mode (`parts`), then applies
+ * post-processing. The render report gives the page count, the bundle
+ * pages whose content was clipped, and the time in milliseconds spent
+ * building the markup, in each render stage (see renderPdf), in
+ * post-processing and in total.
+ *
+ * @param {Object} payload - Conversion request body
+ * @param {Object} [resourceOptions] - `{ allowlist, accountAllowlist }`
+ *   for external resources (see checkResourceUrl)
+ * @returns {Promise<Object>} `{ pdfBuffer, originalSize, blockedRequests,
+ *   report }`; report is `{ pageCount, clippedPages, timings: { build,
+ *   load, paginate, pdf, compress, postProcess, total } }`
+ * @throws {Error} If the input is invalid or rendering fails
+ *
+ * @example
+ * const { pdfBuffer } = await renderDocument({ html, watermark: { text: "DRAFT" } });
+ */
+async function renderDocument(payload, resourceOptions = {}) {
+  const { pdfOptions = {} } = payload;
+  const outline = resolveOutline(payload.outline);
+  const started = Date.now();
+
+  // Merge mode: concatenate rendered and existing PDFs in order
+  const merging = payload.parts !== undefined;
+  const source = merging ? resolveParts(payload.parts) : resolveMarkup(payload);
+  const build = Date.now() - started;
+  const rendered = merging
+    ? await renderMergedPdf(source, pdfOptions, outline, resourceOptions)
+    : await renderPdf(source, pdfOptions, outline, {
+        ...resourceOptions,
+        allowExternal: allowsExternalResources(payload),
+      });
+
+  const report = { pageCount: null, clippedPages: rendered.clippedPages };
+  const processStarted = Date.now();
+  const pdfBuffer = await postProcessPdf(
+    rendered.pdfBuffer,
+    payload,
+    rendered,
+    report
+  );
+  const finished = Date.now();
+
+  report.timings = {
+    build,
+    ...rendered.timings,
+    postProcess: finished - processStarted,
+    total: finished - started,
+  };
+
+  return {
+    pdfBuffer,
+    originalSize: rendered.originalSize,
+    blockedRequests: rendered.blockedRequests,
+    report,
+  };
+}
+
+/**
+ * Build the error thrown when the URL guard refuses the page itself
+ */
+function urlNotAllowedError(url, reason) {
+  const error = new Error(`URL not allowed: ${url} (${reason})`);
+
+  error.status = 403;
+  error.code = "URL_NOT_ALLOWED";
+  return error;
+}
+
+/**
+ * Render a remote page to PDF on a pooled page
+ *
+ * Every request the page makes, including each redirect hop, is checked
+ * with the URL guard, so a public URL cannot bounce the browser into the
+ * internal network. Custom headers and Basic auth are only sent to the
+ * origin that was asked for. The page gets a browser context of its own,
+ * so its cookies are gone once the render finishes, and its traffic goes
+ * through a guard proxy so DNS cannot be rebound after the check. Blocked
+ * sub-resources are skipped and reported; a blocked navigation fails the
+ * render.
+ *
+ * @param {Object} request - What to render
+ * @param {string} request.url - Page URL (http or https)
+ * @param {Object} [request.headers] - Extra request headers
+ * @param {Object[]} [request.cookies] - Cookies ({ name, value, ... }) to set
+ *   first; the route only accepts cookies for the URL's own host
+ * @param {Object} [request.basicAuth] - `{ username, password }`
+ * @param {Object} [request.pdfOptions] - Puppeteer PDF options plus `compress`
+ * @param {boolean|Object} [request.outline] - Add Chromium's heading outline
+ * @param {Object} [fetchOptions] - The urlFetch system settings
+ * @param {string[]} [fetchOptions.allowlist] - Hosts, IPs or CIDRs allowed despite being private
+ * @param {number} [fetchOptions.navigationTimeout=30000] - Page load timeout in ms
+ * @returns {Promise<Object>} `{ pdfBuffer, originalSize, blockedRequests }`
+ * @throws {Error} With code URL_NOT_ALLOWED if the page or a redirect is blocked
+ *
+ * @example
+ * const { pdfBuffer } = await renderUrlPdf(
+ *   { url: "https://example.com/invoice/42" },
+ *   { allowlist: [] }
+ * );
+ */
+async function renderUrlPdf(request, fetchOptions = {}) {
+  const {
+    url,
+    headers = {},
+    cookies = [],
+    basicAuth,
+    pdfOptions = {},
+    outline,
+  } = request;
+  const { allowlist = [], navigationTimeout = 30000 } = fetchOptions;
+
+  const target = new URL(url);
+  const extraHeaders = { ...headers };
+
+  if (basicAuth && basicAuth.username) {
+    const credentials = `${basicAuth.username}:${basicAuth.password || ""}`;
+
+    extraHeaders.Authorization = `Basic ${Buffer.from(credentials).toString("base64")}`;
+  }
+
+  const blockedRequests = [];
+  let blockedNavigation = null;
+
+  const pdfBuffer = await withProxiedPage(async(page) => {
+    await page.setRequestInterception(true);
+
+    page.on("request", (interceptedRequest) => {
+      const requestUrl = interceptedRequest.url();
+      const isNavigation =
+        interceptedRequest.isNavigationRequest() &&
+        interceptedRequest.frame() === page.mainFrame();
+
+      checkUrl(requestUrl, { allowlist, allowInlineData: !isNavigation })
+        .then((result) => {
+          if (!result.allowed) {
+            blockedRequests.push({ url: requestUrl, reason: result.reason });
+            if (isNavigation && !blockedNavigation) {
+              blockedNavigation = { url: requestUrl, reason: result.reason };
+            }
+            return interceptedRequest.abort("blockedbyclient");
+          }
+
+          if (result.url.origin === target.origin) {
+            return interceptedRequest.continue({
+              headers: { ...interceptedRequest.headers(), ...extraHeaders },
+            });
+          }
+          return interceptedRequest.continue();
+        })
+        .catch((error) => {
+          const reason = blockUncheckedRequest(
+            interceptedRequest,
+            blockedRequests,
+            error
+          );
+
+          if (isNavigation && !blockedNavigation) {
+            blockedNavigation = { url: requestUrl, reason };
+          }
+        });
+    });
+
+    if (cookies.length > 0) {
+      await page.setCookie(
+        ...cookies.map((cookie) =>
+          cookie.domain ? cookie : { url: target.origin, ...cookie }
+        )
+      );
+    }
+
+    try {
+      await page.goto(target.href, {
+        waitUntil: "networkidle0",
+        timeout: navigationTimeout,
+      });
+    } catch (error) {
+      if (blockedNavigation) {
+        throw urlNotAllowedError(
+          blockedNavigation.url,
+          blockedNavigation.reason
+        );
+      }
+      throw error;
+    }
+
+    return page.pdf({
+      ...buildPdfOptions(pdfOptions),
+      ...(resolveOutline(outline) && { outline: true }),
+    });
+  }, {
+    allowlist,
+    onBlocked: (hostname, reason) => {
+      recordBlocked(blockedRequests, hostname, reason);
+      if (hostname === target.hostname && !blockedNavigation) {
+        blockedNavigation = { url: target.href, reason };
+      }
+    },
+  });
+
+  const result = await finishPdf(pdfBuffer, pdfOptions);
+
+  return { ...result, blockedRequests };
+}
+
+/**
+ * Validate the `output` option and fill in image defaults
+ *
+ * @param {Object} [output] - `output` option from the request body
+ * @returns {Object|null} Image settings, or null when the output is a PDF
+ * @throws {Error} If the settings are invalid
+ *
+ * @example
+ * const imageOutput = resolveImageOutput({ format: "png", quality: 80 });
+ */
+function resolveImageOutput(output) {
+  if (output === null || output === undefined) {
+    return null;
+  }
+  if (typeof output !== "object" || Array.isArray(output)) {
+    throw new Error("\"output\" must be an object");
+  }
+
+  const format = String(output.format || "pdf").toLowerCase();
+
+  if (format === "pdf") {
+    return null;
+  }
+
+  const normalizedFormat = format === "jpg" ? "jpeg" : format;
+
+  if (!IMAGE_FORMATS[normalizedFormat]) {
+    throw new Error(
+      `Unsupported output.format "${output.format}"; use pdf, png, jpeg or webp`
+    );
+  }
+
+  const mode = output.mode || "pages";
+
+  if (mode !== "pages" && mode !== "fullPage") {
+    throw new Error("output.mode must be \"pages\" or \"fullPage\"");
+  }
+
+  const { quality, clip, deviceScaleFactor = 1 } = output;
+
+  if (quality !== undefined) {
+    if (normalizedFormat === "png") {
+      throw new Error("output.quality only applies to jpeg and webp");
+    }
+    if (!Number.isInteger(quality) || quality < 0 || quality > 100) {
+      throw new Error("output.quality must be an integer from 0 to 100");
+    }
+  }
+
+  if (
+    typeof deviceScaleFactor !== "number" ||
+    !(deviceScaleFactor > 0) ||
+    deviceScaleFactor > MAX_DEVICE_SCALE_FACTOR
+  ) {
+    throw new Error(
+      `output.deviceScaleFactor must be a number above 0 and at most ${MAX_DEVICE_SCALE_FACTOR}`
+    );
+  }
+
+  if (clip !== undefined) {
+    const valid =
+      clip &&
+      typeof clip === "object" &&
+      ["x", "y", "width", "height"].every((key) =>
+        Number.isFinite(clip[key])
+      ) &&
+      clip.x >= 0 &&
+      clip.y >= 0 &&
+      clip.width > 0 &&
+      clip.height > 0;
+
+    if (!valid) {
+      throw new Error(
+        "output.clip must be { x, y, width, height } with x, y >= 0 and a positive width and height"
+      );
+    }
+  }
+
+  return {
+    format: normalizedFormat,
+    mode,
+    quality,
+    deviceScaleFactor,
+    clip: clip
+      ? { x: clip.x, y: clip.y, width: clip.width, height: clip.height }
+      : undefined,
+  };
+}
+
+/**
+ * Render markup to PNG, JPEG or WebP on a pooled page
+ *
+ * In "pages" mode every `.page` element of a bundle is captured separately
+ * (a `clip` is then relative to each page); markup without pages, and
+ * "fullPage" mode, give one capture of the whole document. Several images
+ * are returned as a ZIP named by page index (page-1.png, page-2.png, ...).
+ *
+ * @param {string} markup - Full HTML document
+ * @param {Object} imageOutput - Settings from resolveImageOutput()
+ * @param {Object} [resources] - As for renderPdf()
+ * @returns {Promise<Object>} `{ buffer, contentType, extension, imageCount,
+ *   blockedRequests }`
+ *
+ * @example
+ * const { buffer, contentType } = await renderImages(markup, {
+ *   format: "png",
+ *   mode: "pages",
+ *   deviceScaleFactor: 2,
+ * });
+ */
+async function renderImages(markup, imageOutput, resources = {}) {
+  const { format, mode, quality, deviceScaleFactor, clip } = imageOutput;
+  const screenshotOptions = { type: format };
+
+  if (quality !== undefined) {
+    screenshotOptions.quality = quality;
+  }
+  if (clip) {
+    screenshotOptions.clip = clip;
+  }
+
+  const blockedRequests = [];
+  const images = await withGuardedPage(async(page) => {
+    await page.setViewport({ ...IMAGE_VIEWPORT, deviceScaleFactor });
+    // Match the PDF output, which is rendered with print styles
+    await page.emulateMediaType("print");
+    await page.setContent(markup, { waitUntil: "networkidle0" });
+
+    // Fit the viewport to bundle pages so captures have no side margins
+    const pageWidth = await page.evaluate(() => {
+      const first = document.querySelector(".page");
+
+      return first ? Math.ceil(first.getBoundingClientRect().width) : 0;
+    });
+
+    if (pageWidth > 0) {
+      await page.setViewport({
+        width: pageWidth,
+        height: IMAGE_VIEWPORT.height,
+        deviceScaleFactor,
+      });
+    }
+
+    const pageHandles = mode === "pages" ? await page.$$(".page") : [];
+
+    if (pageHandles.length === 0) {
+      return [await page.screenshot({ ...screenshotOptions, fullPage: !clip })];
+    }
+
+    const shots = [];
+
+    for (const handle of pageHandles) {
+      shots.push(await handle.screenshot(screenshotOptions));
+    }
+    return shots;
+  }, resources, blockedRequests);
+
+  const { contentType, extension } = IMAGE_FORMATS[format];
+
+  if (images.length === 1) {
+    return {
+      buffer: Buffer.from(images[0]),
+      contentType,
+      extension,
+      imageCount: 1,
+      blockedRequests,
+    };
+  }
+
+  const zip = new JSZip();
+
+  images.forEach((image, index) => {
+    zip.file(`page-${index + 1}.${extension}`, image);
+  });
+
+  return {
+    buffer: await zip.generateAsync({ type: "nodebuffer" }),
+    contentType: "application/zip",
+    extension: "zip",
+    imageCount: images.length,
+    blockedRequests,
+  };
+}
+
+/**
+ * Prepare the rendered DOM for a preview snapshot (runs in the browser)
+ *
+ * Scripts are removed so the snapshot does not paginate again when it is
+ * opened, and each page is numbered with `data-preview-page`.
+ *
+ * @returns {number} Number of pages after pagination
+ */
+function snapshotPages() {
+  document.querySelectorAll("script").forEach((script) => script.remove());
+  const pages = document.querySelectorAll(".page");
+
+  pages.forEach((page, index) =>
+    page.setAttribute("data-preview-page", String(index + 1))
+  );
+  return pages.length;
+}
+
+/**
+ * Build the HTML preview of a conversion request
+ *
+ * `mode: "source"` (default) returns the markup exactly as it is rendered,
+ * layout CSS and paginator script included. `mode: "paginated"` loads it
+ * on a pooled page like renderPdf() and returns the DOM once the paginator
+ * has split the content across pages.
+ *
+ * @param {Object} payload - Request body with html, htmlContent or
+ *   pdfDocumentBundle, and `mode`
+ * @param {Object} [resourceOptions] - `{ allowlist, accountAllowlist }`
+ *   for external resources (see checkResourceUrl)
+ * @returns {Promise<Object>} `{ html, pageCount, blockedRequests }`;
+ *   pageCount is null for the source
+ * @throws {Error} If the markup cannot be built or rendering fails
+ *
+ * @example
+ * const { html, pageCount } = await previewDocument({
+ *   pdfDocumentBundle: bundle,
+ *   mode: "paginated",
+ * });
+ */
+async function previewDocument(payload, resourceOptions = {}) {
+  const markup = resolveMarkup(payload);
+
+  if (payload.mode !== "paginated") {
+    return { html: markup, pageCount: null, blockedRequests: [] };
+  }
+
+  const resources = {
+    ...resourceOptions,
+    allowExternal: allowsExternalResources(payload),
+  };
+  const blockedRequests = [];
+  const snapshot = await withGuardedPage(async(page) => {
+    await page.setContent(markup, { waitUntil: "networkidle0" });
+    const pageCount = await page.evaluate(snapshotPages);
+
+    return { html: await page.content(), pageCount };
+  }, resources, blockedRequests);
+
+  return { ...snapshot, blockedRequests };
+}
+
+/**
+ * Run a conversion request with image output: render, log and notify
+ *
+ * @param {Object} payload - Conversion request body with `output.format`
+ * @param {Object} [resourceOptions] - `{ allowlist, accountAllowlist }`
+ *   for external resources (see checkResourceUrl)
+ * @returns {Promise<Object>} `{ buffer, contentType, extension, imageCount,
+ *   blockedRequests }`
+ * @throws {Error} If the markup or output settings are invalid, or rendering fails
+ *
+ * @example
+ * const { buffer, contentType } = await generateImages(req.body);
+ */
+async function generateImages(payload, resourceOptions = {}) {
+  const imageOutput = resolveImageOutput(payload.output);
+
+  if (!imageOutput) {
+    throw new Error("generateImages requires an image output.format");
+  }
+
+  const markup = resolveMarkup(payload);
+  const result = await renderImages(markup, imageOutput, {
+    ...resourceOptions,
+    allowExternal: allowsExternalResources(payload),
+  });
+
+  await writeLogFile({
+    ok: true,
+    details: `${result.imageCount} ${imageOutput.format} image(s) generated. Size: ${result.buffer.length} bytes`,
+  });
+
+  if (payload.emailTo) {
+    await sendEmail({
+      to: payload.emailTo,
+      subject: "Images generated successfully",
+      text: `Your ${imageOutput.format.toUpperCase()} output (${
+        result.imageCount
+      } image(s)) has been generated successfully.\n\nSize: ${Math.round(
+        result.buffer.length / 1024
+      )}KB\nGenerated at: ${new Date().toISOString()}`,
+    }).catch((e) => console.warn("Email (success) failed:", e.message));
+  }
+
+  return result;
+}
+
+/**
+ * Log a successful render and send the success email if requested
+ */
+async function reportSuccess(
+  { pdfOptions = {}, emailTo },
+  { pdfBuffer, originalSize }
+) {
+  // Success flow
+  const logDetails = `PDF generated successfully. Size: ${pdfBuffer.length} bytes${
+    pdfOptions.compress ? ` (compressed from ${originalSize} bytes)` : ""
+  }`;
+
+  await writeLogFile({ ok: true, details: logDetails });
+
+  // Send success email if requested
+  if (emailTo) {
+    const sizeText = pdfOptions.compress
+      ? `Size: ${Math.round(pdfBuffer.length / 1024)}KB (compressed from ${Math.round(originalSize / 1024)}KB)`
+      : `Size: ${Math.round(pdfBuffer.length / 1024)}KB`;
+
+    await sendEmail({
+      to: emailTo,
+      subject: "PDF generated successfully",
+      text: `Your PDF has been generated successfully.\n\n${sizeText}\nGenerated at: ${new Date().toISOString()}`,
+    }).catch((e) => console.warn("Email (success) failed:", e.message));
+  }
+}
+
+/**
+ * Run a full conversion request: render, log and notify by email
+ *
+ * A request with `parts` is rendered in merge mode (see resolveParts).
+ *
+ * @param {Object} payload - Conversion request body
+ * @param {Object} [resourceOptions] - `{ allowlist, accountAllowlist }`
+ *   for external resources (see checkResourceUrl)
+ * @returns {Promise<Object>} `{ pdfBuffer, originalSize, blockedRequests,
+ *   report }` (see renderDocument)
+ * @throws {Error} If the markup cannot be built or rendering fails
+ *
+ * @example
+ * const { pdfBuffer } = await generatePdf(req.body, resourceOptions);
+ */
+async function generatePdf(payload, resourceOptions = {}) {
+  const result = await renderDocument(payload, resourceOptions);
+
+  await reportSuccess(payload, result);
+
+  return result;
+}
+
+/**
+ * Run a full URL conversion request: render, log and notify by email
+ *
+ * @param {Object} payload - URL conversion request (see renderUrlPdf)
+ * @param {Object} [fetchOptions] - The urlFetch system settings
+ * @returns {Promise<Object>} `{ pdfBuffer, originalSize, blockedRequests }`
+ * @throws {Error} If the URL is blocked or rendering fails
+ */
+async function generateUrlPdf(payload, fetchOptions) {
+  const rendered = await renderUrlPdf(payload, fetchOptions);
+  const result = {
+    ...rendered,
+    pdfBuffer: await postProcessPdf(rendered.pdfBuffer, payload),
+  };
+
+  await reportSuccess(payload, result);
+
+  return result;
+}
+
+/**
+ * Log a failed conversion and notify by email if requested
+ *
+ * @param {Object} payload - Conversion request body
+ * @param {string} errorMessage - Failure reason
+ * @returns {Promise<void>}
+ */
+async function reportFailure(payload, errorMessage) {
+  // Failure flow
+  await writeLogFile({ ok: false, details: `Error: ${errorMessage}` });
+
+  // Send failure email if requested
+  if (payload?.emailTo) {
+    await sendEmail({
+      to: payload.emailTo,
+      subject: "PDF generation failed",
+      text: `PDF generation failed with the following error:\n\n${errorMessage}`,
+    }).catch((e) => console.warn("Email (failure) failed:", e.message));
+  }
+}
+
+module.exports = {
+  compressPDF,
+  writeLogFile,
+  resolveMarkup,
+  renderPdf,
+  renderErrorPdf,
+  decodePdfPart,
+  resolveParts,
+  renderMergedPdf,
+  renderUrlPdf,
+  postProcessPdf,
+  renderDocument,
+  resolveImageOutput,
+  renderImages,
+  generatePdf,
+  generateUrlPdf,
+  generateImages,
+  previewDocument,
+  reportFailure,
+};
@@ -0,0 +1,115 @@
+/**
+ * Signing Service
+ *
+ * Holds the server's signing identity (a PKCS#12 keystore configured with
+ * PDF_SIGNING_KEYSTORE) and uses it to sign rendered PDFs and to tell
+ * whether an uploaded PDF was signed by this service.
+ *
+ * @fileoverview PDF signing with the server keystore
+ * @author PDF Service Team
+ * @version 1.0.0
+ */
+
+const fs = require("fs/promises");
+const { signing: signingConfig } = require("../config/environment");
+const {
+  loadKeystore,
+  signPdf,
+  verifyPdfSignature,
+} = require("../utils/pdfSigning");
+
+// Loaded on first use and kept for the lifetime of the process
+let keystorePromise = null;
+
+/**
+ * Whether a signing keystore is configured
+ *
+ * @returns {boolean} True if PDF_SIGNING_KEYSTORE is set
+ */
+function isSigningConfigured() {
+  return Boolean(signingConfig.keystorePath);
+}
+
+/**
+ * Error raised when signing is requested but no keystore is configured
+ */
+function signingUnavailableError() {
+  const error = new Error("PDF signing is not configured on this server");
+
+  error.status = 503;
+  error.code = "SIGNING_UNAVAILABLE";
+  return error;
+}
+
+/**
+ * Load the configured keystore (once)
+ *
+ * @returns {Promise<Object>} Keystore as returned by loadKeystore()
+ * @throws {Error} If signing is not configured or the keystore cannot be read
+ */
+async function getKeystore() {
+  if (!isSigningConfigured()) {
+    throw signingUnavailableError();
+  }
+
+  if (!keystorePromise) {
+    keystorePromise = fs
+      .readFile(signingConfig.keystorePath)
+      .then((p12Buffer) =>
+        loadKeystore(p12Buffer, signingConfig.keystorePassword)
+      )
+      .catch((error) => {
+        // Allow a fixed keystore to be picked up on the next request
+        keystorePromise = null;
+        throw error;
+      });
+  }
+
+  return keystorePromise;
+}
+
+/**
+ * Sign a finished PDF with the server keystore
+ *
+ * @param {Buffer} pdfBuffer - Finished PDF
+ * @param {Object} signature - Output of resolveSignature()
+ * @returns {Promise<Buffer>} Signed PDF
+ * @throws {Error} If signing is unavailable or fails
+ *
+ * @example
+ * const signed = await signDocument(pdfBuffer, resolveSignature(req.body.signature));
+ */
+async function signDocument(pdfBuffer, signature) {
+  return signPdf(pdfBuffer, signature, await getKeystore());
+}
+
+/**
+ * Check the signature of a PDF and whether it was made with this
+ * server's certificate
+ *
+ * @param {Buffer} pdfBuffer - Uploaded PDF
+ * @returns {Promise<Object>} Report of verifyPdfSignature() plus `signedByService`
+ *
+ * @example
+ * const { signedByService, unmodified } = await verifyDocument(pdfBuffer);
+ */
+async function verifyDocument(pdfBuffer) {
+  const report = await verifyPdfSignature(pdfBuffer);
+
+  let signedByService = false;
+
+  if (report.signed && report.certificate && isSigningConfigured()) {
+    const keystore = await getKeystore();
+
+    signedByService = report.certificate.fingerprint === keystore.fingerprint;
+  }
+
+  return { ...report, signedByService };
+}
+
+module.exports = {
+  isSigningConfigured,
+  getKeystore,
+  signDocument,
+  verifyDocument,
+};
@@ -0,0 +1,190 @@
+const JSZip = require("jszip");
+
+jest.mock("../services/renderService", () => ({
+  renderDocument: jest.fn(),
+  writeLogFile: jest.fn(async() => null),
+}));
+
+const { resolveMarkup } = jest.requireActual("../services/renderService");
+const { renderDocument } = require("../services/renderService");
+const {
+  validateBatchRequest,
+  toEntryName,
+  runBatch,
+} = require("../services/batchService");
+
+describe("Batch Service", () => {
+  beforeEach(() => {
+    renderDocument.mockReset();
+    renderDocument.mockImplementation(async(payload) => {
+      const markup = resolveMarkup(payload);
+
+      return {
+        pdfBuffer: Buffer.from(`%PDF ${markup}`),
+        originalSize: markup.length + 5,
+      };
+    });
+  });
+
+  it("should validate the batch shape", () => {
+    expect(validateBatchRequest({})).toMatch(/non-empty array/);
+    expect(validateBatchRequest({ items: [] })).toMatch(/non-empty array/);
+    expect(
+      validateBatchRequest({ items: new Array(101).fill({ html: "x" }) })
+    ).toMatch(/at most 100/);
+    expect(validateBatchRequest({ items: [{ html: "x" }] })).toBeNull();
+  });
+
+  it("should produce safe, unique entry names", () => {
+    const used = new Set();
+
+    expect(toEntryName("invoice-001", 0, used)).toBe("invoice-001.pdf");
+    expect(toEntryName("invoice-001.pdf", 1, used)).toBe("invoice-001-2.pdf");
+    expect(toEntryName("../../etc/passwd", 2, used)).toBe("passwd.pdf");
+    expect(toEntryName(undefined, 3, used)).toBe("document-4.pdf");
+    expect(toEntryName("..", 4, used)).toBe("document-5.pdf");
+  });
+
+  it("should zip successful items with a manifest of every item", async() => {
+    const resourceOptions = {
+      allowlist: [],
+      accountAllowlist: ["example.com"],
+    };
+    const { zipBuffer, manifest } = await runBatch(
+      {
+        items: [
+          { filename: "a.pdf", html: "<p>A</p>" },
+          { filename: "broken.pdf" },
+          { html: "<p>C</p>", pdfOptions: { landscape: true } },
+        ],
+        pdfOptions: { format: "Letter" },
+      },
+      resourceOptions
+    );
+
+    expect(manifest.total).toBe(3);
+    expect(manifest.succeeded).toBe(2);
+    expect(manifest.failed).toBe(1);
+    expect(manifest.items[1]).toEqual({
+      index: 1,
+      filename: "broken.pdf",
+      status: "error",
+      error:
+        "Either \"html\", \"htmlContent\", or \"pdfDocumentBundle\" must be provided",
+    });
+    expect(renderDocument).toHaveBeenCalledWith(
+      {
+        html: "<p>C</p>",
+        pdfOptions: { format: "Letter", landscape: true },
+      },
+      resourceOptions
+    );
+
+    const zip = await JSZip.loadAsync(zipBuffer);
+
+    expect(Object.keys(zip.files).sort()).toEqual([
+      "a.pdf",
+      "document-3.pdf",
+      "manifest.json",
+    ]);
+    expect(await zip.file("a.pdf").async("string")).toBe("%PDF <p>A</p>");
+    expect(JSON.parse(await zip.file("manifest.json").async("string"))).toEqual(
+      manifest
+    );
+  });
+
+  it("should report render failures without failing the batch", async() => {
+    renderDocument.mockRejectedValueOnce(new Error("Navigation timeout"));
+
+    const { zipBuffer, manifest } = await runBatch({
+      items: [{ html: "<p>1</p>" }, { html: "<p>2</p>" }],
+    });
+
+    expect(zipBuffer).toBeInstanceOf(Buffer);
+    expect(manifest.items.map((item) => item.status).sort()).toEqual([
+      "error",
+      "success",
+    ]);
+  });
+
+  it("should check every item before rendering and skip invalid ones", async() => {
+    const problems = [
+      {
+        path: "$.pdfDocumentBundle.head.title",
+        severity: "error",
+        message: "\"title\" is required",
+      },
+    ];
+    const checkItem = jest.fn((item) =>
+      item.pdfDocumentBundle
+        ? {
+            status: 400,
+            body: {
+              success: false,
+              error: "Invalid pdfDocumentBundle",
+              message: "$.pdfDocumentBundle.head.title: \"title\" is required",
+              code: "INVALID_BUNDLE",
+              problems,
+            },
+          }
+        : null
+    );
+
+    const { manifest } = await runBatch(
+      {
+        items: [
+          { html: "<p>A</p>" },
+          { filename: "bundle", pdfDocumentBundle: { head: {} } },
+          { html: "<p>C</p>" },
+        ],
+      },
+      {},
+      checkItem
+    );
+
+    expect(checkItem).toHaveBeenCalledTimes(3);
+    expect(Math.max(...checkItem.mock.invocationCallOrder)).toBeLessThan(
+      Math.min(...renderDocument.mock.invocationCallOrder)
+    );
+    expect(renderDocument).toHaveBeenCalledTimes(2);
+    expect(manifest.failed).toBe(1);
+    expect(manifest.items[1]).toEqual({
+      index: 1,
+      filename: "bundle.pdf",
+      status: "invalid",
+      error: "$.pdfDocumentBundle.head.title: \"title\" is required",
+      code: "INVALID_BUNDLE",
+      problems,
+    });
+  });
+
+  it("should refuse options a batch cannot honour", async() => {
+    const { manifest } = await runBatch({
+      items: [
+        { html: "<p>A</p>", output: { format: "png" } },
+        { html: "<p>B</p>", async: true },
+        { html: "<p>C</p>", diagnostics: true },
+        { html: "<p>D</p>", output: { format: "pdf" } },
+      ],
+    });
+
+    expect(renderDocument).toHaveBeenCalledTimes(1);
+    expect(manifest.items.map((entry) => entry.code)).toEqual([
+      "UNSUPPORTED_IN_BATCH",
+      "UNSUPPORTED_IN_BATCH",
+      "UNSUPPORTED_IN_BATCH",
+      undefined,
+    ]);
+    expect(manifest.items[1].error).toMatch(/"async" is not supported/);
+  });
+
+  it("should return no archive when every item fails", async() => {
+    const { zipBuffer, manifest } = await runBatch({
+      items: [null, { html: "" }],
+    });
+
+    expect(zipBuffer).toBeNull();
+    expect(manifest.failed).toBe(2);
+    expect(manifest.items[0].error).toBe("Item must be an object");
+  });
+});
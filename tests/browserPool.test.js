@@ -0,0 +1,214 @@
+const { EventEmitter } = require("events");
+
+jest.mock("puppeteer", () => ({ launch: jest.fn() }));
+jest.mock("../config/environment", () => ({
+  puppeteer: { headless: true, args: [] },
+  browserPool: {
+    minBrowsers: 1,
+    maxBrowsers: 2,
+    maxPagesPerBrowser: 1,
+    maxRendersPerBrowser: 3,
+    maxMemoryMb: 512,
+    memoryCheckInterval: 60000,
+    acquireTimeout: 200,
+  },
+}));
+
+const puppeteer = require("puppeteer");
+const {
+  initializePool,
+  acquirePage,
+  releasePage,
+  withPage,
+  shutdownPool,
+  getPoolStats,
+} = require("../services/browserPoolService");
+
+async function createFakePage() {
+  let closed = false;
+
+  return {
+    isClosed: () => closed,
+    close: jest.fn(async() => {
+      closed = true;
+    }),
+  };
+}
+
+function createFakeBrowser() {
+  const browser = new EventEmitter();
+  let connected = true;
+
+  browser.isConnected = () => connected;
+  browser.process = () => null;
+  browser.newPage = jest.fn(createFakePage);
+  browser.contexts = [];
+  browser.createBrowserContext = jest.fn(async() => {
+    const context = { newPage: jest.fn(createFakePage), close: jest.fn() };
+
+    browser.contexts.push(context);
+    return context;
+  });
+  browser.close = jest.fn(async() => {
+    connected = false;
+    browser.emit("disconnected");
+  });
+  browser.crash = () => {
+    connected = false;
+    browser.emit("disconnected");
+  };
+
+  return browser;
+}
+
+describe("Browser Pool Service", () => {
+  let browsers;
+
+  beforeEach(async() => {
+    browsers = [];
+    puppeteer.launch.mockReset();
+    puppeteer.launch.mockImplementation(async() => {
+      const browser = createFakeBrowser();
+
+      browsers.push(browser);
+      return browser;
+    });
+
+    await initializePool();
+  });
+
+  afterEach(async() => {
+    await shutdownPool();
+  });
+
+  it("should reuse the same browser across renders", async() => {
+    await withPage(async() => "first");
+    const result = await withPage(async() => "second");
+
+    expect(result).toBe("second");
+    expect(puppeteer.launch).toHaveBeenCalledTimes(1);
+  });
+
+  it("should grow up to maxBrowsers and queue beyond it", async() => {
+    const first = await acquirePage();
+    const second = await acquirePage();
+
+    expect(getPoolStats().browsers).toBe(2);
+
+    const third = acquirePage();
+
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(getPoolStats().waiting).toBe(1);
+
+    await releasePage(first);
+    const lease = await third;
+
+    expect(lease.page).toBeDefined();
+
+    await releasePage(second);
+    await releasePage(lease);
+  });
+
+  it("should open isolated pages in a context closed on release", async() => {
+    const lease = await acquirePage({ isolated: true });
+    const [context] = browsers[0].contexts;
+
+    expect(context.newPage).toHaveBeenCalledTimes(1);
+    expect(browsers[0].newPage).not.toHaveBeenCalled();
+    expect(lease.context).toBe(context);
+
+    await releasePage(lease);
+
+    expect(lease.page.close).toHaveBeenCalled();
+    expect(context.close).toHaveBeenCalled();
+  });
+
+  it("should time out when no page frees up", async() => {
+    const first = await acquirePage();
+    const second = await acquirePage();
+
+    await expect(acquirePage()).rejects.toThrow("Timed out");
+
+    await releasePage(first);
+    await releasePage(second);
+  });
+
+  it("should recycle a browser after maxRendersPerBrowser renders", async() => {
+    await withPage(async() => null);
+    await withPage(async() => null);
+    await withPage(async() => null);
+
+    expect(browsers[0].close).toHaveBeenCalled();
+    expect(puppeteer.launch).toHaveBeenCalledTimes(2);
+  });
+
+  it("should recycle a browser whose process tree uses too much memory", async() => {
+    const fs = require("fs").promises;
+    // Browser 100 with a renderer (102) under its zygote (101)
+    const processes = {
+      100: { ppid: 1, rssMb: 100 },
+      101: { ppid: 100, rssMb: 150 },
+      102: { ppid: 101, rssMb: 300 },
+      200: { ppid: 1, rssMb: 900 },
+    };
+    const readdir = jest
+      .spyOn(fs, "readdir")
+      .mockResolvedValue([...Object.keys(processes), "self"]);
+    const readFile = jest
+      .spyOn(fs, "readFile")
+      .mockImplementation(async(file) => {
+        const [, pid, name] = file.split("/").slice(1);
+        const { ppid, rssMb } = processes[pid];
+
+        return name === "stat"
+          ? `${pid} (chrome (main)) S ${ppid} 1 1`
+          : `Name:\tchrome\nVmRSS:\t${rssMb * 1024} kB\n`;
+      });
+
+    browsers[0].process = () => ({ pid: 100 });
+    try {
+      await withPage(async() => null);
+    } finally {
+      readdir.mockRestore();
+      readFile.mockRestore();
+    }
+
+    // 550MB together, although the main process alone is well under 512MB
+    expect(browsers[0].close).toHaveBeenCalled();
+  });
+
+  it("should read a browser's memory at most once per interval", async() => {
+    const fs = require("fs").promises;
+    const readdir = jest.spyOn(fs, "readdir").mockResolvedValue([]);
+
+    browsers[0].process = () => ({ pid: 100 });
+    try {
+      await withPage(async() => null);
+      await withPage(async() => null);
+
+      expect(readdir).toHaveBeenCalledTimes(1);
+    } finally {
+      readdir.mockRestore();
+    }
+  });
+
+  it("should replace a crashed browser", async() => {
+    await withPage(async() => null);
+    browsers[0].crash();
+
+    await withPage(async() => null);
+    expect(puppeteer.launch.mock.calls.length).toBeGreaterThanOrEqual(2);
+    expect(
+      browsers[1].newPage.mock.calls.length +
+        (browsers[2] ? browsers[2].newPage.mock.calls.length : 0)
+    ).toBe(1);
+  });
+
+  it("should refuse new pages after shutdown", async() => {
+    await withPage(async() => null);
+    await shutdownPool();
+
+    expect(browsers[0].close).toHaveBeenCalled();
+    await expect(acquirePage()).rejects.toThrow("shutting down");
+  });
+});
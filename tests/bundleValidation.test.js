@@ -0,0 +1,144 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  validateBundle,
+  validateRequestBundles,
+} = require("../utils/bundleValidation");
+
+const TEMPLATES_DIR = path.join(__dirname, "../test-data/Templates");
+
+const ticket = require("../test-data/Templates/01_event_ticket.json");
+
+function bundle(overrides = {}) {
+  return { ...ticket.pdfDocumentBundle, ...overrides };
+}
+
+describe("Bundle Validation", () => {
+  describe("validateBundle", () => {
+    it("should accept every template without problems", () => {
+      fs.readdirSync(TEMPLATES_DIR).forEach((file) => {
+        const template = JSON.parse(
+          fs.readFileSync(path.join(TEMPLATES_DIR, file), "utf8")
+        );
+
+        expect(validateBundle(template.pdfDocumentBundle)).toEqual({
+          valid: true,
+          problems: [],
+        });
+      });
+    });
+
+    it("should report schema errors with JSON paths and fixes", () => {
+      const { valid, problems } = validateBundle(
+        bundle({
+          head: {
+            meta: {},
+            styles: [{ type: "src" }, { type: "link", url: "base.css" }],
+          },
+        })
+      );
+
+      expect(valid).toBe(false);
+      expect(problems).toEqual([
+        {
+          path: "$.pdfDocumentBundle.head.title",
+          severity: "error",
+          message: "\"title\" is required",
+          suggestion: "Add \"title\"",
+        },
+        {
+          path: "$.pdfDocumentBundle.head.meta",
+          severity: "error",
+          message: "must be an array",
+          suggestion: "Send an array here",
+        },
+        {
+          path: "$.pdfDocumentBundle.head.styles[0]",
+          severity: "error",
+          message: "does not match any of the accepted forms",
+          suggestion: expect.stringMatching(/"type": "inline"/),
+        },
+        {
+          path: "$.pdfDocumentBundle.head.styles[1].type",
+          severity: "error",
+          message: "must be one of: inline, src",
+          suggestion: "Use one of: inline, src",
+        },
+        {
+          path: "$.pdfDocumentBundle.head.styles[1].url",
+          severity: "error",
+          message: "must be a valid uri",
+          suggestion: expect.stringMatching(/absolute URL/),
+        },
+      ]);
+    });
+
+    it("should warn about content that will not render as sent", () => {
+      const { valid, problems } = validateBundle(
+        bundle({
+          styles: [],
+          head: {
+            title: "Ticket",
+            styles: [{ type: "src", url: "https://cdn.example.com/t.css" }],
+          },
+          layout: { page: { size: "A3" } },
+          security: { sanitizeHtml: true },
+          body: { pages: [{ body: "<p>Admit one</p>" }, { body: " " }] },
+        })
+      );
+
+      expect(valid).toBe(true);
+      expect(problems.map((problem) => [problem.path, problem.severity])).toEqual([
+        ["$.pdfDocumentBundle.styles", "warning"],
+        ["$.pdfDocumentBundle.body.pages[1].body", "warning"],
+        ["$.pdfDocumentBundle.layout.page.size", "warning"],
+        ["$.pdfDocumentBundle.head.styles[0].url", "warning"],
+      ]);
+      expect(problems[0].suggestion).toBe("Move it to head.styles");
+    });
+
+    it("should refuse bundles with nothing to render", () => {
+      const { valid, problems } = validateBundle(
+        bundle({ body: { pages: [{ body: "" }] } }),
+        "$.parts[0].pdfDocumentBundle"
+      );
+
+      expect(valid).toBe(false);
+      expect(problems[problems.length - 1]).toMatchObject({
+        path: "$.parts[0].pdfDocumentBundle.body.pages",
+        severity: "error",
+      });
+      expect(validateBundle("ticket").problems).toEqual([
+        expect.objectContaining({
+          path: "$.pdfDocumentBundle",
+          message: "must be an object",
+        }),
+      ]);
+    });
+  });
+
+  describe("validateRequestBundles", () => {
+    it("should check the bundle of each merge part", () => {
+      const result = validateRequestBundles({
+        parts: [
+          { pdfDocumentBundle: bundle() },
+          { pdf: "JVBERi0=" },
+          { html: "<p>Terms</p>" },
+          { pdfDocumentBundle: bundle({ head: {} }) },
+        ],
+      });
+
+      expect(result).toMatchObject({ valid: false, bundleCount: 2 });
+      expect(result.problems.map((problem) => problem.path)).toEqual([
+        "$.parts[3].pdfDocumentBundle.head.title",
+      ]);
+    });
+
+    it("should return null for requests without a bundle", () => {
+      expect(validateRequestBundles({ html: "<p>Hi</p>" })).toBeNull();
+      expect(validateRequestBundles({ parts: [{ html: "<p>Hi</p>" }] })).toBe(
+        null
+      );
+    });
+  });
+});
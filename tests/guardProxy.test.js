@@ -0,0 +1,176 @@
+const http = require("http");
+const net = require("net");
+const { startGuardProxy } = require("../utils/guardProxy");
+
+// A public-looking host that DNS rebinds to loopback
+async function rebindingLookup() {
+  return [{ address: "127.0.0.1", family: 4 }];
+}
+
+function proxyGet(proxyServer, url) {
+  const { port } = new URL(proxyServer);
+  const headers = { host: new URL(url).host };
+
+  return new Promise((resolve, reject) => {
+    http
+      .get({ host: "127.0.0.1", port, path: url, headers }, (res) => {
+        let body = "";
+
+        res.on("data", (chunk) => {
+          body += chunk;
+        });
+        res.on("end", () => resolve({ status: res.statusCode, body }));
+      })
+      .on("error", reject);
+  });
+}
+
+function proxyConnect(proxyServer, target) {
+  const { port } = new URL(proxyServer);
+
+  return new Promise((resolve, reject) => {
+    http
+      .request({ host: "127.0.0.1", port, method: "CONNECT", path: target })
+      .on("connect", (res, socket) =>
+        resolve({ status: res.statusCode, socket })
+      )
+      .on("error", reject)
+      .end();
+  });
+}
+
+describe("Guard Proxy", () => {
+  let upstream;
+  let upstreamPort;
+  let proxy;
+
+  beforeAll(async() => {
+    upstream = http.createServer((req, res) =>
+      res.end(`ok ${req.headers.host}`)
+    );
+    await new Promise((resolve) => upstream.listen(0, "127.0.0.1", resolve));
+    upstreamPort = upstream.address().port;
+  });
+
+  afterEach(async() => {
+    if (proxy) {
+      await proxy.close();
+      proxy = null;
+    }
+  });
+
+  afterAll(async() => {
+    await new Promise((resolve) => upstream.close(resolve));
+  });
+
+  it("should refuse hosts that resolve to private addresses", async() => {
+    const onBlocked = jest.fn();
+
+    proxy = await startGuardProxy({ lookup: rebindingLookup, onBlocked });
+
+    const response = await proxyGet(
+      proxy.proxyServer,
+      `http://rebind.test:${upstreamPort}/`
+    );
+
+    expect(response.status).toBe(403);
+    expect(onBlocked).toHaveBeenCalledWith(
+      "rebind.test",
+      expect.stringContaining("private or reserved address (127.0.0.1)")
+    );
+  });
+
+  it("should refuse CONNECT tunnels to private addresses", async() => {
+    proxy = await startGuardProxy({ lookup: rebindingLookup });
+
+    const { status, socket } = await proxyConnect(
+      proxy.proxyServer,
+      "rebind.test:443"
+    );
+
+    socket.destroy();
+    expect(status).toBe(403);
+  });
+
+  it("should forward to the checked address with the original host", async() => {
+    proxy = await startGuardProxy({
+      lookup: rebindingLookup,
+      allowlist: ["127.0.0.1"],
+    });
+
+    const response = await proxyGet(
+      proxy.proxyServer,
+      `http://rebind.test:${upstreamPort}/`
+    );
+
+    expect(response.status).toBe(200);
+    expect(response.body).toBe(`ok rebind.test:${upstreamPort}`);
+  });
+
+  function upstreamConnections() {
+    return new Promise((resolve) =>
+      upstream.getConnections((error, count) => resolve(count))
+    );
+  }
+
+  it("should survive a client that resets during the DNS check", async() => {
+    let lookupStarted;
+    let releaseLookup;
+    const started = new Promise((resolve) => {
+      lookupStarted = resolve;
+    });
+    const released = new Promise((resolve) => {
+      releaseLookup = resolve;
+    });
+
+    proxy = await startGuardProxy({
+      allowlist: ["127.0.0.1"],
+      lookup: async() => {
+        lookupStarted();
+        await released;
+        return rebindingLookup();
+      },
+    });
+
+    const before = await upstreamConnections();
+    const client = net.connect(new URL(proxy.proxyServer).port, "127.0.0.1");
+
+    client.on("error", () => undefined);
+    client.write(`CONNECT rebind.test:${upstreamPort} HTTP/1.1\r\n\r\n`);
+    await started;
+    client.resetAndDestroy();
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    releaseLookup();
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    expect(await upstreamConnections()).toBe(before);
+  });
+
+  it("should tunnel CONNECT requests to allowed addresses", async() => {
+    proxy = await startGuardProxy({
+      lookup: rebindingLookup,
+      allowlist: ["127.0.0.1"],
+    });
+
+    const { status, socket } = await proxyConnect(
+      proxy.proxyServer,
+      `rebind.test:${upstreamPort}`
+    );
+
+    expect(status).toBe(200);
+
+    const reply = await new Promise((resolve) => {
+      let data = "";
+
+      socket.on("data", (chunk) => {
+        data += chunk;
+      });
+      socket.on("end", () => resolve(data));
+      socket.write(
+        "GET / HTTP/1.1\r\nHost: tunnel.test\r\nConnection: close\r\n\r\n"
+      );
+    });
+
+    expect(reply).toContain("ok tunnel.test");
+  });
+});
@@ -0,0 +1,243 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), "pdf-jobs-"));
+
+jest.spyOn(process, "cwd").mockReturnValue(tmpRoot);
+
+jest.mock("../services/renderService", () => ({
+  generatePdf: jest.fn(),
+  reportFailure: jest.fn(async() => undefined),
+}));
+
+const { generatePdf, reportFailure } = require("../services/renderService");
+const {
+  createJob,
+  getJob,
+  getJobOutputPath,
+  restoreJobs,
+  stopJobQueue,
+  cleanupExpiredJobs,
+} = require("../services/jobQueueService");
+
+const JOBS_DIR = path.join(tmpRoot, "database", "jobs");
+
+async function waitForStatus(jobId, statuses) {
+  for (let attempt = 0; attempt < 100; attempt += 1) {
+    const job = await getJob(jobId);
+
+    if (job && statuses.includes(job.status)) {
+      return job;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error(`Job ${jobId} never reached ${statuses.join("/")}`);
+}
+
+describe("Job Queue Service", () => {
+  beforeEach(() => {
+    generatePdf.mockReset();
+    reportFailure.mockClear();
+  });
+
+  afterAll(() => {
+    stopJobQueue();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+  });
+
+  it("should render a queued job and store its PDF", async() => {
+    generatePdf.mockResolvedValue({
+      pdfBuffer: Buffer.from("%PDF-1.7 test"),
+      originalSize: 13,
+    });
+
+    const job = await createJob({
+      userId: "user-1",
+      payload: { html: "<h1>Hi</h1>" },
+    });
+
+    expect(job.status).toBe("queued");
+
+    const done = await waitForStatus(job.jobId, ["completed"]);
+
+    expect(done.result.size).toBe(13);
+    expect(done.payload).toBeNull();
+    expect(fs.readFileSync(getJobOutputPath(job.jobId), "utf8")).toBe(
+      "%PDF-1.7 test"
+    );
+  });
+
+  it("should record failures and report them", async() => {
+    generatePdf.mockRejectedValue(new Error("boom"));
+
+    const job = await createJob({ userId: "user-1", payload: { html: "x" } });
+    const done = await waitForStatus(job.jobId, ["failed"]);
+
+    expect(done.error.message).toBe("boom");
+    expect(reportFailure).toHaveBeenCalledWith({ html: "x" }, "boom");
+  });
+
+  it("should reject job IDs that are not UUIDs", async() => {
+    expect(await getJob("../../etc/passwd")).toBeNull();
+  });
+
+  it("should not write request secrets to the job file", async() => {
+    stopJobQueue();
+
+    const job = await createJob({
+      userId: "user-1",
+      payload: {
+        html: "<p>secret</p>",
+        emailTo: "owner@example.com",
+        encryption: { userPassword: "open-sesame" },
+      },
+    });
+    const stored = fs.readFileSync(
+      path.join(JOBS_DIR, `${job.jobId}.json`),
+      "utf8"
+    );
+
+    expect(stored).not.toContain("open-sesame");
+    expect(stored).not.toContain("owner@example.com");
+    expect(stored).not.toContain("<p>secret</p>");
+
+    generatePdf.mockResolvedValue({
+      pdfBuffer: Buffer.from("%PDF"),
+      originalSize: 4,
+    });
+    await restoreJobs();
+    await waitForStatus(job.jobId, ["completed"]);
+
+    expect(generatePdf).toHaveBeenCalledWith(
+      expect.objectContaining({ encryption: { userPassword: "open-sesame" } }),
+      {}
+    );
+  });
+
+  it("should restore jobs interrupted by a restart", async() => {
+    generatePdf.mockResolvedValue({
+      pdfBuffer: Buffer.from("%PDF"),
+      originalSize: 4,
+    });
+
+    stopJobQueue();
+
+    const { jobId } = await createJob({
+      userId: "user-1",
+      payload: { html: "<p>resume</p>" },
+    });
+    const jobPath = path.join(JOBS_DIR, `${jobId}.json`);
+    const stored = JSON.parse(fs.readFileSync(jobPath, "utf8"));
+
+    fs.writeFileSync(
+      jobPath,
+      JSON.stringify({ ...stored, status: "processing" })
+    );
+
+    const restored = await restoreJobs();
+
+    expect(restored).toBe(1);
+
+    await waitForStatus(jobId, ["completed"]);
+    expect(generatePdf).toHaveBeenCalledWith({ html: "<p>resume</p>" }, {});
+  });
+
+  it("should restore sealed jobs after the module is reloaded", async() => {
+    stopJobQueue();
+
+    const { jobId } = await createJob({
+      userId: "user-1",
+      payload: { html: "<p>reload</p>", encryption: { userPassword: "pw" } },
+    });
+
+    expect(
+      fs.existsSync(path.join(tmpRoot, "database", "config", "job-payload.key"))
+    ).toBe(true);
+
+    let reloaded;
+
+    jest.isolateModules(() => {
+      reloaded = {
+        queue: require("../services/jobQueueService"),
+        render: require("../services/renderService"),
+      };
+    });
+    reloaded.render.generatePdf.mockResolvedValue({
+      pdfBuffer: Buffer.from("%PDF"),
+      originalSize: 4,
+    });
+
+    try {
+      expect(await reloaded.queue.restoreJobs()).toBe(1);
+      await waitForStatus(jobId, ["completed"]);
+    } finally {
+      reloaded.queue.stopJobQueue();
+    }
+
+    expect(reloaded.render.generatePdf).toHaveBeenCalledWith(
+      { html: "<p>reload</p>", encryption: { userPassword: "pw" } },
+      {}
+    );
+  });
+
+  it("should refuse a malformed JOB_PAYLOAD_KEY at startup", async() => {
+    process.env.JOB_PAYLOAD_KEY = "abc123";
+
+    try {
+      let reloaded;
+
+      jest.isolateModules(() => {
+        reloaded = require("../services/jobQueueService");
+      });
+
+      await expect(reloaded.restoreJobs()).rejects.toThrow(
+        "JOB_PAYLOAD_KEY must be 64 hex characters"
+      );
+    } finally {
+      delete process.env.JOB_PAYLOAD_KEY;
+    }
+  });
+
+  it("should fail restored jobs whose payload cannot be decrypted", async() => {
+    const jobId = "6f1c1c52-4a5b-4b8e-9a57-2f3f7f6d9c11";
+
+    fs.mkdirSync(JOBS_DIR, { recursive: true });
+    fs.writeFileSync(
+      path.join(JOBS_DIR, `${jobId}.json`),
+      JSON.stringify({
+        jobId,
+        userId: "user-1",
+        status: "queued",
+        payload: "AAAA:AAAA:AAAA",
+        createdAt: new Date().toISOString(),
+      })
+    );
+
+    await restoreJobs();
+
+    const done = await waitForStatus(jobId, ["failed"]);
+
+    expect(done.error.message).toMatch(/could not be recovered/);
+    expect(done.payload).toBeNull();
+    expect(generatePdf).not.toHaveBeenCalled();
+  });
+
+  it("should remove finished jobs past the retention period", async() => {
+    const jobId = "0b7d3a3e-8f8f-4c39-8f0e-6f3f0f5f2a10";
+
+    fs.writeFileSync(
+      path.join(JOBS_DIR, `${jobId}.json`),
+      JSON.stringify({
+        jobId,
+        status: "completed",
+        completedAt: "2000-01-01T00:00:00.000Z",
+      })
+    );
+
+    const removed = await cleanupExpiredJobs();
+
+    expect(removed).toBeGreaterThanOrEqual(1);
+    expect(await getJob(jobId)).toBeNull();
+  });
+});
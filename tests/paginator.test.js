@@ -0,0 +1,518 @@
+const { JSDOM } = require("jsdom");
+const {
+  buildHtmlFromPdfDocumentBundle,
+} = require("../utils/buildHtmlFromPdfDocumentBundle");
+
+// Layout stand-in: page bodies are 100px tall, text runs five words to a
+// 10px line, and table rows and captions are 10px
+const LINE_HEIGHT = 10;
+const WORDS_PER_LINE = 5;
+const BODY_HEIGHT = 100;
+const INLINE_TAGS = /^(SPAN|STRONG|EM|B|I|A)$/;
+
+function wordCount(text) {
+  return (text.match(/\S+/g) || []).length;
+}
+
+function blockChildren(el) {
+  return Array.from(el.children).filter(
+    (child) => !INLINE_TAGS.test(child.tagName)
+  );
+}
+
+function heightOf(el) {
+  if (el.tagName === "TABLE") {
+    return (el.rows.length + (el.caption ? 1 : 0)) * LINE_HEIGHT;
+  }
+  const children = blockChildren(el);
+
+  if (children.length > 0) {
+    return children.reduce((sum, child) => sum + heightOf(child), 0);
+  }
+  const lines = Math.ceil(wordCount(el.textContent) / WORDS_PER_LINE);
+
+  return Math.max(1, lines) * LINE_HEIGHT;
+}
+
+function rectOf(el) {
+  if (el.matches("main.body") || el.classList.contains("flow")) {
+    return { top: 0, bottom: BODY_HEIGHT, height: BODY_HEIGHT };
+  }
+  const parent = el.parentElement;
+  let { top } = rectOf(parent);
+
+  for (const sibling of blockChildren(parent)) {
+    if (sibling === el) {break;}
+    top += heightOf(sibling);
+  }
+  const height = heightOf(el);
+
+  return { top, bottom: top + height, height };
+}
+
+// Line of text a range starts on, from the words before it in its block
+function rectOfRange(range) {
+  let block = range.startContainer.parentElement;
+
+  while (INLINE_TAGS.test(block.tagName)) {
+    block = block.parentElement;
+  }
+  const walker = block.ownerDocument.createTreeWalker(block, 4);
+  let text = "";
+
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    if (node === range.startContainer) {
+      text += node.data.slice(0, range.startOffset);
+      break;
+    }
+    text += `${node.data} `;
+  }
+  const line = Math.floor(wordCount(text) / WORDS_PER_LINE);
+  const top = rectOf(block).top + (line * LINE_HEIGHT);
+
+  return { top, bottom: top + LINE_HEIGHT, height: LINE_HEIGHT };
+}
+
+function layOut(window) {
+  window.Element.prototype.getBoundingClientRect = function elementRect() {
+    return rectOf(this);
+  };
+  window.Range.prototype.getBoundingClientRect = function rangeRect() {
+    return rectOfRange(this);
+  };
+}
+
+// Run the built-in paginator over a page body (or the bundle pages) and
+// return the pages
+async function paginate(body, layout = {}) {
+  const html = buildHtmlFromPdfDocumentBundle({
+    head: { title: "Schedule" },
+    layout,
+    body: {
+      pages: Array.isArray(body)
+        ? body
+        : [{ section: { class: "page" }, body }],
+    },
+  });
+  const dom = new JSDOM(html, {
+    runScripts: "dangerously",
+    beforeParse: layOut,
+  });
+
+  await new Promise((resolve) => dom.window.addEventListener("load", resolve));
+
+  return Array.from(dom.window.document.querySelectorAll(".page"));
+}
+
+function words(count, from = 1) {
+  return Array.from({ length: count }, (_, index) => `w${from + index}`).join(
+    " "
+  );
+}
+
+// Words on each page
+function pageWords(pages) {
+  return pages.map((page) =>
+    Array.from(page.querySelectorAll(".flow *"))
+      .flatMap((el) => Array.from(el.childNodes))
+      .filter((node) => node.nodeType === 3)
+      .reduce((sum, node) => sum + wordCount(node.data), 0)
+  );
+}
+
+function rows(count, from = 1) {
+  return Array.from(
+    { length: count },
+    (_, index) => `<tr><td>Payment ${from + index}</td></tr>`
+  ).join("");
+}
+
+// Text of the body rows of each page's tables
+function bodyRows(pages) {
+  return pages.map((page) =>
+    Array.from(page.querySelectorAll("tbody tr")).map((row) => row.textContent)
+  );
+}
+
+describe("Paginator", () => {
+  describe("tables", () => {
+    it("should split a long table by rows and repeat the header", async() => {
+      const pages = await paginate(
+        "<p>Payment schedule</p>" +
+          "<table id=\"schedule\"><thead><tr><th>Payment</th></tr></thead>" +
+          `<tbody>${rows(20)}</tbody>` +
+          "<tfoot><tr><td>Total</td></tr></tfoot></table>"
+      );
+
+      expect(bodyRows(pages).map((page) => page.length)).toEqual([7, 8, 5]);
+      expect(bodyRows(pages)[1][0]).toBe("Payment 8");
+      pages.forEach((page) => {
+        expect(page.querySelectorAll("thead th")).toHaveLength(1);
+      });
+      expect(
+        pages.map((page) => page.querySelectorAll("tfoot").length)
+      ).toEqual([0, 0, 1]);
+      expect(pages[0].querySelector("table").id).toBe("schedule");
+      expect(pages[1].querySelector("table").id).toBe("");
+      expect(pages[1].hasAttribute("data-continuation")).toBe(true);
+    });
+
+    it("should add the continued caption and repeat the footer", async() => {
+      const pages = await paginate(
+        `<table data-repeat-footer><caption>Payments</caption><tbody>${ 
+          rows(12) 
+          }</tbody><tfoot><tr><td>Carried forward</td></tr></tfoot></table>`,
+        { tables: { continuedCaption: "{caption} (continued)" } }
+      );
+
+      expect(
+        pages.map((page) => page.querySelector("caption").textContent)
+      ).toEqual(["Payments", "Payments (continued)"]);
+      expect(
+        pages.map((page) => page.querySelectorAll("tfoot").length)
+      ).toEqual([1, 1]);
+      expect(bodyRows(pages).map((page) => page.length)).toEqual([7, 5]);
+    });
+
+    it("should keep rows joined by rowspan on one page", async() => {
+      const pages = await paginate(
+        `<table><tbody>${rows(8)}` +
+          "<tr><td rowspan=\"2\">Balloon</td><td>Due</td></tr><tr><td>Paid</td></tr>" +
+          `${rows(4, 9)}</tbody></table>`
+      );
+
+      const [first, second] = bodyRows(pages);
+
+      expect(first).toHaveLength(8);
+      expect(second).toEqual([
+        "BalloonDue",
+        "Paid",
+        "Payment 9",
+        "Payment 10",
+        "Payment 11",
+        "Payment 12",
+      ]);
+    });
+
+    it("should move a table that fits on a page instead of splitting it", async() => {
+      const pages = await paginate(
+        `<p>Intro</p><p>Terms</p><p>Notes</p><table><tbody>${rows(8)}</tbody></table>`
+      );
+
+      expect(bodyRows(pages).map((page) => page.length)).toEqual([0, 8]);
+    });
+  });
+
+  describe("text and lists", () => {
+    it("should break a long paragraph between lines", async() => {
+      const pages = await paginate(
+        `<p>${words(5)}</p><p id="clause" class="clause">${words(100, 6)}</p>`
+      );
+
+      expect(pageWords(pages)).toEqual([45, 45, 15]);
+      const [, second] = pages;
+
+      expect(second.querySelector("p").textContent.startsWith("w46 ")).toBe(
+        true
+      );
+      expect(second.querySelector("p").className).toBe("clause");
+      expect(second.querySelector("p").id).toBe("");
+      expect(second.querySelector("p").hasAttribute("data-continuation")).toBe(
+        true
+      );
+    });
+
+    it("should keep the orphans and widows minimums", async() => {
+      // Ten lines on nine-line pages: two move on, so one is not left alone
+      const widows = await paginate(`<p>${words(50)}</p>`);
+
+      expect(pageWords(widows)).toEqual([40, 10]);
+
+      // Only one line would fit below the first paragraph
+      const orphans = await paginate(
+        `<p>${words(40)}</p><p>${words(60, 41)}</p>`
+      );
+
+      expect(pageWords(orphans)).toEqual([40, 45, 15]);
+    });
+
+    it("should break lists between items and carry on numbering", async() => {
+      const items = Array.from(
+        { length: 15 },
+        (_, index) => `<li>${words(1, index + 1)}</li>`
+      ).join("");
+      const pages = await paginate(`<p>Clauses</p><ol start="3">${items}</ol>`);
+
+      expect(
+        pages.map((page) => page.querySelectorAll("ol > li").length)
+      ).toEqual([8, 7]);
+      expect(pages[1].querySelector("ol").getAttribute("start")).toBe("11");
+    });
+
+    it("should split a list item and show its marker once", async() => {
+      const pages = await paginate(
+        `<ul><li>${words(20)}</li><li>${words(50, 21)}</li></ul>`
+      );
+
+      const [first, second] = pages.map((page) => page.querySelectorAll("li"));
+
+      expect(first).toHaveLength(2);
+      expect(second).toHaveLength(1);
+      expect(second[0].textContent.startsWith("w46 ")).toBe(true);
+      expect(second[0].style.listStyleType).toBe("none");
+    });
+
+    it.each(["style=\"break-inside: avoid\"", "data-keep-together"])(
+      "should move blocks marked %s whole",
+      async(marker) => {
+        const pages = await paginate(
+          `<div><p>${words(35)}</p>` +
+            `<div ${marker}><p>${words(20, 36)}</p></div>` +
+            `<p>${words(25, 56)}</p></div>`
+        );
+
+        expect(pageWords(pages)).toEqual([35, 45]);
+      }
+    );
+  });
+
+  describe("break controls", () => {
+    it("should keep headings with the content they introduce", async() => {
+      const body =
+        `<p>${words(40)}</p><h2>Schedule</h2><p>${words(10, 41)}</p>` +
+        `<p>${words(25, 51)}</p><p data-keep-with-next>Note</p>` +
+        `<p>${words(40, 81)}</p>`;
+
+      const pages = await paginate(body, { keepHeadingsWithNext: true });
+
+      expect(
+        pages.map((page) => page.querySelector(".flow").firstChild.textContent)
+      ).toEqual([expect.stringMatching(/^w1 /), "Schedule", "Note"]);
+
+      const unkept = await paginate(body, { keepHeadingsWithNext: false });
+
+      expect(unkept[0].querySelector("h2")).not.toBeNull();
+    });
+
+    it("should leave headings where they fall unless the bundle opts in", async() => {
+      const pages = await paginate(
+        `<p>${words(40)}</p><h2>Schedule</h2><p>${words(10, 41)}</p>`
+      );
+
+      expect(pages[0].querySelector("h2")).not.toBeNull();
+      expect(pages[1].querySelector(".flow").firstChild.textContent).toBe(
+        words(10, 41)
+      );
+    });
+
+    it("should take the heading along when a split table starts on the next page", async() => {
+      const pages = await paginate(
+        `<p>${words(40)}</p><h2>Payments</h2>` +
+          `<table><thead><tr><th>Payment</th></tr></thead><tbody>${rows(20)}</tbody></table>`,
+        { keepHeadingsWithNext: true }
+      );
+
+      expect(bodyRows(pages).map((page) => page.length)).toEqual([0, 7, 8, 5]);
+      expect(pages[1].querySelector(".flow").firstChild.tagName).toBe("H2");
+    });
+
+    it("should start a new page for break-before and break-after", async() => {
+      const pages = await paginate(
+        "<p>a</p><p style=\"break-before: page\">b</p>" +
+          "<p style=\"page-break-after: always\">c</p><p>d</p>" +
+          "<p style=\"break-after: page\">e</p>"
+      );
+
+      expect(pageWords(pages)).toEqual([1, 2, 2]);
+    });
+
+    it("should start on a new page when less than data-min-space is left", async() => {
+      function body(minSpace) {
+        return `<p>${words(30)}</p><div data-min-space="${minSpace}">Signatures</div>`;
+      }
+
+      // 38px (about 10mm) is left below the first paragraph
+      expect(pageWords(await paginate(body("30mm")))).toEqual([30, 1]);
+      expect(pageWords(await paginate(body("5mm")))).toEqual([31]);
+    });
+  });
+
+  describe("table of contents", () => {
+    function page(dataTitle, body) {
+      return { section: { class: "page", dataTitle }, body };
+    }
+
+    // Text, level and page number of each contents entry
+    function tocEntries(pages) {
+      return Array.from(
+        pages[0].ownerDocument.querySelectorAll(".toc-entry")
+      ).map((entry) => [
+        entry.querySelector(".toc-text").textContent,
+        Number(entry.getAttribute("data-level")),
+        entry.querySelector(".toc-page").textContent,
+      ]);
+    }
+
+    it("should add a contents page with the final page numbers", async() => {
+      const pages = await paginate(
+        [
+          page("Cover", "<h1>Mortgage offer</h1>"),
+          page(
+            "Terms",
+            `<h1>Terms</h1><p>${words(40)}</p>` +
+              `<h2>Interest</h2><p>${words(40, 41)}</p>`
+          ),
+          page("Schedule", "<h2>Payments</h2><h3>Fees</h3>"),
+        ],
+        { toc: { afterPage: 1 } }
+      );
+
+      expect(pages.map((pg) => pg.getAttribute("data-title"))).toEqual([
+        "Cover",
+        "Contents",
+        "Terms",
+        "Terms",
+        "Schedule",
+      ]);
+      expect(pages[1].querySelector(".toc-title").textContent).toBe("Contents");
+      expect(tocEntries(pages)).toEqual([
+        ["Cover", 0, "1"],
+        ["Mortgage offer", 1, "1"],
+        ["Terms", 0, "3"],
+        ["Terms", 1, "3"],
+        ["Interest", 2, "4"],
+        ["Schedule", 0, "5"],
+        ["Payments", 2, "5"],
+      ]);
+
+      const links = Array.from(pages[1].querySelectorAll(".toc-entry a"));
+
+      expect(links[2].getAttribute("href")).toBe(`#${pages[2].id}`);
+      expect(pages[3].id).toBe("");
+      expect(links[4].getAttribute("href")).toBe(
+        `#${pages[3].querySelector("h2").id}`
+      );
+    });
+
+    it("should fill a nav[data-toc] placeholder with its own settings", async() => {
+      const pages = await paginate(
+        [
+          page(
+            "Contents",
+            "<nav data-toc data-toc-depth=\"0\" data-toc-leaders=\"false\" " +
+              "data-toc-title=\"In this agreement\"></nav>"
+          ),
+          page("Terms", "<h1>Terms</h1>"),
+          page("Signatures", "<h1>Signatures</h1>"),
+        ],
+        { toc: true }
+      );
+
+      expect(pages).toHaveLength(3);
+      const nav = pages[0].querySelector("nav[data-toc]");
+
+      expect(nav.querySelector(".toc-title").textContent).toBe(
+        "In this agreement"
+      );
+      expect(nav.getAttribute("data-leaders")).toBe("false");
+      expect(tocEntries(pages)).toEqual([
+        ["Terms", 0, "2"],
+        ["Signatures", 0, "3"],
+      ]);
+    });
+  });
+
+  describe("footnotes", () => {
+    // Numbers of the notes at the foot of each page
+    function pageNotes(pages) {
+      return pages.map((page) =>
+        Array.from(page.querySelectorAll(".footnotes .footnote-number")).map(
+          (number) => number.textContent
+        )
+      );
+    }
+
+    it("should put the note at the foot of the page and shorten the page", async() => {
+      const pages = await paginate(
+        `<p>${words(10)}<span data-footnote>${words(10, 101)}</span> ` +
+          `${words(60, 11)}</p>`
+      );
+
+      // Two lines of note leave room for seven lines of text instead of nine
+      expect(pageWords(pages)).toEqual([35, 36]);
+      expect(pageNotes(pages)).toEqual([["1"], []]);
+
+      const ref = pages[0].querySelector("[data-footnote]");
+
+      expect(ref.classList.contains("footnote-ref")).toBe(true);
+      expect(ref.textContent).toBe("1");
+      expect(ref.querySelector("a").getAttribute("href")).toBe("#footnote-1");
+      expect(
+        pages[0].querySelector("#footnote-1 .footnote-text").textContent
+      ).toBe(words(10, 101));
+    });
+
+    it("should number notes through the document and move them with their markers", async() => {
+      const pages = await paginate([
+        {
+          section: { class: "page" },
+          body:
+            `<p>${words(30)}<span data-footnote>First note</span></p>` +
+            `<p>${words(30, 31)}<span data-footnote>Second note</span></p>`,
+        },
+        {
+          section: { class: "page" },
+          body: "<p>Signed<span data-footnote>Third note</span></p>",
+        },
+      ]);
+
+      expect(pageNotes(pages)).toEqual([["1"], ["2"], ["3"]]);
+      expect(pages[1].querySelector(".footnote-text").textContent).toBe(
+        "Second note"
+      );
+    });
+
+    it("should collect the notes on a closing page in endnote mode", async() => {
+      const pages = await paginate(
+        [
+          {
+            section: { class: "page", dataTitle: "Terms" },
+            body:
+              "<h1>Terms<span data-footnote>As amended</span></h1>" +
+              "<p>Fees apply<span data-footnote>See schedule</span></p>",
+          },
+        ],
+        { footnotes: { mode: "endnote" }, toc: { depth: 1 } }
+      );
+
+      expect(pages.map((page) => page.getAttribute("data-title"))).toEqual([
+        "Contents",
+        "Terms",
+        "Notes",
+      ]);
+      expect(pageNotes(pages)).toEqual([[], [], []]);
+      expect(pages[1].querySelector("p").textContent).toBe("Fees apply2");
+
+      const endnotes = pages[2].querySelector("[data-endnotes]");
+
+      expect(endnotes.querySelector(".endnotes-title").textContent).toBe(
+        "Notes"
+      );
+      expect(
+        Array.from(endnotes.querySelectorAll(".footnote"), (note) => [
+          note.id,
+          note.querySelector(".footnote-text").textContent,
+        ])
+      ).toEqual([
+        ["footnote-1", "As amended"],
+        ["footnote-2", "See schedule"],
+      ]);
+      expect(
+        Array.from(
+          pages[0].querySelectorAll(".toc-text"),
+          (text) => text.textContent
+        )
+      ).toEqual(["Terms", "Terms", "Notes"]);
+    });
+  });
+});
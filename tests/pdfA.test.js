@@ -0,0 +1,189 @@
+const { PDFDocument, PDFName, StandardFonts, rgb } = require("pdf-lib");
+const {
+  resolveConformance,
+  conformanceConflicts,
+  buildSrgbProfile,
+  convertToPdfA,
+} = require("../utils/pdfA");
+
+const NOW = new Date("2024-03-01T12:00:00.000Z");
+
+// A document without text, so it has no fonts to embed
+async function tenancyPdf() {
+  const pdfDoc = await PDFDocument.create({ updateMetadata: false });
+
+  pdfDoc.setTitle("Tenancy agreement <Flat 2>");
+  pdfDoc.setAuthor("Lettings & Co");
+  pdfDoc.setProducer("pdf-service-node test");
+  pdfDoc.setCreationDate(NOW);
+  pdfDoc.setModificationDate(NOW);
+  const page = pdfDoc.addPage([595, 842]);
+
+  page.drawRectangle({
+    x: 50,
+    y: 700,
+    width: 200,
+    height: 50,
+    color: rgb(0, 0, 1),
+  });
+  return pdfDoc;
+}
+
+function catalogEntry(pdfDoc, key) {
+  return pdfDoc.catalog.lookup(PDFName.of(key));
+}
+
+describe("PDF/A", () => {
+  describe("resolveConformance", () => {
+    it("should accept PDF/A-2b and PDF/A-3b in any case", () => {
+      expect(resolveConformance(undefined)).toBeNull();
+      expect(resolveConformance("PDF/A-2b")).toEqual({
+        label: "PDF/A-2b",
+        part: 2,
+        conformance: "B",
+      });
+      expect(resolveConformance("pdf/a-3B").label).toBe("PDF/A-3b");
+    });
+
+    it("should reject other levels", () => {
+      expect(() => resolveConformance("PDF/A-1b")).toThrow(
+        /Unsupported conformance "PDF\/A-1b" \(expected PDF\/A-2b or PDF\/A-3b\)/
+      );
+      expect(() => resolveConformance(true)).toThrow(/Unsupported/);
+    });
+  });
+
+  describe("conformanceConflicts", () => {
+    it("should name the options that rule out PDF/A", () => {
+      expect(conformanceConflicts({})).toEqual([]);
+      expect(
+        conformanceConflicts({
+          watermark: { text: "COPY" },
+          encryption: { userPassword: "x" },
+          signature: { visible: true },
+        })
+      ).toEqual([
+        "PDF/A does not allow encryption",
+        expect.stringMatching(/text watermark .* Helvetica/),
+        expect.stringMatching(/visible signature .* Helvetica/),
+      ]);
+      expect(
+        conformanceConflicts({ watermark: { image: {} }, signature: {} })
+      ).toEqual([]);
+    });
+
+    it("should only allow attachments in PDF/A-3", () => {
+      const options = { attachments: [{ name: "schedule.csv" }] };
+
+      expect(
+        conformanceConflicts(options, resolveConformance("PDF/A-2b"))
+      ).toEqual([expect.stringMatching(/request PDF\/A-3b instead/)]);
+      expect(
+        conformanceConflicts(options, resolveConformance("PDF/A-3b"))
+      ).toEqual([]);
+    });
+  });
+
+  describe("buildSrgbProfile", () => {
+    it("should build an ICC v2 RGB display profile", () => {
+      const profile = buildSrgbProfile();
+
+      expect(profile.readUInt32BE(0)).toBe(profile.length);
+      expect(profile.subarray(12, 24).toString("latin1")).toBe("mntrRGB XYZ ");
+      expect(profile.subarray(36, 40).toString("latin1")).toBe("acsp");
+      expect(profile.readUInt32BE(128)).toBe(9);
+    });
+  });
+
+  describe("convertToPdfA", () => {
+    it("should add the output intent and XMP metadata", async() => {
+      const source = await tenancyPdf();
+      const converted = await PDFDocument.load(
+        await convertToPdfA(
+          await source.save(),
+          resolveConformance("PDF/A-2b")
+        ),
+        { updateMetadata: false }
+      );
+
+      const intent = catalogEntry(converted, "OutputIntents").lookup(0);
+
+      expect(intent.get(PDFName.of("S")).toString()).toBe("/GTS_PDFA1");
+      const profile = intent.lookup(PDFName.of("DestOutputProfile"));
+
+      expect(profile.dict.get(PDFName.of("N")).toString()).toBe("3");
+
+      const xmp = Buffer.from(
+        catalogEntry(converted, "Metadata").getContents()
+      ).toString("utf8");
+
+      expect(xmp).toContain("<pdfaid:part>2</pdfaid:part>");
+      expect(xmp).toContain("<pdfaid:conformance>B</pdfaid:conformance>");
+      expect(xmp).toContain("Tenancy agreement &lt;Flat 2&gt;");
+      expect(xmp).toContain("<rdf:li>Lettings &amp; Co</rdf:li>");
+      expect(xmp).toContain(
+        "<xmp:CreateDate>2024-03-01T12:00:00Z</xmp:CreateDate>"
+      );
+      expect(xmp).not.toContain("dc:description");
+      expect(converted.context.trailerInfo.ID).toBeDefined();
+    });
+
+    it("should make annotations printable", async() => {
+      const source = await tenancyPdf();
+      const link = source.context.register(
+        source.context.obj({
+          Type: "Annot",
+          Subtype: "Link",
+          Rect: [50, 700, 250, 750],
+          F: 2,
+        })
+      );
+
+      source.getPage(0).node.addAnnot(link);
+
+      const converted = await PDFDocument.load(
+        await convertToPdfA(await source.save(), resolveConformance("PDF/A-3b"))
+      );
+      const annot = converted.getPage(0).node.lookup(PDFName.of("Annots")).lookup(0);
+
+      expect(annot.get(PDFName.of("F")).toString()).toBe("4");
+    });
+
+    it("should explain why a document cannot conform", async() => {
+      const source = await tenancyPdf();
+
+      source.getPage(0).drawText("Rent", {
+        font: await source.embedFont(StandardFonts.Helvetica),
+      });
+      await source.attach(Buffer.from("inventory"), "inventory.txt", {
+        mimeType: "text/plain",
+      });
+
+      await expect(
+        convertToPdfA(await source.save(), resolveConformance("PDF/A-2b"))
+      ).rejects.toMatchObject({
+        status: 422,
+        code: "PDFA_NOT_CONFORMANT",
+        reasons: [
+          expect.stringMatching(/embedded files; request PDF\/A-3b/),
+          "fonts are not embedded: Helvetica",
+        ],
+      });
+    });
+
+    it("should require a relationship and MIME type for PDF/A-3 files", async() => {
+      const source = await tenancyPdf();
+
+      await source.attach(Buffer.from("inventory"), "inventory.txt");
+
+      await expect(
+        convertToPdfA(await source.save(), resolveConformance("PDF/A-3b"))
+      ).rejects.toMatchObject({
+        reasons: [
+          "an embedded file has no AFRelationship",
+          "an embedded file has no MIME type",
+        ],
+      });
+    });
+  });
+});
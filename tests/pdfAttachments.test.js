@@ -0,0 +1,188 @@
+const { PDFDocument, PDFName, rgb } = require("pdf-lib");
+const {
+  resolveAttachments,
+  applyAttachments,
+} = require("../utils/pdfAttachments");
+const { resolveConformance, convertToPdfA } = require("../utils/pdfA");
+
+const SCHEDULE_CSV = "date,amount\n2024-03-01,950.00\n";
+
+const bundle = {
+  pdfDocumentBundle: { head: { title: "Tenancy" }, pages: [] },
+};
+
+function schedule(overrides = {}) {
+  return {
+    name: "schedule.csv",
+    mimeType: "text/csv",
+    description: "Rent schedule",
+    content: Buffer.from(SCHEDULE_CSV).toString("base64"),
+    ...overrides,
+  };
+}
+
+async function tenancyPdf() {
+  const pdfDoc = await PDFDocument.create({ updateMetadata: false });
+
+  pdfDoc.addPage([595, 842]).drawRectangle({
+    x: 50,
+    y: 700,
+    width: 200,
+    height: 50,
+    color: rgb(0, 0, 1),
+  });
+  return pdfDoc;
+}
+
+// Embedded files by name, read back from the catalog's name tree
+function embeddedFiles(pdfDoc) {
+  const names = pdfDoc.catalog
+    .lookup(PDFName.of("Names"))
+    .lookup(PDFName.of("EmbeddedFiles"))
+    .lookup(PDFName.of("Names"));
+  const files = {};
+
+  for (let i = 0; i < names.size(); i += 2) {
+    const spec = names.lookup(i + 1);
+    const stream = spec.lookup(PDFName.of("EF")).lookup(PDFName.of("F"));
+
+    files[names.lookup(i).decodeText()] = {
+      spec,
+      mimeType: stream.dict.get(PDFName.of("Subtype")).decodeText(),
+      relationship: spec.get(PDFName.of("AFRelationship")).decodeText(),
+    };
+  }
+  return files;
+}
+
+describe("PDF Attachments", () => {
+  describe("resolveAttachments", () => {
+    it("should return null when nothing is attached", () => {
+      expect(resolveAttachments({})).toBeNull();
+      expect(resolveAttachments({ attachments: [] })).toBeNull();
+      expect(resolveAttachments({ attachSourceBundle: false })).toBeNull();
+    });
+
+    it("should decode files and fill in defaults", () => {
+      const [csv, blob] = resolveAttachments({
+        attachments: [
+          schedule({
+            content: `data:text/csv;base64,${Buffer.from(SCHEDULE_CSV).toString("base64")}`,
+          }),
+          { name: " raw.bin ", content: "AAEC" },
+        ],
+      });
+
+      expect(csv).toMatchObject({
+        name: "schedule.csv",
+        mimeType: "text/csv",
+        description: "Rent schedule",
+        relationship: "Unspecified",
+      });
+      expect(csv.content.toString()).toBe(SCHEDULE_CSV);
+      expect(blob).toMatchObject({
+        name: "raw.bin",
+        mimeType: "application/octet-stream",
+        description: undefined,
+      });
+    });
+
+    it("should attach the source bundle as JSON", () => {
+      const [source] = resolveAttachments({
+        ...bundle,
+        attachSourceBundle: true,
+      });
+
+      expect(source).toMatchObject({
+        name: "pdfDocumentBundle.json",
+        mimeType: "application/json",
+        relationship: "Source",
+      });
+      expect(JSON.parse(source.content)).toEqual(bundle.pdfDocumentBundle);
+    });
+
+    it("should attach each bundle part in merge mode", () => {
+      const attachments = resolveAttachments({
+        attachSourceBundle: true,
+        parts: [bundle, { pdf: "JVBERi0=" }, { html: "<p>Terms</p>" }, bundle],
+      });
+
+      expect(attachments.map((a) => a.name)).toEqual([
+        "part-1-pdfDocumentBundle.json",
+        "part-4-pdfDocumentBundle.json",
+      ]);
+    });
+
+    it("should reject invalid attachments", () => {
+      expect(() => resolveAttachments({ attachments: {} })).toThrow(
+        /must be an array/
+      );
+      expect(() =>
+        resolveAttachments({ attachments: [schedule({ name: "../x.csv" })] })
+      ).toThrow(/attachments\[0\]\.name must be a file name/);
+      expect(() =>
+        resolveAttachments({ attachments: [schedule({ mimeType: "csv" })] })
+      ).toThrow(/mimeType must be a MIME type/);
+      expect(() =>
+        resolveAttachments({ attachments: [schedule({ content: "not b64!" })] })
+      ).toThrow(/content must be base64/);
+      expect(() =>
+        resolveAttachments({
+          attachments: [schedule({ relationship: "Original" })],
+        })
+      ).toThrow(/relationship must be one of Source, Data/);
+      expect(() =>
+        resolveAttachments({ attachments: [schedule(), schedule()] })
+      ).toThrow(/"schedule.csv" is used more than once/);
+      expect(() =>
+        resolveAttachments({ html: "<p>Hi</p>", attachSourceBundle: true })
+      ).toThrow(/needs a request rendered from a pdfDocumentBundle/);
+    });
+  });
+
+  describe("applyAttachments", () => {
+    it("should embed files as associated files", async() => {
+      const pdfDoc = await tenancyPdf();
+      const attachments = resolveAttachments({
+        ...bundle,
+        attachSourceBundle: true,
+        attachments: [schedule({ relationship: "Data" })],
+      });
+
+      expect(await applyAttachments(pdfDoc, attachments)).toBe(2);
+
+      const saved = await PDFDocument.load(await pdfDoc.save());
+      const files = embeddedFiles(saved);
+
+      expect(files["schedule.csv"]).toMatchObject({
+        mimeType: "text/csv",
+        relationship: "Data",
+      });
+      expect(files["pdfDocumentBundle.json"]).toMatchObject({
+        mimeType: "application/json",
+        relationship: "Source",
+      });
+      expect(saved.catalog.lookup(PDFName.of("AF")).size()).toBe(2);
+    });
+
+    it("should keep attachments in PDF/A-3b", async() => {
+      const pdfDoc = await tenancyPdf();
+
+      await applyAttachments(
+        pdfDoc,
+        resolveAttachments({ attachments: [schedule()] })
+      );
+      const bytes = await pdfDoc.save();
+
+      const converted = await PDFDocument.load(
+        await convertToPdfA(bytes, resolveConformance("PDF/A-3b"))
+      );
+
+      expect(Object.keys(embeddedFiles(converted))).toEqual(["schedule.csv"]);
+
+      await expect(
+        convertToPdfA(bytes, resolveConformance("PDF/A-2b"))
+      ).rejects.toMatchObject({ code: "PDFA_NOT_CONFORMANT" });
+    });
+  });
+});
@@ -0,0 +1,139 @@
+const { PDFDocument, PDFName, StandardFonts } = require("pdf-lib");
+const {
+  resolveEncryption,
+  permissionFlags,
+  encryptPdf,
+} = require("../utils/pdfEncryption");
+
+async function labReportPdf() {
+  const pdfDoc = await PDFDocument.create();
+
+  pdfDoc.setTitle("Lab report 4711");
+  const page = pdfDoc.addPage([595, 842]);
+
+  page.drawText("Hemoglobin 13.5 g/dL", {
+    x: 50,
+    y: 780,
+    font: await pdfDoc.embedFont(StandardFonts.Helvetica),
+  });
+  return Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+}
+
+describe("PDF Encryption", () => {
+  describe("resolveEncryption", () => {
+    it("should return null when no encryption is requested", () => {
+      expect(resolveEncryption(undefined)).toBeNull();
+    });
+
+    it("should grant unlisted permissions and generate an owner password", () => {
+      const settings = resolveEncryption({ userPassword: "1234" });
+
+      expect(settings.permissions).toEqual({
+        printing: true,
+        copying: true,
+        modifying: true,
+      });
+      expect(settings.ownerPassword).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    it("should reject invalid settings", () => {
+      expect(() => resolveEncryption("secret")).toThrow(/must be an object/);
+      expect(() => resolveEncryption({})).toThrow(
+        /userPassword, an ownerPassword/
+      );
+      expect(() => resolveEncryption({ userPassword: 1234 })).toThrow(
+        /userPassword must be a string/
+      );
+      expect(() =>
+        resolveEncryption({ userPassword: "x".repeat(128) })
+      ).toThrow(/at most 127 bytes/);
+      expect(() =>
+        resolveEncryption({
+          userPassword: "a",
+          permissions: { printing: "yes" },
+        })
+      ).toThrow(/lowResolution/);
+      expect(() =>
+        resolveEncryption({
+          userPassword: "a",
+          permissions: { annotating: false },
+        })
+      ).toThrow(/Unknown encryption permission "annotating"/);
+    });
+  });
+
+  describe("permissionFlags", () => {
+    it("should map permissions to the P bits", () => {
+      const all = permissionFlags({
+        printing: true,
+        copying: true,
+        modifying: true,
+      });
+      const none = permissionFlags({
+        printing: false,
+        copying: false,
+        modifying: false,
+      });
+      const lowResolution = permissionFlags({
+        printing: "lowResolution",
+        copying: false,
+        modifying: false,
+      });
+
+      expect(all).toBe(-4);
+      // Only the reserved bits and accessibility extraction remain
+      expect(none).toBe(-3392);
+      expect(lowResolution & 0b100).toBe(0b100);
+      expect(lowResolution & (1 << 11)).toBe(0);
+    });
+  });
+
+  describe("encryptPdf", () => {
+    it("should write an AES-256 encrypted file", async() => {
+      const encrypted = await encryptPdf(
+        await labReportPdf(),
+        resolveEncryption({
+          userPassword: "patient",
+          ownerPassword: "laboratory",
+          permissions: { copying: false },
+        })
+      );
+
+      expect(encrypted.includes("Hemoglobin")).toBe(false);
+      expect(encrypted.includes("Lab report 4711")).toBe(false);
+      await expect(PDFDocument.load(encrypted)).rejects.toThrow(/encrypted/);
+
+      const pdfDoc = await PDFDocument.load(encrypted, {
+        ignoreEncryption: true,
+        updateMetadata: false,
+      });
+      const encrypt = pdfDoc.context.lookup(pdfDoc.context.trailerInfo.Encrypt);
+
+      function get(key) {
+        return encrypt.get(PDFName.of(key)).toString();
+      }
+
+      expect(get("Filter")).toBe("/Standard");
+      expect(get("V")).toBe("5");
+      expect(get("R")).toBe("6");
+      expect(get("P")).toBe(
+        String(
+          permissionFlags({ printing: true, copying: false, modifying: true })
+        )
+      );
+      // 48-byte /U and /O, 32-byte /UE and /OE as hex strings
+      expect(get("U")).toMatch(/^<[0-9A-F]{96}>$/);
+      expect(get("OE")).toMatch(/^<[0-9A-F]{64}>$/);
+      expect(pdfDoc.getPageCount()).toBe(1);
+    });
+
+    it("should refuse a PDF that is already encrypted", async() => {
+      const settings = resolveEncryption({ ownerPassword: "owner" });
+      const encrypted = await encryptPdf(await labReportPdf(), settings);
+
+      await expect(encryptPdf(encrypted, settings)).rejects.toThrow(
+        /already encrypted/
+      );
+    });
+  });
+});
@@ -0,0 +1,197 @@
+const { PDFDocument } = require("pdf-lib");
+const { listFormFields, fillPdfForm } = require("../utils/pdfForm");
+const { resolveEncryption, encryptPdf } = require("../utils/pdfEncryption");
+
+// Insurer's proposal form with one field of each fillable type
+async function proposalForm() {
+  const pdfDoc = await PDFDocument.create();
+  const page = pdfDoc.addPage([595, 842]);
+  const form = pdfDoc.getForm();
+
+  const policyNumber = form.createTextField("policyNumber");
+
+  policyNumber.setMaxLength(10);
+  policyNumber.enableRequired();
+  policyNumber.addToPage(page, { x: 50, y: 750, width: 200, height: 20 });
+
+  form
+    .createCheckBox("smoker")
+    .addToPage(page, { x: 50, y: 700, width: 12, height: 12 });
+
+  const cover = form.createRadioGroup("coverLevel");
+
+  cover.addOptionToPage("Silver", page, {
+    x: 50,
+    y: 650,
+    width: 12,
+    height: 12,
+  });
+  cover.addOptionToPage("Gold", page, { x: 80, y: 650, width: 12, height: 12 });
+
+  const term = form.createDropdown("term");
+
+  term.addOptions(["12 months", "24 months"]);
+  term.select("12 months");
+  term.addToPage(page, { x: 50, y: 600, width: 120, height: 20 });
+
+  const extras = form.createOptionList("extras");
+
+  extras.addOptions(["Legal cover", "Key cover", "Breakdown"]);
+  extras.enableMultiselect();
+  extras.addToPage(page, { x: 50, y: 500, width: 120, height: 60 });
+
+  const office = form.createTextField("officeUse");
+
+  office.enableReadOnly();
+  office.addToPage(page, { x: 300, y: 750, width: 200, height: 20 });
+
+  return Buffer.from(await pdfDoc.save());
+}
+
+describe("PDF Form", () => {
+  let pdfBuffer;
+
+  beforeAll(async() => {
+    pdfBuffer = await proposalForm();
+  });
+
+  describe("listFormFields", () => {
+    it("should describe every field with its type and options", async() => {
+      const fields = await listFormFields(pdfBuffer);
+
+      expect(fields).toEqual([
+        {
+          name: "policyNumber",
+          type: "text",
+          value: null,
+          required: true,
+          readOnly: false,
+          multiline: false,
+          maxLength: 10,
+        },
+        {
+          name: "smoker",
+          type: "checkbox",
+          value: false,
+          required: false,
+          readOnly: false,
+        },
+        {
+          name: "coverLevel",
+          type: "radio",
+          value: null,
+          options: ["Silver", "Gold"],
+          required: false,
+          readOnly: false,
+        },
+        {
+          name: "term",
+          type: "dropdown",
+          value: "12 months",
+          options: ["12 months", "24 months"],
+          multiselect: false,
+          editable: false,
+          required: false,
+          readOnly: false,
+        },
+        {
+          name: "extras",
+          type: "optionList",
+          value: [],
+          options: ["Legal cover", "Key cover", "Breakdown"],
+          multiselect: true,
+          required: false,
+          readOnly: false,
+        },
+        expect.objectContaining({ name: "officeUse", readOnly: true }),
+      ]);
+    });
+
+    it("should return no fields for a PDF without a form", async() => {
+      const pdfDoc = await PDFDocument.create();
+
+      pdfDoc.addPage();
+
+      expect(await listFormFields(await pdfDoc.save())).toEqual([]);
+    });
+  });
+
+  describe("fillPdfForm", () => {
+    it("should fill each field type", async() => {
+      const filled = await fillPdfForm(pdfBuffer, {
+        policyNumber: "POL-1042",
+        smoker: true,
+        coverLevel: "Gold",
+        term: "24 months",
+        extras: ["Legal cover", "Breakdown"],
+      });
+
+      const values = Object.fromEntries(
+        (await listFormFields(filled)).map(({ name, value }) => [name, value])
+      );
+
+      expect(values).toEqual({
+        policyNumber: "POL-1042",
+        smoker: true,
+        coverLevel: "Gold",
+        term: "24 months",
+        extras: ["Legal cover", "Breakdown"],
+        officeUse: null,
+      });
+    });
+
+    it("should flatten the form into the page", async() => {
+      const filled = await fillPdfForm(
+        pdfBuffer,
+        { policyNumber: "POL-1042" },
+        { flatten: true }
+      );
+
+      expect(await listFormFields(filled)).toEqual([]);
+    });
+
+    it("should report every unusable value", async() => {
+      await expect(
+        fillPdfForm(pdfBuffer, {
+          policyNumber: "POL-1042-LONG",
+          smoker: "yes",
+          coverLevel: "Platinum",
+          term: ["12 months", "24 months"],
+          officeUse: "approved",
+          surname: "Rossi",
+        })
+      ).rejects.toMatchObject({
+        status: 400,
+        code: "INVALID_FIELD_VALUES",
+        reasons: [
+          "Field \"policyNumber\" takes at most 10 characters",
+          "Field \"smoker\" is a checkbox; send true or false",
+          "Field \"coverLevel\" is a radio group; send one of: Silver, Gold",
+          "Field \"term\" takes a single option",
+          "Field \"officeUse\" is read-only",
+          "Unknown field \"surname\"",
+        ],
+      });
+    });
+
+    it("should refuse text the form font cannot show", async() => {
+      await expect(
+        fillPdfForm(pdfBuffer, { policyNumber: "Ωmega" })
+      ).rejects.toMatchObject({
+        reasons: [expect.stringMatching(/outside the Latin character set/)],
+      });
+    });
+
+    it("should refuse encrypted PDFs", async() => {
+      const encrypted = await encryptPdf(
+        pdfBuffer,
+        resolveEncryption({ ownerPassword: "insurer" })
+      );
+
+      await expect(fillPdfForm(encrypted, {})).rejects.toMatchObject({
+        status: 400,
+        code: "PDF_ENCRYPTED",
+      });
+    });
+  });
+});
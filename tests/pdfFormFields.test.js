@@ -0,0 +1,228 @@
+const { JSDOM } = require("jsdom");
+const {
+  PDFDocument,
+  PDFName,
+  PDFCheckBox,
+  PDFDropdown,
+  PDFSignature,
+  PDFTextField,
+} = require("pdf-lib");
+const {
+  collectFormFields,
+  applyFormFields,
+} = require("../utils/pdfFormFields");
+
+// Membership contract page: 800 x 1000 px, so positions are easy to read
+const CONTRACT_MARKUP = `
+  <section class="page" data-box="0,0,800,1000">
+    <main class="body">
+      <span data-pdf-field="text" data-pdf-name="member_name"
+        data-pdf-value="Mateo Rossi" data-pdf-required
+        data-box="100,200,400,20"></span>
+      <span data-pdf-field="dropdown" data-pdf-name="plan"
+        data-pdf-options="Monthly | Annual" data-pdf-value="Annual"
+        data-box="100,250,200,20"></span>
+      <span data-pdf-field="checkbox" data-pdf-name="accept_terms"
+        data-pdf-checked data-box="100,300,10,10"></span>
+      <span data-pdf-field="text" data-pdf-name="hidden" data-box="0,0,0,0"></span>
+    </main>
+  </section>
+  <section class="page" data-box="0,1000,800,1000">
+    <main class="body">
+      <div data-pdf-field="Signature" data-pdf-name="member_signature"
+        data-box="80,1800,300,50"></div>
+    </main>
+  </section>
+  <div data-pdf-field="text" data-pdf-name="outside" data-box="0,0,10,10"></div>`;
+
+// jsdom does no layout, so boxes come from data-box="left,top,width,height"
+function contractDocument() {
+  const { window } = new JSDOM(CONTRACT_MARKUP);
+
+  window.Element.prototype.getBoundingClientRect = function rect() {
+    const [left, top, width, height] = (
+      this.getAttribute("data-box") || "0,0,0,0"
+    )
+      .split(",")
+      .map(Number);
+
+    return { left, top, width, height };
+  };
+  window.getComputedStyle = () => ({ fontSize: "16px" });
+  return window;
+}
+
+async function contractPdf() {
+  const pdfDoc = await PDFDocument.create();
+
+  pdfDoc.addPage([600, 750]);
+  pdfDoc.addPage([600, 750]);
+  return pdfDoc;
+}
+
+function field(overrides) {
+  return {
+    type: "text",
+    name: "member_name",
+    value: null,
+    options: [],
+    checked: false,
+    required: false,
+    multiline: false,
+    pageIndex: 0,
+    x: 0.125,
+    y: 0.2,
+    width: 0.5,
+    height: 0.02,
+    fontSize: 0.016,
+    ...overrides,
+  };
+}
+
+function widgetRect(pdfField) {
+  return pdfField.acroField.getWidgets()[0].getRectangle();
+}
+
+describe("PDF Form Fields", () => {
+  describe("collectFormFields", () => {
+    afterEach(() => {
+      delete global.document;
+      delete global.getComputedStyle;
+    });
+
+    it("should locate marked elements relative to their page", () => {
+      const window = contractDocument();
+
+      global.document = window.document;
+      global.getComputedStyle = window.getComputedStyle;
+
+      const { pageCount, fields } = collectFormFields();
+
+      expect(pageCount).toBe(2);
+      expect(fields.map(({ name }) => name)).toEqual([
+        "member_name",
+        "plan",
+        "accept_terms",
+        "member_signature",
+      ]);
+      expect(fields[0]).toEqual(
+        field({ value: "Mateo Rossi", required: true })
+      );
+      expect(fields[1]).toMatchObject({
+        type: "dropdown",
+        options: ["Monthly", "Annual"],
+        value: "Annual",
+      });
+      expect(fields[2].checked).toBe(true);
+      expect(fields[3]).toMatchObject({
+        type: "signature",
+        pageIndex: 1,
+        x: 0.1,
+        y: 0.8,
+      });
+    });
+  });
+
+  describe("applyFormFields", () => {
+    it("should add widgets at the rendered positions", async() => {
+      const pdfDoc = await contractPdf();
+
+      const added = applyFormFields(pdfDoc, [
+        field({ value: "Mateo Rossi", required: true }),
+        field({
+          type: "dropdown",
+          name: "plan",
+          options: ["Monthly", "Annual"],
+          value: "Annual",
+          y: 0.25,
+        }),
+        field({ type: "checkbox", name: "accept_terms", checked: true }),
+        field({
+          type: "signature",
+          name: "member_signature",
+          pageIndex: 1,
+          x: 0.1,
+          y: 0.8,
+          width: 0.375,
+          height: 0.05,
+        }),
+      ]);
+
+      expect(added).toBe(4);
+
+      const form = (await PDFDocument.load(await pdfDoc.save())).getForm();
+      const name = form.getField("member_name");
+
+      expect(name).toBeInstanceOf(PDFTextField);
+      expect(name.getText()).toBe("Mateo Rossi");
+      expect(name.isRequired()).toBe(true);
+      expect(widgetRect(name)).toEqual({
+        x: 75,
+        y: 750 - (0.22 * 750),
+        width: 300,
+        height: 15,
+      });
+
+      expect(form.getField("plan")).toBeInstanceOf(PDFDropdown);
+      expect(form.getField("plan").getSelected()).toEqual(["Annual"]);
+      expect(form.getField("accept_terms")).toBeInstanceOf(PDFCheckBox);
+      expect(form.getField("accept_terms").isChecked()).toBe(true);
+
+      const signature = form.getField("member_signature");
+
+      expect(signature).toBeInstanceOf(PDFSignature);
+      expect(widgetRect(signature)).toMatchObject({ x: 60, width: 225 });
+      expect(form.acroForm.dict.get(PDFName.of("SigFlags")).toString()).toBe(
+        "1"
+      );
+    });
+
+    it("should join elements with the same name into one field", async() => {
+      const pdfDoc = await contractPdf();
+
+      applyFormFields(pdfDoc, [
+        field({ value: "Mateo Rossi" }),
+        field({ pageIndex: 1 }),
+      ]);
+
+      const textField = pdfDoc.getForm().getTextField("member_name");
+
+      expect(textField.acroField.getWidgets()).toHaveLength(2);
+    });
+
+    it("should reject unusable fields", async() => {
+      const pdfDoc = await contractPdf();
+
+      expect(() => applyFormFields(pdfDoc, [field({ name: "" })])).toThrow(
+        /no data-pdf-name/
+      );
+      expect(() =>
+        applyFormFields(pdfDoc, [field({ type: "radio", name: "plan" })])
+      ).toThrow(/unknown type "radio"/);
+      expect(() =>
+        applyFormFields(pdfDoc, [
+          field({
+            type: "dropdown",
+            name: "plan",
+            options: ["Monthly"],
+            value: "Annual",
+          }),
+        ])
+      ).toThrow(/"Annual" is not one of its options/);
+      expect(() =>
+        applyFormFields(pdfDoc, [
+          field({ name: "start" }),
+          field({ type: "checkbox", name: "start" }),
+        ])
+      ).toThrow(/used for both text and checkbox/);
+    });
+
+    it("should report unusable fields as invalid input", async() => {
+      const pdfDoc = await contractPdf();
+
+      expect(() => applyFormFields(pdfDoc, [field({ name: "" })])).toThrow(
+        expect.objectContaining({ status: 400, code: "INVALID_FORM_FIELD" })
+      );
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const { PDFDocument } = require("pdf-lib");
+const {
+  resolvePdfMetadata,
+  applyPdfMetadata,
+} = require("../utils/pdfMetadata");
+
+const NOW = new Date("2024-03-01T12:00:00.000Z");
+
+const bundle = {
+  head: {
+    title: "Hotel Invoice #1042",
+    meta: [
+      { charset: "utf-8" },
+      { name: "author", content: "Grand Hotel Ltd" },
+      { name: "description", content: "Invoice for stay 12-15 Feb" },
+      { name: "keywords", content: "invoice, hotel ,  stay" },
+    ],
+  },
+  body: { pages: [] },
+};
+
+describe("PDF Metadata", () => {
+  describe("resolvePdfMetadata", () => {
+    it("should default from the bundle head", () => {
+      expect(resolvePdfMetadata({ pdfDocumentBundle: bundle }, NOW)).toEqual({
+        title: "Hotel Invoice #1042",
+        author: "Grand Hotel Ltd",
+        subject: "Invoice for stay 12-15 Feb",
+        keywords: ["invoice", "hotel", "stay"],
+        creator: "PDF Service",
+        producer: expect.stringMatching(/^pdf-service-node /),
+        creationDate: NOW,
+        modificationDate: NOW,
+      });
+    });
+
+    it("should let pdfMetadata override the head", () => {
+      const metadata = resolvePdfMetadata(
+        {
+          pdfDocumentBundle: {
+            ...bundle,
+            pdfMetadata: {
+              subject: "Final invoice",
+              keywords: ["billing"],
+              creator: "Billing System",
+              creationDate: "2024-02-15T09:30:00Z",
+            },
+          },
+        },
+        NOW
+      );
+
+      expect(metadata.title).toBe("Hotel Invoice #1042");
+      expect(metadata.subject).toBe("Final invoice");
+      expect(metadata.keywords).toEqual(["billing"]);
+      expect(metadata.creator).toBe("Billing System");
+      expect(metadata.creationDate.toISOString()).toBe(
+        "2024-02-15T09:30:00.000Z"
+      );
+      expect(metadata.modificationDate).toEqual(metadata.creationDate);
+    });
+
+    it("should use request pdfMetadata and the first bundle part when merging", () => {
+      const metadata = resolvePdfMetadata(
+        {
+          parts: [{ pdf: "JVBERi0=" }, { pdfDocumentBundle: bundle }],
+          pdfMetadata: { title: "Policy Pack" },
+        },
+        NOW
+      );
+
+      expect(metadata.title).toBe("Policy Pack");
+      expect(metadata.author).toBe("Grand Hotel Ltd");
+    });
+
+    it("should reject invalid pdfMetadata", () => {
+      expect(() => resolvePdfMetadata({ pdfMetadata: "Title" })).toThrow(
+        /pdfMetadata must be an object/
+      );
+      expect(() => resolvePdfMetadata({ pdfMetadata: { author: 42 } })).toThrow(
+        /pdfMetadata.author must be a string/
+      );
+      expect(() =>
+        resolvePdfMetadata({ pdfMetadata: { creationDate: "yesterday" } })
+      ).toThrow(/ISO 8601/);
+    });
+  });
+
+  describe("applyPdfMetadata", () => {
+    it("should write the Info dictionary", async() => {
+      const source = await PDFDocument.create();
+
+      source.addPage();
+      const pdfDoc = await PDFDocument.load(await source.save(), {
+        updateMetadata: false,
+      });
+
+      applyPdfMetadata(
+        pdfDoc,
+        resolvePdfMetadata({ pdfDocumentBundle: bundle }, NOW)
+      );
+      const saved = await PDFDocument.load(await pdfDoc.save(), {
+        updateMetadata: false,
+      });
+
+      expect(saved.getTitle()).toBe("Hotel Invoice #1042");
+      expect(saved.getAuthor()).toBe("Grand Hotel Ltd");
+      expect(saved.getSubject()).toBe("Invoice for stay 12-15 Feb");
+      expect(saved.getKeywords()).toBe("invoice hotel stay");
+      expect(saved.getCreator()).toBe("PDF Service");
+      expect(saved.getProducer()).toMatch(/^pdf-service-node /);
+      expect(saved.getCreationDate()).toEqual(NOW);
+      expect(saved.getModificationDate()).toEqual(NOW);
+    });
+  });
+});
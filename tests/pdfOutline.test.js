@@ -0,0 +1,207 @@
+const { JSDOM } = require("jsdom");
+const { PDFDocument, PDFName } = require("pdf-lib");
+const {
+  resolveOutline,
+  collectOutlineEntries,
+  buildOutlineTree,
+  applyOutline,
+} = require("../utils/pdfOutline");
+
+// Transcript as the paginator leaves it: the results overflow onto a second page
+const TRANSCRIPT_MARKUP = `
+  <section class="page" data-title="Academic Transcript">
+    <header><h1>University of Example</h1></header>
+    <main class="body">
+      <h1>Student details</h1>
+      <h1>Results</h1>
+      <h2>Year 1</h2>
+    </main>
+  </section>
+  <section class="page" data-title="Academic Transcript" data-continuation>
+    <main class="body">
+      <h2>Year  2
+      </h2>
+      <h3>Electives</h3>
+    </main>
+  </section>
+  <section class="page">
+    <main class="body"><h1>Declaration</h1></main>
+  </section>`;
+
+function entry(title, level, section, pageIndex, top = 0) {
+  return { title, level, section, pageIndex, top };
+}
+
+describe("PDF Outline", () => {
+  describe("resolveOutline", () => {
+    it("should fill in defaults", () => {
+      expect(resolveOutline(undefined)).toBeNull();
+      expect(resolveOutline(false)).toBeNull();
+      expect(resolveOutline(true)).toEqual({
+        maxHeadingLevel: 3,
+        expanded: true,
+      });
+      expect(resolveOutline({ maxHeadingLevel: 0, expanded: false })).toEqual({
+        maxHeadingLevel: 0,
+        expanded: false,
+      });
+    });
+
+    it("should reject invalid settings", () => {
+      expect(() => resolveOutline("yes")).toThrow(/true or an object/);
+      expect(() => resolveOutline({ maxHeadingLevel: 7 })).toThrow(
+        /maxHeadingLevel must be an integer from 0 to 6/
+      );
+      expect(() => resolveOutline({ expanded: "no" })).toThrow(/expanded/);
+    });
+  });
+
+  describe("collectOutlineEntries", () => {
+    afterEach(() => {
+      delete global.document;
+    });
+
+    it("should list each section title once and skip header headings", () => {
+      global.document = new JSDOM(TRANSCRIPT_MARKUP).window.document;
+
+      const { pageCount, entries } = collectOutlineEntries(2);
+
+      expect(pageCount).toBe(3);
+      expect(entries).toEqual([
+        entry("Academic Transcript", 0, 0, 0),
+        entry("Student details", 1, 0, 0),
+        entry("Results", 1, 0, 0),
+        entry("Year 1", 2, 0, 0),
+        entry("Year 2", 2, 0, 1),
+        entry("Declaration", 1, 1, 2),
+      ]);
+    });
+
+    it("should leave footnote numbers out of heading titles", () => {
+      global.document = new JSDOM(`
+        <section class="page">
+          <main class="body">
+            <h2>Terms<span class="footnote-ref" data-footnote-number="2"><a href="#fn-2">2</a></span></h2>
+          </main>
+        </section>`).window.document;
+
+      expect(collectOutlineEntries(2).entries).toEqual([
+        entry("Terms", 2, 0, 0),
+      ]);
+    });
+
+    it("should report markup without bundle pages", () => {
+      global.document = new JSDOM("<h1>Letter</h1>").window.document;
+
+      expect(collectOutlineEntries(3)).toEqual({ pageCount: 0, entries: [] });
+    });
+  });
+
+  describe("buildOutlineTree", () => {
+    it("should nest headings under their section title", () => {
+      const tree = buildOutlineTree([
+        entry("Transcript", 0, 0, 0),
+        entry("Results", 1, 0, 0, 0.5),
+        entry("Year 1", 2, 0, 0, 0.6),
+        entry("Year 2", 2, 0, 1, 0.1),
+        entry("Awards", 1, 0, 1, 0.7),
+        entry("Declaration", 1, 1, 2, 0.1),
+      ]);
+
+      function titles(nodes) {
+        return nodes.map((node) =>
+          node.children.length > 0
+            ? [node.title, titles(node.children)]
+            : node.title
+        );
+      }
+
+      expect(titles(tree)).toEqual([
+        ["Transcript", [["Results", ["Year 1", "Year 2"]], "Awards"]],
+        "Declaration",
+      ]);
+      expect(tree[0].children[0].children[1]).toMatchObject({
+        pageIndex: 1,
+        top: 0.1,
+      });
+    });
+  });
+
+  describe("applyOutline", () => {
+    async function transcriptPdf() {
+      const pdfDoc = await PDFDocument.create();
+
+      [0, 1, 2].forEach(() => pdfDoc.addPage([595, 842]));
+      return pdfDoc;
+    }
+
+    const entries = [
+      entry("Transcript", 0, 0, 0),
+      entry("Results", 1, 0, 0, 0.5),
+      entry("Year 2", 2, 0, 1, 0.25),
+      entry("Declaration", 1, 1, 2),
+    ];
+
+    it("should link each bookmark to its page and position", async() => {
+      const pdfDoc = await transcriptPdf();
+
+      expect(applyOutline(pdfDoc, entries, resolveOutline(true))).toBe(4);
+
+      const saved = await PDFDocument.load(await pdfDoc.save());
+      const pageRefs = saved.getPages().map((page) => page.ref);
+      const outlines = saved.catalog.lookup(PDFName.of("Outlines"));
+
+      expect(outlines.get(PDFName.of("Count")).toString()).toBe("4");
+      expect(saved.catalog.get(PDFName.of("PageMode")).toString()).toBe(
+        "/UseOutlines"
+      );
+
+      const transcript = outlines.lookup(PDFName.of("First"));
+
+      expect(transcript.lookup(PDFName.of("Title")).decodeText()).toBe(
+        "Transcript"
+      );
+      expect(transcript.get(PDFName.of("Count")).toString()).toBe("2");
+
+      const yearTwo = transcript
+        .lookup(PDFName.of("First"))
+        .lookup(PDFName.of("First"));
+      const [pageRef, fit, , top] = yearTwo
+        .lookup(PDFName.of("Dest"))
+        .asArray();
+
+      expect(yearTwo.lookup(PDFName.of("Title")).decodeText()).toBe("Year 2");
+      expect(pageRef).toBe(pageRefs[1]);
+      expect(fit.toString()).toBe("/XYZ");
+      expect(top.asNumber()).toBe(631.5);
+
+      const declaration = transcript.lookup(PDFName.of("Next"));
+
+      expect(declaration.get(PDFName.of("Prev"))).toBe(
+        outlines.get(PDFName.of("First"))
+      );
+      expect(outlines.get(PDFName.of("Last"))).toBe(
+        transcript.get(PDFName.of("Next"))
+      );
+    });
+
+    it("should close bookmarks when not expanded", async() => {
+      const pdfDoc = await transcriptPdf();
+
+      applyOutline(pdfDoc, entries, resolveOutline({ expanded: false }));
+
+      const outlines = pdfDoc.catalog.lookup(PDFName.of("Outlines"));
+      const transcript = outlines.lookup(PDFName.of("First"));
+
+      expect(outlines.get(PDFName.of("Count")).toString()).toBe("2");
+      expect(transcript.get(PDFName.of("Count")).toString()).toBe("-1");
+    });
+
+    it("should leave documents without entries alone", async() => {
+      const pdfDoc = await transcriptPdf();
+
+      expect(applyOutline(pdfDoc, [], resolveOutline(true))).toBe(0);
+      expect(pdfDoc.catalog.get(PDFName.of("Outlines"))).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,186 @@
+const crypto = require("crypto");
+const forge = require("node-forge");
+const { PDFDocument, PDFName } = require("pdf-lib");
+const {
+  resolveSignature,
+  loadKeystore,
+  signPdf,
+  verifyPdfSignature,
+} = require("../utils/pdfSigning");
+
+const SIGNING_TIME = new Date("2024-03-01T12:00:00.000Z");
+
+// Self-signed RSA certificate packed into a PKCS#12 keystore
+function createKeystore(commonName, password) {
+  const { privateKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+  });
+  const key = forge.pki.privateKeyFromPem(
+    privateKey.export({ type: "pkcs8", format: "pem" })
+  );
+
+  const cert = forge.pki.createCertificate();
+
+  cert.publicKey = forge.pki.setRsaPublicKey(key.n, key.e);
+  cert.serialNumber = "01";
+  cert.validity.notBefore = new Date("2024-01-01T00:00:00Z");
+  cert.validity.notAfter = new Date("2034-01-01T00:00:00Z");
+  const attrs = [{ name: "commonName", value: commonName }];
+
+  cert.setSubject(attrs);
+  cert.setIssuer(attrs);
+  cert.sign(key, forge.md.sha256.create());
+
+  const p12 = forge.pkcs12.toPkcs12Asn1(key, [cert], password, {
+    algorithm: "3des",
+  });
+
+  return Buffer.from(forge.asn1.toDer(p12).getBytes(), "binary");
+}
+
+async function policyPdf(pageCount = 2) {
+  const pdfDoc = await PDFDocument.create();
+
+  for (let i = 0; i < pageCount; i += 1) {
+    pdfDoc.addPage([595, 842]);
+  }
+  return Buffer.from(await pdfDoc.save());
+}
+
+describe("PDF Signing", () => {
+  let keystore;
+
+  beforeAll(() => {
+    keystore = loadKeystore(
+      createKeystore("Example Insurance Ltd", "secret"),
+      "secret"
+    );
+  });
+
+  describe("resolveSignature", () => {
+    it("should treat true as an invisible signature", () => {
+      expect(resolveSignature(undefined)).toBeNull();
+      expect(resolveSignature(true)).toEqual({
+        visible: false,
+        position: "bottom-right",
+      });
+    });
+
+    it("should reject invalid settings", () => {
+      expect(() => resolveSignature("yes")).toThrow(/true or an object/);
+      expect(() => resolveSignature({ visible: "yes" })).toThrow(/visible/);
+      expect(() => resolveSignature({ reason: 1 })).toThrow(
+        /signature.reason must be a string/
+      );
+      expect(() => resolveSignature({ page: 0 })).toThrow(/page number/);
+      expect(() => resolveSignature({ position: "center" })).toThrow(
+        /Invalid signature position/
+      );
+    });
+  });
+
+  describe("loadKeystore", () => {
+    it("should read the key, certificate and signer name", () => {
+      expect(keystore.signerName).toBe("Example Insurance Ltd");
+      expect(keystore.fingerprint).toMatch(/^([0-9A-F]{2}:){31}[0-9A-F]{2}$/);
+    });
+
+    it("should explain a wrong password", () => {
+      expect(() =>
+        loadKeystore(createKeystore("Other", "secret"), "wrong")
+      ).toThrow(/Cannot read the signing keystore/);
+    });
+  });
+
+  describe("signPdf and verifyPdfSignature", () => {
+    it("should sign and verify an unmodified document", async() => {
+      const signed = await signPdf(
+        await policyPdf(),
+        resolveSignature({ reason: "Policy issued", location: "London" }),
+        keystore,
+        SIGNING_TIME
+      );
+      const report = await verifyPdfSignature(signed);
+
+      expect(report).toMatchObject({
+        signed: true,
+        unmodified: true,
+        coversWholeDocument: true,
+        signatureValid: true,
+        digestMatches: true,
+        signingTime: SIGNING_TIME,
+        name: "Example Insurance Ltd",
+        reason: "Policy issued",
+        location: "London",
+      });
+      expect(report.certificate.fingerprint).toBe(keystore.fingerprint);
+    });
+
+    it("should draw a visible signature on the requested page", async() => {
+      const signed = await signPdf(
+        await policyPdf(3),
+        resolveSignature({ visible: true, page: 2, position: "top-left" }),
+        keystore,
+        SIGNING_TIME
+      );
+      const pdfDoc = await PDFDocument.load(signed);
+      const annotations = pdfDoc.getPages().map((page) => page.node.lookup(PDFName.of("Annots")));
+
+      expect(annotations[0]).toBeUndefined();
+      const widget = pdfDoc.context.lookup(annotations[1].get(0));
+
+      expect(widget.get(PDFName.of("FT")).toString()).toBe("/Sig");
+      expect(widget.get(PDFName.of("AP"))).toBeDefined();
+      const [x1, , , y2] = widget
+        .lookup(PDFName.of("Rect"))
+        .asArray()
+        .map((value) => value.asNumber());
+
+      expect(x1).toBe(36);
+      expect(y2).toBe(842 - 36);
+    });
+
+    it("should detect changes made after signing", async() => {
+      const signed = await signPdf(
+        await policyPdf(),
+        resolveSignature(true),
+        keystore,
+        SIGNING_TIME
+      );
+
+      const tampered = Buffer.from(signed);
+      const at = tampered.indexOf("/MediaBox");
+
+      tampered.write("/MediaBoy", at, "latin1");
+      expect(await verifyPdfSignature(tampered)).toMatchObject({
+        signed: true,
+        unmodified: false,
+        digestMatches: false,
+      });
+
+      const appended = Buffer.concat([signed, Buffer.from("\n% update\n")]);
+
+      expect(await verifyPdfSignature(appended)).toMatchObject({
+        signed: true,
+        unmodified: false,
+        coversWholeDocument: false,
+      });
+    });
+
+    it("should report unsigned documents", async() => {
+      expect(await verifyPdfSignature(await policyPdf())).toEqual({
+        signed: false,
+      });
+    });
+
+    it("should refuse a page outside the document", async() => {
+      await expect(
+        signPdf(
+          await policyPdf(1),
+          resolveSignature({ visible: true, page: 3 }),
+          keystore
+        )
+      ).rejects.toThrow(/out of range/);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const { PDFDocument, PDFName } = require("pdf-lib");
+const {
+  parsePageRanges,
+  resolveWatermark,
+  applyWatermark,
+} = require("../utils/pdfWatermark");
+
+// 1x1 transparent PNG
+const PNG_BASE64 =
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==";
+
+async function blankPdf(pageCount) {
+  const pdfDoc = await PDFDocument.create();
+
+  for (let i = 0; i < pageCount; i += 1) {
+    pdfDoc.addPage([595, 842]);
+  }
+  return pdfDoc;
+}
+
+// Pages created by pdf-lib have no content stream until something is drawn
+function stampedPages(pdfDoc) {
+  return pdfDoc
+    .getPages()
+    .map((page, index) => (page.node.get(PDFName.of("Contents")) ? index + 1 : null))
+    .filter(Boolean);
+}
+
+describe("PDF Watermark", () => {
+  describe("parsePageRanges", () => {
+    it("should parse ranges, lists and open ranges", () => {
+      expect(parsePageRanges("all", 3)).toEqual([0, 1, 2]);
+      expect(parsePageRanges("1-2,4", 5)).toEqual([0, 1, 3]);
+      expect(parsePageRanges("3-", 5)).toEqual([2, 3, 4]);
+      expect(parsePageRanges([2, 9], 3)).toEqual([1]);
+    });
+
+    it("should reject malformed ranges", () => {
+      expect(() => parsePageRanges("1-a", 3)).toThrow(/Invalid page range/);
+      expect(() => parsePageRanges("3-1", 3)).toThrow(/Invalid page range/);
+      expect(() => parsePageRanges([0], 3)).toThrow(/Invalid page number/);
+    });
+
+    it("should stop ranges at the last page", () => {
+      expect(parsePageRanges("2-4000000000", 3)).toEqual([1, 2]);
+      expect(parsePageRanges("5-9", 3)).toEqual([]);
+    });
+  });
+
+  describe("resolveWatermark", () => {
+    it("should return null when no watermark is requested", () => {
+      expect(resolveWatermark(undefined)).toBeNull();
+    });
+
+    it("should default text watermarks to a diagonal stamp", () => {
+      const watermark = resolveWatermark({ text: "DRAFT" });
+
+      expect(watermark.rotation).toBe(45);
+      expect(watermark.opacity).toBe(0.3);
+      expect(watermark.position).toBe("center");
+      expect(watermark.pages).toBe("all");
+    });
+
+    it("should reject invalid settings", () => {
+      expect(() => resolveWatermark({})).toThrow(/either "text" or "image"/);
+      expect(() => resolveWatermark({ text: "A", image: PNG_BASE64 })).toThrow(
+        /either "text" or "image"/
+      );
+      expect(() => resolveWatermark({ text: "A", opacity: 2 })).toThrow(
+        /opacity/
+      );
+      expect(() => resolveWatermark({ text: "A", position: "middle" })).toThrow(
+        /position/
+      );
+      expect(() => resolveWatermark({ text: "A", color: "red" })).toThrow(
+        /Invalid colour/
+      );
+      expect(() => resolveWatermark({ text: "A", pages: "x" })).toThrow(
+        /Invalid page range/
+      );
+      expect(() => resolveWatermark({ image: "bm90IGFuIGltYWdl" })).toThrow(
+        /PNG or JPEG/
+      );
+    });
+
+    it("should accept open and oversized page ranges", () => {
+      expect(resolveWatermark({ text: "A", pages: "3-" }).pages).toBe("3-");
+      expect(
+        resolveWatermark({ text: "A", pages: "1-9007199254740991" }).pages
+      ).toBe("1-9007199254740991");
+    });
+  });
+
+  describe("applyWatermark", () => {
+    it("should stamp only the selected pages", async() => {
+      const pdfDoc = await blankPdf(4);
+
+      const count = await applyWatermark(
+        pdfDoc,
+        resolveWatermark({ text: "COPY", pages: "2-3", color: "#c00" })
+      );
+
+      expect(count).toBe(2);
+      expect(stampedPages(pdfDoc)).toEqual([2, 3]);
+    });
+
+    it("should stamp an image watermark", async() => {
+      const pdfDoc = await blankPdf(2);
+
+      await applyWatermark(
+        pdfDoc,
+        resolveWatermark({
+          image: `data:image/png;base64,${PNG_BASE64}`,
+          position: "bottom-right",
+          width: 100,
+        })
+      );
+
+      expect(stampedPages(pdfDoc)).toEqual([1, 2]);
+      await expect(pdfDoc.save()).resolves.toBeInstanceOf(Uint8Array);
+    });
+
+    it("should explain text the built-in font cannot draw", async() => {
+      const pdfDoc = await blankPdf(1);
+
+      await expect(
+        applyWatermark(pdfDoc, resolveWatermark({ text: "草稿" }))
+      ).rejects.toThrow(/cannot draw/);
+    });
+  });
+});
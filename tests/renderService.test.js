@@ -0,0 +1,510 @@
+const JSZip = require("jszip");
+const { JSDOM } = require("jsdom");
+const { PDFDocument } = require("pdf-lib");
+
+jest.mock("../services/browserPoolService", () => ({
+  withPage: jest.fn(),
+}));
+
+const { withPage } = require("../services/browserPoolService");
+const {
+  resolveImageOutput,
+  renderImages,
+  resolveParts,
+  renderPdf,
+  renderErrorPdf,
+  renderMergedPdf,
+  renderDocument,
+  previewDocument,
+  renderUrlPdf,
+} = require("../services/renderService");
+
+// Build a PDF whose pages have the given widths, so order can be checked
+async function pdfWithPageWidths(widths) {
+  const doc = await PDFDocument.create();
+
+  widths.forEach((width) => doc.addPage([width, 100]));
+  return Buffer.from(await doc.save());
+}
+
+// Page whose content asks for the given URLs through request interception
+async function pageLoading(urls) {
+  const requests = urls.map((url) => ({
+    url: () => url,
+    continue: jest.fn(async() => undefined),
+    abort: jest.fn(async() => undefined),
+    isInterceptResolutionHandled: jest.fn(() => false),
+  }));
+  let onRequest;
+
+  return {
+    requests,
+    setRequestInterception: jest.fn(async() => undefined),
+    on: jest.fn((event, handler) => {
+      onRequest = handler;
+    }),
+    setContent: jest.fn(async() => {
+      requests.forEach((request) => onRequest(request));
+      await new Promise((resolve) => setImmediate(resolve));
+    }),
+    pdf: jest.fn(async() => pdfWithPageWidths([100])),
+  };
+}
+
+// Minimal stand-in for a Puppeteer page with `pageCount` bundle pages
+function fakePage(pageCount) {
+  const handles = Array.from({ length: pageCount }, (_, index) => ({
+    screenshot: jest.fn(async() => Buffer.from(`page ${index + 1}`)),
+  }));
+
+  return {
+    handles,
+    setViewport: jest.fn(async() => undefined),
+    emulateMediaType: jest.fn(async() => undefined),
+    setRequestInterception: jest.fn(async() => undefined),
+    on: jest.fn(),
+    setContent: jest.fn(async() => undefined),
+    evaluate: jest.fn(async() => (pageCount > 0 ? 794 : 0)),
+    $$: jest.fn(async() => handles),
+    screenshot: jest.fn(async() => Buffer.from("full page")),
+  };
+}
+
+describe("Render Service", () => {
+  describe("resolveImageOutput", () => {
+    it("should return null for PDF output", () => {
+      expect(resolveImageOutput(undefined)).toBeNull();
+      expect(resolveImageOutput({ format: "pdf" })).toBeNull();
+    });
+
+    it("should fill in defaults and accept jpg as jpeg", () => {
+      expect(resolveImageOutput({ format: "jpg", quality: 80 })).toEqual({
+        format: "jpeg",
+        mode: "pages",
+        quality: 80,
+        deviceScaleFactor: 1,
+        clip: undefined,
+      });
+    });
+
+    it("should reject invalid settings", () => {
+      expect(() => resolveImageOutput({ format: "gif" })).toThrow(
+        /Unsupported output.format/
+      );
+      expect(() => resolveImageOutput({ format: "png", quality: 80 })).toThrow(
+        /jpeg and webp/
+      );
+      expect(() =>
+        resolveImageOutput({ format: "webp", deviceScaleFactor: 10 })
+      ).toThrow(/deviceScaleFactor/);
+      expect(() =>
+        resolveImageOutput({ format: "png", clip: { x: 0, y: 0 } })
+      ).toThrow(/output.clip/);
+      expect(() =>
+        resolveImageOutput({ format: "png", mode: "thumbnail" })
+      ).toThrow(/output.mode/);
+    });
+  });
+
+  describe("renderImages", () => {
+    it("should return a single image when there is one page", async() => {
+      const page = fakePage(1);
+
+      withPage.mockImplementation((fn) => fn(page));
+
+      const result = await renderImages("<section class='page'></section>", {
+        format: "png",
+        mode: "pages",
+        deviceScaleFactor: 2,
+      });
+
+      expect(result.contentType).toBe("image/png");
+      expect(result.imageCount).toBe(1);
+      expect(result.buffer.toString()).toBe("page 1");
+      expect(page.setViewport).toHaveBeenLastCalledWith({
+        width: 794,
+        height: 768,
+        deviceScaleFactor: 2,
+      });
+    });
+
+    it("should zip multi-page output named by page index", async() => {
+      const page = fakePage(3);
+
+      withPage.mockImplementation((fn) => fn(page));
+
+      const result = await renderImages("<html></html>", {
+        format: "jpeg",
+        mode: "pages",
+        quality: 70,
+        deviceScaleFactor: 1,
+      });
+
+      expect(result.contentType).toBe("application/zip");
+      expect(result.imageCount).toBe(3);
+      expect(page.handles[0].screenshot).toHaveBeenCalledWith({
+        type: "jpeg",
+        quality: 70,
+      });
+
+      const zip = await JSZip.loadAsync(result.buffer);
+
+      expect(Object.keys(zip.files)).toEqual([
+        "page-1.jpg",
+        "page-2.jpg",
+        "page-3.jpg",
+      ]);
+      expect(await zip.file("page-2.jpg").async("string")).toBe("page 2");
+    });
+
+    it("should capture the whole document in fullPage mode", async() => {
+      const page = fakePage(2);
+
+      withPage.mockImplementation((fn) => fn(page));
+
+      const result = await renderImages("<html></html>", {
+        format: "webp",
+        mode: "fullPage",
+        deviceScaleFactor: 1,
+      });
+
+      expect(result.contentType).toBe("image/webp");
+      expect(page.screenshot).toHaveBeenCalledWith({
+        type: "webp",
+        fullPage: true,
+      });
+      expect(page.handles[0].screenshot).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("merge mode", () => {
+    it("should validate parts and name the bad one", () => {
+      expect(() => resolveParts([])).toThrow(/non-empty array/);
+      expect(() =>
+        resolveParts([{ html: "<p>ok</p>" }, { pdf: "bm90IGEgcGRm" }])
+      ).toThrow(/^Part 2: "pdf" is not a base64-encoded PDF$/);
+      expect(() => resolveParts([{ html: "<p>ok</p>" }, {}])).toThrow(
+        /^Part 2: Either "html"/
+      );
+    });
+
+    it("should concatenate parts in order, keeping page order", async() => {
+      const terms = await pdfWithPageWidths([301, 302]);
+      const page = {
+        setRequestInterception: jest.fn(async() => undefined),
+        on: jest.fn(),
+        setContent: jest.fn(async() => undefined),
+        pdf: jest
+          .fn()
+          .mockResolvedValueOnce(await pdfWithPageWidths([101]))
+          .mockResolvedValueOnce(await pdfWithPageWidths([201, 202])),
+      };
+
+      withPage.mockImplementation((fn) => fn(page));
+
+      const parts = resolveParts([
+        { html: "<p>schedule</p>" },
+        { htmlContent: "<p>certificate</p>" },
+        { pdf: `data:application/pdf;base64,${terms.toString("base64")}` },
+      ]);
+      const { pdfBuffer } = await renderMergedPdf(parts, { format: "A4" });
+
+      const merged = await PDFDocument.load(pdfBuffer);
+
+      expect(merged.getPages().map((p) => p.getWidth())).toEqual([
+        101, 201, 202, 301, 302,
+      ]);
+      expect(page.setContent.mock.calls.map(([markup]) => markup)).toEqual([
+        "<p>schedule</p>",
+        "<p>certificate</p>",
+      ]);
+    });
+
+    it("should move outline entries to the pages they land on", async() => {
+      const terms = await pdfWithPageWidths([301]);
+      const page = {
+        setRequestInterception: jest.fn(async() => undefined),
+        on: jest.fn(),
+        setContent: jest.fn(async() => undefined),
+        evaluate: jest
+          .fn()
+          .mockResolvedValueOnce({
+            pageCount: 1,
+            entries: [
+              { title: "Schedule", level: 0, section: 0, pageIndex: 0, top: 0 },
+            ],
+          })
+          .mockResolvedValueOnce({ pageCount: 0, entries: [] })
+          .mockResolvedValueOnce({
+            pageCount: 2,
+            entries: [
+              { title: "Claims", level: 1, section: 0, pageIndex: 1, top: 0.5 },
+            ],
+          }),
+        pdf: jest
+          .fn()
+          .mockResolvedValueOnce(await pdfWithPageWidths([101]))
+          .mockResolvedValueOnce(await pdfWithPageWidths([201]))
+          .mockResolvedValueOnce(await pdfWithPageWidths([401, 402])),
+      };
+
+      withPage.mockImplementation((fn) => fn(page));
+
+      const parts = resolveParts([
+        { html: "<p>schedule</p>" },
+        { html: "<h1>letter</h1>" },
+        { pdf: terms.toString("base64") },
+        { html: "<p>claims</p>" },
+      ]);
+      const { outlineEntries } = await renderMergedPdf(
+        parts,
+        {},
+        { maxHeadingLevel: 3, expanded: true }
+      );
+
+      // The letter has no bundle pages, so Chromium builds its outline
+      expect(page.pdf.mock.calls[1][0].outline).toBe(true);
+      expect(outlineEntries).toEqual([
+        { title: "Schedule", level: 0, section: "0:0", pageIndex: 0, top: 0 },
+        { title: "Claims", level: 1, section: "3:0", pageIndex: 4, top: 0.5 },
+      ]);
+    });
+  });
+
+  describe("external resources", () => {
+    const logo = "https://93.184.216.34/logo.png";
+    const inline = "data:image/png;base64,iVBORw0KGgo=";
+
+    it("should only let bundles that allow it load external resources", () => {
+      const ticket = require("../test-data/Templates/01_event_ticket.json");
+
+      function bundle(security) {
+        return { pdfDocumentBundle: { ...ticket.pdfDocumentBundle, security } };
+      }
+      const parts = resolveParts([
+        { html: "<p>letter</p>" },
+        bundle({ allowExternalResources: true }),
+        bundle({ sanitizeHtml: true }),
+      ]);
+
+      expect(parts.map((part) => part.allowExternal)).toEqual([
+        true,
+        true,
+        false,
+      ]);
+    });
+
+    it("should abort and report refused requests", async() => {
+      const page = await pageLoading([inline, logo, logo]);
+
+      withPage.mockImplementation((fn) => fn(page));
+
+      const { blockedRequests } = await renderPdf("<img>", {}, null, {
+        allowExternal: false,
+      });
+
+      expect(page.setRequestInterception).toHaveBeenCalledWith(true);
+      expect(page.requests[0].continue).toHaveBeenCalled();
+      expect(page.requests[1].abort).toHaveBeenCalledWith("blockedbyclient");
+      expect(blockedRequests).toEqual([
+        { url: logo, reason: expect.stringMatching(/allowExternalResources/) },
+      ]);
+    });
+
+    it("should apply the allowlists when external resources are allowed", async() => {
+      const page = await pageLoading([logo, "https://10.0.0.8/logo.png"]);
+
+      withPage.mockImplementation((fn) => fn(page));
+
+      const { blockedRequests } = await renderPdf("<img>", {}, null, {
+        allowExternal: true,
+        accountAllowlist: ["93.184.216.34"],
+      });
+
+      expect(page.requests[0].continue).toHaveBeenCalled();
+      expect(blockedRequests).toEqual([
+        {
+          url: "https://10.0.0.8/logo.png",
+          reason: expect.stringMatching(/private or reserved address/),
+        },
+      ]);
+    });
+
+    it("should abort and report requests whose check fails", async() => {
+      const page = await pageLoading([inline]);
+
+      page.requests[0].continue.mockRejectedValueOnce(new Error("reset"));
+      withPage.mockImplementation((fn) => fn(page));
+
+      const { blockedRequests } = await renderPdf("<img>", {}, null, {
+        allowExternal: false,
+      });
+
+      expect(page.requests[0].abort).toHaveBeenCalledWith("blockedbyclient");
+      expect(blockedRequests).toEqual([
+        { url: inline, reason: expect.stringMatching(/could not be checked/) },
+      ]);
+    });
+  });
+
+  describe("renderUrlPdf", () => {
+    it("should fail the render when the page's own check fails", async() => {
+      const url = "https://93.184.216.34/invoice";
+      const mainFrame = {};
+      const navigation = {
+        url: () => url,
+        headers: () => ({}),
+        isNavigationRequest: () => true,
+        frame: () => mainFrame,
+        continue: jest.fn(async() => {
+          throw new Error("reset");
+        }),
+        abort: jest.fn(async() => undefined),
+        isInterceptResolutionHandled: jest.fn(() => false),
+      };
+      let onRequest;
+      const page = {
+        setRequestInterception: jest.fn(async() => undefined),
+        mainFrame: () => mainFrame,
+        on: jest.fn((event, handler) => {
+          onRequest = handler;
+        }),
+        goto: jest.fn(async() => {
+          onRequest(navigation);
+          await new Promise((resolve) => setImmediate(resolve));
+          throw new Error("net::ERR_BLOCKED_BY_CLIENT");
+        }),
+      };
+
+      withPage.mockImplementation((fn) => fn(page));
+
+      await expect(renderUrlPdf({ url })).rejects.toMatchObject({
+        code: "URL_NOT_ALLOWED",
+      });
+      expect(navigation.abort).toHaveBeenCalledWith("blockedbyclient");
+    });
+  });
+
+  describe("renderErrorPdf", () => {
+    it("should render the error document with the request id", async() => {
+      const page = await pageLoading(["https://93.184.216.34/font.woff2"]);
+
+      withPage.mockImplementation((fn) => fn(page));
+
+      const pdfBuffer = await renderErrorPdf(
+        "Part 2: \"pdf\" is not a base64-encoded PDF <script>",
+        "req_m1x2_ab12"
+      );
+
+      const [[markup]] = page.setContent.mock.calls;
+
+      expect(markup).toContain(
+        "Part 2: \"pdf\" is not a base64-encoded PDF &lt;script&gt;"
+      );
+      expect(markup).toContain("req_m1x2_ab12");
+      expect(page.requests[0].abort).toHaveBeenCalledWith("blockedbyclient");
+      expect(page.pdf).toHaveBeenCalledWith(
+        expect.objectContaining({ format: "A4" })
+      );
+      expect(Buffer.isBuffer(pdfBuffer)).toBe(true);
+    });
+  });
+
+  describe("renderDocument", () => {
+    afterEach(() => {
+      delete global.document;
+      delete global.window;
+    });
+
+    it("should report page count, stage timings and clipped pages", async() => {
+      const page = await pageLoading([]);
+      const { setContent } = page;
+
+      page.setContent = jest.fn(async(...args) => {
+        await setContent(...args);
+        await new Promise((resolve) => setTimeout(resolve, 30));
+      });
+      page.evaluate = jest.fn(async(fn) => {
+        global.document = new JSDOM(
+          "<section class=\"page\"><main class=\"body\"></main></section>" +
+            "<section class=\"page\"><main class=\"body\"></main></section>"
+        ).window.document;
+        global.window = { paginatorMs: 12.4 };
+        // The second page's content is taller than its body
+        const [, body] = global.document.querySelectorAll("main.body");
+
+        Object.defineProperty(body, "scrollHeight", { value: 900 });
+        Object.defineProperty(body, "clientHeight", { value: 700 });
+        return fn();
+      });
+      withPage.mockImplementation((fn) => fn(page));
+
+      const { report } = await renderDocument({
+        html: "<section class=\"page\"><main class=\"body\">Cover</main></section>",
+      });
+
+      expect(report.pageCount).toBe(1);
+      expect(report.clippedPages).toEqual([2]);
+      expect(report.timings.paginate).toBe(12);
+      expect(Object.keys(report.timings)).toEqual([
+        "build",
+        "load",
+        "paginate",
+        "pdf",
+        "compress",
+        "postProcess",
+        "total",
+      ]);
+      expect(report.timings.total).toBeGreaterThanOrEqual(
+        report.timings.load + report.timings.paginate
+      );
+    });
+  });
+
+  describe("previewDocument", () => {
+    const ticket = require("../test-data/Templates/01_event_ticket.json");
+
+    afterEach(() => {
+      delete global.document;
+    });
+
+    it("should return the generated markup without rendering", async() => {
+      withPage.mockClear();
+
+      const { html, pageCount } = await previewDocument(ticket);
+
+      expect(withPage).not.toHaveBeenCalled();
+      expect(pageCount).toBeNull();
+      expect(html).toContain("<style id=\"insure-layout\">");
+      expect(html).toContain("<script id=\"insure-paginator\">");
+    });
+
+    it("should snapshot the DOM after pagination", async() => {
+      const page = await pageLoading([]);
+
+      page.evaluate = jest.fn(async(fn) => {
+        // Two pages as the paginator leaves them, one a continuation
+        global.document = new JSDOM(
+          "<div class=\"document\"><section class=\"page\"></section>" +
+            "<section class=\"page\" data-continuation></section></div>" +
+            "<script id=\"insure-paginator\"></script>"
+        ).window.document;
+        return fn();
+      });
+      page.content = jest.fn(async() => global.document.body.outerHTML);
+      withPage.mockImplementation((fn) => fn(page));
+
+      const { html, pageCount, blockedRequests } = await previewDocument({
+        ...ticket,
+        mode: "paginated",
+      });
+
+      expect(page.setRequestInterception).toHaveBeenCalledWith(true);
+      expect(page.setContent.mock.calls[0][0]).toContain("insure-paginator");
+      expect(pageCount).toBe(2);
+      expect(html).not.toContain("<script");
+      expect(html).toContain("data-preview-page=\"2\"");
+      expect(blockedRequests).toEqual([]);
+    });
+  });
+});
@@ -57,8 +57,12 @@ function buildScriptTags(scripts = []) {
     .join("");
 }
 
-function buildErrorHtml(message) {
+function buildErrorHtml(message, requestId) {
   const safe = htmlEscape(message);
+  const reference = requestId
+    ? `\n    <p><strong>Reference:</strong> <code>${htmlEscape(requestId)}</code></p>`
+    : "";
+
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -77,7 +81,7 @@ function buildErrorHtml(message) {
   <section class="page">
     <h1>Something went wrong</h1>
     <p>Please contact us via our online chat, report the issue and we may be able to provide you with a policy certificate manually.</p>
-    <p><strong>Detail:</strong> <code>${safe}</code></p>
+    <p><strong>Detail:</strong> <code>${safe}</code></p>${reference}
   </section>
 </body>
 </html>`;
@@ -308,6 +312,26 @@ main.body::before{
 .flow > *{ break-inside: avoid; }
 .forcePageEnd{ page-break-after:always; break-after:page; }
 
+/* Table of contents filled in by the paginator (nav[data-toc]) */
+.toc-title{ font-size:1.25em; font-weight:600; margin:0 0 4mm; }
+.toc-list{ list-style:none; margin:0; padding:0; }
+.toc-entry{ margin:0 0 1.5mm; }
+.toc-entry[data-level="0"]{ font-weight:600; }
+.toc-entry a{ display:flex; align-items:baseline; color:inherit; text-decoration:none; }
+.toc-text{ min-width:0; }
+.toc-leader{ flex:1 1 auto; margin:0 2mm; border-bottom:1px dotted currentColor; }
+nav[data-toc][data-leaders="false"] .toc-leader{ border-bottom:0; }
+.toc-page{ flex:none; font-variant-numeric:tabular-nums; }
+
+/* Footnotes and endnotes placed by the paginator (span[data-footnote]) */
+.footnote-ref{ font-size:0.75em; line-height:0; vertical-align:super; }
+.footnote-ref a{ color:inherit; text-decoration:none; }
+.footnotes{ position:absolute; left:var(--pad-h); right:var(--pad-h); font-size:0.8em; }
+.footnotes::before{ content:""; display:block; width:30%; margin:0 0 1.5mm; border-top:0.5pt solid currentColor; }
+.footnote{ display:flex; gap:1.5mm; margin:0 0 1mm; }
+.footnote-number{ flex:none; }
+.endnotes-title{ font-size:1.25em; font-weight:600; margin:0 0 4mm; }
+
 @media print{
   @page{ size: ${width} ${height}; margin:0; }
   body{ -webkit-print-color-adjust: exact; print-color-adjust: exact; }
@@ -316,10 +340,67 @@ main.body::before{
 </style>`;
 }
 
-function paginatorScript() {
+// Table of contents settings: layout.toc is true or an object, and the
+// defaults also apply to nav[data-toc] placeholders
+function tocOptions(layout = {}) {
+  const toc = layout.toc && typeof layout.toc === "object" ? layout.toc : {};
+
+  return {
+    depth:
+      Number.isInteger(toc.depth) && toc.depth >= 0 && toc.depth <= 6
+        ? toc.depth
+        : 2,
+    leaders: toc.leaders !== false,
+    title: typeof toc.title === "string" ? toc.title : "Contents",
+    afterPage:
+      Number.isInteger(toc.afterPage) && toc.afterPage > 0
+        ? toc.afterPage
+        : 0,
+  };
+}
+
+// Footnote settings: notes go to the foot of their page, or with mode
+// "endnote" to a closing page
+function footnoteOptions(layout = {}) {
+  const footnotes =
+    layout.footnotes && typeof layout.footnotes === "object"
+      ? layout.footnotes
+      : {};
+
+  return {
+    mode: footnotes.mode === "endnote" ? "endnote" : "footnote",
+    title: typeof footnotes.title === "string" ? footnotes.title : "Notes",
+  };
+}
+
+// Paginator settings from the bundle layout, as a script-safe JSON literal
+function paginatorOptions(layout = {}) {
+  const tables = layout.tables || {};
+  const { depth, leaders, title } = tocOptions(layout);
+  const options = {
+    tables: {
+      continuedCaption:
+        typeof tables.continuedCaption === "string"
+          ? tables.continuedCaption
+          : "",
+      repeatFooter: tables.repeatFooter === true,
+    },
+    keepHeadingsWithNext: layout.keepHeadingsWithNext === true,
+    toc: { depth, leaders, title },
+    footnotes: footnoteOptions(layout),
+  };
+
+  return JSON.stringify(options).replace(/</g, "\\u003c");
+}
+
+function paginatorScript(layout = {}) {
   return `<script id="insure-paginator">
 window.addEventListener('load', () => {
   const BUFFER = 2;
+  const OPTIONS = ${paginatorOptions(layout)};
+  const paginateStarted = performance.now();
+  const rootCS = getComputedStyle(document.documentElement);
+  const safeBottomOffset = parseFloat(rootCS.getPropertyValue('--safe-bottom-offset')) || 0;
 
   // Apply page-specific header/footer heights
   function applyPageSpecificHeights() {
@@ -391,6 +472,9 @@ window.addEventListener('load', () => {
 
   function makePageAfter(prevPage){
     const clone = prevPage.cloneNode(true);
+    // Overflow page of the same section (the outline lists its title once)
+    clone.setAttribute('data-continuation', '');
+    clone.removeAttribute('id');
     const cBody = clone.querySelector('main.body');
     cBody.innerHTML = '';
     const cFlow = document.createElement('div'); cFlow.className = 'flow';
@@ -438,6 +522,360 @@ window.addEventListener('load', () => {
     return { page: clone, body: cBody, flow: cFlow };
   }
 
+  // Lowest point content may reach on a page: the inside edge of the body
+  // padding, minus the safe offset and the page's footnotes
+  function safeBottomOf(cur){
+    const bodyRect = cur.body.getBoundingClientRect();
+    const padBottom = parseFloat(getComputedStyle(cur.body).paddingBottom) || 0;
+    const notes = cur.body.querySelector(':scope > .footnotes');
+    const notesHeight = notes ? notes.getBoundingClientRect().height : 0;
+    return bodyRect.bottom - padBottom - safeBottomOffset - notesHeight;
+  }
+
+  function overflows(el, cur){
+    placeFootnotes(cur);
+    return el.getBoundingClientRect().bottom > safeBottomOf(cur) - BUFFER;
+  }
+
+  // Whether el would fit on a page of its own
+  function fitsEmptyPage(el, cur){
+    const top = cur.flow.getBoundingClientRect().top;
+    return el.getBoundingClientRect().height <= safeBottomOf(cur) - BUFFER - top;
+  }
+
+  // Rows that must stay on one page: a row and the rows its cells span into
+  function rowGroups(table){
+    const groups = [];
+    Array.from(table.tBodies).forEach(tbody => {
+      let group = null;
+      let spanned = 0;
+      Array.from(tbody.rows).forEach(row => {
+        if(!group || spanned <= 0){
+          group = { tbody, rows: [] };
+          groups.push(group);
+        }
+        group.rows.push(row);
+        const span = Math.max(1, ...Array.from(row.cells).map(cell => cell.rowSpan || 1));
+        spanned = Math.max(spanned - 1, span - 1);
+      });
+    });
+    return groups;
+  }
+
+  // Caption of a continuation fragment; "{caption}" stands for the original
+  function continuedCaption(table){
+    const template = table.hasAttribute('data-continued-caption')
+      ? table.getAttribute('data-continued-caption')
+      : OPTIONS.tables.continuedCaption;
+    const original = table.caption ? table.caption.textContent.trim() : '';
+    return template.split('{caption}').join(original).trim();
+  }
+
+  // Empty copy of a table for one page: caption, column groups and header
+  function tableFragment(table, continued){
+    const fragment = table.cloneNode(false);
+    if(continued){
+      fragment.removeAttribute('id');
+      fragment.setAttribute('data-continuation', '');
+      const text = continuedCaption(table);
+      if(text){
+        const caption = document.createElement('caption');
+        caption.className = 'continued-caption';
+        caption.textContent = text;
+        fragment.appendChild(caption);
+      }
+    } else if(table.caption){
+      fragment.appendChild(table.caption.cloneNode(true));
+    }
+    table.querySelectorAll(':scope > colgroup').forEach(cols => fragment.appendChild(cols.cloneNode(true)));
+    if(table.tHead) fragment.appendChild(table.tHead.cloneNode(true));
+    return fragment;
+  }
+
+  // Split a table row by row over as many pages as it needs. The header
+  // repeats on every page; the footer closes the last page, or every page
+  // with data-repeat-footer (layout.tables.repeatFooter).
+  function splitTable(table, cur, pages){
+    const groups = rowGroups(table);
+    const foot = table.tFoot;
+    const repeatFooter = table.hasAttribute('data-repeat-footer')
+      ? table.getAttribute('data-repeat-footer') !== 'false'
+      : OPTIONS.tables.repeatFooter;
+
+    let fragment, bodies, placed;
+    function start(continued){
+      fragment = tableFragment(table, continued);
+      bodies = new Map();
+      placed = 0;
+      // A footer row group renders last wherever it sits in the table
+      if(foot && repeatFooter) fragment.appendChild(foot.cloneNode(true));
+      cur.flow.appendChild(fragment);
+    }
+    function bodyFor(group){
+      if(!bodies.has(group.tbody)){
+        const tbody = group.tbody.cloneNode(false);
+        fragment.appendChild(tbody);
+        bodies.set(group.tbody, tbody);
+      }
+      return bodies.get(group.tbody);
+    }
+    function take(group){
+      group.rows.forEach(row => row.remove());
+      const tbody = bodies.get(group.tbody);
+      if(tbody && tbody.rows.length === 0){
+        tbody.remove();
+        bodies.delete(group.tbody);
+      }
+    }
+    function nextPage(continued){
+      cur = makePageAfter(cur.page);
+      pages.push(cur.page);
+      start(continued);
+    }
+
+    table.remove();
+    start(false);
+    for(const group of groups){
+      group.rows.forEach(row => bodyFor(group).appendChild(row));
+      if(overflows(fragment, cur)){
+        if(placed > 0){
+          take(group);
+          nextPage(true);
+          group.rows.forEach(row => bodyFor(group).appendChild(row));
+        } else if(cur.flow.firstElementChild !== fragment){
+          // Not even the first rows fit below the content above
+          const kept = keptWithNext(fragment, cur);
+          take(group);
+          fragment.remove();
+          nextPage(false);
+          kept.forEach(prev => cur.flow.insertBefore(prev, fragment));
+          group.rows.forEach(row => bodyFor(group).appendChild(row));
+        }
+      }
+      placed++;
+    }
+
+    if(foot && !repeatFooter){
+      const footer = foot.cloneNode(true);
+      fragment.appendChild(footer);
+      if(overflows(fragment, cur) && placed > 1){
+        const last = groups[groups.length - 1];
+        footer.remove();
+        take(last);
+        nextPage(true);
+        last.rows.forEach(row => bodyFor(last).appendChild(row));
+        fragment.appendChild(footer);
+      }
+    }
+    return cur;
+  }
+
+  // CSS pixels in an absolute length; plain numbers are millimetres
+  function lengthToPx(length){
+    const match = /^\\s*(\\d+(?:\\.\\d+)?)\\s*(mm|cm|in|pt|px)?\\s*$/i.exec(String(length));
+    if(!match) return NaN;
+    const unit = (match[2] || 'mm').toLowerCase();
+    const perUnit = { mm: 96 / 25.4, cm: 96 / 2.54, in: 96, pt: 96 / 72, px: 1 };
+    return parseFloat(match[1]) * perUnit[unit];
+  }
+
+  function breaksBefore(el){
+    const cs = getComputedStyle(el);
+    return /^(page|always|left|right|recto|verso)$/.test(cs.breakBefore || '') ||
+      /^(always|left|right)$/.test(cs.pageBreakBefore || '');
+  }
+
+  function breaksAfter(el){
+    const cs = getComputedStyle(el);
+    return /^(page|always|left|right|recto|verso)$/.test(cs.breakAfter || '') ||
+      /^(always|left|right)$/.test(cs.pageBreakAfter || '');
+  }
+
+  // data-keep-with-next, on for headings with layout.keepHeadingsWithNext
+  function keepsWithNext(el){
+    if(el.hasAttribute('data-keep-with-next')){
+      return el.getAttribute('data-keep-with-next') !== 'false';
+    }
+    return OPTIONS.keepHeadingsWithNext && /^H[1-6]$/.test(el.tagName);
+  }
+
+  // Whether the space left on the page meets el's data-min-space hint
+  function hasRoomFor(el, cur){
+    const minSpace = lengthToPx(el.getAttribute('data-min-space'));
+    if(!el.hasAttribute('data-min-space') || isNaN(minSpace)) return true;
+    const last = cur.flow.lastElementChild;
+    const used = last ? last.getBoundingClientRect().bottom : cur.flow.getBoundingClientRect().top;
+    return safeBottomOf(cur) - BUFFER - used >= minSpace;
+  }
+
+  // Elements right before el that must move to the next page with it,
+  // unless that would leave this page empty
+  function keptWithNext(el, cur){
+    const kept = [];
+    for(let prev = el.previousElementSibling; prev && keepsWithNext(prev); prev = prev.previousElementSibling){
+      kept.unshift(prev);
+    }
+    return kept.length < Array.from(cur.flow.children).indexOf(el) ? kept : [];
+  }
+
+  function isSplittableTable(el){
+    return el.tagName === 'TABLE' && el.tBodies.length > 0;
+  }
+
+  // Replaced and form elements, which never break inside
+  const ATOMIC_TAGS = /^(img|svg|canvas|video|iframe|object|embed|table|hr|input|textarea|select|button)$/i;
+
+  function isBlock(el){
+    return /^(block|list-item|flow-root)$/.test(getComputedStyle(el).display);
+  }
+
+  // Paragraphs, lists and plain block containers can break across pages
+  function isBreakable(el){
+    return !ATOMIC_TAGS.test(el.tagName) && isBlock(el);
+  }
+
+  // Elements to move whole: unbreakable ones, and break-inside: avoid or
+  // data-keep-together where the element fits on a page (taller ones
+  // cannot be kept whole)
+  function keepsTogether(el, cur){
+    if(!isBreakable(el)) return true;
+    const cs = getComputedStyle(el);
+    const avoid = el.hasAttribute('data-keep-together') ||
+      /^avoid/.test(cs.breakInside || '') || cs.pageBreakInside === 'avoid';
+    return avoid && fitsEmptyPage(el, cur);
+  }
+
+  function hasBlockChildren(el){
+    return Array.from(el.children).some(child => getComputedStyle(child).display !== 'none' && !/^inline/.test(getComputedStyle(child).display || 'inline'));
+  }
+
+  function before(el){
+    return { node: el.parentNode, offset: Array.from(el.parentNode.childNodes).indexOf(el) };
+  }
+
+  // First word of each line of a block of text, with the line's bottom
+  function lineStarts(block){
+    const lines = [];
+    const walker = document.createTreeWalker(block, NodeFilter.SHOW_TEXT);
+    const range = document.createRange();
+    let lastTop = null;
+    for(let node = walker.nextNode(); node; node = walker.nextNode()){
+      const words = /\\S+/g;
+      let match;
+      while((match = words.exec(node.data))){
+        range.setStart(node, match.index);
+        range.setEnd(node, match.index + match[0].length);
+        const rect = range.getBoundingClientRect();
+        if(lastTop === null || rect.top > lastTop + 1){
+          lines.push({ node, offset: match.index, bottom: rect.bottom });
+          lastTop = rect.top;
+        } else {
+          const line = lines[lines.length - 1];
+          line.bottom = Math.max(line.bottom, rect.bottom);
+        }
+      }
+    }
+    return lines;
+  }
+
+  // Break a block of text at the first line below the limit, keeping the
+  // orphans and widows minimums; null if it cannot break there
+  function lineBreak(block, limit){
+    const lines = lineStarts(block);
+    const at = lines.findIndex(line => line.bottom > limit);
+    if(at < 0) return null;
+    const cs = getComputedStyle(block);
+    const orphans = parseInt(cs.orphans, 10) || 2;
+    const widows = parseInt(cs.widows, 10) || 2;
+    const line = Math.min(at, lines.length - widows);
+    if(line < orphans) return null;
+    return { node: lines[line].node, offset: lines[line].offset, block };
+  }
+
+  // Where content of el first crosses the limit: between lines of text,
+  // list items or child blocks, descending into children that can break
+  function findBreak(el, limit, cur){
+    if(!hasBlockChildren(el)) return lineBreak(el, limit);
+    for(const child of Array.from(el.children)){
+      const rect = child.getBoundingClientRect();
+      if(rect.bottom <= limit) continue;
+      if(rect.top >= limit || keepsTogether(child, cur)) return before(child);
+      return findBreak(child, limit, cur) || before(child);
+    }
+    return null;
+  }
+
+  // Whether nothing of el comes before the break
+  function isAtStart(el, point){
+    const range = document.createRange();
+    range.setStart(el, 0);
+    range.setEnd(point.node, point.offset);
+    const content = range.cloneContents();
+    return !content.textContent.trim() && !content.querySelector('img,svg,canvas,video,iframe,object,embed,table,hr,input,textarea,select,button');
+  }
+
+  // Move everything of el after the break into a continuation element.
+  // Elements cut in two are copied without their id; ordered lists carry
+  // on numbering, and a list item cut in two shows its marker only once.
+  function splitAt(el, point){
+    let { node, offset } = point;
+    while(offset === 0 && node !== el){
+      offset = Array.from(node.parentNode.childNodes).indexOf(node);
+      node = node.parentNode;
+    }
+
+    const range = document.createRange();
+    range.setStart(node, offset);
+    range.setEnd(el, el.childNodes.length);
+
+    const cut = [];
+    for(let n = node.nodeType === 1 ? node : node.parentNode; n !== el.parentNode; n = n.parentNode){
+      cut.unshift(n);
+    }
+    const starts = cut.map(n => n.tagName === 'OL'
+      ? n.start + Array.from(n.children).filter(li => li.tagName === 'LI' && range.comparePoint(li, li.childNodes.length) < 0).length
+      : null);
+    if(point.block && getComputedStyle(point.block).textAlign === 'justify'){
+      point.block.style.textAlignLast = 'justify';
+    }
+
+    const rest = el.cloneNode(false);
+    rest.appendChild(range.extractContents());
+    rest.setAttribute('data-continuation', '');
+    let copy = rest;
+    cut.forEach((original, index) => {
+      if(index > 0) copy = copy.firstElementChild;
+      copy.removeAttribute('id');
+      if(starts[index] !== null) copy.setAttribute('start', String(starts[index]));
+      if(original.tagName === 'LI') copy.style.listStyleType = 'none';
+      if(original === point.block) copy.style.textIndent = '0';
+    });
+    return rest;
+  }
+
+  // Break an element taller than a page over as many pages as it needs
+  function splitBlock(el, cur, pages){
+    let part = el;
+    while(overflows(part, cur)){
+      const point = findBreak(part, safeBottomOf(cur) - BUFFER, cur);
+      let rest = part;
+      if(point && !isAtStart(part, point)){
+        rest = splitAt(part, point);
+      } else if(cur.flow.firstElementChild === part){
+        // Not even the first line fits on a page; leave it clipped
+        break;
+      }
+      const kept = rest === part ? keptWithNext(part, cur) : [];
+      if(rest === part) part.remove();
+      cur = makePageAfter(cur.page);
+      pages.push(cur.page);
+      kept.forEach(prev => cur.flow.appendChild(prev));
+      cur.flow.appendChild(rest);
+      part = rest;
+    }
+    return cur;
+  }
+
   function paginatePage(original){
     const { body, flow } = ensureFlow(original);
     const items = Array.from(flow.children);
@@ -447,32 +885,41 @@ window.addEventListener('load', () => {
     let cur = { page: original, body, flow };
     pages.push(cur.page);
 
-    const rootCS = getComputedStyle(document.documentElement);
-    const safeBottomOffset = parseFloat(rootCS.getPropertyValue('--safe-bottom-offset')) || 0;
-
+    let breakNext = false;
     for(const el of items){
       if(el.classList && el.classList.contains('forcePageEnd')){
         if(cur.flow.childElementCount > 0){
           cur = makePageAfter(cur.page);
           pages.push(cur.page);
         }
+        breakNext = false;
         continue;
       }
 
-      cur.flow.appendChild(el);
-
-      const elRect = el.getBoundingClientRect();
-      const bodyRect = cur.body.getBoundingClientRect();
-      const bodyCS = getComputedStyle(cur.body);
-      const padBottom = parseFloat(bodyCS.paddingBottom) || 0;
+      // break-before / break-after: page, and the data-min-space hint
+      if(cur.flow.childElementCount > 0 && (breakNext || breaksBefore(el) || !hasRoomFor(el, cur))){
+        cur = makePageAfter(cur.page);
+        pages.push(cur.page);
+      }
+      breakNext = breaksAfter(el);
 
-      // Allow content down to the inside edge of the padding minus safe offset
-      const safeBottom = bodyRect.bottom - padBottom - safeBottomOffset;
+      cur.flow.appendChild(el);
 
-      if(elRect.bottom > safeBottom - BUFFER){
+      if(overflows(el, cur)){
+        // Tables, text and lists too tall for any page are split over several
+        if(isSplittableTable(el) && !fitsEmptyPage(el, cur)){
+          cur = splitTable(el, cur, pages);
+          continue;
+        }
+        if(isBreakable(el) && !fitsEmptyPage(el, cur)){
+          cur = splitBlock(el, cur, pages);
+          continue;
+        }
+        const kept = keptWithNext(el, cur);
         cur.flow.removeChild(el);
         const next = makePageAfter(cur.page);
         pages.push(next.page);
+        kept.forEach(prev => next.flow.appendChild(prev));
         next.flow.appendChild(el);
         cur = next;
       }
@@ -480,8 +927,163 @@ window.addEventListener('load', () => {
     return pages;
   }
 
+  // Notes of the span[data-footnote] markers, numbered through the document
+  const footnotes = [];
+
+  // Take the text out of each marker into a note, and leave the marker
+  // showing the note's number as a link to it
+  function collectFootnotes(){
+    document.querySelectorAll('main.body [data-footnote]').forEach(marker => {
+      // Markers inside a note stay part of its text
+      if(!marker.isConnected) return;
+      const number = footnotes.length + 1;
+      const note = document.createElement('div');
+      note.className = 'footnote';
+      note.id = 'footnote-' + number;
+      const label = document.createElement('span');
+      label.className = 'footnote-number';
+      label.textContent = String(number);
+      const text = document.createElement('span');
+      text.className = 'footnote-text';
+      while(marker.firstChild) text.appendChild(marker.firstChild);
+      note.appendChild(label);
+      note.appendChild(text);
+      footnotes.push(note);
+
+      marker.classList.add('footnote-ref');
+      marker.setAttribute('data-footnote-number', String(number));
+      const link = document.createElement('a');
+      link.href = '#' + note.id;
+      link.textContent = String(number);
+      marker.appendChild(link);
+    });
+  }
+
+  // Endnote mode: every note goes in the first [data-endnotes] element,
+  // which is paginated like the rest of its page
+  function fillEndnotes(){
+    const section = document.querySelector('main.body [data-endnotes]');
+    if(!section) return;
+    if(OPTIONS.footnotes.title && !section.firstElementChild){
+      const heading = document.createElement('div');
+      heading.className = 'endnotes-title';
+      heading.textContent = OPTIONS.footnotes.title;
+      section.appendChild(heading);
+    }
+    footnotes.forEach(note => section.appendChild(note));
+  }
+
+  // Footnote mode: the notes of the markers on a page, at the foot of its
+  // body. Called whenever the page's content changes; a note moves along
+  // with its marker.
+  function placeFootnotes(cur){
+    if(footnotes.length === 0 || OPTIONS.footnotes.mode !== 'footnote') return;
+    const numbers = new Set(Array.from(cur.flow.querySelectorAll('.footnote-ref'), ref => Number(ref.getAttribute('data-footnote-number'))));
+    let area = cur.body.querySelector(':scope > .footnotes');
+    if(numbers.size === 0){
+      if(area) area.remove();
+      return;
+    }
+    if(!area){
+      area = document.createElement('div');
+      area.className = 'footnotes';
+      const padBottom = parseFloat(getComputedStyle(cur.body).paddingBottom) || 0;
+      area.style.bottom = (padBottom + safeBottomOffset) + 'px';
+      cur.body.appendChild(area);
+    }
+    Array.from(numbers).sort((a, b) => a - b).forEach(number => area.appendChild(footnotes[number - 1]));
+  }
+
+  // Id of a contents entry's target, added if it has none
+  let tocTargets = 0;
+  function tocTarget(el){
+    while(!el.id){
+      const id = 'toc-target-' + (++tocTargets);
+      if(!document.getElementById(id)) el.id = id;
+    }
+    return el.id;
+  }
+
+  // Page titles (level 0) and headings down to depth, as the bookmarks list
+  // them; pages with a contents list are left out
+  function tocEntries(depth){
+    const selector = Array.from({ length: depth }, (_, index) => 'main.body h' + (index + 1)).join(',');
+    const entries = [];
+    document.querySelectorAll('.page').forEach(page => {
+      if(page.querySelector('nav[data-toc]')) return;
+      const title = (page.getAttribute('data-title') || '').replace(/\\s+/g, ' ').trim();
+      if(title) entries.push({ title, level: 0, id: tocTarget(page) });
+      if(!selector) return;
+      page.querySelectorAll(selector).forEach(heading => {
+        const text = textWithoutRefs(heading).replace(/\\s+/g, ' ').trim();
+        if(text) entries.push({ title: text, level: Number(heading.tagName.charAt(1)), id: tocTarget(heading) });
+      });
+    });
+    return entries;
+  }
+
+  // Text of a heading without its footnote numbers
+  function textWithoutRefs(el){
+    const copy = el.cloneNode(true);
+    copy.querySelectorAll('.footnote-ref').forEach(ref => ref.remove());
+    return copy.textContent;
+  }
+
+  // Fill each nav[data-toc] with linked entries before pagination, so the
+  // list takes its space; data-toc-depth, data-toc-leaders and
+  // data-toc-title override the layout.toc settings
+  function buildToc(){
+    document.querySelectorAll('nav[data-toc]').forEach(nav => {
+      const depthAttr = parseInt(nav.getAttribute('data-toc-depth'), 10);
+      const depth = depthAttr >= 0 && depthAttr <= 6 ? depthAttr : OPTIONS.toc.depth;
+      const leaders = nav.hasAttribute('data-toc-leaders')
+        ? nav.getAttribute('data-toc-leaders') !== 'false'
+        : OPTIONS.toc.leaders;
+      const title = nav.hasAttribute('data-toc-title') ? nav.getAttribute('data-toc-title') : OPTIONS.toc.title;
+
+      nav.setAttribute('data-leaders', String(leaders));
+      if(title && !nav.firstElementChild){
+        const heading = document.createElement('div');
+        heading.className = 'toc-title';
+        heading.textContent = title;
+        nav.appendChild(heading);
+      }
+      const list = document.createElement('ol');
+      list.className = 'toc-list';
+      tocEntries(depth).forEach(entry => {
+        const item = document.createElement('li');
+        item.className = 'toc-entry';
+        item.setAttribute('data-level', String(entry.level));
+        item.style.paddingLeft = (entry.level * 1.25) + 'em';
+        const link = document.createElement('a');
+        link.href = '#' + entry.id;
+        ['toc-text', 'toc-leader', 'toc-page'].forEach(name => {
+          const span = document.createElement('span');
+          span.className = name;
+          link.appendChild(span);
+        });
+        link.firstChild.textContent = entry.title;
+        item.appendChild(link);
+        list.appendChild(item);
+      });
+      nav.appendChild(list);
+    });
+  }
+
+  // Page numbers of the contents entries, once pagination is done
+  function numberToc(allPages){
+    document.querySelectorAll('nav[data-toc] .toc-entry a').forEach(link => {
+      const target = document.getElementById(link.getAttribute('href').slice(1));
+      const page = target && target.closest('.page');
+      link.querySelector('.toc-page').textContent = page ? String(allPages.indexOf(page) + 1) : '';
+    });
+  }
+
   // Apply page-specific heights first
   applyPageSpecificHeights();
+  collectFootnotes();
+  if(OPTIONS.footnotes.mode === 'endnote') fillEndnotes();
+  buildToc();
 
   const originals = Array.from(document.querySelectorAll('.page'));
   let allPages = [];
@@ -489,6 +1091,11 @@ window.addEventListener('load', () => {
     const created = paginatePage(pg);
     allPages = allPages.concat(created);
   }
+  // Notes left behind by content that moved on
+  allPages.forEach(pg => {
+    const body = pg.querySelector('main.body');
+    placeFootnotes({ page: pg, body, flow: body.querySelector(':scope > .flow') });
+  });
 
   // optional page numbering
   const total = allPages.length;
@@ -498,6 +1105,10 @@ window.addEventListener('load', () => {
     if(cur) cur.textContent = String(i + 1);
     if(tot) tot.textContent = String(total);
   });
+  numberToc(allPages);
+
+  // Read back by the renderer for the render report
+  window.paginatorMs = performance.now() - paginateStarted;
 });
 </script>`;
 }
@@ -629,7 +1240,9 @@ function buildHtmlFromPdfDocumentBundle(pdfDocumentBundle) {
 
   // 3) Built-in paginator if requested (default: enabled)
   const scriptBase =
-    layout && layout.useBuiltInPaginator !== false ? paginatorScript() : "";
+    layout && layout.useBuiltInPaginator !== false
+      ? paginatorScript(layout)
+      : "";
 
   // 4) User scripts (filter out old paginator scripts if we're using built-in paginator)
   const filteredScripts =
@@ -669,6 +1282,36 @@ function buildHtmlFromPdfDocumentBundle(pdfDocumentBundle) {
     throw new Error("No valid pages to render (all pages missing body).");
   }
 
+  // Contents page for layout.toc, unless a page has its own nav[data-toc]
+  if (
+    layout.toc &&
+    layout.useBuiltInPaginator !== false &&
+    !pages.some((p) => /<nav\b[^>]*\bdata-toc\b/i.test(p.body))
+  ) {
+    const toc = tocOptions(layout);
+
+    pages.splice(Math.min(toc.afterPage, pages.length), 0, {
+      section: { class: "page", dataTitle: toc.title },
+      body: "<nav data-toc></nav>",
+    });
+  }
+
+  // Closing notes page for endnote mode, unless a page has its own
+  // [data-endnotes] element
+  const notes = footnoteOptions(layout);
+
+  if (
+    notes.mode === "endnote" &&
+    layout.useBuiltInPaginator !== false &&
+    pages.some((p) => /\bdata-footnote\b/i.test(p.body)) &&
+    !pages.some((p) => /\bdata-endnotes\b/i.test(p.body))
+  ) {
+    pages.push({
+      section: { class: "page", dataTitle: notes.title },
+      body: "<section data-endnotes></section>",
+    });
+  }
+
   const pagesHtml = pages
     .map((p) => {
       const secAttrs = buildPageSectionAttrs(
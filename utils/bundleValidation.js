@@ -0,0 +1,355 @@
+/**
+ * Bundle Validation Utilities
+ *
+ * Checks a pdfDocumentBundle against a JSON Schema built from the
+ * PdfDocumentBundle definitions in utils/swagger/pdfSchemas.js, so the API
+ * documentation and the validator describe the same shape. On top of the
+ * schema, a few checks catch bundles that are well-formed but will not
+ * render as intended (skipped pages, blocked stylesheets). Every problem
+ * names the JSON path it was found at, a severity and a suggested fix.
+ *
+ * @fileoverview JSON Schema validation of pdfDocumentBundle payloads
+ * @author PDF Service Team
+ * @version 1.0.0
+ */
+
+const Ajv = require("ajv");
+const { components } = require("./swagger/pdfSchemas");
+
+// Page sizes the layout CSS knows; anything else falls back to A4
+const PAGE_SIZES = ["A4", "LETTER", "LEGAL"];
+
+// Where misplaced top-level properties belong
+const NESTED_PROPERTIES = {
+  title: "head.title",
+  meta: "head.meta",
+  styles: "head.styles",
+  pages: "body.pages",
+  document: "body.document",
+};
+
+/**
+ * Turn an OpenAPI schema into plain JSON Schema: references point at
+ * `definitions` and documentation-only keywords are dropped
+ */
+function toJsonSchema(node) {
+  if (Array.isArray(node)) {
+    return node.map(toJsonSchema);
+  }
+  if (!node || typeof node !== "object") {
+    return node;
+  }
+
+  const converted = {};
+
+  Object.entries(node).forEach(([key, value]) => {
+    if (key === "example") {
+      return;
+    }
+    converted[key] =
+      key === "$ref"
+        ? value.replace("#/components/schemas/", "#/definitions/")
+        : toJsonSchema(value);
+  });
+  return converted;
+}
+
+const definitions = toJsonSchema(components.schemas);
+
+/**
+ * JSON Schema (draft-07) for a pdfDocumentBundle
+ */
+const bundleSchema = {
+  $schema: "http://json-schema.org/draft-07/schema#",
+  title: "pdfDocumentBundle",
+  ...definitions.PdfDocumentBundle,
+  definitions,
+};
+
+const validateSchema = new Ajv({
+  allErrors: true,
+  verbose: true,
+  jsonPointers: true,
+}).compile(bundleSchema);
+
+/**
+ * Append a JSON pointer (as reported by Ajv) to a JSON path
+ */
+function joinPath(basePath, pointer) {
+  return pointer
+    .split("/")
+    .slice(1)
+    .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce((path, segment) => {
+      if (/^\d+$/.test(segment)) {
+        return `${path}[${segment}]`;
+      }
+      return /^[A-Za-z_$][\w$]*$/.test(segment)
+        ? `${path}.${segment}`
+        : `${path}[${JSON.stringify(segment)}]`;
+    }, basePath);
+}
+
+/**
+ * Describe one Ajv error as a problem
+ */
+function schemaProblem(error, basePath) {
+  const path = joinPath(basePath, error.dataPath);
+  const { params } = error;
+
+  switch (error.keyword) {
+    case "required":
+      return {
+        path: `${path}.${params.missingProperty}`,
+        message: `"${params.missingProperty}" is required`,
+        suggestion: `Add "${params.missingProperty}"`,
+      };
+    case "type": {
+      const expected = `${/^[aeiou]/.test(params.type) ? "an" : "a"} ${params.type}`;
+
+      return {
+        path,
+        message: `must be ${expected}`,
+        suggestion: `Send ${expected} here`,
+      };
+    }
+    case "minLength":
+      return {
+        path,
+        message: "must not be empty",
+        suggestion: "Provide a non-empty value",
+      };
+    case "enum":
+      return {
+        path,
+        message: `must be one of: ${params.allowedValues.join(", ")}`,
+        suggestion: `Use one of: ${params.allowedValues.join(", ")}`,
+      };
+    case "oneOf":
+      return {
+        path,
+        message: "does not match any of the accepted forms",
+        suggestion:
+          error.parentSchema["x-suggestion"] ||
+          "Check the field against the pdfDocumentBundle schema",
+      };
+    case "format":
+      return {
+        path,
+        message: `must be a valid ${params.format}`,
+        suggestion:
+          params.format === "uri"
+            ? "Use an absolute URL such as https://example.com/styles.css"
+            : `Use a ${params.format} value`,
+      };
+    default:
+      return {
+        path,
+        message: error.message,
+        suggestion: "Check the field against the pdfDocumentBundle schema",
+      };
+  }
+}
+
+/**
+ * Problems the schema reports, one per field
+ *
+ * Errors from inside a oneOf branch are left out: the oneOf error itself
+ * stands for them, unless the field or one of its children already has
+ * a clearer error.
+ */
+function schemaProblems(bundle, basePath) {
+  if (validateSchema(bundle)) {
+    return [];
+  }
+
+  const errors = validateSchema.errors.filter(
+    (error) => !error.schemaPath.includes("/oneOf/")
+  );
+
+  return errors
+    .filter(
+      (error) =>
+        error.keyword !== "oneOf" ||
+        !errors.some(
+          (other) =>
+            other !== error &&
+            (other.dataPath === error.dataPath ||
+              other.dataPath.startsWith(`${error.dataPath}/`))
+        )
+    )
+    .map((error) => {
+      const { path, message, suggestion } = schemaProblem(error, basePath);
+
+      return { path, severity: "error", message, suggestion };
+    });
+}
+
+/**
+ * External stylesheets and scripts of a bundle, with their JSON paths
+ */
+function externalResources(bundle, basePath) {
+  const lists = [
+    [bundle.head?.styles, `${basePath}.head.styles`],
+    [bundle.scripts, `${basePath}.scripts`],
+  ];
+
+  return lists.flatMap(([list, listPath]) =>
+    (Array.isArray(list) ? list : [])
+      .map((ref, index) => ({ ref, path: `${listPath}[${index}].url` }))
+      .filter(
+        ({ ref }) =>
+          ref?.type === "src" &&
+          typeof ref.url === "string" &&
+          /^https?:/i.test(ref.url.trim())
+      )
+  );
+}
+
+/**
+ * Problems with bundles that are well-formed but will not render as
+ * intended
+ */
+function renderProblems(bundle, basePath) {
+  const problems = [];
+
+  Object.keys(bundle)
+    .filter((key) => !(key in definitions.PdfDocumentBundle.properties))
+    .forEach((key) => {
+      problems.push({
+        path: `${basePath}.${key}`,
+        severity: "warning",
+        message: `"${key}" is not a pdfDocumentBundle property and is ignored`,
+        suggestion: NESTED_PROPERTIES[key]
+          ? `Move it to ${NESTED_PROPERTIES[key]}`
+          : "Remove it or check the spelling",
+      });
+    });
+
+  const pages = bundle.body?.pages;
+
+  if (Array.isArray(pages)) {
+    const rendered = pages.filter((page, index) => {
+      const hasBody =
+        typeof page?.body === "string" && page.body.trim().length > 0;
+
+      if (!hasBody && page && typeof page === "object") {
+        problems.push({
+          path: `${basePath}.body.pages[${index}].body`,
+          severity: "warning",
+          message: "The page has no body and is skipped",
+          suggestion: "Add the page's HTML, or remove the page",
+        });
+      }
+      return hasBody;
+    });
+
+    if (rendered.length === 0) {
+      problems.push({
+        path: `${basePath}.body.pages`,
+        severity: "error",
+        message: "No page has a body, so there is nothing to render",
+        suggestion: "Add at least one page with HTML in its body",
+      });
+    }
+  }
+
+  const size = bundle.layout?.page?.size;
+
+  if (typeof size === "string" && !PAGE_SIZES.includes(size.toUpperCase())) {
+    problems.push({
+      path: `${basePath}.layout.page.size`,
+      severity: "warning",
+      message: `"${size}" is not a supported page size; A4 is used`,
+      suggestion:
+        "Use \"A4\", \"Letter\", \"Legal\" or { \"width\": \"...\", \"height\": \"...\" }",
+    });
+  }
+
+  if (bundle.security?.allowExternalResources !== true) {
+    externalResources(bundle, basePath).forEach(({ path }) => {
+      problems.push({
+        path,
+        severity: "warning",
+        message:
+          "External resources are disabled for this bundle, so this URL will not load",
+        suggestion:
+          "Set security.allowExternalResources to true, or inline the content",
+      });
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Validate a pdfDocumentBundle without rendering it
+ *
+ * Errors stop the bundle from rendering; warnings point at content that
+ * will be ignored or not load.
+ *
+ * @param {*} bundle - The pdfDocumentBundle to check
+ * @param {string} [basePath="$.pdfDocumentBundle"] - JSON path of the
+ *   bundle in the request, prefixed to every problem path
+ * @returns {Object} `{ valid, problems }`; each problem is `{ path,
+ *   severity ("error" or "warning"), message, suggestion }`, and valid is
+ *   true when none is an error
+ *
+ * @example
+ * const { valid, problems } = validateBundle(req.body.pdfDocumentBundle);
+ * // problems: [{ path: "$.pdfDocumentBundle.head.title", severity: "error",
+ * //   message: '"title" is required', suggestion: 'Add "title"' }]
+ */
+function validateBundle(bundle, basePath = "$.pdfDocumentBundle") {
+  const problems = schemaProblems(bundle, basePath);
+
+  if (bundle && typeof bundle === "object" && !Array.isArray(bundle)) {
+    problems.push(...renderProblems(bundle, basePath));
+  }
+
+  return {
+    valid: problems.every((problem) => problem.severity !== "error"),
+    problems,
+  };
+}
+
+/**
+ * Validate every pdfDocumentBundle of a conversion request: the request's
+ * own bundle, or in merge mode the bundle of each part
+ *
+ * @param {Object} payload - Conversion request body
+ * @returns {Object|null} `{ valid, bundleCount, problems }` with paths
+ *   from the request root, or null if the request has no bundle
+ */
+function validateRequestBundles(payload = {}) {
+  const bundles =
+    payload.parts === undefined
+      ? [[payload.pdfDocumentBundle, "$.pdfDocumentBundle"]]
+      : (Array.isArray(payload.parts) ? payload.parts : []).map(
+          (part, index) => [
+            part && part.pdf === undefined ? part.pdfDocumentBundle : undefined,
+            `$.parts[${index}].pdfDocumentBundle`,
+          ]
+        );
+  const present = bundles.filter(([bundle]) => bundle !== undefined);
+
+  if (present.length === 0) {
+    return null;
+  }
+
+  const problems = present.flatMap(
+    ([bundle, path]) => validateBundle(bundle, path).problems
+  );
+
+  return {
+    valid: problems.every((problem) => problem.severity !== "error"),
+    bundleCount: present.length,
+    problems,
+  };
+}
+
+module.exports = {
+  bundleSchema,
+  validateBundle,
+  validateRequestBundles,
+};
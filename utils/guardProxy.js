@@ -0,0 +1,188 @@
+/**
+ * Guard Proxy
+ *
+ * A local HTTP proxy the renderer's browser context sends its traffic
+ * through. For every connection it resolves the host once, checks the
+ * addresses with the URL guard and connects to the address it checked,
+ * so a host that passed the guard cannot be rebound to an internal
+ * address between the check and Chromium's own DNS lookup. HTTPS goes
+ * through CONNECT tunnels; Chromium still verifies the certificate
+ * against the hostname.
+ *
+ * @fileoverview DNS-rebinding-safe egress proxy for rendering
+ * @author PDF Service Team
+ * @version 1.0.0
+ */
+
+const http = require("http");
+const net = require("net");
+const { resolveAllowedAddress } = require("./urlGuard");
+
+// Hop-by-hop headers that must not be forwarded upstream
+const PROXY_HEADERS = ["proxy-connection", "proxy-authorization"];
+
+/**
+ * Start a guard proxy on a random loopback port
+ *
+ * Each render starts its own proxy and closes it when done.
+ *
+ * @param {Object} [options] - Proxy options
+ * @param {string[]} [options.allowlist] - Admin allowlist (hosts,
+ *   *.wildcards, IPs, CIDRs), as for checkUrl
+ * @param {Function} [options.onBlocked] - Called with `(hostname, reason)`
+ *   for every refused connection
+ * @param {Function} [options.lookup] - DNS lookup override (for tests)
+ * @returns {Promise<Object>} `{ proxyServer, close }`; proxyServer is the
+ *   proxy URL for Chromium, close() stops the proxy
+ *
+ * @example
+ * const proxy = await startGuardProxy({ allowlist: [] });
+ * try {
+ *   await withPage(render, { proxyServer: proxy.proxyServer });
+ * } finally {
+ *   await proxy.close();
+ * }
+ */
+async function startGuardProxy(options = {}) {
+  const { allowlist = [], onBlocked, lookup } = options;
+  const sockets = new Set();
+
+  async function resolveTarget(hostname) {
+    const { address, reason } = await resolveAllowedAddress(hostname, {
+      allowlist,
+      ...(lookup && { lookup }),
+    });
+
+    if (!address && onBlocked) {
+      onBlocked(hostname, reason);
+    }
+    return address;
+  }
+
+  // Plain http:// requests arrive with an absolute URL
+  function forwardRequest(req, res) {
+    let upstream = null;
+    let target;
+
+    req.on("error", () => {
+      if (upstream) {
+        upstream.destroy();
+      }
+    });
+
+    try {
+      target = new URL(req.url);
+    } catch (error) {
+      res.writeHead(400).end();
+      return;
+    }
+
+    resolveTarget(target.hostname)
+      .then((address) => {
+        if (!address) {
+          res.writeHead(403).end();
+          return;
+        }
+
+        const headers = { ...req.headers };
+
+        PROXY_HEADERS.forEach((name) => delete headers[name]);
+
+        upstream = http.request(
+          {
+            host: address,
+            port: target.port || 80,
+            method: req.method,
+            path: `${target.pathname}${target.search}`,
+            headers,
+            setHost: false,
+          },
+          (response) => {
+            res.writeHead(response.statusCode, response.headers);
+            response.pipe(res);
+          }
+        );
+
+        upstream.on("error", () => res.destroy());
+        req.pipe(upstream);
+      })
+      .catch(() => res.destroy());
+  }
+
+  // https:// (and ws) traffic is tunnelled with CONNECT host:port
+  function openTunnel(req, clientSocket, head) {
+    let upstream = null;
+    let target;
+
+    function dropUpstream() {
+      if (upstream) {
+        upstream.destroy();
+      }
+    }
+
+    // Listen from the start: a reset during the DNS check must not crash
+    // the service, and a client gone before the upstream connects takes
+    // the upstream with it
+    clientSocket.on("error", dropUpstream);
+    clientSocket.on("close", dropUpstream);
+
+    try {
+      target = new URL(`http://${req.url}`);
+    } catch (error) {
+      clientSocket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+      return;
+    }
+
+    resolveTarget(target.hostname)
+      .then((address) => {
+        if (!address) {
+          clientSocket.end("HTTP/1.1 403 Forbidden\r\n\r\n");
+          return;
+        }
+        if (clientSocket.destroyed) {
+          return;
+        }
+
+        upstream = net.connect(
+          Number(target.port) || 443,
+          address,
+          () => {
+            clientSocket.write("HTTP/1.1 200 Connection Established\r\n\r\n");
+            upstream.write(head);
+            upstream.pipe(clientSocket);
+            clientSocket.pipe(upstream);
+          }
+        );
+
+        upstream.on("error", () => clientSocket.destroy());
+      })
+      .catch(() => clientSocket.destroy());
+  }
+
+  const server = http.createServer(forwardRequest);
+
+  server.on("connect", openTunnel);
+  server.on("connection", (socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", resolve);
+  });
+
+  function close() {
+    sockets.forEach((socket) => socket.destroy());
+    return new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  return {
+    proxyServer: `http://127.0.0.1:${server.address().port}`,
+    close,
+  };
+}
+
+module.exports = {
+  startGuardProxy,
+};
@@ -0,0 +1,509 @@
+/**
+ * PDF/A Utilities
+ *
+ * Turns a finished PDF into a PDF/A-2b or PDF/A-3b candidate: an sRGB
+ * output intent, XMP metadata mirroring the Info dictionary and printable
+ * annotations. Things that cannot be fixed after rendering (fonts that are
+ * not embedded, JavaScript, embedded files in PDF/A-2, CMYK images) are
+ * reported instead, so a document is never labelled PDF/A when it is not.
+ *
+ * @fileoverview PDF/A-2b and PDF/A-3b archival output
+ * @author PDF Service Team
+ * @version 1.0.0
+ */
+
+const crypto = require("crypto");
+const {
+  PDFDocument,
+  PDFArray,
+  PDFDict,
+  PDFHexString,
+  PDFName,
+  PDFNumber,
+  PDFStream,
+  PDFString,
+} = require("pdf-lib");
+
+const CONFORMANCE_LEVELS = {
+  "PDF/A-2B": { label: "PDF/A-2b", part: 2, conformance: "B" },
+  "PDF/A-3B": { label: "PDF/A-3b", part: 3, conformance: "B" },
+};
+
+const OUTPUT_CONDITION = "sRGB IEC61966-2.1";
+
+// Annotation flags (ISO 32000-1 table 165)
+const ANNOT_INVISIBLE = 1;
+const ANNOT_HIDDEN = 2;
+const ANNOT_PRINT = 4;
+const ANNOT_NO_VIEW = 32;
+
+// Annotation types that need no appearance stream
+const NO_APPEARANCE_NEEDED = ["Link", "Popup"];
+
+/**
+ * Check a `conformance` request option
+ *
+ * @param {string} [value] - "PDF/A-2b" or "PDF/A-3b" (case-insensitive)
+ * @returns {Object|null} `{ label, part, conformance }`, or null if not requested
+ * @throws {Error} If the level is not supported
+ *
+ * @example
+ * resolveConformance("PDF/A-2b"); // { label: "PDF/A-2b", part: 2, conformance: "B" }
+ */
+function resolveConformance(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  const level =
+    typeof value === "string" ? CONFORMANCE_LEVELS[value.toUpperCase()] : null;
+
+  if (!level) {
+    throw new Error(
+      `Unsupported conformance "${value}" (expected ${Object.values(
+        CONFORMANCE_LEVELS
+      )
+        .map((l) => l.label)
+        .join(" or ")})`
+    );
+  }
+
+  return level;
+}
+
+/**
+ * Error for a document that cannot be made conformant
+ *
+ * @param {Object} level - Output of resolveConformance()
+ * @param {string[]} reasons - Why the document cannot conform
+ * @returns {Error} Error with status 422, code PDFA_NOT_CONFORMANT and `reasons`
+ */
+function notConformantError(level, reasons) {
+  const error = new Error(
+    `The document cannot be made ${level.label} conformant: ${reasons.join("; ")}`
+  );
+
+  error.status = 422;
+  error.code = "PDFA_NOT_CONFORMANT";
+  error.reasons = reasons;
+  return error;
+}
+
+/**
+ * Reasons why other requested options rule out PDF/A
+ *
+ * @param {Object} options - Resolved `watermark`, `encryption`,
+ *   `signature` and `attachments` options
+ * @param {Object} [level] - Output of resolveConformance(); attachments
+ *   are only checked when it is given
+ * @returns {string[]} Reasons (empty if the options are compatible)
+ */
+function conformanceConflicts(
+  { watermark, encryption, signature, attachments },
+  level
+) {
+  const reasons = [];
+
+  if (level && level.part === 2 && attachments && attachments.length > 0) {
+    reasons.push(
+      "PDF/A-2 does not allow embedded files; request PDF/A-3b instead"
+    );
+  }
+  if (encryption) {
+    reasons.push("PDF/A does not allow encryption");
+  }
+  if (watermark && watermark.text) {
+    reasons.push(
+      "the text watermark uses the non-embedded Helvetica font; use an image watermark instead"
+    );
+  }
+  if (signature && signature.visible) {
+    reasons.push(
+      "the visible signature uses the non-embedded Helvetica font; use an invisible signature instead"
+    );
+  }
+
+  return reasons;
+}
+
+/**
+ * Write a big-endian s15Fixed16Number
+ */
+function writeFixed(buffer, value, offset) {
+  buffer.writeInt32BE(Math.round(value * 65536), offset);
+}
+
+function xyzTag(x, y, z) {
+  const tag = Buffer.alloc(20);
+
+  tag.write("XYZ ", 0, "latin1");
+  writeFixed(tag, x, 8);
+  writeFixed(tag, y, 12);
+  writeFixed(tag, z, 16);
+  return tag;
+}
+
+function textDescriptionTag(text) {
+  const tag = Buffer.alloc(90 + text.length + 1);
+
+  tag.write("desc", 0, "latin1");
+  tag.writeUInt32BE(text.length + 1, 8);
+  tag.write(text, 12, "latin1");
+  return tag;
+}
+
+function textTag(text) {
+  const tag = Buffer.alloc(8 + text.length + 1);
+
+  tag.write("text", 0, "latin1");
+  tag.write(text, 8, "latin1");
+  return tag;
+}
+
+let srgbProfile = null;
+
+/**
+ * A compact ICC v2 display profile for sRGB (D50-adapted primaries and the
+ * sRGB transfer curve), built once instead of shipping a binary file
+ *
+ * @returns {Buffer} ICC profile
+ */
+function buildSrgbProfile() {
+  if (srgbProfile) {
+    return srgbProfile;
+  }
+
+  const curveSize = 1024;
+  const curve = Buffer.alloc(12 + (curveSize * 2));
+
+  curve.write("curv", 0, "latin1");
+  curve.writeUInt32BE(curveSize, 8);
+  for (let i = 0; i < curveSize; i += 1) {
+    const v = i / (curveSize - 1);
+    const linear = v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+
+    curve.writeUInt16BE(Math.round(linear * 65535), 12 + (i * 2));
+  }
+
+  const tags = [
+    ["desc", textDescriptionTag(OUTPUT_CONDITION)],
+    ["cprt", textTag("No copyright, use freely")],
+    ["wtpt", xyzTag(0.9642, 1.0, 0.8249)],
+    ["rXYZ", xyzTag(0.4361, 0.2225, 0.0139)],
+    ["gXYZ", xyzTag(0.3851, 0.7169, 0.0971)],
+    ["bXYZ", xyzTag(0.1431, 0.0606, 0.7141)],
+    ["rTRC", curve],
+    ["gTRC", curve],
+    ["bTRC", curve],
+  ];
+
+  const table = Buffer.alloc(4 + (tags.length * 12));
+
+  table.writeUInt32BE(tags.length, 0);
+  const blocks = [];
+  const offsets = new Map();
+  let offset = 128 + table.length;
+
+  tags.forEach(([signature, data], index) => {
+    // The three TRC tags share one curve
+    if (!offsets.has(data)) {
+      const padded = Buffer.alloc(Math.ceil(data.length / 4) * 4);
+
+      data.copy(padded);
+      offsets.set(data, offset);
+      blocks.push(padded);
+      offset += padded.length;
+    }
+    const entry = 4 + (index * 12);
+
+    table.write(signature, entry, "latin1");
+    table.writeUInt32BE(offsets.get(data), entry + 4);
+    table.writeUInt32BE(data.length, entry + 8);
+  });
+
+  const header = Buffer.alloc(128);
+
+  header.writeUInt32BE(offset, 0);
+  header.writeUInt32BE(0x02100000, 8);
+  header.write("mntrRGB XYZ ", 12, "latin1");
+  [2024, 1, 1, 0, 0, 0].forEach((value, i) =>
+    header.writeUInt16BE(value, 24 + (i * 2))
+  );
+  header.write("acsp", 36, "latin1");
+  writeFixed(header, 0.9642, 68);
+  writeFixed(header, 1.0, 72);
+  writeFixed(header, 0.8249, 76);
+
+  srgbProfile = Buffer.concat([header, table, ...blocks]);
+  return srgbProfile;
+}
+
+/**
+ * Escape text for XML, dropping characters XML cannot carry
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function xmpDate(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+/**
+ * Build the XMP packet for a document, mirroring its Info dictionary
+ *
+ * @param {PDFDocument} pdfDoc - Document whose Info dictionary is mirrored
+ * @param {Object} level - Output of resolveConformance()
+ * @returns {string} XMP packet
+ */
+function buildXmp(pdfDoc, level) {
+  const title = pdfDoc.getTitle();
+  const author = pdfDoc.getAuthor();
+  const subject = pdfDoc.getSubject();
+  const keywords = pdfDoc.getKeywords();
+  const creator = pdfDoc.getCreator();
+  const producer = pdfDoc.getProducer();
+  const created = pdfDoc.getCreationDate();
+  const modified = pdfDoc.getModificationDate();
+
+  function alt(text) {
+    return `<rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(text)}</rdf:li></rdf:Alt>`;
+  }
+
+  const properties = [
+    `<pdfaid:part>${level.part}</pdfaid:part>`,
+    `<pdfaid:conformance>${level.conformance}</pdfaid:conformance>`,
+    "<dc:format>application/pdf</dc:format>",
+    title !== undefined && `<dc:title>${alt(title)}</dc:title>`,
+    author !== undefined &&
+      `<dc:creator><rdf:Seq><rdf:li>${escapeXml(author)}</rdf:li></rdf:Seq></dc:creator>`,
+    subject !== undefined && `<dc:description>${alt(subject)}</dc:description>`,
+    keywords !== undefined &&
+      `<pdf:Keywords>${escapeXml(keywords)}</pdf:Keywords>`,
+    producer !== undefined &&
+      `<pdf:Producer>${escapeXml(producer)}</pdf:Producer>`,
+    creator !== undefined &&
+      `<xmp:CreatorTool>${escapeXml(creator)}</xmp:CreatorTool>`,
+    created && `<xmp:CreateDate>${xmpDate(created)}</xmp:CreateDate>`,
+    modified && `<xmp:ModifyDate>${xmpDate(modified)}</xmp:ModifyDate>`,
+  ].filter(Boolean);
+
+  return [
+    "<?xpacket begin=\"\uFEFF\" id=\"W5M0MpCehiHzreSzNTczkc9d\"?>",
+    "<x:xmpmeta xmlns:x=\"adobe:ns:meta/\">",
+    "<rdf:RDF xmlns:rdf=\"http://www.w3.org/1999/02/22-rdf-syntax-ns#\">",
+    "<rdf:Description rdf:about=\"\"",
+    "  xmlns:dc=\"http://purl.org/dc/elements/1.1/\"",
+    "  xmlns:xmp=\"http://ns.adobe.com/xap/1.0/\"",
+    "  xmlns:pdf=\"http://ns.adobe.com/pdf/1.3/\"",
+    "  xmlns:pdfaid=\"http://www.aiim.org/pdfa/ns/id/\">",
+    ...properties.map((property) => `  ${property}`),
+    "</rdf:Description>",
+    "</rdf:RDF>",
+    "</x:xmpmeta>",
+    "<?xpacket end=\"w\"?>",
+  ].join("\n");
+}
+
+function nameOf(dict, key) {
+  const value = dict.lookup(PDFName.of(key));
+
+  return value instanceof PDFName ? value.decodeText() : undefined;
+}
+
+/**
+ * Find what keeps a document from conforming, fixing what can be fixed
+ * (annotation flags) along the way
+ */
+function findProblems(pdfDoc, level) {
+  const problems = new Set();
+  const unembeddedFonts = new Set();
+
+  pdfDoc.context.enumerateIndirectObjects().forEach(([, object]) => {
+    const dict = object instanceof PDFStream ? object.dict : object;
+
+    if (!(dict instanceof PDFDict)) {
+      return;
+    }
+
+    const type = nameOf(dict, "Type");
+    const subtype = nameOf(dict, "Subtype");
+
+    // Type0 fonts are checked through their descendant CIDFont; Type3
+    // glyphs are content streams and need no font program
+    if (type === "Font" && subtype !== "Type0" && subtype !== "Type3") {
+      const descriptor = dict.lookup(PDFName.of("FontDescriptor"));
+      const embedded =
+        descriptor instanceof PDFDict &&
+        ["FontFile", "FontFile2", "FontFile3"].some((key) =>
+          descriptor.has(PDFName.of(key))
+        );
+
+      if (!embedded) {
+        unembeddedFonts.add(nameOf(dict, "BaseFont") || "unnamed font");
+      }
+    }
+
+    if (nameOf(dict, "S") === "JavaScript") {
+      problems.add("the document contains JavaScript actions");
+    }
+
+    if (
+      level.part === 2 &&
+      (type === "Filespec" || dict.has(PDFName.of("EF")))
+    ) {
+      problems.add(
+        "PDF/A-2 does not allow embedded files; request PDF/A-3b instead"
+      );
+    }
+
+    // PDF/A-3 files need a MIME type and a stated relationship to the document
+    if (level.part === 3 && dict.has(PDFName.of("EF"))) {
+      const files = dict.lookup(PDFName.of("EF"));
+      const file = files instanceof PDFDict && files.lookup(PDFName.of("F"));
+
+      if (!nameOf(dict, "AFRelationship")) {
+        problems.add("an embedded file has no AFRelationship");
+      }
+      if (file instanceof PDFStream && !nameOf(file.dict, "Subtype")) {
+        problems.add("an embedded file has no MIME type");
+      }
+    }
+
+    if (subtype === "Image" && nameOf(dict, "ColorSpace") === "DeviceCMYK") {
+      problems.add(
+        "an image uses DeviceCMYK, which the sRGB output intent does not cover"
+      );
+    }
+  });
+
+  if (unembeddedFonts.size > 0) {
+    problems.add(`fonts are not embedded: ${[...unembeddedFonts].join(", ")}`);
+  }
+
+  pdfDoc.getPages().forEach((page, index) => {
+    const annots = page.node.lookup(PDFName.of("Annots"));
+
+    if (!(annots instanceof PDFArray)) {
+      return;
+    }
+
+    const dicts = annots
+      .asArray()
+      .map((ref, i) => annots.lookup(i))
+      .filter((annot) => annot instanceof PDFDict);
+
+    dicts.forEach((annot) => {
+      const flags = annot.lookup(PDFName.of("F"));
+      const value = flags instanceof PDFNumber ? flags.asNumber() : 0;
+
+      annot.set(
+        PDFName.of("F"),
+        PDFNumber.of(
+          (value | ANNOT_PRINT) &
+            ~(ANNOT_INVISIBLE | ANNOT_HIDDEN | ANNOT_NO_VIEW)
+        )
+      );
+
+      const subtype = nameOf(annot, "Subtype");
+      const rect = annot.lookup(PDFName.of("Rect"));
+      const hasArea =
+        rect instanceof PDFArray &&
+        rect.size() === 4 &&
+        rect.lookup(0).asNumber() !== rect.lookup(2).asNumber() &&
+        rect.lookup(1).asNumber() !== rect.lookup(3).asNumber();
+
+      if (
+        hasArea &&
+        !NO_APPEARANCE_NEEDED.includes(subtype) &&
+        !annot.has(PDFName.of("AP"))
+      ) {
+        problems.add(
+          `a ${subtype || "unknown"} annotation on page ${index + 1} has no appearance stream`
+        );
+      }
+    });
+  });
+
+  return [...problems];
+}
+
+/**
+ * Convert a finished PDF to PDF/A-2b or PDF/A-3b
+ *
+ * Adds the sRGB output intent and XMP metadata (built from the Info
+ * dictionary, so set metadata first), makes annotations printable and
+ * gives the file an identifier. Checks the parts that cannot be changed
+ * after rendering and refuses rather than labelling a non-conformant file.
+ * Chromium embeds (subsets of) every font it uses, so rendered HTML
+ * normally passes; merged PDFs are where problems usually come from.
+ *
+ * @param {Buffer|Uint8Array} pdfBuffer - Finished PDF with its metadata
+ * @param {Object} level - Output of resolveConformance()
+ * @returns {Promise<Buffer>} PDF/A document
+ * @throws {Error} PDFA_NOT_CONFORMANT error listing the reasons
+ *
+ * @example
+ * const archived = await convertToPdfA(pdfBuffer, resolveConformance("PDF/A-2b"));
+ */
+async function convertToPdfA(pdfBuffer, level) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  const { context, catalog } = pdfDoc;
+
+  const problems = findProblems(pdfDoc, level);
+
+  if (problems.length > 0) {
+    throw notConformantError(level, problems);
+  }
+
+  const profile = context.register(
+    context.flateStream(buildSrgbProfile(), { N: 3 })
+  );
+
+  catalog.set(
+    PDFName.of("OutputIntents"),
+    context.obj([
+      {
+        Type: "OutputIntent",
+        S: "GTS_PDFA1",
+        OutputConditionIdentifier: PDFString.of(OUTPUT_CONDITION),
+        Info: PDFString.of(OUTPUT_CONDITION),
+        DestOutputProfile: profile,
+      },
+    ])
+  );
+
+  // XMP metadata must stay uncompressed so it can be read without a PDF parser
+  const metadata = context.stream(
+    Buffer.from(buildXmp(pdfDoc, level), "utf8"),
+    {
+      Type: "Metadata",
+      Subtype: "XML",
+    }
+  );
+
+  catalog.set(PDFName.of("Metadata"), context.register(metadata));
+
+  if (!(context.trailerInfo.ID instanceof PDFArray)) {
+    const id = PDFHexString.of(
+      crypto.randomBytes(16).toString("hex").toUpperCase()
+    );
+
+    context.trailerInfo.ID = context.obj([id, id]);
+  }
+
+  return Buffer.from(await pdfDoc.save({ useObjectStreams: true }));
+}
+
+module.exports = {
+  resolveConformance,
+  conformanceConflicts,
+  notConformantError,
+  buildSrgbProfile,
+  convertToPdfA,
+};
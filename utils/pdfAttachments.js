@@ -0,0 +1,234 @@
+/**
+ * PDF Attachment Utilities
+ *
+ * Embeds files in the generated PDF as document-level attachments, shown
+ * in the attachments panel of PDF viewers. Callers can supply their own
+ * files (CSV schedules, source data), and the pdfDocumentBundle a
+ * document was rendered from can be attached for audit. Every attachment
+ * carries a MIME type and an AFRelationship, as PDF/A-3 requires.
+ *
+ * @fileoverview Embedded file attachments for generated PDFs
+ * @author PDF Service Team
+ * @version 1.0.0
+ */
+
+// Most attachments a single request may add
+const MAX_ATTACHMENTS = 20;
+
+// How an attachment relates to the document (ISO 32000-2 / PDF/A-3)
+const RELATIONSHIPS = [
+  "Source",
+  "Data",
+  "Alternative",
+  "Supplement",
+  "Unspecified",
+];
+
+const DEFAULT_MIME_TYPE = "application/octet-stream";
+
+// type/subtype, as used for the embedded file's Subtype
+const MIME_TYPE_PATTERN = /^[\w.+-]+\/[\w.+-]+$/;
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+/**
+ * Decode base64 attachment content (a data: URI prefix is accepted)
+ */
+function decodeContent(data, label) {
+  const base64 =
+    typeof data === "string"
+      ? data.replace(/^data:[^,]*;base64,/i, "").replace(/\s+/g, "")
+      : "";
+
+  if (!base64 || base64.length % 4 === 1 || !BASE64_PATTERN.test(base64)) {
+    throw new Error(`${label}.content must be base64-encoded file content`);
+  }
+
+  return Buffer.from(base64, "base64");
+}
+
+/**
+ * Check one caller-supplied attachment
+ */
+function resolveAttachment(attachment, index) {
+  const label = `attachments[${index}]`;
+
+  if (
+    !attachment ||
+    typeof attachment !== "object" ||
+    Array.isArray(attachment)
+  ) {
+    throw new Error(`${label} must be an object`);
+  }
+
+  const {
+    name,
+    mimeType = DEFAULT_MIME_TYPE,
+    description,
+    content,
+    relationship = "Unspecified",
+  } = attachment;
+
+  if (typeof name !== "string" || !name.trim() || /[\\/]/.test(name)) {
+    throw new Error(`${label}.name must be a file name without a path`);
+  }
+  if (typeof mimeType !== "string" || !MIME_TYPE_PATTERN.test(mimeType)) {
+    throw new Error(`${label}.mimeType must be a MIME type such as text/csv`);
+  }
+  if (
+    description !== null &&
+    description !== undefined &&
+    typeof description !== "string"
+  ) {
+    throw new Error(`${label}.description must be a string`);
+  }
+  if (!RELATIONSHIPS.includes(relationship)) {
+    throw new Error(
+      `${label}.relationship must be one of ${RELATIONSHIPS.join(", ")}`
+    );
+  }
+
+  return {
+    name: name.trim(),
+    mimeType,
+    description: description || undefined,
+    content: decodeContent(content, label),
+    relationship,
+  };
+}
+
+/**
+ * Attachments for the bundles a request renders, in merge mode one per
+ * bundle part
+ */
+function sourceBundleAttachments(payload) {
+  if (payload.parts === undefined) {
+    const bundle = payload.pdfDocumentBundle;
+
+    return bundle && typeof bundle === "object"
+      ? [{ name: "pdfDocumentBundle.json", bundle }]
+      : [];
+  }
+
+  return (Array.isArray(payload.parts) ? payload.parts : [])
+    .map((part, index) => ({
+      name: `part-${index + 1}-pdfDocumentBundle.json`,
+      bundle: part && part.pdf === undefined && part.pdfDocumentBundle,
+    }))
+    .filter(({ bundle }) => bundle && typeof bundle === "object");
+}
+
+/**
+ * Validate the `attachments` and `attachSourceBundle` options of a request
+ *
+ * @param {Object} payload - Request body
+ * @param {Object[]} [payload.attachments] - `{ name, content (base64),
+ *   mimeType, description, relationship }` per file; relationship is one
+ *   of Source, Data, Alternative, Supplement or Unspecified (default)
+ * @param {boolean} [payload.attachSourceBundle] - Also attach the
+ *   pdfDocumentBundle (or, in merge mode, each bundle part) as JSON
+ * @returns {Object[]|null} `{ name, mimeType, description, content,
+ *   relationship }` per attachment, or null if none were requested
+ * @throws {Error} If an attachment is invalid, names repeat, or the
+ *   source bundle is requested for a request without one
+ *
+ * @example
+ * const attachments = resolveAttachments({
+ *   pdfDocumentBundle: bundle,
+ *   attachSourceBundle: true,
+ *   attachments: [{ name: "schedule.csv", mimeType: "text/csv", content }],
+ * });
+ */
+function resolveAttachments(payload = {}) {
+  const { attachments, attachSourceBundle } = payload;
+
+  if (
+    (attachments === null || attachments === undefined) &&
+    !attachSourceBundle
+  ) {
+    return null;
+  }
+
+  if (
+    attachments !== null &&
+    attachments !== undefined &&
+    !Array.isArray(attachments)
+  ) {
+    throw new Error("\"attachments\" must be an array");
+  }
+  if (
+    attachSourceBundle !== null &&
+    attachSourceBundle !== undefined &&
+    typeof attachSourceBundle !== "boolean"
+  ) {
+    throw new Error("\"attachSourceBundle\" must be a boolean");
+  }
+
+  const resolved = (attachments || []).map(resolveAttachment);
+
+  if (attachSourceBundle) {
+    const bundles = sourceBundleAttachments(payload);
+
+    if (bundles.length === 0) {
+      throw new Error(
+        "\"attachSourceBundle\" needs a request rendered from a pdfDocumentBundle"
+      );
+    }
+    bundles.forEach(({ name, bundle }) =>
+      resolved.push({
+        name,
+        mimeType: "application/json",
+        description: "pdfDocumentBundle this document was rendered from",
+        content: Buffer.from(JSON.stringify(bundle, null, 2), "utf8"),
+        relationship: "Source",
+      })
+    );
+  }
+
+  if (resolved.length > MAX_ATTACHMENTS) {
+    throw new Error(`At most ${MAX_ATTACHMENTS} files can be attached`);
+  }
+  const names = new Set();
+
+  resolved.forEach(({ name }) => {
+    if (names.has(name)) {
+      throw new Error(`Attachment name "${name}" is used more than once`);
+    }
+    names.add(name);
+  });
+
+  return resolved.length > 0 ? resolved : null;
+}
+
+/**
+ * Embed attachments in a loaded PDF
+ *
+ * The files are written when the document is saved, each listed in the
+ * catalog's associated files (/AF) with its relationship.
+ *
+ * @param {PDFDocument} pdfDoc - pdf-lib document (modified in place)
+ * @param {Object[]} attachments - Output of resolveAttachments()
+ * @param {Date} [date=new Date()] - Creation and modification date of the files
+ * @returns {Promise<number>} Number of files attached
+ *
+ * @example
+ * await applyAttachments(pdfDoc, resolveAttachments(payload));
+ */
+async function applyAttachments(pdfDoc, attachments, date = new Date()) {
+  for (const attachment of attachments) {
+    await pdfDoc.attach(attachment.content, attachment.name, {
+      mimeType: attachment.mimeType,
+      description: attachment.description,
+      creationDate: date,
+      modificationDate: date,
+      afRelationship: attachment.relationship,
+    });
+  }
+
+  return attachments.length;
+}
+
+module.exports = {
+  resolveAttachments,
+  applyAttachments,
+};
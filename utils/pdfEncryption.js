@@ -0,0 +1,372 @@
+/**
+ * PDF Encryption Utilities
+ *
+ * Password-protects a finished PDF with the standard security handler,
+ * revision 6 (AES-256, ISO 32000-2). Everything runs in Node with the
+ * built-in crypto module and pdf-lib's object model, so no external tools
+ * (qpdf, Ghostscript) are needed.
+ *
+ * @fileoverview AES-256 PDF encryption with user/owner passwords and permissions
+ * @author PDF Service Team
+ * @version 1.0.0
+ */
+
+const crypto = require("crypto");
+const {
+  PDFDocument,
+  PDFArray,
+  PDFDict,
+  PDFHexString,
+  PDFName,
+  PDFNumber,
+  PDFRawStream,
+  PDFStream,
+  PDFString,
+} = require("pdf-lib");
+
+const PERMISSION_KEYS = ["printing", "copying", "modifying"];
+const MAX_PASSWORD_LENGTH = 127;
+
+// P bits (1-based, ISO 32000-2 table 22). Bits 7-8 and 13-32 must be set.
+const P_RESERVED = 0xfffff0c0;
+const P_PRINT = 1 << 2;
+const P_MODIFY = 1 << 3;
+const P_COPY = 1 << 4;
+const P_ANNOTATE = 1 << 5;
+const P_FILL_FORMS = 1 << 8;
+const P_ACCESSIBILITY = 1 << 9;
+const P_ASSEMBLE = 1 << 10;
+const P_PRINT_HIGH_QUALITY = 1 << 11;
+
+/**
+ * Password bytes as revision 6 expects them: UTF-8, at most 127 bytes
+ */
+function passwordBytes(password) {
+  return Buffer.from(password.normalize("NFKC"), "utf8").subarray(
+    0,
+    MAX_PASSWORD_LENGTH
+  );
+}
+
+/**
+ * Check an `encryption` request option and fill in defaults
+ *
+ * Permissions that are not listed are granted. `printing` may be `true`,
+ * `false` or `"lowResolution"`. Without an owner password a random one is
+ * used, so the restrictions cannot be lifted by anyone.
+ *
+ * @param {Object} [options] - `encryption` option of the request
+ * @param {string} [options.userPassword] - Password needed to open the file ("" opens freely)
+ * @param {string} [options.ownerPassword] - Password that lifts the restrictions
+ * @param {Object} [options.permissions] - `{ printing, copying, modifying }`
+ * @returns {Object|null} Resolved settings, or null if no encryption was requested
+ * @throws {Error} If the option is invalid
+ *
+ * @example
+ * resolveEncryption({ userPassword: "1234", permissions: { copying: false } });
+ */
+function resolveEncryption(options) {
+  if (options === null || options === undefined) {
+    return null;
+  }
+  if (typeof options !== "object" || Array.isArray(options)) {
+    throw new Error("encryption must be an object");
+  }
+
+  const { userPassword = "", ownerPassword, permissions = {} } = options;
+
+  if (typeof userPassword !== "string") {
+    throw new Error("encryption.userPassword must be a string");
+  }
+  if (ownerPassword !== undefined && typeof ownerPassword !== "string") {
+    throw new Error("encryption.ownerPassword must be a string");
+  }
+  if (!userPassword && !ownerPassword) {
+    throw new Error(
+      "encryption requires a userPassword, an ownerPassword or both"
+    );
+  }
+  [userPassword, ownerPassword].forEach((password) => {
+    if (
+      password &&
+      passwordBytes(password).length < Buffer.byteLength(password)
+    ) {
+      throw new Error(
+        `encryption passwords must be at most ${MAX_PASSWORD_LENGTH} bytes`
+      );
+    }
+  });
+
+  if (
+    !permissions ||
+    typeof permissions !== "object" ||
+    Array.isArray(permissions)
+  ) {
+    throw new Error("encryption.permissions must be an object");
+  }
+  Object.keys(permissions).forEach((key) => {
+    if (!PERMISSION_KEYS.includes(key)) {
+      throw new Error(
+        `Unknown encryption permission "${key}" (expected ${PERMISSION_KEYS.join(", ")})`
+      );
+    }
+  });
+
+  const { printing = true, copying = true, modifying = true } = permissions;
+
+  if (typeof printing !== "boolean" && printing !== "lowResolution") {
+    throw new Error(
+      "encryption.permissions.printing must be true, false or \"lowResolution\""
+    );
+  }
+  if (typeof copying !== "boolean" || typeof modifying !== "boolean") {
+    throw new Error(
+      "encryption.permissions.copying and modifying must be booleans"
+    );
+  }
+
+  return {
+    userPassword,
+    ownerPassword: ownerPassword || crypto.randomBytes(32).toString("hex"),
+    permissions: { printing, copying, modifying },
+  };
+}
+
+/**
+ * Build the signed 32-bit P value for a permission set
+ */
+function permissionFlags({ printing, copying, modifying }) {
+  let flags = P_RESERVED | P_ACCESSIBILITY;
+
+  if (printing) {
+    flags |= P_PRINT;
+  }
+  if (printing === true) {
+    flags |= P_PRINT_HIGH_QUALITY;
+  }
+  if (copying) {
+    flags |= P_COPY;
+  }
+  if (modifying) {
+    flags |= P_MODIFY | P_ANNOTATE | P_FILL_FORMS | P_ASSEMBLE;
+  }
+
+  return flags | 0;
+}
+
+function aesNoPadding(algorithm, key, iv, data) {
+  const cipher = crypto.createCipheriv(algorithm, key, iv);
+
+  cipher.setAutoPadding(false);
+  return Buffer.concat([cipher.update(data), cipher.final()]);
+}
+
+/**
+ * Revision 6 password hash (ISO 32000-2, algorithm 2.B)
+ */
+function hashPassword(password, salt, userKey = Buffer.alloc(0)) {
+  let k = crypto
+    .createHash("sha256")
+    .update(Buffer.concat([password, salt, userKey]))
+    .digest();
+  let e = Buffer.alloc(1);
+
+  for (let round = 0; round < 64 || e[e.length - 1] > round - 32; round += 1) {
+    const block = Buffer.concat([password, k, userKey]);
+    const k1 = Buffer.concat(new Array(64).fill(block));
+
+    e = aesNoPadding("aes-128-cbc", k.subarray(0, 16), k.subarray(16, 32), k1);
+
+    // The first 16 bytes of E as a big-endian number, mod 3
+    let remainder = 0;
+
+    for (let i = 0; i < 16; i += 1) {
+      remainder += e[i];
+    }
+    const digest = ["sha256", "sha384", "sha512"][remainder % 3];
+
+    k = crypto.createHash(digest).update(e).digest();
+  }
+
+  return k.subarray(0, 32);
+}
+
+/**
+ * Compute the /U, /UE, /O, /OE and /Perms entries (algorithms 8, 9 and 10)
+ */
+function buildSecurityEntries(fileKey, settings, flags) {
+  const zeroIv = Buffer.alloc(16);
+  const user = passwordBytes(settings.userPassword);
+  const owner = passwordBytes(settings.ownerPassword);
+
+  const userValidationSalt = crypto.randomBytes(8);
+  const userKeySalt = crypto.randomBytes(8);
+  const U = Buffer.concat([
+    hashPassword(user, userValidationSalt),
+    userValidationSalt,
+    userKeySalt,
+  ]);
+  const UE = aesNoPadding(
+    "aes-256-cbc",
+    hashPassword(user, userKeySalt),
+    zeroIv,
+    fileKey
+  );
+
+  const ownerValidationSalt = crypto.randomBytes(8);
+  const ownerKeySalt = crypto.randomBytes(8);
+  const O = Buffer.concat([
+    hashPassword(owner, ownerValidationSalt, U),
+    ownerValidationSalt,
+    ownerKeySalt,
+  ]);
+  const OE = aesNoPadding(
+    "aes-256-cbc",
+    hashPassword(owner, ownerKeySalt, U),
+    zeroIv,
+    fileKey
+  );
+
+  const perms = Buffer.alloc(16);
+
+  perms.writeInt32LE(flags, 0);
+  perms.fill(0xff, 4, 8);
+  perms.write("Tadb", 8, "latin1");
+  crypto.randomBytes(4).copy(perms, 12);
+  const Perms = aesNoPadding("aes-256-ecb", fileKey, null, perms);
+
+  return { U, UE, O, OE, Perms };
+}
+
+/**
+ * AESV3 encryption of one string or stream: random IV followed by the
+ * AES-256-CBC ciphertext
+ */
+function encryptBytes(fileKey, data) {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv("aes-256-cbc", fileKey, iv);
+
+  return Buffer.concat([iv, cipher.update(data), cipher.final()]);
+}
+
+function toHexString(bytes) {
+  return PDFHexString.of(Buffer.from(bytes).toString("hex").toUpperCase());
+}
+
+/**
+ * Encrypt every string and stream reachable inside an object
+ */
+function encryptObject(object, fileKey) {
+  if (object instanceof PDFString || object instanceof PDFHexString) {
+    return toHexString(encryptBytes(fileKey, object.asBytes()));
+  }
+
+  if (object instanceof PDFStream) {
+    const dict = encryptObject(object.dict, fileKey);
+
+    return PDFRawStream.of(dict, encryptBytes(fileKey, object.getContents()));
+  }
+
+  if (object instanceof PDFDict) {
+    object.entries().forEach(([key, value]) => {
+      object.set(key, encryptObject(value, fileKey));
+    });
+    return object;
+  }
+
+  if (object instanceof PDFArray) {
+    for (let i = 0; i < object.size(); i += 1) {
+      object.set(i, encryptObject(object.get(i), fileKey));
+    }
+    return object;
+  }
+
+  return object;
+}
+
+/**
+ * Encrypt a finished PDF with AES-256
+ *
+ * Must be the last step applied to a document: any later change made
+ * without the key would corrupt it. The file is written without object
+ * streams and with the Adobe extension level 8 marker so PDF 1.7 readers
+ * (Acrobat X and later, pdf.js, Chrome, macOS Preview) accept revision 6.
+ *
+ * @param {Buffer|Uint8Array} pdfBuffer - Finished PDF
+ * @param {Object} settings - Output of resolveEncryption()
+ * @returns {Promise<Buffer>} Encrypted PDF
+ * @throws {Error} If the input is already encrypted
+ *
+ * @example
+ * const encrypted = await encryptPdf(pdfBuffer, resolveEncryption(req.body.encryption));
+ */
+async function encryptPdf(pdfBuffer, settings) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer, {
+    updateMetadata: false,
+    ignoreEncryption: true,
+  });
+
+  if (pdfDoc.isEncrypted) {
+    throw new Error("The PDF is already encrypted");
+  }
+
+  const { context } = pdfDoc;
+  const fileKey = crypto.randomBytes(32);
+
+  context.enumerateIndirectObjects().forEach(([ref, object]) => {
+    context.assign(ref, encryptObject(object, fileKey));
+  });
+
+  const flags = permissionFlags(settings.permissions);
+  const { U, UE, O, OE, Perms } = buildSecurityEntries(
+    fileKey,
+    settings,
+    flags
+  );
+
+  const encryptDict = context.obj({
+    Filter: "Standard",
+    V: 5,
+    R: 6,
+    Length: 256,
+    CF: {
+      StdCF: {
+        Type: "CryptFilter",
+        CFM: "AESV3",
+        AuthEvent: "DocOpen",
+        Length: 32,
+      },
+    },
+    StmF: "StdCF",
+    StrF: "StdCF",
+    P: PDFNumber.of(flags),
+    EncryptMetadata: true,
+  });
+
+  encryptDict.set(PDFName.of("U"), toHexString(U));
+  encryptDict.set(PDFName.of("UE"), toHexString(UE));
+  encryptDict.set(PDFName.of("O"), toHexString(O));
+  encryptDict.set(PDFName.of("OE"), toHexString(OE));
+  encryptDict.set(PDFName.of("Perms"), toHexString(Perms));
+
+  pdfDoc.catalog.set(
+    PDFName.of("Extensions"),
+    context.obj({ ADBE: { BaseVersion: "1.7", ExtensionLevel: 8 } })
+  );
+
+  // The file identifier is not encrypted; readers expect one alongside /Encrypt
+  if (!(context.trailerInfo.ID instanceof PDFArray)) {
+    const id = toHexString(crypto.randomBytes(16));
+
+    context.trailerInfo.ID = context.obj([id, id]);
+  }
+  context.trailerInfo.Encrypt = context.register(encryptDict);
+
+  return Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+}
+
+module.exports = {
+  resolveEncryption,
+  permissionFlags,
+  encryptPdf,
+};
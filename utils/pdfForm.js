@@ -0,0 +1,283 @@
+/**
+ * PDF Form Utilities
+ *
+ * Lists and fills the AcroForm fields of an existing PDF with pdf-lib, for
+ * fixed forms supplied by third parties that cannot be re-rendered from
+ * HTML. Filled fields get fresh appearances, and the form can be flattened
+ * into the page content so the values can no longer be edited.
+ *
+ * @fileoverview Inspect and fill AcroForms of existing PDFs
+ * @author PDF Service Team
+ * @version 1.0.0
+ */
+
+const {
+  PDFDocument,
+  PDFButton,
+  PDFCheckBox,
+  PDFDropdown,
+  PDFOptionList,
+  PDFRadioGroup,
+  PDFSignature,
+  PDFTextField,
+} = require("pdf-lib");
+
+// Field classes and the type names reported for them
+const FIELD_TYPES = [
+  [PDFTextField, "text"],
+  [PDFCheckBox, "checkbox"],
+  [PDFRadioGroup, "radio"],
+  [PDFDropdown, "dropdown"],
+  [PDFOptionList, "optionList"],
+  [PDFSignature, "signature"],
+  [PDFButton, "button"],
+];
+
+/**
+ * Error for field values that do not fit the form
+ *
+ * @param {string[]} reasons - One problem per field
+ * @returns {Error} Error with status 400, code INVALID_FIELD_VALUES and `reasons`
+ */
+function invalidFieldValuesError(reasons) {
+  const error = new Error(`The form cannot be filled: ${reasons.join("; ")}`);
+
+  error.status = 400;
+  error.code = "INVALID_FIELD_VALUES";
+  error.reasons = reasons;
+  return error;
+}
+
+/**
+ * Load a PDF for form work, refusing encrypted files
+ */
+async function loadPdf(pdfBuffer) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer, {
+    ignoreEncryption: true,
+    updateMetadata: false,
+  });
+
+  if (pdfDoc.isEncrypted) {
+    const error = new Error("Encrypted PDFs cannot be read or filled");
+
+    error.status = 400;
+    error.code = "PDF_ENCRYPTED";
+    throw error;
+  }
+
+  return pdfDoc;
+}
+
+/**
+ * Name the type of a pdf-lib field
+ */
+function fieldType(field) {
+  const match = FIELD_TYPES.find(([FieldClass]) => field instanceof FieldClass);
+
+  return match ? match[1] : "unknown";
+}
+
+/**
+ * Describe a field in the shape /fill accepts for its value
+ */
+function describeField(field) {
+  const type = fieldType(field);
+  const description = {
+    name: field.getName(),
+    type,
+    required: field.isRequired(),
+    readOnly: field.isReadOnly(),
+  };
+
+  if (type === "text") {
+    description.value = field.getText() ?? null;
+    description.multiline = field.isMultiline();
+    const maxLength = field.getMaxLength();
+
+    if (maxLength !== undefined) {
+      description.maxLength = maxLength;
+    }
+  } else if (type === "checkbox") {
+    description.value = field.isChecked();
+  } else if (type === "radio") {
+    description.value = field.getSelected() ?? null;
+    description.options = field.getOptions();
+  } else if (type === "dropdown" || type === "optionList") {
+    const selected = field.getSelected();
+
+    description.value =
+      type === "optionList" || field.isMultiselect()
+        ? selected
+        : (selected[0] ?? null);
+    description.options = field.getOptions();
+    description.multiselect = field.isMultiselect();
+    if (type === "dropdown") {
+      description.editable = field.isEditable();
+    }
+  }
+
+  return description;
+}
+
+/**
+ * List the fields of a PDF form
+ *
+ * @param {Buffer|Uint8Array} pdfBuffer - PDF to inspect
+ * @returns {Promise<Object[]>} `{ name, type, value, required, readOnly, ... }`
+ *   per field, with `options` for radio groups, dropdowns and option lists;
+ *   empty if the PDF has no form
+ * @throws {Error} If the PDF cannot be read or is encrypted
+ *
+ * @example
+ * const fields = await listFormFields(pdfBuffer);
+ * // [{ name: "policy_number", type: "text", value: null, ... }]
+ */
+async function listFormFields(pdfBuffer) {
+  const pdfDoc = await loadPdf(pdfBuffer);
+
+  return pdfDoc.getForm().getFields().map(describeField);
+}
+
+/**
+ * Set one field from a request value, returning a problem or null
+ *
+ * `font` is the form's default font, which appearances are drawn with.
+ */
+function fillField(field, value, font) {
+  const name = field.getName();
+  const type = fieldType(field);
+
+  if (field.isReadOnly()) {
+    return `Field "${name}" is read-only`;
+  }
+
+  if (type === "text") {
+    if (value !== null && !["string", "number"].includes(typeof value)) {
+      return `Field "${name}" is a text field; send a string`;
+    }
+    const text = value === null ? undefined : String(value);
+    const maxLength = field.getMaxLength();
+
+    if (
+      text !== undefined &&
+      maxLength !== undefined &&
+      text.length > maxLength
+    ) {
+      return `Field "${name}" takes at most ${maxLength} characters`;
+    }
+    try {
+      font.encodeText((text || "").replace(/[\r\n]/g, ""));
+    } catch {
+      return `Field "${name}" contains characters outside the Latin character set`;
+    }
+    field.setText(text);
+    return null;
+  }
+
+  if (type === "checkbox") {
+    if (typeof value !== "boolean") {
+      return `Field "${name}" is a checkbox; send true or false`;
+    }
+    if (value) {
+      field.check();
+    } else {
+      field.uncheck();
+    }
+    return null;
+  }
+
+  if (type === "radio") {
+    if (value === null) {
+      field.clear();
+      return null;
+    }
+    if (!field.getOptions().includes(value)) {
+      return `Field "${name}" is a radio group; send one of: ${field.getOptions().join(", ")}`;
+    }
+    field.select(value);
+    return null;
+  }
+
+  if (type === "dropdown" || type === "optionList") {
+    if (value === null) {
+      field.clear();
+      return null;
+    }
+    const selected = Array.isArray(value) ? value : [value];
+
+    if (selected.length === 0 || selected.some((v) => typeof v !== "string")) {
+      return `Field "${name}" takes an option string${field.isMultiselect() ? " or an array of them" : ""}`;
+    }
+    if (selected.length > 1 && !field.isMultiselect()) {
+      return `Field "${name}" takes a single option`;
+    }
+    const editable = type === "dropdown" && field.isEditable();
+    const unknown = selected.filter((v) => !field.getOptions().includes(v));
+
+    if (unknown.length > 0 && !editable) {
+      return `Field "${name}" has no option "${unknown[0]}"; send one of: ${field.getOptions().join(", ")}`;
+    }
+    field.select(selected);
+    return null;
+  }
+
+  return `Field "${name}" is a ${type} field and cannot be filled`;
+}
+
+/**
+ * Fill the form of a PDF from a field name to value map
+ *
+ * Values: a string (or number) for text fields, true/false for checkboxes,
+ * an option for radio groups and dropdowns (an array for multi-select
+ * lists), or null to clear. Problems with any value are reported together
+ * and no PDF is returned. Appearances are drawn with Helvetica, so text
+ * must be in the Latin (WinAnsi) character set.
+ *
+ * @param {Buffer|Uint8Array} pdfBuffer - PDF with an AcroForm
+ * @param {Object} values - Field name to value
+ * @param {Object} [options]
+ * @param {boolean} [options.flatten=false] - Merge the fields into the
+ *   page content so they can no longer be edited
+ * @returns {Promise<Buffer>} Filled PDF
+ * @throws {Error} INVALID_FIELD_VALUES (status 400) with `reasons` for
+ *   unknown fields or unusable values; PDF_ENCRYPTED (status 400)
+ *
+ * @example
+ * const filled = await fillPdfForm(pdfBuffer, {
+ *   policy_number: "POL-1042",
+ *   smoker: false,
+ *   cover_level: "Gold",
+ * }, { flatten: true });
+ */
+async function fillPdfForm(pdfBuffer, values, { flatten = false } = {}) {
+  const pdfDoc = await loadPdf(pdfBuffer);
+  const form = pdfDoc.getForm();
+  const font = form.getDefaultFont();
+
+  const reasons = [];
+
+  Object.entries(values).forEach(([name, value]) => {
+    const field = form.getFieldMaybe(name);
+    const problem = field
+      ? fillField(field, value, font)
+      : `Unknown field "${name}"`;
+
+    if (problem) {
+      reasons.push(problem);
+    }
+  });
+  if (reasons.length > 0) {
+    throw invalidFieldValuesError(reasons);
+  }
+
+  if (flatten) {
+    form.flatten();
+  }
+
+  return Buffer.from(await pdfDoc.save({ useObjectStreams: true }));
+}
+
+module.exports = {
+  listFormFields,
+  fillPdfForm,
+};
@@ -0,0 +1,316 @@
+/**
+ * PDF Form Field Utilities
+ *
+ * Turns bundle elements marked with `data-pdf-field` into fillable
+ * AcroForm fields. The marked elements are located on the rendered page
+ * after the paginator has run, and a widget is added with pdf-lib over
+ * each one, so the element itself supplies the visible box or line.
+ *
+ * Markup attributes:
+ * - `data-pdf-field` - text, checkbox, signature or dropdown
+ * - `data-pdf-name` - field name (required); elements sharing a name and
+ *   type become widgets of one field, e.g. a name repeated in a footer
+ * - `data-pdf-value` - initial text, or the selected dropdown option
+ * - `data-pdf-options` - dropdown options separated by `|`
+ * - `data-pdf-checked` - checkbox starts ticked
+ * - `data-pdf-required`, `data-pdf-multiline` - field flags
+ *
+ * @fileoverview Fillable AcroForm fields from bundle markup
+ * @author PDF Service Team
+ * @version 1.0.0
+ */
+
+const { PDFHexString, PDFName, PDFNumber } = require("pdf-lib");
+
+const FIELD_TYPES = ["text", "checkbox", "signature", "dropdown"];
+
+// SigFlags bit telling viewers the document has signature fields
+const SIGNATURES_EXIST = 1;
+
+// Widget appearance: no background or border, the rendered element shows through
+const WIDGET_STYLE = {
+  backgroundColor: undefined,
+  borderColor: undefined,
+  borderWidth: 0,
+};
+
+/**
+ * Error for form field markup that cannot become a field
+ *
+ * @param {string} message - Problem with the field
+ * @returns {Error} Error with status 400 and code INVALID_FORM_FIELD
+ */
+function formFieldError(message) {
+  const error = new Error(message);
+
+  error.status = 400;
+  error.code = "INVALID_FORM_FIELD";
+  return error;
+}
+
+/**
+ * Collect the marked form elements of a rendered bundle (runs in the browser)
+ *
+ * Positions and font sizes are fractions of the page the element sits on,
+ * so they can be mapped onto the printed page whatever its size.
+ * Elements outside bundle pages or without a box are skipped.
+ *
+ * @returns {Object} `{ pageCount, fields }`
+ */
+function collectFormFields() {
+  const pages = Array.from(document.querySelectorAll(".page"));
+  const fields = [];
+
+  pages.forEach((page, pageIndex) => {
+    const pageRect = page.getBoundingClientRect();
+
+    if (pageRect.width === 0 || pageRect.height === 0) {
+      return;
+    }
+
+    page.querySelectorAll("[data-pdf-field]").forEach((element) => {
+      const rect = element.getBoundingClientRect();
+
+      if (rect.width === 0 || rect.height === 0) {
+        return;
+      }
+
+      const options = element.getAttribute("data-pdf-options");
+
+      fields.push({
+        type: element.getAttribute("data-pdf-field").trim().toLowerCase(),
+        name: (element.getAttribute("data-pdf-name") || "").trim(),
+        value: element.getAttribute("data-pdf-value"),
+        options: options
+          ? options
+              .split("|")
+              .map((option) => option.trim())
+              .filter(Boolean)
+          : [],
+        checked: element.hasAttribute("data-pdf-checked"),
+        required: element.hasAttribute("data-pdf-required"),
+        multiline: element.hasAttribute("data-pdf-multiline"),
+        pageIndex,
+        x: (rect.left - pageRect.left) / pageRect.width,
+        y: (rect.top - pageRect.top) / pageRect.height,
+        width: rect.width / pageRect.width,
+        height: rect.height / pageRect.height,
+        fontSize:
+          (parseFloat(getComputedStyle(element).fontSize) || 0) /
+          pageRect.height,
+      });
+    });
+  });
+
+  return { pageCount: pages.length, fields };
+}
+
+/**
+ * Check a collected field before it is added
+ */
+function validateFormField(field) {
+  if (!field.name) {
+    throw formFieldError(
+      `A data-pdf-field="${field.type}" element has no data-pdf-name`
+    );
+  }
+  if (!FIELD_TYPES.includes(field.type)) {
+    throw formFieldError(
+      `Form field "${field.name}": unknown type "${field.type}" (use ${FIELD_TYPES.join(", ")})`
+    );
+  }
+  if (field.type === "dropdown") {
+    if (field.options.length === 0) {
+      throw formFieldError(
+        `Form field "${field.name}": a dropdown needs data-pdf-options`
+      );
+    }
+    if (
+      field.value !== null &&
+      field.value !== undefined &&
+      !field.options.includes(field.value)
+    ) {
+      throw formFieldError(
+        `Form field "${field.name}": "${field.value}" is not one of its options`
+      );
+    }
+  }
+}
+
+/**
+ * Add an unsigned signature field; the recipient signs it in their reader
+ */
+function addSignatureWidget(pdfDoc, form, field, page, rect) {
+  const { context } = pdfDoc;
+
+  // Empty appearance, as PDF/A requires every widget to have one
+  const appearance = context.stream("", {
+    Type: "XObject",
+    Subtype: "Form",
+    BBox: [0, 0, rect.width, rect.height],
+  });
+  const widget = context.obj({
+    Type: "Annot",
+    Subtype: "Widget",
+    FT: "Sig",
+    T: PDFHexString.fromText(field.name),
+    F: 4,
+    P: page.ref,
+    Rect: [rect.x, rect.y, rect.x + rect.width, rect.y + rect.height],
+    AP: { N: context.register(appearance) },
+  });
+
+  if (field.required) {
+    widget.set(PDFName.of("Ff"), PDFNumber.of(2));
+  }
+
+  const widgetRef = context.register(widget);
+
+  page.node.addAnnot(widgetRef);
+  form.acroForm.addField(widgetRef);
+
+  const sigFlags = form.acroForm.dict.lookup(PDFName.of("SigFlags"));
+
+  form.acroForm.dict.set(
+    PDFName.of("SigFlags"),
+    PDFNumber.of((sigFlags ? sigFlags.asNumber() : 0) | SIGNATURES_EXIST)
+  );
+}
+
+/**
+ * Create the pdf-lib field for the first element with a given name
+ */
+function createField(form, field) {
+  const created = {
+    text: () => form.createTextField(field.name),
+    checkbox: () => form.createCheckBox(field.name),
+    dropdown: () => form.createDropdown(field.name),
+  }[field.type]();
+
+  if (field.type === "text" && field.multiline) {
+    created.enableMultiline();
+  }
+  if (field.type === "dropdown") {
+    created.addOptions(field.options);
+  }
+  if (field.required) {
+    created.enableRequired();
+  }
+  return created;
+}
+
+/**
+ * Set the font size and initial value of a field
+ *
+ * Runs once the field has a widget: the font size lives in the default
+ * appearance and a checkbox's on-value in the widget, both written by
+ * addToPage.
+ */
+function setInitialValue(pdfField, field, fontSize) {
+  if (field.type === "checkbox") {
+    if (field.checked) {
+      pdfField.check();
+    }
+    return;
+  }
+
+  if (fontSize > 0) {
+    pdfField.setFontSize(fontSize);
+  }
+  if (field.type === "text" && field.value) {
+    pdfField.setText(field.value);
+  }
+  if (
+    field.type === "dropdown" &&
+    field.value !== null &&
+    field.value !== undefined
+  ) {
+    pdfField.select(field.value);
+  }
+}
+
+/**
+ * Add AcroForm fields for the collected form elements of a loaded PDF
+ *
+ * Text and dropdown fields use the element's font size. Fields pointing
+ * past the last page are placed on the last page.
+ *
+ * @param {PDFDocument} pdfDoc - pdf-lib document (modified in place)
+ * @param {Object[]} fields - Fields from collectFormFields()
+ * @returns {number} Number of widgets added
+ * @throws {Error} INVALID_FORM_FIELD (status 400) if a field is invalid
+ *   or its name is already taken by a field of another type
+ *
+ * @example
+ * const pdfDoc = await PDFDocument.load(pdfBuffer);
+ * applyFormFields(pdfDoc, fields);
+ */
+function applyFormFields(pdfDoc, fields) {
+  if (fields.length === 0) {
+    return 0;
+  }
+
+  const form = pdfDoc.getForm();
+  const pages = pdfDoc.getPages();
+  const created = new Map();
+
+  fields.forEach((field) => {
+    validateFormField(field);
+
+    const page = pages[Math.min(field.pageIndex, pages.length - 1)];
+    const {
+      x: boxX,
+      y: boxY,
+      width: pageWidth,
+      height: pageHeight,
+    } = page.getMediaBox();
+    const rect = {
+      x: boxX + (field.x * pageWidth),
+      y: boxY + ((1 - field.y - field.height) * pageHeight),
+      width: field.width * pageWidth,
+      height: field.height * pageHeight,
+    };
+
+    const existing = created.get(field.name);
+
+    if (existing && existing.type !== field.type) {
+      throw formFieldError(
+        `Form field "${field.name}" is used for both ${existing.type} and ${field.type}`
+      );
+    }
+
+    if (field.type === "signature") {
+      if (existing) {
+        throw formFieldError(
+          `Form field "${field.name}": a signature field can only appear once`
+        );
+      }
+      addSignatureWidget(pdfDoc, form, field, page, rect);
+      created.set(field.name, { type: field.type });
+      return;
+    }
+
+    if (existing) {
+      existing.pdfField.addToPage(page, { ...rect, ...WIDGET_STYLE });
+      return;
+    }
+
+    let pdfField;
+
+    try {
+      pdfField = createField(form, field);
+    } catch (error) {
+      throw formFieldError(`Form field "${field.name}": ${error.message}`);
+    }
+    pdfField.addToPage(page, { ...rect, ...WIDGET_STYLE });
+    setInitialValue(pdfField, field, field.fontSize * pageHeight);
+    created.set(field.name, { type: field.type, pdfField });
+  });
+
+  return fields.length;
+}
+
+module.exports = {
+  collectFormFields,
+  applyFormFields,
+};
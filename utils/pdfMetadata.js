@@ -0,0 +1,202 @@
+/**
+ * PDF Metadata Utilities
+ *
+ * Writes the document Info dictionary (Title, Author, Subject, Keywords,
+ * Creator, Producer and dates) into a rendered PDF with pdf-lib, replacing
+ * the Chromium defaults. Values come from the bundle's `pdfMetadata` block
+ * and fall back to `head.title` and the author/description/keywords meta
+ * tags.
+ *
+ * @fileoverview PDF document metadata from the bundle head
+ * @author PDF Service Team
+ * @version 1.0.0
+ */
+
+const { version } = require("../package.json");
+
+// Written when the request does not name a creator/producer
+const DEFAULT_CREATOR = "PDF Service";
+const DEFAULT_PRODUCER = `pdf-service-node ${version}`;
+
+const STRING_FIELDS = ["title", "author", "subject", "creator", "producer"];
+const DATE_FIELDS = ["creationDate", "modificationDate"];
+
+/**
+ * Find the content of a <meta name="..."> entry in the bundle head
+ */
+function findMetaContent(meta, name) {
+  if (!Array.isArray(meta)) {
+    return undefined;
+  }
+
+  const entry = meta.find(
+    (m) =>
+      m &&
+      typeof m.name === "string" &&
+      m.name.toLowerCase() === name &&
+      typeof m.content === "string" &&
+      m.content.trim()
+  );
+
+  return entry ? entry.content.trim() : undefined;
+}
+
+/**
+ * Split a keywords value into a clean list
+ */
+function toKeywordList(keywords) {
+  const list = Array.isArray(keywords) ? keywords : String(keywords).split(",");
+
+  return list.map((keyword) => String(keyword).trim()).filter(Boolean);
+}
+
+/**
+ * Check an explicit pdfMetadata block
+ */
+function validatePdfMetadata(metadata, label) {
+  if (metadata === null || metadata === undefined) {
+    return;
+  }
+  if (typeof metadata !== "object" || Array.isArray(metadata)) {
+    throw new Error(`${label} must be an object`);
+  }
+
+  STRING_FIELDS.forEach((field) => {
+    if (metadata[field] !== undefined && typeof metadata[field] !== "string") {
+      throw new Error(`${label}.${field} must be a string`);
+    }
+  });
+
+  const { keywords } = metadata;
+
+  if (
+    keywords !== undefined &&
+    typeof keywords !== "string" &&
+    !(
+      Array.isArray(keywords) &&
+      keywords.every((keyword) => typeof keyword === "string")
+    )
+  ) {
+    throw new Error(
+      `${label}.keywords must be a string or an array of strings`
+    );
+  }
+
+  DATE_FIELDS.forEach((field) => {
+    if (
+      metadata[field] !== undefined &&
+      Number.isNaN(new Date(metadata[field]).getTime())
+    ) {
+      throw new Error(`${label}.${field} must be an ISO 8601 date`);
+    }
+  });
+}
+
+/**
+ * Work out the metadata to write for a conversion request
+ *
+ * Precedence: request `pdfMetadata` (for raw HTML and merge requests),
+ * then `pdfDocumentBundle.pdfMetadata`, then the bundle head
+ * (`head.title`, meta author/description/keywords), then service defaults
+ * for Creator, Producer and the dates. In merge mode the first bundle
+ * part stands in for the bundle.
+ *
+ * @param {Object} payload - Conversion request body
+ * @param {Date} [now] - Timestamp used for default dates
+ * @returns {Object} Metadata with title, author, subject, keywords[],
+ *   creator, producer, creationDate and modificationDate
+ * @throws {Error} If a pdfMetadata block is invalid
+ *
+ * @example
+ * const metadata = resolvePdfMetadata({ pdfDocumentBundle: bundle });
+ * console.log(metadata.title); // bundle.head.title
+ */
+function resolvePdfMetadata(payload = {}, now = new Date()) {
+  const firstBundlePart = Array.isArray(payload.parts)
+    ? payload.parts.find(
+        (part) => part && typeof part.pdfDocumentBundle === "object"
+      )
+    : undefined;
+  const bundle =
+    (payload.pdfDocumentBundle && typeof payload.pdfDocumentBundle === "object"
+      ? payload.pdfDocumentBundle
+      : firstBundlePart && firstBundlePart.pdfDocumentBundle) || {};
+  const head =
+    bundle.head && typeof bundle.head === "object" ? bundle.head : {};
+
+  validatePdfMetadata(bundle.pdfMetadata, "pdfDocumentBundle.pdfMetadata");
+  validatePdfMetadata(payload.pdfMetadata, "pdfMetadata");
+
+  const fromHead = {
+    title: typeof head.title === "string" ? head.title : undefined,
+    author: findMetaContent(head.meta, "author"),
+    subject: findMetaContent(head.meta, "description"),
+    keywords: findMetaContent(head.meta, "keywords"),
+  };
+
+  const merged = { ...fromHead };
+
+  [bundle.pdfMetadata, payload.pdfMetadata].forEach((source) => {
+    Object.entries(source || {}).forEach(([key, value]) => {
+      if (value !== undefined) {
+        merged[key] = value;
+      }
+    });
+  });
+
+  const creationDate = merged.creationDate
+    ? new Date(merged.creationDate)
+    : now;
+
+  return {
+    title: merged.title,
+    author: merged.author,
+    subject: merged.subject,
+    keywords:
+      merged.keywords !== undefined ? toKeywordList(merged.keywords) : [],
+    creator: merged.creator || DEFAULT_CREATOR,
+    producer: merged.producer || DEFAULT_PRODUCER,
+    creationDate,
+    modificationDate: merged.modificationDate
+      ? new Date(merged.modificationDate)
+      : creationDate,
+  };
+}
+
+/**
+ * Write metadata into a loaded PDF
+ *
+ * Load the document with `{ updateMetadata: false }` so pdf-lib does not
+ * overwrite Producer and the dates with its own values on save.
+ *
+ * @param {PDFDocument} pdfDoc - pdf-lib document (modified in place)
+ * @param {Object} metadata - Output of resolvePdfMetadata()
+ *
+ * @example
+ * const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+ * applyPdfMetadata(pdfDoc, resolvePdfMetadata(req.body));
+ */
+function applyPdfMetadata(pdfDoc, metadata) {
+  if (metadata.title) {
+    pdfDoc.setTitle(metadata.title, { showInWindowTitleBar: true });
+  }
+  if (metadata.author) {
+    pdfDoc.setAuthor(metadata.author);
+  }
+  if (metadata.subject) {
+    pdfDoc.setSubject(metadata.subject);
+  }
+  if (metadata.keywords.length > 0) {
+    pdfDoc.setKeywords(metadata.keywords);
+  }
+
+  pdfDoc.setCreator(metadata.creator);
+  pdfDoc.setProducer(metadata.producer);
+  pdfDoc.setCreationDate(metadata.creationDate);
+  pdfDoc.setModificationDate(metadata.modificationDate);
+}
+
+module.exports = {
+  resolvePdfMetadata,
+  applyPdfMetadata,
+};
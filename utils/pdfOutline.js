@@ -0,0 +1,280 @@
+/**
+ * PDF Outline Utilities
+ *
+ * Builds the bookmark tree (document outline) of a rendered PDF. Entries
+ * are read from the rendered page after the paginator has run: each
+ * bundle page section contributes its `data-title`, and the h1-h6
+ * headings in its body are nested beneath it by level. Every bookmark
+ * points to the printed page the content ended up on.
+ *
+ * @fileoverview Bookmarks from page titles and headings
+ * @author PDF Service Team
+ * @version 1.0.0
+ */
+
+const { PDFHexString, PDFName, PDFNull, PDFNumber } = require("pdf-lib");
+
+// Deepest heading level taken into the outline unless the request says otherwise
+const DEFAULT_MAX_HEADING_LEVEL = 3;
+
+/**
+ * Validate the `outline` option and fill in defaults
+ *
+ * @param {boolean|Object} [options] - `outline` option from the request body
+ * @param {number} [options.maxHeadingLevel=3] - Deepest heading (0 = page titles only)
+ * @param {boolean} [options.expanded=true] - Whether bookmarks open expanded
+ * @returns {Object|null} Outline settings, or null if none was requested
+ * @throws {Error} If the settings are invalid
+ *
+ * @example
+ * const outline = resolveOutline({ maxHeadingLevel: 2 });
+ */
+function resolveOutline(options) {
+  if (options === null || options === undefined || options === false) {
+    return null;
+  }
+  if (options === true) {
+    options = {};
+  }
+  if (typeof options !== "object" || Array.isArray(options)) {
+    throw new Error("\"outline\" must be true or an object");
+  }
+
+  const { maxHeadingLevel = DEFAULT_MAX_HEADING_LEVEL, expanded = true } =
+    options;
+
+  if (
+    !Number.isInteger(maxHeadingLevel) ||
+    maxHeadingLevel < 0 ||
+    maxHeadingLevel > 6
+  ) {
+    throw new Error("outline.maxHeadingLevel must be an integer from 0 to 6");
+  }
+  if (typeof expanded !== "boolean") {
+    throw new Error("outline.expanded must be a boolean");
+  }
+
+  return { maxHeadingLevel, expanded };
+}
+
+/**
+ * Collect outline entries from a rendered bundle (runs in the browser)
+ *
+ * Pages the paginator added for overflowing content carry
+ * `data-continuation`; they share the section of the page they continue,
+ * so its title is listed once. Footnote numbers are left out of heading
+ * titles. `top` is the entry's offset from the top of its page as a
+ * fraction of the page height.
+ *
+ * @param {number} maxHeadingLevel - Deepest heading to collect
+ * @returns {Object} `{ pageCount, entries }`; pageCount is 0 when the
+ *   markup has no bundle pages
+ */
+function collectOutlineEntries(maxHeadingLevel) {
+  function clean(text) {
+    return (text || "").replace(/\s+/g, " ").trim();
+  }
+
+  // Text of a heading without its footnote numbers
+  function textWithoutRefs(element) {
+    const copy = element.cloneNode(true);
+
+    copy.querySelectorAll(".footnote-ref").forEach((ref) => ref.remove());
+    return copy.textContent;
+  }
+
+  const pages = Array.from(document.querySelectorAll(".page"));
+  const selector = Array.from(
+    { length: maxHeadingLevel },
+    (_, index) => `main.body h${index + 1}`
+  ).join(",");
+
+  const entries = [];
+  let section = -1;
+
+  pages.forEach((page, pageIndex) => {
+    const pageRect = page.getBoundingClientRect();
+
+    function topOf(element) {
+      if (pageRect.height <= 0) {
+        return 0;
+      }
+      const top =
+        (element.getBoundingClientRect().top - pageRect.top) / pageRect.height;
+
+      return Math.min(Math.max(top, 0), 1);
+    }
+
+    if (!page.hasAttribute("data-continuation")) {
+      section += 1;
+      const title = clean(page.getAttribute("data-title"));
+
+      if (title) {
+        entries.push({ title, level: 0, section, pageIndex, top: 0 });
+      }
+    }
+
+    if (selector) {
+      page.querySelectorAll(selector).forEach((heading) => {
+        const title = clean(textWithoutRefs(heading));
+
+        if (title) {
+          entries.push({
+            title,
+            level: Number(heading.tagName.charAt(1)),
+            section,
+            pageIndex,
+            top: topOf(heading),
+          });
+        }
+      });
+    }
+  });
+
+  return { pageCount: pages.length, entries };
+}
+
+/**
+ * Nest flat outline entries into a bookmark tree
+ *
+ * A page title (level 0) holds the headings of its section; each heading
+ * holds the deeper headings that follow it. Headings never nest across
+ * sections, so an untitled section starts again at the top level.
+ *
+ * @param {Object[]} entries - `{ title, level, section, pageIndex, top }` in document order
+ * @returns {Object[]} Top-level nodes `{ title, pageIndex, top, children }`
+ *
+ * @example
+ * buildOutlineTree([
+ *   { title: "Transcript", level: 0, section: 0, pageIndex: 0, top: 0 },
+ *   { title: "Year 1", level: 1, section: 0, pageIndex: 0, top: 0.2 },
+ * ]);
+ * // [{ title: "Transcript", ..., children: [{ title: "Year 1", ... }] }]
+ */
+function buildOutlineTree(entries) {
+  const roots = [];
+  let stack = [];
+  let currentSection;
+
+  entries.forEach(({ title, level, section, pageIndex, top }) => {
+    if (section !== currentSection) {
+      stack = [];
+      currentSection = section;
+    }
+    while (stack.length > 0 && stack[stack.length - 1].level >= level) {
+      stack.pop();
+    }
+
+    const node = { title, pageIndex, top, children: [] };
+
+    (stack.length > 0 ? stack[stack.length - 1].node.children : roots).push(
+      node
+    );
+    stack.push({ level, node });
+  });
+
+  return roots;
+}
+
+/**
+ * Number of bookmarks shown for a list of siblings, counting their
+ * descendants only when bookmarks open expanded
+ */
+function countVisible(nodes, expanded) {
+  return nodes.reduce(
+    (total, node) =>
+      total + 1 + (expanded ? countVisible(node.children, expanded) : 0),
+    0
+  );
+}
+
+/**
+ * Write the outline items for a list of sibling nodes
+ */
+function addOutlineItems(pdfDoc, nodes, parentRef, expanded) {
+  const { context } = pdfDoc;
+  const pages = pdfDoc.getPages();
+  const refs = nodes.map(() => context.nextRef());
+
+  nodes.forEach((node, index) => {
+    const page = pages[Math.min(node.pageIndex, pages.length - 1)];
+    const { y, height } = page.getMediaBox();
+    const item = context.obj({
+      Title: PDFHexString.fromText(node.title),
+      Parent: parentRef,
+      Dest: [page.ref, "XYZ", PDFNull, y + (height * (1 - node.top)), PDFNull],
+    });
+
+    if (index > 0) {
+      item.set(PDFName.of("Prev"), refs[index - 1]);
+    }
+    if (index < nodes.length - 1) {
+      item.set(PDFName.of("Next"), refs[index + 1]);
+    }
+    if (node.children.length > 0) {
+      const childRefs = addOutlineItems(
+        pdfDoc,
+        node.children,
+        refs[index],
+        expanded
+      );
+      const count = countVisible(node.children, expanded);
+
+      item.set(PDFName.of("First"), childRefs[0]);
+      item.set(PDFName.of("Last"), childRefs[childRefs.length - 1]);
+      item.set(PDFName.of("Count"), PDFNumber.of(expanded ? count : -count));
+    }
+
+    context.assign(refs[index], item);
+  });
+
+  return refs;
+}
+
+/**
+ * Add a bookmark tree to a loaded PDF
+ *
+ * Replaces any outline the document already has and asks viewers to open
+ * the bookmarks panel. Entries pointing past the last page are attached to
+ * the last page.
+ *
+ * @param {PDFDocument} pdfDoc - pdf-lib document (modified in place)
+ * @param {Object[]} entries - Collected outline entries (see collectOutlineEntries)
+ * @param {Object} outline - Settings from resolveOutline()
+ * @returns {number} Number of bookmarks written
+ *
+ * @example
+ * applyOutline(pdfDoc, entries, resolveOutline(true));
+ */
+function applyOutline(pdfDoc, entries, outline) {
+  const tree = buildOutlineTree(entries);
+
+  if (tree.length === 0 || pdfDoc.getPageCount() === 0) {
+    return 0;
+  }
+
+  const { context, catalog } = pdfDoc;
+  const rootRef = context.nextRef();
+  const itemRefs = addOutlineItems(pdfDoc, tree, rootRef, outline.expanded);
+
+  context.assign(
+    rootRef,
+    context.obj({
+      Type: "Outlines",
+      First: itemRefs[0],
+      Last: itemRefs[itemRefs.length - 1],
+      Count: countVisible(tree, outline.expanded),
+    })
+  );
+  catalog.set(PDFName.of("Outlines"), rootRef);
+  catalog.set(PDFName.of("PageMode"), PDFName.of("UseOutlines"));
+
+  return entries.length;
+}
+
+module.exports = {
+  resolveOutline,
+  collectOutlineEntries,
+  buildOutlineTree,
+  applyOutline,
+};
@@ -0,0 +1,650 @@
+/**
+ * PDF Signing Utilities
+ *
+ * Adds a PKCS#7 (CMS) detached signature to a finished PDF and checks
+ * such signatures again. The signature field, its optional visible
+ * appearance and a placeholder for the signature are written with pdf-lib;
+ * the CMS structure is built with node-forge from a PKCS#12 keystore.
+ *
+ * @fileoverview PKCS#7 detached PDF signatures and verification
+ * @author PDF Service Team
+ * @version 1.0.0
+ */
+
+const crypto = require("crypto");
+const forge = require("node-forge");
+const {
+  PDFDocument,
+  PDFDict,
+  PDFHexString,
+  PDFName,
+  PDFNumber,
+  PDFString,
+  StandardFonts,
+  beginText,
+  endText,
+  moveText,
+  popGraphicsState,
+  pushGraphicsState,
+  rectangle,
+  setFillingRgbColor,
+  setFontAndSize,
+  setLineWidth,
+  setStrokingRgbColor,
+  showText,
+  stroke,
+} = require("pdf-lib");
+
+const POSITIONS = ["bottom-left", "bottom-right", "top-left", "top-right"];
+const EDGE_MARGIN = 36;
+const FONT_SIZE = 8;
+const LINE_HEIGHT = 11;
+const PADDING = 6;
+const MIN_APPEARANCE_WIDTH = 180;
+
+// Written by pdf-lib as `/ByteRange [ 0 /********** ... ]` and replaced by
+// the real offsets (padded with spaces) once the file layout is known
+const BYTE_RANGE_PLACEHOLDER = "**********";
+// Spare room in /Contents on top of the measured signature size
+const SIGNATURE_SLACK = 1024;
+
+const DIGESTS = {
+  [forge.pki.oids.sha1]: "sha1",
+  [forge.pki.oids.sha256]: "sha256",
+  [forge.pki.oids.sha384]: "sha384",
+  [forge.pki.oids.sha512]: "sha512",
+};
+
+/**
+ * Check a `signature` request option and fill in defaults
+ *
+ * `true` asks for an invisible signature with the keystore's signer name.
+ *
+ * @param {Object|boolean} [options] - `signature` option of the request
+ * @param {boolean} [options.visible=false] - Draw a signature box on the page
+ * @param {string} [options.name] - Signer name (default: certificate common name)
+ * @param {string} [options.reason] - Reason for signing
+ * @param {string} [options.location] - Place of signing
+ * @param {number} [options.page] - 1-based page of the visible box (default: last page)
+ * @param {string} [options.position="bottom-right"] - Corner of the visible box
+ * @returns {Object|null} Resolved settings, or null if no signature was requested
+ * @throws {Error} If the option is invalid
+ *
+ * @example
+ * resolveSignature({ visible: true, reason: "Policy issued" });
+ */
+function resolveSignature(options) {
+  if (options === null || options === undefined || options === false) {
+    return null;
+  }
+  if (options === true) {
+    return { visible: false, position: "bottom-right" };
+  }
+  if (typeof options !== "object" || Array.isArray(options)) {
+    throw new Error("signature must be true or an object");
+  }
+
+  const {
+    visible = false,
+    name,
+    reason,
+    location,
+    page,
+    position = "bottom-right",
+  } = options;
+
+  if (typeof visible !== "boolean") {
+    throw new Error("signature.visible must be a boolean");
+  }
+  Object.entries({ name, reason, location }).forEach(([field, value]) => {
+    if (value !== undefined && typeof value !== "string") {
+      throw new Error(`signature.${field} must be a string`);
+    }
+  });
+  if (page !== undefined && !(Number.isInteger(page) && page >= 1)) {
+    throw new Error("signature.page must be a page number (1 or more)");
+  }
+  if (!POSITIONS.includes(position)) {
+    throw new Error(
+      `Invalid signature position "${position}" (expected ${POSITIONS.join(", ")})`
+    );
+  }
+
+  return { visible, name, reason, location, page, position };
+}
+
+/**
+ * SHA-256 fingerprint of a forge certificate, as colon-separated hex
+ */
+function certificateFingerprint(certificate) {
+  return new crypto.X509Certificate(forge.pki.certificateToPem(certificate))
+    .fingerprint256;
+}
+
+/**
+ * Read the private key and certificate chain from a PKCS#12 keystore
+ *
+ * @param {Buffer} p12Buffer - Contents of the .p12/.pfx file
+ * @param {string} [password=""] - Keystore password
+ * @returns {Object} `{ privateKey, certificate, chain, signerName, fingerprint }`
+ * @throws {Error} If the keystore cannot be read or holds no RSA key and certificate
+ */
+function loadKeystore(p12Buffer, password = "") {
+  let p12;
+
+  try {
+    p12 = forge.pkcs12.pkcs12FromAsn1(
+      forge.asn1.fromDer(forge.util.createBuffer(p12Buffer.toString("binary"))),
+      password
+    );
+  } catch (error) {
+    throw new Error(`Cannot read the signing keystore: ${error.message}`);
+  }
+
+  const keyBags = [
+    ...(p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[
+      forge.pki.oids.pkcs8ShroudedKeyBag
+    ] || []),
+    ...(p12.getBags({ bagType: forge.pki.oids.keyBag })[
+      forge.pki.oids.keyBag
+    ] || []),
+  ];
+  const certificates = (
+    p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] ||
+    []
+  )
+    .map((bag) => bag.cert)
+    .filter(Boolean);
+  const privateKey = keyBags.map((bag) => bag.key).find(Boolean);
+
+  if (!privateKey || certificates.length === 0) {
+    throw new Error(
+      "The signing keystore must contain an RSA private key and its certificate"
+    );
+  }
+
+  // The signer certificate is the one whose public key matches the key
+  const certificate =
+    certificates.find(
+      (cert) => cert.publicKey.n && cert.publicKey.n.equals(privateKey.n)
+    ) || certificates[0];
+  const commonName = certificate.subject.getField("CN");
+
+  return {
+    privateKey,
+    certificate,
+    chain: certificates.filter((cert) => cert !== certificate),
+    signerName: commonName ? commonName.value : "PDF Service",
+    fingerprint: certificateFingerprint(certificate),
+  };
+}
+
+/**
+ * Build the DER-encoded detached CMS signature over `data`
+ */
+function createCmsSignature(data, keystore, signingTime) {
+  const p7 = forge.pkcs7.createSignedData();
+
+  p7.content = forge.util.createBuffer(data.toString("binary"));
+  p7.addCertificate(keystore.certificate);
+  keystore.chain.forEach((cert) => p7.addCertificate(cert));
+  p7.addSigner({
+    key: keystore.privateKey,
+    certificate: keystore.certificate,
+    digestAlgorithm: forge.pki.oids.sha256,
+    authenticatedAttributes: [
+      { type: forge.pki.oids.contentType, value: forge.pki.oids.data },
+      { type: forge.pki.oids.messageDigest },
+      { type: forge.pki.oids.signingTime, value: signingTime },
+    ],
+  });
+  p7.sign({ detached: true });
+
+  return Buffer.from(forge.asn1.toDer(p7.toAsn1()).getBytes(), "binary");
+}
+
+/**
+ * Text lines shown in a visible signature box
+ */
+function appearanceLines(signature, signerName, signingTime) {
+  return [
+    `Digitally signed by ${signerName}`,
+    `Date: ${signingTime.toISOString().replace("T", " ").slice(0, 19)} UTC`,
+    signature.reason && `Reason: ${signature.reason}`,
+    signature.location && `Location: ${signature.location}`,
+  ].filter(Boolean);
+}
+
+/**
+ * Create the appearance stream and rectangle of a visible signature
+ */
+async function buildAppearance(pdfDoc, page, position, lines) {
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  let encoded;
+
+  try {
+    encoded = lines.map((line) => font.encodeText(line));
+  } catch (error) {
+    throw new Error(
+      `The visible signature cannot draw this text with the built-in Helvetica font (${error.message})`
+    );
+  }
+
+  const width = Math.max(
+    MIN_APPEARANCE_WIDTH,
+    ...lines.map(
+      (line) => font.widthOfTextAtSize(line, FONT_SIZE) + (2 * PADDING)
+    )
+  );
+  const height = (lines.length * LINE_HEIGHT) + (2 * PADDING) - 2;
+
+  const operators = [
+    pushGraphicsState(),
+    setLineWidth(0.75),
+    setStrokingRgbColor(0.2, 0.2, 0.2),
+    rectangle(0.5, 0.5, width - 1, height - 1),
+    stroke(),
+    beginText(),
+    setFillingRgbColor(0, 0, 0),
+    setFontAndSize("F1", FONT_SIZE),
+    moveText(PADDING, height - PADDING - FONT_SIZE),
+  ];
+
+  encoded.forEach((text, index) => {
+    if (index > 0) {
+      operators.push(moveText(0, -LINE_HEIGHT));
+    }
+    operators.push(showText(text));
+  });
+  operators.push(endText(), popGraphicsState());
+
+  const { context } = pdfDoc;
+  const appearance = context.register(
+    context.formXObject(operators, {
+      BBox: [0, 0, width, height],
+      Resources: { Font: { F1: font.ref } },
+    })
+  );
+
+  const { width: pageWidth, height: pageHeight } = page.getSize();
+  const [vertical, horizontal] = position.split("-");
+  const x =
+    horizontal === "left" ? EDGE_MARGIN : pageWidth - EDGE_MARGIN - width;
+  const y =
+    vertical === "bottom" ? EDGE_MARGIN : pageHeight - EDGE_MARGIN - height;
+
+  return { appearance, rect: [x, y, x + width, y + height] };
+}
+
+/**
+ * Add the signature dictionary and field with placeholders for the
+ * byte range and the signature itself
+ */
+async function addSignatureField(
+  pdfDoc,
+  signature,
+  keystore,
+  signingTime,
+  size
+) {
+  const { context } = pdfDoc;
+  const pages = pdfDoc.getPages();
+  const pageIndex = (signature.page || pages.length) - 1;
+
+  if (pageIndex >= pages.length) {
+    throw new Error(
+      `signature.page ${signature.page} is out of range (the document has ${pages.length} pages)`
+    );
+  }
+  const page = pages[pageIndex];
+  const signerName = signature.name || keystore.signerName;
+
+  const signatureDict = context.obj({
+    Type: "Sig",
+    Filter: "Adobe.PPKLite",
+    SubFilter: "adbe.pkcs7.detached",
+    ByteRange: [
+      0,
+      PDFName.of(BYTE_RANGE_PLACEHOLDER),
+      PDFName.of(BYTE_RANGE_PLACEHOLDER),
+      PDFName.of(BYTE_RANGE_PLACEHOLDER),
+    ],
+    Contents: PDFHexString.of("0".repeat(size * 2)),
+    Name: PDFHexString.fromText(signerName),
+    M: PDFString.fromDate(signingTime),
+  });
+
+  if (signature.reason) {
+    signatureDict.set(
+      PDFName.of("Reason"),
+      PDFHexString.fromText(signature.reason)
+    );
+  }
+  if (signature.location) {
+    signatureDict.set(
+      PDFName.of("Location"),
+      PDFHexString.fromText(signature.location)
+    );
+  }
+
+  const acroForm = pdfDoc.catalog.getOrCreateAcroForm();
+  const widget = context.obj({
+    Type: "Annot",
+    Subtype: "Widget",
+    FT: "Sig",
+    T: PDFHexString.fromText(`Signature${acroForm.getFields().length + 1}`),
+    V: context.register(signatureDict),
+    F: 4,
+    P: page.ref,
+    Rect: [0, 0, 0, 0],
+  });
+
+  if (signature.visible) {
+    const { appearance, rect } = await buildAppearance(
+      pdfDoc,
+      page,
+      signature.position,
+      appearanceLines(signature, signerName, signingTime)
+    );
+
+    widget.set(PDFName.of("Rect"), context.obj(rect));
+    widget.set(PDFName.of("AP"), context.obj({ N: appearance }));
+  }
+
+  const widgetRef = context.register(widget);
+
+  page.node.addAnnot(widgetRef);
+  acroForm.addField(widgetRef);
+  acroForm.dict.set(PDFName.of("SigFlags"), PDFNumber.of(3));
+}
+
+/**
+ * Sign a finished PDF with a PKCS#7 detached signature (adbe.pkcs7.detached)
+ *
+ * Must run on the final bytes: any later change to the file breaks the
+ * signature. The signature covers the whole file except its own /Contents.
+ *
+ * @param {Buffer|Uint8Array} pdfBuffer - Finished, unencrypted PDF
+ * @param {Object} signature - Output of resolveSignature()
+ * @param {Object} keystore - Output of loadKeystore()
+ * @param {Date} [signingTime] - Signing time written into the signature
+ * @returns {Promise<Buffer>} Signed PDF
+ * @throws {Error} If the PDF is encrypted or the signature cannot be placed
+ *
+ * @example
+ * const signed = await signPdf(pdfBuffer, resolveSignature(true), keystore);
+ */
+async function signPdf(
+  pdfBuffer,
+  signature,
+  keystore,
+  signingTime = new Date()
+) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+
+  // RSA signatures have a fixed size, so a trial signature measures the space
+  const size =
+    createCmsSignature(Buffer.alloc(0), keystore, signingTime).length +
+    SIGNATURE_SLACK;
+
+  await addSignatureField(pdfDoc, signature, keystore, signingTime, size);
+  const pdf = Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+
+  const byteRangeText = `/ByteRange [ 0 ${new Array(3)
+    .fill(`/${BYTE_RANGE_PLACEHOLDER}`)
+    .join(" ")} ]`;
+  const byteRangeAt = pdf.indexOf(byteRangeText, 0, "latin1");
+  const contentsAt = pdf.indexOf(`<${"0".repeat(size * 2)}>`, 0, "latin1");
+
+  if (byteRangeAt === -1 || contentsAt === -1) {
+    throw new Error("Could not locate the signature placeholder");
+  }
+
+  const contentsEnd = contentsAt + (size * 2) + 2;
+  const byteRange = [0, contentsAt, contentsEnd, pdf.length - contentsEnd];
+
+  pdf.write(
+    `/ByteRange [${byteRange.join(" ")}]`.padEnd(byteRangeText.length, " "),
+    byteRangeAt,
+    "latin1"
+  );
+
+  const signedData = Buffer.concat([
+    pdf.subarray(0, contentsAt),
+    pdf.subarray(contentsEnd),
+  ]);
+  const cms = createCmsSignature(signedData, keystore, signingTime);
+
+  if (cms.length > size) {
+    throw new Error("The signature does not fit its placeholder");
+  }
+  pdf.write(cms.toString("hex").toUpperCase(), contentsAt + 1, "latin1");
+
+  return pdf;
+}
+
+/**
+ * Read a text entry of the signature dictionary
+ */
+function dictText(dict, key) {
+  const value = dict.lookup(PDFName.of(key));
+
+  return value instanceof PDFString || value instanceof PDFHexString
+    ? value.decodeText()
+    : undefined;
+}
+
+/**
+ * Find the signature dictionary whose /ByteRange matches the given one
+ */
+async function findSignatureDict(pdfBuffer, byteRange) {
+  try {
+    const pdfDoc = await PDFDocument.load(pdfBuffer, {
+      ignoreEncryption: true,
+      updateMetadata: false,
+    });
+    const match = pdfDoc.context
+      .enumerateIndirectObjects()
+      .map(([, object]) => object)
+      .find((object) => {
+        if (!(object instanceof PDFDict)) {
+          return false;
+        }
+        const range = object.lookup(PDFName.of("ByteRange"));
+
+        return (
+          range &&
+          typeof range.asArray === "function" &&
+          range
+            .asArray()
+            .every((value, i) => String(value) === String(byteRange[i]))
+        );
+      });
+
+    return match || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check the signer information of a CMS SignedData structure against data
+ */
+function checkCms(cmsBytes, signedData) {
+  const message = forge.pkcs7.messageFromAsn1(
+    forge.asn1.fromDer(forge.util.createBuffer(cmsBytes.toString("binary")), {
+      parseAllBytes: false,
+    })
+  );
+  const [signerInfo] = message.rawCapture.signerInfos || [];
+
+  if (!signerInfo) {
+    throw new Error("The signature has no signer information");
+  }
+
+  // SignerInfo: version, sid, digestAlgorithm, [0] signedAttrs, signatureAlgorithm, signature
+  const fields = signerInfo.value;
+  const digestName = DIGESTS[forge.asn1.derToOid(fields[2].value[0].value)];
+  const [, , , signedAttrs] = fields;
+
+  if (
+    !digestName ||
+    signedAttrs.tagClass !== forge.asn1.Class.CONTEXT_SPECIFIC
+  ) {
+    throw new Error("Unsupported signature format");
+  }
+
+  const attributes = {};
+
+  signedAttrs.value.forEach((attribute) => {
+    const oid = forge.asn1.derToOid(attribute.value[0].value);
+
+    const [value] = attribute.value[1].value;
+
+    attributes[oid] = value;
+  });
+
+  const expectedDigest = Buffer.from(
+    attributes[forge.pki.oids.messageDigest].value,
+    "binary"
+  );
+  const actualDigest = crypto
+    .createHash(digestName)
+    .update(signedData)
+    .digest();
+
+  const serial = forge.util.bytesToHex(fields[1].value[1].value);
+  const certificate =
+    message.certificates.find(
+      (cert) =>
+        cert.serialNumber.replace(/^0+/, "") === serial.replace(/^0+/, "")
+    ) || message.certificates[0];
+
+  if (!certificate) {
+    throw new Error("The signature does not include the signer certificate");
+  }
+
+  // The signature is computed over the attributes re-tagged as a SET
+  const attributesDer = Buffer.from(
+    forge.asn1
+      .toDer(
+        forge.asn1.create(
+          forge.asn1.Class.UNIVERSAL,
+          forge.asn1.Type.SET,
+          true,
+          signedAttrs.value
+        )
+      )
+      .getBytes(),
+    "binary"
+  );
+  const signatureValid = crypto.verify(
+    digestName,
+    attributesDer,
+    forge.pki.publicKeyToPem(certificate.publicKey),
+    Buffer.from(fields[5].value, "binary")
+  );
+
+  const signingTime = attributes[forge.pki.oids.signingTime];
+  const commonName = certificate.subject.getField("CN");
+
+  return {
+    digestMatches: expectedDigest.equals(actualDigest),
+    signatureValid,
+    signingTime: signingTime
+      ? forge.asn1.utcTimeToDate(signingTime.value)
+      : undefined,
+    certificate: {
+      commonName: commonName ? commonName.value : undefined,
+      fingerprint: certificateFingerprint(certificate),
+      validFrom: certificate.validity.notBefore,
+      validTo: certificate.validity.notAfter,
+    },
+  };
+}
+
+/**
+ * Check the most recent signature of a PDF
+ *
+ * The document is `unmodified` when the signature is cryptographically
+ * valid, the digest matches and the signed byte range covers the whole
+ * file (nothing was appended after signing). Whether the signer is this
+ * service is decided by the caller from `certificate.fingerprint`.
+ *
+ * @param {Buffer} pdfBuffer - PDF to check
+ * @returns {Promise<Object>} `{ signed, unmodified, coversWholeDocument,
+ *   signatureValid, digestMatches, certificate, signingTime, name, reason,
+ *   location }` (only `signed: false` for unsigned files)
+ *
+ * @example
+ * const report = await verifyPdfSignature(uploadedPdf);
+ * if (report.signed && report.unmodified) { ... }
+ */
+async function verifyPdfSignature(pdfBuffer) {
+  const text = pdfBuffer.toString("latin1");
+  const pattern = /\/ByteRange\s*\[\s*(\d+)\s+(\d+)\s+(\d+)\s+(\d+)\s*\]/g;
+  let last = null;
+
+  for (let match = pattern.exec(text); match; match = pattern.exec(text)) {
+    last = match;
+  }
+  if (!last) {
+    return { signed: false };
+  }
+
+  const byteRange = last.slice(1, 5).map(Number);
+  const [start, firstLength, secondStart, secondLength] = byteRange;
+  const contentsHex = text.slice(firstLength + 1, secondStart - 1);
+
+  if (
+    start !== 0 ||
+    secondStart + secondLength > pdfBuffer.length ||
+    text[firstLength] !== "<" ||
+    !/^[0-9A-Fa-f]*$/.test(contentsHex)
+  ) {
+    return { signed: true, unmodified: false, error: "Malformed signature" };
+  }
+
+  const signedData = Buffer.concat([
+    pdfBuffer.subarray(0, firstLength),
+    pdfBuffer.subarray(secondStart, secondStart + secondLength),
+  ]);
+  const coversWholeDocument = secondStart + secondLength === pdfBuffer.length;
+  const signatureDict = await findSignatureDict(pdfBuffer, byteRange);
+  const details = signatureDict
+    ? {
+        name: dictText(signatureDict, "Name"),
+        reason: dictText(signatureDict, "Reason"),
+        location: dictText(signatureDict, "Location"),
+      }
+    : {};
+
+  let cms;
+
+  try {
+    cms = checkCms(Buffer.from(contentsHex, "hex"), signedData);
+  } catch (error) {
+    return {
+      signed: true,
+      unmodified: false,
+      coversWholeDocument,
+      error: `Cannot read the signature: ${error.message}`,
+      ...details,
+    };
+  }
+
+  return {
+    signed: true,
+    unmodified: cms.signatureValid && cms.digestMatches && coversWholeDocument,
+    coversWholeDocument,
+    ...cms,
+    ...details,
+  };
+}
+
+module.exports = {
+  resolveSignature,
+  loadKeystore,
+  signPdf,
+  verifyPdfSignature,
+};
@@ -0,0 +1,341 @@
+/**
+ * PDF Watermark Utilities
+ *
+ * Stamps a text or image watermark onto the pages of a rendered PDF with
+ * pdf-lib. The watermark is drawn into the page content after rendering,
+ * so it cannot be removed by editing the source HTML.
+ *
+ * @fileoverview Text and image watermarking for generated PDFs
+ * @author PDF Service Team
+ * @version 1.0.0
+ */
+
+const { StandardFonts, degrees, rgb } = require("pdf-lib");
+
+// Named positions and where they anchor the watermark on the page
+const POSITIONS = {
+  "top-left": ["left", "top"],
+  "top-center": ["center", "top"],
+  "top-right": ["right", "top"],
+  "center-left": ["left", "center"],
+  center: ["center", "center"],
+  "center-right": ["right", "center"],
+  "bottom-left": ["left", "bottom"],
+  "bottom-center": ["center", "bottom"],
+  "bottom-right": ["right", "bottom"],
+};
+
+// Distance kept from the page edge for non-centred positions (points)
+const EDGE_MARGIN = 36;
+
+/**
+ * Parse a page range list into zero-based page indices
+ *
+ * Accepts "all", a string such as "1-3,5,8-" (an open range runs to the
+ * last page) or an array of 1-based page numbers. Pages beyond the end of
+ * the document are ignored.
+ *
+ * @param {string|number[]} spec - Page selection
+ * @param {number} pageCount - Number of pages in the document
+ * @returns {number[]} Sorted zero-based page indices
+ * @throws {Error} If the selection cannot be parsed
+ *
+ * @example
+ * parsePageRanges("1-2,4", 5); // [0, 1, 3]
+ */
+function parsePageRanges(spec, pageCount) {
+  if (spec === undefined || spec === "all") {
+    return Array.from({ length: pageCount }, (_, index) => index);
+  }
+
+  const pages = new Set();
+
+  function addPage(pageNumber) {
+    if (pageNumber <= pageCount) {
+      pages.add(pageNumber - 1);
+    }
+  }
+
+  if (Array.isArray(spec)) {
+    spec.forEach((pageNumber) => {
+      if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+        throw new Error(`Invalid page number: ${pageNumber}`);
+      }
+      addPage(pageNumber);
+    });
+  } else if (typeof spec === "string") {
+    spec.split(",").forEach((part) => {
+      const match = part.trim().match(/^(\d+)(?:\s*-\s*(\d*))?$/);
+
+      if (!match) {
+        throw new Error(`Invalid page range: "${part.trim()}"`);
+      }
+
+      const start = parseInt(match[1], 10);
+      let end = start;
+
+      if (match[2] !== undefined) {
+        end = match[2] === "" ? Infinity : parseInt(match[2], 10);
+      }
+
+      if (start < 1 || end < start) {
+        throw new Error(`Invalid page range: "${part.trim()}"`);
+      }
+
+      // Pages past the end of the document are ignored, so never loop past it
+      const last = Math.min(end, pageCount);
+
+      for (let pageNumber = start; pageNumber <= last; pageNumber += 1) {
+        addPage(pageNumber);
+      }
+    });
+  } else {
+    throw new Error("Pages must be \"all\", a range string or an array");
+  }
+
+  return Array.from(pages).sort((a, b) => a - b);
+}
+
+/**
+ * Parse a #rgb or #rrggbb colour into a pdf-lib colour
+ */
+function parseHexColor(value) {
+  const match = String(value)
+    .trim()
+    .match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+
+  if (!match) {
+    throw new Error(`Invalid colour "${value}"; use #rgb or #rrggbb`);
+  }
+
+  const hex =
+    match[1].length === 3
+      ? match[1]
+          .split("")
+          .map((c) => c + c)
+          .join("")
+      : match[1];
+
+  function channel(offset) {
+    return parseInt(hex.slice(offset, offset + 2), 16) / 255;
+  }
+
+  return rgb(channel(0), channel(2), channel(4));
+}
+
+/**
+ * Decode a base64 PNG or JPEG (a data: URI prefix is accepted)
+ */
+function decodeImage(data) {
+  const bytes = Buffer.from(
+    String(data).replace(/^data:image\/[a-z]+;base64,/i, ""),
+    "base64"
+  );
+
+  if (bytes.subarray(0, 8).equals(Buffer.from("89504e470d0a1a0a", "hex"))) {
+    return { bytes, type: "png" };
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+    return { bytes, type: "jpeg" };
+  }
+
+  throw new Error("watermark.image must be a base64-encoded PNG or JPEG");
+}
+
+/**
+ * Validate the `watermark` option and fill in defaults
+ *
+ * @param {Object} [options] - `watermark` option from the request body
+ * @returns {Object|null} Watermark settings, or null if none was requested
+ * @throws {Error} If the settings are invalid
+ *
+ * @example
+ * const watermark = resolveWatermark({ text: "DRAFT", pages: "1-2" });
+ */
+function resolveWatermark(options) {
+  if (options === null || options === undefined) {
+    return null;
+  }
+  if (typeof options !== "object" || Array.isArray(options)) {
+    throw new Error("\"watermark\" must be an object");
+  }
+
+  const {
+    text,
+    image,
+    pages = "all",
+    opacity = 0.3,
+    position = "center",
+    fontSize = 48,
+    color = "#808080",
+    width,
+  } = options;
+
+  if ((text === undefined) === (image === undefined)) {
+    throw new Error("watermark needs either \"text\" or \"image\"");
+  }
+  if (text !== undefined && (typeof text !== "string" || !text.trim())) {
+    throw new Error("watermark.text must be a non-empty string");
+  }
+  if (typeof opacity !== "number" || opacity < 0 || opacity > 1) {
+    throw new Error("watermark.opacity must be a number from 0 to 1");
+  }
+  if (!POSITIONS[position]) {
+    throw new Error(
+      `watermark.position must be one of: ${Object.keys(POSITIONS).join(", ")}`
+    );
+  }
+  if (typeof fontSize !== "number" || fontSize <= 0 || fontSize > 500) {
+    throw new Error("watermark.fontSize must be a number from 1 to 500");
+  }
+  if (width !== undefined && (typeof width !== "number" || width <= 0)) {
+    throw new Error("watermark.width must be a positive number of points");
+  }
+
+  // Text runs corner to corner by default; images stay upright
+  const rotation = options.rotation ?? (text !== undefined ? 45 : 0);
+
+  if (typeof rotation !== "number" || !Number.isFinite(rotation)) {
+    throw new Error("watermark.rotation must be a number of degrees");
+  }
+
+  // Syntax check only; the selection is resolved against the real page count later
+  parsePageRanges(pages, 0);
+
+  return {
+    text,
+    image: image !== undefined ? decodeImage(image) : null,
+    pages,
+    opacity,
+    rotation,
+    position,
+    fontSize,
+    color: parseHexColor(color),
+    width,
+  };
+}
+
+/**
+ * Work out where to draw a rotated box so it sits at a named position
+ *
+ * pdf-lib rotates around the drawing origin (bottom-left corner), so the
+ * origin is moved back from the desired centre by the rotated half-size.
+ */
+function placeRotatedBox(page, boxWidth, boxHeight, rotation, position) {
+  const { width: pageWidth, height: pageHeight } = page.getSize();
+  const radians = (rotation * Math.PI) / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+
+  // Size of the rotated box's bounding rectangle
+  const boundWidth = Math.abs(boxWidth * cos) + Math.abs(boxHeight * sin);
+  const boundHeight = Math.abs(boxWidth * sin) + Math.abs(boxHeight * cos);
+
+  const [horizontal, vertical] = POSITIONS[position];
+  const centerX = {
+    left: EDGE_MARGIN + (boundWidth / 2),
+    center: pageWidth / 2,
+    right: pageWidth - EDGE_MARGIN - (boundWidth / 2),
+  }[horizontal];
+  const centerY = {
+    bottom: EDGE_MARGIN + (boundHeight / 2),
+    center: pageHeight / 2,
+    top: pageHeight - EDGE_MARGIN - (boundHeight / 2),
+  }[vertical];
+
+  return {
+    x: centerX - (((boxWidth / 2) * cos) - ((boxHeight / 2) * sin)),
+    y: centerY - (((boxWidth / 2) * sin) + ((boxHeight / 2) * cos)),
+  };
+}
+
+/**
+ * Draw a watermark on the selected pages of a loaded PDF
+ *
+ * @param {PDFDocument} pdfDoc - pdf-lib document (modified in place)
+ * @param {Object} watermark - Settings from resolveWatermark()
+ * @returns {Promise<number>} Number of pages stamped
+ * @throws {Error} If the text cannot be drawn with the built-in font
+ *
+ * @example
+ * const pdfDoc = await PDFDocument.load(pdfBuffer);
+ * await applyWatermark(pdfDoc, resolveWatermark({ text: "COPY" }));
+ */
+async function applyWatermark(pdfDoc, watermark) {
+  const pages = pdfDoc.getPages();
+  const selected = parsePageRanges(watermark.pages, pages.length);
+
+  if (watermark.text !== undefined) {
+    const font = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+
+    let textWidth;
+
+    try {
+      textWidth = font.widthOfTextAtSize(watermark.text, watermark.fontSize);
+    } catch (error) {
+      throw new Error(
+        "watermark.text contains characters the built-in font cannot draw; use an image watermark instead"
+      );
+    }
+    const textHeight = font.heightAtSize(watermark.fontSize, {
+      descender: false,
+    });
+
+    selected.forEach((index) => {
+      const page = pages[index];
+      const { x, y } = placeRotatedBox(
+        page,
+        textWidth,
+        textHeight,
+        watermark.rotation,
+        watermark.position
+      );
+
+      page.drawText(watermark.text, {
+        x,
+        y,
+        size: watermark.fontSize,
+        font,
+        color: watermark.color,
+        opacity: watermark.opacity,
+        rotate: degrees(watermark.rotation),
+      });
+    });
+  } else {
+    const image =
+      watermark.image.type === "png"
+        ? await pdfDoc.embedPng(watermark.image.bytes)
+        : await pdfDoc.embedJpg(watermark.image.bytes);
+
+    selected.forEach((index) => {
+      const page = pages[index];
+      // Default to half the page width, keeping the aspect ratio
+      const drawWidth = watermark.width || page.getWidth() / 2;
+      const drawHeight = (image.height / image.width) * drawWidth;
+      const { x, y } = placeRotatedBox(
+        page,
+        drawWidth,
+        drawHeight,
+        watermark.rotation,
+        watermark.position
+      );
+
+      page.drawImage(image, {
+        x,
+        y,
+        width: drawWidth,
+        height: drawHeight,
+        opacity: watermark.opacity,
+        rotate: degrees(watermark.rotation),
+      });
+    });
+  }
+
+  return selected.length;
+}
+
+module.exports = {
+  parsePageRanges,
+  resolveWatermark,
+  applyWatermark,
+};
@@ -63,6 +63,282 @@ const pdfPaths = {
                   },
                 },
                 emailTo: { type: "string", format: "email" },
+                pdfMetadata: {
+                  $ref: "#/components/schemas/PdfMetadata",
+                  description:
+                    "Overrides pdfDocumentBundle.pdfMetadata; use it for raw HTML and merge requests (PDF output only)",
+                },
+                encryption: {
+                  type: "object",
+                  description:
+                    "AES-256 password protection of the PDF (PDF output only). Give a userPassword, an ownerPassword or both; unlisted permissions are granted.",
+                  properties: {
+                    userPassword: {
+                      type: "string",
+                      maxLength: 127,
+                      description: "Required to open the document",
+                    },
+                    ownerPassword: {
+                      type: "string",
+                      maxLength: 127,
+                      description:
+                        "Lifts the permission restrictions (random if omitted)",
+                    },
+                    permissions: {
+                      type: "object",
+                      properties: {
+                        printing: {
+                          oneOf: [
+                            { type: "boolean" },
+                            { type: "string", enum: ["lowResolution"] },
+                          ],
+                          default: true,
+                        },
+                        copying: { type: "boolean", default: true },
+                        modifying: { type: "boolean", default: true },
+                      },
+                    },
+                  },
+                },
+                outline: {
+                  description:
+                    "Bookmarks from bundle page titles (section.dataTitle) and headings, linked to the printed pages (PDF output only). `true` uses the defaults.",
+                  oneOf: [
+                    { type: "boolean" },
+                    {
+                      type: "object",
+                      properties: {
+                        maxHeadingLevel: {
+                          type: "integer",
+                          minimum: 0,
+                          maximum: 6,
+                          default: 3,
+                        },
+                        expanded: { type: "boolean", default: true },
+                      },
+                    },
+                  ],
+                },
+                attachments: {
+                  type: "array",
+                  maxItems: 20,
+                  description:
+                    "Files embedded in the PDF (PDF output only; not with PDF/A-2b)",
+                  items: {
+                    type: "object",
+                    required: ["name", "content"],
+                    properties: {
+                      name: { type: "string", example: "rent-schedule.csv" },
+                      content: {
+                        type: "string",
+                        format: "byte",
+                        description: "Base64 file content",
+                      },
+                      mimeType: {
+                        type: "string",
+                        default: "application/octet-stream",
+                      },
+                      description: { type: "string" },
+                      relationship: {
+                        type: "string",
+                        enum: [
+                          "Source",
+                          "Data",
+                          "Alternative",
+                          "Supplement",
+                          "Unspecified",
+                        ],
+                        default: "Unspecified",
+                      },
+                    },
+                  },
+                },
+                attachSourceBundle: {
+                  type: "boolean",
+                  default: false,
+                  description:
+                    "Attach the pdfDocumentBundle (each bundle part in merge mode) as JSON",
+                },
+                errorMode: {
+                  type: "string",
+                  enum: ["pdf", "json", "both"],
+                  description:
+                    "How a failure is reported: an error PDF, a JSON body, or JSON with the error PDF as base64 (`errorPdf`). Defaults to the account setting, else pdf.",
+                },
+                diagnostics: {
+                  type: "boolean",
+                  default: false,
+                  description:
+                    "Return the PDF (base64) and the render report as JSON (PDF output only, not with async)",
+                },
+                conformance: {
+                  type: "string",
+                  enum: ["PDF/A-2b", "PDF/A-3b"],
+                  description:
+                    "Convert to PDF/A (output intent, XMP, embedded fonts). Answers 422 with reasons if the document cannot conform.",
+                },
+                signature: {
+                  description:
+                    "PKCS#7 detached signature with the server keystore (PDF output only, not with encryption). `true` signs invisibly.",
+                  oneOf: [
+                    { type: "boolean" },
+                    {
+                      type: "object",
+                      properties: {
+                        visible: { type: "boolean", default: false },
+                        name: {
+                          type: "string",
+                          description:
+                            "Signer name (default: certificate common name)",
+                        },
+                        reason: { type: "string", example: "Policy issued" },
+                        location: { type: "string", example: "London" },
+                        page: {
+                          type: "integer",
+                          minimum: 1,
+                          description:
+                            "Page of the visible box (default: last page)",
+                        },
+                        position: {
+                          type: "string",
+                          enum: [
+                            "bottom-left",
+                            "bottom-right",
+                            "top-left",
+                            "top-right",
+                          ],
+                          default: "bottom-right",
+                        },
+                      },
+                    },
+                  ],
+                },
+                watermark: {
+                  type: "object",
+                  description:
+                    "Text or image stamped onto the rendered PDF (give either text or image; PDF output only)",
+                  properties: {
+                    text: { type: "string", example: "DRAFT" },
+                    image: {
+                      type: "string",
+                      format: "byte",
+                      description: "Base64 PNG or JPEG",
+                    },
+                    pages: {
+                      oneOf: [
+                        { type: "string", example: "1-3,5" },
+                        { type: "array", items: { type: "integer" } },
+                      ],
+                      default: "all",
+                    },
+                    opacity: {
+                      type: "number",
+                      minimum: 0,
+                      maximum: 1,
+                      default: 0.3,
+                    },
+                    rotation: {
+                      type: "number",
+                      description: "Degrees (default 45 for text, 0 for images)",
+                    },
+                    position: {
+                      type: "string",
+                      enum: [
+                        "top-left",
+                        "top-center",
+                        "top-right",
+                        "center-left",
+                        "center",
+                        "center-right",
+                        "bottom-left",
+                        "bottom-center",
+                        "bottom-right",
+                      ],
+                      default: "center",
+                    },
+                    fontSize: { type: "number", default: 48 },
+                    color: { type: "string", default: "#808080" },
+                    width: {
+                      type: "number",
+                      description:
+                        "Image width in points (default half the page width)",
+                    },
+                  },
+                },
+                parts: {
+                  type: "array",
+                  maxItems: 50,
+                  description:
+                    "Merge mode: render and concatenate the parts, in order, into one PDF. Each part has one of html, htmlContent, pdfDocumentBundle or pdf (base64).",
+                  items: {
+                    type: "object",
+                    properties: {
+                      html: { type: "string" },
+                      htmlContent: { type: "string" },
+                      pdfDocumentBundle: {
+                        $ref: "#/components/schemas/PdfDocumentBundle",
+                      },
+                      pdf: {
+                        type: "string",
+                        format: "byte",
+                        description: "Existing PDF, base64-encoded",
+                      },
+                      pdfOptions: {
+                        type: "object",
+                        description:
+                          "Overrides the request pdfOptions for this part",
+                      },
+                    },
+                  },
+                },
+                output: {
+                  type: "object",
+                  description:
+                    "Render images instead of a PDF. Several images are returned as a ZIP (page-1.png, page-2.png, ...). An image format combined with a PDF-only option (watermark, pdfMetadata, outline, attachments, encryption, signature, conformance, diagnostics, parts) answers 400 INVALID_OUTPUT.",
+                  properties: {
+                    format: {
+                      type: "string",
+                      enum: ["pdf", "png", "jpeg", "webp"],
+                      default: "pdf",
+                    },
+                    mode: {
+                      type: "string",
+                      enum: ["pages", "fullPage"],
+                      default: "pages",
+                      description:
+                        "One image per bundle page, or one capture of the whole document",
+                    },
+                    quality: {
+                      type: "integer",
+                      minimum: 0,
+                      maximum: 100,
+                      description: "jpeg and webp only",
+                    },
+                    deviceScaleFactor: {
+                      type: "number",
+                      minimum: 0.1,
+                      maximum: 4,
+                      default: 1,
+                    },
+                    clip: {
+                      type: "object",
+                      description:
+                        "Region to capture in CSS pixels (relative to each page in pages mode)",
+                      properties: {
+                        x: { type: "number" },
+                        y: { type: "number" },
+                        width: { type: "number" },
+                        height: { type: "number" },
+                      },
+                    },
+                  },
+                },
+                async: {
+                  type: "boolean",
+                  default: false,
+                  description:
+                    "Queue the render and return a job ID immediately (poll /status/{jobId})",
+                },
               },
             },
           },
@@ -83,11 +359,60 @@ const pdfPaths = {
               description: "PDF MIME type",
               schema: { type: "string", example: "application/pdf" },
             },
+            "X-Blocked-Requests": {
+              description:
+                "Number of resource requests that were blocked (external resources disabled, private address or not on the allowlist)",
+              schema: { type: "integer" },
+            },
+            "X-Blocked-Resources": {
+              description: "The first 20 blocked URLs, separated by spaces",
+              schema: { type: "string" },
+            },
+            "X-Page-Count": {
+              description: "Pages in the PDF",
+              schema: { type: "integer" },
+            },
+            "X-Render-Time-Ms": {
+              description: "Total and per-stage render time in milliseconds",
+              schema: {
+                type: "string",
+                example:
+                  "total=812, build=3, load=120, paginate=41, pdf=598, compress=30, postprocess=20",
+              },
+            },
+            "X-Clipped-Pages": {
+              description:
+                "Pages whose content did not fit and was cut off, comma-separated",
+              schema: { type: "string", example: "2,5" },
+            },
+            "X-Request-Id": {
+              description: "Id of the request, as sent or generated",
+              schema: { type: "string" },
+            },
           },
           content: {
             "application/pdf": {
               schema: { type: "string", format: "binary" },
             },
+            "application/json": {
+              schema: {
+                $ref: "#/components/schemas/RenderDiagnosticsResponse",
+              },
+            },
+            "image/png": { schema: { type: "string", format: "binary" } },
+            "image/jpeg": { schema: { type: "string", format: "binary" } },
+            "image/webp": { schema: { type: "string", format: "binary" } },
+            "application/zip": {
+              schema: { type: "string", format: "binary" },
+            },
+          },
+        },
+        202: {
+          description: "Render job queued (async mode)",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/RenderJobResponse" },
+            },
           },
         },
         401: {
@@ -106,8 +431,622 @@ const pdfPaths = {
             },
           },
         },
-        400: { description: "Invalid payload" },
-        500: { description: "Rendering error" },
+        400: {
+          description: "Invalid payload or options (INVALID_PAYLOAD, INVALID_BUNDLE with `problems`, INVALID_FORM_FIELD, INVALID_ERROR_MODE, ...), reported in the request's error mode",
+          headers: {
+            "X-Error-Code": {
+              description: "Machine-readable error code (pdf error mode)",
+              schema: { type: "string", example: "INVALID_PAYLOAD" },
+            },
+            "X-Request-Id": {
+              description: "Id of the request, also shown in the error PDF",
+              schema: { type: "string" },
+            },
+          },
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/ConversionError" },
+            },
+            "application/pdf": {
+              schema: { type: "string", format: "binary" },
+            },
+          },
+        },
+        500: {
+          description: "Rendering failed (RENDER_FAILED), reported in the request's error mode",
+          headers: {
+            "X-Error-Code": {
+              description: "Machine-readable error code (pdf error mode)",
+              schema: { type: "string", example: "RENDER_FAILED" },
+            },
+            "X-Request-Id": {
+              description: "Id of the request, also shown in the error PDF",
+              schema: { type: "string" },
+            },
+          },
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/ConversionError" },
+            },
+            "application/pdf": {
+              schema: { type: "string", format: "binary" },
+            },
+          },
+        },
+        422: {
+          description:
+            "The document cannot be made PDF/A conformant (PDFA_NOT_CONFORMANT, with `reasons`)",
+        },
+        503: {
+          description:
+            "A signature was requested but no keystore is configured (SIGNING_UNAVAILABLE)",
+        },
+      },
+    },
+  },
+  "/api/v1/html2pdf/validate": {
+    post: {
+      summary: "Validate a pdfDocumentBundle without rendering",
+      description:
+        "Checks the bundle (or, with `parts`, each bundle part) against the PdfDocumentBundle schema and for content that will not render as sent. Every problem has a JSON path, a severity (`error` or `warning`) and a suggested fix. /convert runs the same validation and answers 400 INVALID_BUNDLE on errors.",
+      tags: ["Bundle"],
+      security: [{ ApiKeyAuth: [] }, { BearerAuth: [] }],
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": {
+            schema: {
+              type: "object",
+              properties: {
+                pdfDocumentBundle: {
+                  $ref: "#/components/schemas/PdfDocumentBundle",
+                },
+                parts: {
+                  type: "array",
+                  items: {
+                    type: "object",
+                    properties: {
+                      pdfDocumentBundle: {
+                        $ref: "#/components/schemas/PdfDocumentBundle",
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        200: {
+          description: "Validation result",
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  success: { type: "boolean", example: true },
+                  data: {
+                    type: "object",
+                    properties: {
+                      valid: { type: "boolean" },
+                      bundleCount: { type: "integer" },
+                      errorCount: { type: "integer" },
+                      warningCount: { type: "integer" },
+                      problems: {
+                        type: "array",
+                        items: {
+                          type: "object",
+                          properties: {
+                            path: {
+                              type: "string",
+                              example: "$.pdfDocumentBundle.head.title",
+                            },
+                            severity: {
+                              type: "string",
+                              enum: ["error", "warning"],
+                            },
+                            message: { type: "string" },
+                            suggestion: { type: "string" },
+                          },
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+        400: {
+          description:
+            "The request has no pdfDocumentBundle and no bundle parts (INVALID_PAYLOAD)",
+        },
+      },
+    },
+  },
+  "/api/v1/html2pdf/preview": {
+    post: {
+      summary: "Preview the HTML a bundle renders from",
+      description:
+        "Returns the markup buildHtmlFromPdfDocumentBundle generates (`source`, with layout CSS and paginator script) or a DOM snapshot after pagination (`paginated`, scripts removed, pages numbered in data-preview-page). Served with a sandbox Content-Security-Policy.",
+      tags: ["Bundle"],
+      security: [{ ApiKeyAuth: [] }, { BearerAuth: [] }],
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": {
+            schema: {
+              type: "object",
+              properties: {
+                html: { type: "string" },
+                htmlContent: { type: "string" },
+                pdfDocumentBundle: {
+                  $ref: "#/components/schemas/PdfDocumentBundle",
+                },
+                mode: {
+                  type: "string",
+                  enum: ["source", "paginated"],
+                  default: "source",
+                },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        200: {
+          description: "HTML preview",
+          headers: {
+            "X-Preview-Mode": {
+              description: "source or paginated",
+              schema: { type: "string" },
+            },
+            "X-Preview-Pages": {
+              description: "Pages after pagination (paginated mode)",
+              schema: { type: "integer" },
+            },
+          },
+          content: { "text/html": { schema: { type: "string" } } },
+        },
+        400: {
+          description:
+            "Invalid mode (INVALID_PREVIEW_MODE), bundle (INVALID_BUNDLE) or payload (INVALID_PAYLOAD)",
+        },
+        500: {
+          description: "The preview could not be rendered (PREVIEW_FAILED)",
+        },
+      },
+    },
+  },
+  "/api/v1/html2pdf/batch": {
+    post: {
+      summary: "Convert many documents into a ZIP of PDFs",
+      description:
+        "Renders every item and returns a ZIP with one PDF per successful item plus `manifest.json` giving the status of each item. Every item gets the /convert checks before rendering starts; items that fail them are listed as \"invalid\" and not rendered. Items that set an image output format, async or diagnostics are refused with code UNSUPPORTED_IN_BATCH. Usage is counted per rendered document, and the batch is refused up front if it needs more requests than remain in the current rate limit period.",
+      tags: ["Bundle"],
+      security: [{ ApiKeyAuth: [] }, { BearerAuth: [] }],
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": {
+            schema: {
+              type: "object",
+              required: ["items"],
+              properties: {
+                items: {
+                  type: "array",
+                  maxItems: 100,
+                  items: {
+                    type: "object",
+                    properties: {
+                      filename: {
+                        type: "string",
+                        example: "invoice-2024-001.pdf",
+                      },
+                      html: { type: "string" },
+                      htmlContent: { type: "string" },
+                      pdfDocumentBundle: {
+                        $ref: "#/components/schemas/PdfDocumentBundle",
+                      },
+                      pdfOptions: {
+                        type: "object",
+                        description: "Overrides the batch-level pdfOptions",
+                      },
+                    },
+                  },
+                },
+                pdfOptions: {
+                  type: "object",
+                  description: "PDF options applied to every item",
+                },
+                emailTo: { type: "string", format: "email" },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        200: {
+          description: "ZIP archive of PDFs and manifest.json",
+          headers: {
+            "X-Batch-Succeeded": {
+              description: "Number of documents rendered",
+              schema: { type: "integer" },
+            },
+            "X-Batch-Failed": {
+              description: "Number of items that failed",
+              schema: { type: "integer" },
+            },
+          },
+          content: {
+            "application/zip": {
+              schema: { type: "string", format: "binary" },
+            },
+          },
+        },
+        400: { description: "Missing items, or too many items" },
+        401: { description: "Unauthorized - API key required or invalid" },
+        422: { description: "No item could be rendered (manifest in data)" },
+        429: { description: "Not enough requests left for this batch" },
+      },
+    },
+  },
+  "/api/v1/html2pdf/convert-url": {
+    post: {
+      summary: "Render a web page to PDF",
+      description:
+        "Loads an http(s) URL in the renderer and returns a PDF. Every request and redirect is checked: other schemes and hosts resolving to private, loopback or link-local addresses are blocked unless listed in the system `urlFetch.allowlist`. Blocked sub-resources are skipped and counted in `X-Blocked-Requests`.",
+      tags: ["Bundle"],
+      security: [{ ApiKeyAuth: [] }, { BearerAuth: [] }],
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": {
+            schema: {
+              type: "object",
+              required: ["url"],
+              properties: {
+                url: {
+                  type: "string",
+                  format: "uri",
+                  example: "https://example.com/invoice/42",
+                },
+                headers: {
+                  type: "object",
+                  additionalProperties: { type: "string" },
+                  description:
+                    "Extra request headers, only sent to the URL's own origin",
+                },
+                cookies: {
+                  type: "array",
+                  description:
+                    "Cookies for the URL's own host; a domain naming another host is rejected",
+                  items: {
+                    type: "object",
+                    required: ["name", "value"],
+                    properties: {
+                      name: { type: "string" },
+                      value: { type: "string" },
+                      domain: { type: "string" },
+                      path: { type: "string" },
+                    },
+                  },
+                },
+                basicAuth: {
+                  type: "object",
+                  properties: {
+                    username: { type: "string" },
+                    password: { type: "string" },
+                  },
+                  description:
+                    "HTTP Basic credentials, only sent to the URL's own origin",
+                },
+                pdfOptions: {
+                  type: "object",
+                  description: "Same PDF options as /convert",
+                },
+                emailTo: { type: "string", format: "email" },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        200: {
+          description: "PDF generated successfully",
+          headers: {
+            "X-Blocked-Requests": {
+              description: "Number of sub-resource requests that were blocked",
+              schema: { type: "integer" },
+            },
+            "X-Blocked-Resources": {
+              description: "The first 20 blocked URLs, separated by spaces",
+              schema: { type: "string" },
+            },
+          },
+          content: {
+            "application/pdf": {
+              schema: { type: "string", format: "binary" },
+            },
+          },
+        },
+        400: { description: "Invalid payload or URL" },
+        401: { description: "Unauthorized - API key required or invalid" },
+        403: {
+          description:
+            "URL (or one of its redirects) is not allowed (URL_NOT_ALLOWED)",
+        },
+        502: { description: "The page could not be loaded or rendered" },
+      },
+    },
+  },
+  "/api/v1/html2pdf/verify": {
+    post: {
+      summary: "Verify the signature of a PDF",
+      description:
+        "Checks the most recent signature of an uploaded PDF. `valid` is true only if it was signed with this server's certificate and nothing changed since. Does not count against the API key usage limit.",
+      tags: ["Bundle"],
+      security: [{ ApiKeyAuth: [] }, { BearerAuth: [] }],
+      requestBody: {
+        required: true,
+        content: {
+          "application/pdf": {
+            schema: { type: "string", format: "binary" },
+          },
+          "application/json": {
+            schema: {
+              type: "object",
+              required: ["pdf"],
+              properties: {
+                pdf: {
+                  type: "string",
+                  format: "byte",
+                  description: "Base64-encoded PDF",
+                },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        200: {
+          description: "Verification report",
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  success: { type: "boolean", example: true },
+                  data: {
+                    type: "object",
+                    properties: {
+                      valid: { type: "boolean" },
+                      signed: { type: "boolean" },
+                      signedByService: { type: "boolean" },
+                      unmodified: { type: "boolean" },
+                      coversWholeDocument: { type: "boolean" },
+                      signatureValid: { type: "boolean" },
+                      digestMatches: { type: "boolean" },
+                      signingTime: { type: "string", format: "date-time" },
+                      name: { type: "string" },
+                      reason: { type: "string" },
+                      location: { type: "string" },
+                      certificate: {
+                        type: "object",
+                        properties: {
+                          commonName: { type: "string" },
+                          fingerprint: { type: "string" },
+                          validFrom: { type: "string", format: "date-time" },
+                          validTo: { type: "string", format: "date-time" },
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+        400: { description: "The body is not a PDF" },
+        401: { description: "Unauthorized - API key required or invalid" },
+      },
+    },
+  },
+  "/api/v1/html2pdf/fields": {
+    post: {
+      summary: "List the form fields of a PDF",
+      description:
+        "Lists the AcroForm fields of an uploaded PDF with their types, current values and options, in the shape /fill accepts. Does not count against the API key usage limit.",
+      tags: ["Bundle"],
+      security: [{ ApiKeyAuth: [] }, { BearerAuth: [] }],
+      requestBody: {
+        required: true,
+        content: {
+          "application/pdf": {
+            schema: { type: "string", format: "binary" },
+          },
+          "application/json": {
+            schema: {
+              type: "object",
+              required: ["pdf"],
+              properties: {
+                pdf: {
+                  type: "string",
+                  format: "byte",
+                  description: "Base64-encoded PDF",
+                },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        200: {
+          description: "Form fields",
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  success: { type: "boolean", example: true },
+                  data: {
+                    type: "object",
+                    properties: {
+                      fields: {
+                        type: "array",
+                        items: {
+                          type: "object",
+                          properties: {
+                            name: { type: "string" },
+                            type: {
+                              type: "string",
+                              enum: [
+                                "text",
+                                "checkbox",
+                                "radio",
+                                "dropdown",
+                                "optionList",
+                                "signature",
+                                "button",
+                              ],
+                            },
+                            value: {
+                              description:
+                                "String, boolean, array of strings or null, by type",
+                            },
+                            options: {
+                              type: "array",
+                              items: { type: "string" },
+                            },
+                            required: { type: "boolean" },
+                            readOnly: { type: "boolean" },
+                          },
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+        400: { description: "The body is not a PDF, or it is encrypted" },
+        401: { description: "Unauthorized - API key required or invalid" },
+      },
+    },
+  },
+  "/api/v1/html2pdf/fill": {
+    post: {
+      summary: "Fill the form of an existing PDF",
+      description:
+        "Fills text, checkbox, radio, dropdown and list fields of an AcroForm PDF and returns the filled file. Use /fields to see which names and values a form takes.",
+      tags: ["Bundle"],
+      security: [{ ApiKeyAuth: [] }, { BearerAuth: [] }],
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": {
+            schema: {
+              type: "object",
+              required: ["pdf", "fields"],
+              properties: {
+                pdf: {
+                  type: "string",
+                  format: "byte",
+                  description: "Base64-encoded PDF with an AcroForm",
+                },
+                fields: {
+                  type: "object",
+                  description:
+                    "Field name to value: a string for text fields, true/false for checkboxes, an option for radio groups and dropdowns (an array for multi-select lists), null to clear",
+                  additionalProperties: true,
+                  example: {
+                    policyNumber: "POL-1042",
+                    smoker: false,
+                    coverLevel: "Gold",
+                  },
+                },
+                flatten: {
+                  type: "boolean",
+                  default: false,
+                  description:
+                    "Merge the fields into the page so they can no longer be edited",
+                },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        200: {
+          description: "Filled PDF",
+          content: {
+            "application/pdf": {
+              schema: { type: "string", format: "binary" },
+            },
+          },
+        },
+        400: {
+          description:
+            "Invalid payload, encrypted PDF, or field values that do not fit the form (INVALID_FIELD_VALUES, with reasons)",
+        },
+        401: { description: "Unauthorized - API key required or invalid" },
+      },
+    },
+  },
+  "/api/v1/html2pdf/status/{jobId}": {
+    get: {
+      summary: "Get the status of an async render job",
+      description:
+        "Returns the state of a job queued with `async: true`. Polling does not count against the API key usage limit.",
+      tags: ["Bundle"],
+      security: [{ ApiKeyAuth: [] }, { BearerAuth: [] }],
+      parameters: [
+        {
+          name: "jobId",
+          in: "path",
+          required: true,
+          schema: { type: "string", format: "uuid" },
+        },
+      ],
+      responses: {
+        200: {
+          description: "Job state",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/RenderJobResponse" },
+            },
+          },
+        },
+        404: { description: "Job not found" },
+      },
+    },
+  },
+  "/api/v1/html2pdf/download/{jobId}": {
+    get: {
+      summary: "Download the PDF of a completed render job",
+      tags: ["Bundle"],
+      security: [{ ApiKeyAuth: [] }, { BearerAuth: [] }],
+      parameters: [
+        {
+          name: "jobId",
+          in: "path",
+          required: true,
+          schema: { type: "string", format: "uuid" },
+        },
+      ],
+      responses: {
+        200: {
+          description: "Rendered PDF",
+          content: {
+            "application/pdf": {
+              schema: { type: "string", format: "binary" },
+            },
+          },
+        },
+        404: { description: "Job not found" },
+        409: { description: "Job is still queued/processing, or failed" },
       },
     },
   },
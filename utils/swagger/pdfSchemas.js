@@ -53,6 +53,8 @@ module.exports = {
           },
           { required: ["type", "url"], properties: { type: { const: "src" } } },
         ],
+        "x-suggestion":
+          "Use { \"type\": \"inline\", \"content\": \"<style>...</style>\" } or { \"type\": \"src\", \"url\": \"https://...\" }",
       },
 
       ScriptRef: {
@@ -74,16 +76,18 @@ module.exports = {
           },
           { required: ["type", "url"], properties: { type: { const: "src" } } },
         ],
+        "x-suggestion":
+          "Use { \"type\": \"inline\", \"content\": \"...\" } or { \"type\": \"src\", \"url\": \"https://...\" }",
       },
 
       PdfHead: {
         type: "object",
-        required: ["title", "meta", "styles"],
+        required: ["title"],
         properties: {
-          title: { type: "string" },
+          title: { type: "string", minLength: 1 },
           meta: {
             type: "array",
-            description: "Array of meta tag objects.",
+            description: "Array of meta tag objects (default []).",
             items: { type: "object", additionalProperties: true },
             example: [
               { charset: "utf-8" },
@@ -95,6 +99,7 @@ module.exports = {
           },
           styles: {
             type: "array",
+            description: "Stylesheets, in order (default []).",
             items: { $ref: "#/components/schemas/StyleRef" },
           },
         },
@@ -102,7 +107,6 @@ module.exports = {
 
       PdfPage: {
         type: "object",
-        required: ["section", "body"],
         properties: {
           header: {
             type: "string",
@@ -136,6 +140,185 @@ module.exports = {
               "Optional page-specific footer height (overrides global footerHeight)",
             example: "15mm",
           },
+          options: {
+            type: "object",
+            properties: {
+              showHeader: { type: "boolean", default: true },
+              showFooter: { type: "boolean", default: true },
+            },
+          },
+        },
+      },
+
+      PdfLayout: {
+        type: "object",
+        properties: {
+          page: {
+            type: "object",
+            properties: {
+              size: {
+                description:
+                  "A4, Letter or Legal, or { width, height } as CSS lengths",
+                oneOf: [
+                  { type: "string", example: "A4" },
+                  {
+                    type: "object",
+                    properties: {
+                      width: { type: "string", example: "210mm" },
+                      height: { type: "string", example: "297mm" },
+                    },
+                  },
+                ],
+                "x-suggestion":
+                  "Use \"A4\", \"Letter\", \"Legal\" or { \"width\": \"210mm\", \"height\": \"297mm\" }",
+              },
+              margin: {
+                type: "object",
+                properties: {
+                  top: { type: "string" },
+                  right: { type: "string" },
+                  bottom: { type: "string" },
+                  left: { type: "string" },
+                },
+              },
+              headerHeight: { type: "string", example: "20mm" },
+              footerHeight: { type: "string", example: "14mm" },
+            },
+          },
+          safeFrame: {
+            type: "object",
+            properties: {
+              enabled: { type: "boolean", default: true },
+              stroke: { type: "string", example: "1px" },
+              color: { type: "string", example: "#000" },
+              topOffset: { type: "string" },
+              bottomOffset: { type: "string" },
+              leftOffset: { type: "string" },
+              rightOffset: { type: "string" },
+            },
+          },
+          useBuiltInPaginator: { type: "boolean", default: true },
+          keepHeadingsWithNext: {
+            type: "boolean",
+            default: false,
+            description:
+              "Move h1-h6 to the next page with the element after them (data-keep-with-next=\"false\" opts a heading out). Off unless set, so existing bundles paginate as before",
+          },
+          tables: {
+            type: "object",
+            description:
+              "How the built-in paginator splits tables taller than a page; a table's own data-continued-caption and data-repeat-footer attributes take precedence",
+            properties: {
+              continuedCaption: {
+                type: "string",
+                description:
+                  "Caption of continuation pages; {caption} is replaced by the table's caption",
+                example: "{caption} (continued)",
+              },
+              repeatFooter: {
+                type: "boolean",
+                default: false,
+                description:
+                  "Repeat <tfoot> on every page instead of only the last",
+              },
+            },
+          },
+          toc: {
+            description:
+              "Generate a table of contents from page data-title values and headings, numbered after pagination. true uses the defaults; a <nav data-toc> in a page body is filled instead of adding a page.",
+            oneOf: [
+              { type: "boolean" },
+              {
+                type: "object",
+                properties: {
+                  depth: {
+                    type: "integer",
+                    minimum: 0,
+                    maximum: 6,
+                    default: 2,
+                    description:
+                      "Deepest heading level listed (0 lists page titles only)",
+                  },
+                  leaders: {
+                    type: "boolean",
+                    default: true,
+                    description: "Draw dot leaders up to the page numbers",
+                  },
+                  title: { type: "string", default: "Contents" },
+                  afterPage: {
+                    type: "integer",
+                    minimum: 0,
+                    default: 0,
+                    description:
+                      "Number of bundle pages placed before the contents page",
+                  },
+                },
+              },
+            ],
+            "x-suggestion":
+              "Use true, or { \"depth\": 2, \"leaders\": true, \"title\": \"Contents\" }",
+          },
+          footnotes: {
+            type: "object",
+            description:
+              "Where the notes of <span data-footnote> markers go; markers are numbered through the document",
+            properties: {
+              mode: {
+                type: "string",
+                enum: ["footnote", "endnote"],
+                default: "footnote",
+                description:
+                  "footnote: at the foot of the page the marker lands on; endnote: on a closing page (or in a [data-endnotes] element)",
+              },
+              title: {
+                type: "string",
+                default: "Notes",
+                description: "Title of the endnotes",
+              },
+            },
+          },
+        },
+      },
+
+      PdfSecurity: {
+        type: "object",
+        properties: {
+          sanitizeHtml: {
+            type: "boolean",
+            default: false,
+            description: "Sanitize header, body and footer HTML",
+          },
+          allowExternalResources: {
+            type: "boolean",
+            default: false,
+            description:
+              "Let the document load http(s) resources, within the allowlists",
+          },
+        },
+      },
+
+      PdfMetadata: {
+        type: "object",
+        description:
+          "PDF Info dictionary. Title, Author, Subject and Keywords default from head.title and the author/description/keywords meta tags.",
+        properties: {
+          title: { type: "string" },
+          author: { type: "string" },
+          subject: { type: "string" },
+          keywords: {
+            oneOf: [
+              { type: "string", example: "invoice, hotel" },
+              { type: "array", items: { type: "string" } },
+            ],
+          },
+          creator: { type: "string", default: "PDF Service" },
+          producer: { type: "string", default: "pdf-service-node <version>" },
+          creationDate: { type: "string", format: "date-time" },
+          modificationDate: {
+            type: "string",
+            format: "date-time",
+            description: "Defaults to creationDate",
+          },
         },
       },
 
@@ -156,12 +339,136 @@ module.exports = {
         },
       },
 
+      ConversionError: {
+        type: "object",
+        properties: {
+          success: { type: "boolean", example: false },
+          error: { type: "string", example: "Invalid payload" },
+          message: { type: "string" },
+          code: { type: "string", example: "INVALID_PAYLOAD" },
+          reasons: { type: "array", items: { type: "string" } },
+          problems: {
+            type: "array",
+            description:
+              "INVALID_BUNDLE: `{ path, severity, message, suggestion }` per error (see /validate)",
+            items: { type: "object" },
+          },
+          requestId: { type: "string", example: "req_m1x2k3_ab12cd34" },
+          errorPdf: {
+            type: "string",
+            format: "byte",
+            description: "The error PDF, base64-encoded (both error mode)",
+          },
+        },
+      },
+
+      RenderDiagnosticsResponse: {
+        type: "object",
+        properties: {
+          success: { type: "boolean", example: true },
+          data: {
+            type: "object",
+            properties: {
+              filename: {
+                type: "string",
+                example: "html2pdf-1714380000000.pdf",
+              },
+              contentType: { type: "string", example: "application/pdf" },
+              pdf: {
+                type: "string",
+                format: "byte",
+                description: "The PDF, base64-encoded",
+              },
+              report: {
+                type: "object",
+                properties: {
+                  requestId: { type: "string" },
+                  pageCount: { type: "integer", example: 6 },
+                  clippedPages: {
+                    type: "array",
+                    description: "Pages whose content was cut off, from 1",
+                    items: { type: "integer" },
+                  },
+                  timings: {
+                    type: "object",
+                    description: "Milliseconds spent in each stage",
+                    properties: {
+                      build: { type: "integer" },
+                      load: { type: "integer" },
+                      paginate: { type: "integer" },
+                      pdf: { type: "integer" },
+                      compress: { type: "integer" },
+                      postProcess: { type: "integer" },
+                      total: { type: "integer" },
+                    },
+                  },
+                  size: { type: "integer" },
+                  originalSize: { type: "integer" },
+                  blockedRequests: {
+                    type: "array",
+                    items: {
+                      type: "object",
+                      properties: {
+                        url: { type: "string" },
+                        reason: { type: "string" },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+
+      RenderJobResponse: {
+        type: "object",
+        properties: {
+          success: { type: "boolean", example: true },
+          data: {
+            type: "object",
+            properties: {
+              jobId: { type: "string", format: "uuid" },
+              status: {
+                type: "string",
+                enum: ["queued", "processing", "completed", "failed"],
+              },
+              createdAt: { type: "string", format: "date-time" },
+              startedAt: { type: "string", format: "date-time", nullable: true },
+              completedAt: {
+                type: "string",
+                format: "date-time",
+                nullable: true,
+              },
+              result: {
+                type: "object",
+                nullable: true,
+                properties: {
+                  filename: { type: "string" },
+                  contentType: { type: "string" },
+                  size: { type: "integer" },
+                },
+              },
+              error: {
+                type: "object",
+                nullable: true,
+                properties: { message: { type: "string" } },
+              },
+              statusUrl: { type: "string" },
+              downloadUrl: { type: "string" },
+            },
+          },
+        },
+      },
+
       PdfDocumentBundle: {
         type: "object",
         required: ["head", "body"],
         properties: {
           head: { $ref: "#/components/schemas/PdfHead" },
           body: { $ref: "#/components/schemas/PdfBody" },
+          layout: { $ref: "#/components/schemas/PdfLayout" },
+          security: { $ref: "#/components/schemas/PdfSecurity" },
           header: {
             type: "string",
             description: "Global header HTML (fallback if page.header absent)",
@@ -174,6 +481,7 @@ module.exports = {
             type: "array",
             items: { $ref: "#/components/schemas/ScriptRef" },
           },
+          pdfMetadata: { $ref: "#/components/schemas/PdfMetadata" },
         },
       },
     },
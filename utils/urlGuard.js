@@ -0,0 +1,348 @@
+/**
+ * URL Guard Utilities
+ *
+ * Decides whether the renderer may fetch a URL. Blocks non-HTTP schemes
+ * (file://, ftp://, ...) and any host that resolves to a private, loopback,
+ * link-local or otherwise internal address, unless the host or address is
+ * on the admin-managed allowlist. Also decides which sub-resources rendered
+ * documents may load.
+ *
+ * @fileoverview SSRF protection for URL rendering
+ * @author PDF Service Team
+ * @version 1.0.0
+ */
+
+const dns = require("dns").promises;
+const net = require("net");
+
+// Address ranges that must never be reached from the renderer
+const BLOCKED_RANGES = [
+  ["0.0.0.0", 8, "ipv4"],
+  ["10.0.0.0", 8, "ipv4"],
+  ["100.64.0.0", 10, "ipv4"],
+  ["127.0.0.0", 8, "ipv4"],
+  ["169.254.0.0", 16, "ipv4"],
+  ["172.16.0.0", 12, "ipv4"],
+  ["192.0.0.0", 24, "ipv4"],
+  ["192.0.2.0", 24, "ipv4"],
+  ["192.168.0.0", 16, "ipv4"],
+  ["198.18.0.0", 15, "ipv4"],
+  ["198.51.100.0", 24, "ipv4"],
+  ["203.0.113.0", 24, "ipv4"],
+  ["224.0.0.0", 4, "ipv4"],
+  ["240.0.0.0", 4, "ipv4"],
+  ["::", 128, "ipv6"],
+  ["::1", 128, "ipv6"],
+  ["64:ff9b::", 96, "ipv6"],
+  ["100::", 64, "ipv6"],
+  ["2001:db8::", 32, "ipv6"],
+  ["fc00::", 7, "ipv6"],
+  ["fe80::", 10, "ipv6"],
+  ["ff00::", 8, "ipv6"],
+];
+
+const blockedAddresses = new net.BlockList();
+
+BLOCKED_RANGES.forEach(([address, prefix, type]) =>
+  blockedAddresses.addSubnet(address, prefix, type)
+);
+
+/**
+ * Check whether an IP address is private, loopback, link-local or reserved
+ *
+ * IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4.
+ *
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if the address is internal
+ *
+ * @example
+ * isPrivateAddress("10.1.2.3"); // true
+ * isPrivateAddress("93.184.216.34"); // false
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+
+  if (family === 0) {
+    return true;
+  }
+
+  return blockedAddresses.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * Strip the brackets WHATWG URL keeps around IPv6 hostnames
+ */
+function normalizeHostname(hostname) {
+  return String(hostname || "")
+    .replace(/^\[|\]$/g, "")
+    .toLowerCase();
+}
+
+/**
+ * Check a hostname against allowlist host patterns
+ *
+ * Supports exact hosts ("intranet.example.com") and subdomain wildcards
+ * ("*.example.com", which does not match the apex domain).
+ *
+ * @param {string} hostname - Hostname to check
+ * @param {string[]} allowlist - Allowlist entries
+ * @returns {boolean} True if the hostname is allowlisted
+ */
+function isHostAllowlisted(hostname, allowlist = []) {
+  const host = normalizeHostname(hostname);
+
+  return allowlist.some((entry) => {
+    const pattern = String(entry).trim().toLowerCase();
+
+    if (pattern.startsWith("*.")) {
+      return host.endsWith(pattern.slice(1));
+    }
+    return pattern === host;
+  });
+}
+
+/**
+ * Check an address against allowlist IP and CIDR entries
+ *
+ * @param {string} address - Resolved IP address
+ * @param {string[]} allowlist - Allowlist entries ("10.20.0.5", "10.20.0.0/16")
+ * @returns {boolean} True if the address is allowlisted
+ */
+function isAddressAllowlisted(address, allowlist = []) {
+  const family = net.isIP(address);
+
+  if (family === 0) {
+    return false;
+  }
+
+  const allowed = new net.BlockList();
+
+  allowlist.forEach((entry) => {
+    const [base, prefix] = String(entry).trim().split("/");
+    const baseFamily = net.isIP(base);
+
+    if (baseFamily === 0) {
+      return;
+    }
+
+    const type = baseFamily === 6 ? "ipv6" : "ipv4";
+
+    if (prefix === undefined) {
+      allowed.addAddress(base, type);
+    } else {
+      allowed.addSubnet(base, parseInt(prefix, 10), type);
+    }
+  });
+
+  return allowed.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * Resolve a host and pick the address the renderer may connect to
+ *
+ * Allowlisted hosts may resolve anywhere; other hosts must resolve only to
+ * public or allowlisted addresses. Connecting to the returned address (and
+ * not resolving the host again) is what keeps DNS rebinding out.
+ *
+ * @param {string} hostname - Hostname or IP address
+ * @param {Object} [options] - Check options
+ * @param {string[]} [options.allowlist] - Admin allowlist (hosts, *.wildcards, IPs, CIDRs)
+ * @param {Function} [options.lookup] - DNS lookup override (for tests)
+ * @returns {Promise<Object>} `{ address, reason }`; address is null when
+ *   the host is refused
+ *
+ * @example
+ * const { address, reason } = await resolveAllowedAddress("example.com");
+ */
+async function resolveAllowedAddress(hostname, options = {}) {
+  const { allowlist = [], lookup = dns.lookup } = options;
+  const host = normalizeHostname(hostname);
+
+  let addresses;
+
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      const records = await lookup(host, { all: true });
+
+      addresses = records.map((record) => record.address);
+    } catch (error) {
+      addresses = [];
+    }
+  }
+
+  if (addresses.length === 0) {
+    return { address: null, reason: `Could not resolve host "${host}"` };
+  }
+
+  if (!isHostAllowlisted(host, allowlist)) {
+    // Every address must be public, otherwise DNS could point us inwards
+    const blocked = addresses.find(
+      (address) =>
+        isPrivateAddress(address) && !isAddressAllowlisted(address, allowlist)
+    );
+
+    if (blocked) {
+      return {
+        address: null,
+        reason: `Host "${host}" resolves to a private or reserved address (${blocked})`,
+      };
+    }
+  }
+
+  return { address: addresses[0], reason: null };
+}
+
+/**
+ * Decide whether the renderer may fetch a URL
+ *
+ * @param {string} rawUrl - URL to check
+ * @param {Object} [options] - Check options
+ * @param {string[]} [options.allowlist] - Admin allowlist (hosts, *.wildcards, IPs, CIDRs)
+ * @param {boolean} [options.allowInlineData=false] - Permit data: and blob: URLs
+ *   (for sub-resources of a page, never for the page itself)
+ * @param {Function} [options.lookup] - DNS lookup override (for tests)
+ * @returns {Promise<Object>} Result with allowed, reason and the parsed url
+ *
+ * @example
+ * const result = await checkUrl("http://127.0.0.1/admin");
+ * if (!result.allowed) {
+ *   console.log(result.reason);
+ * }
+ */
+async function checkUrl(rawUrl, options = {}) {
+  const {
+    allowlist = [],
+    allowInlineData = false,
+    lookup = dns.lookup,
+  } = options;
+
+  let url;
+
+  try {
+    url = new URL(rawUrl);
+  } catch (error) {
+    return { allowed: false, reason: "Invalid URL", url: null };
+  }
+
+  if (
+    allowInlineData &&
+    (url.protocol === "data:" || url.protocol === "blob:")
+  ) {
+    return { allowed: true, reason: null, url };
+  }
+
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    return {
+      allowed: false,
+      reason: `Protocol "${url.protocol}" is not allowed; only http and https URLs can be rendered`,
+      url,
+    };
+  }
+
+  if (url.username || url.password) {
+    return {
+      allowed: false,
+      reason: "Credentials in the URL are not supported; use basicAuth instead",
+      url,
+    };
+  }
+
+  const hostname = normalizeHostname(url.hostname);
+
+  if (isHostAllowlisted(hostname, allowlist)) {
+    return { allowed: true, reason: null, url };
+  }
+
+  const { reason } = await resolveAllowedAddress(hostname, {
+    allowlist,
+    lookup,
+  });
+
+  if (reason) {
+    return { allowed: false, reason, url };
+  }
+
+  return { allowed: true, reason: null, url };
+}
+
+/**
+ * Decide whether rendered markup may load a sub-resource
+ *
+ * data: and blob: URLs are always allowed. Anything else is refused when
+ * the document does not allow external resources. Otherwise the URL must
+ * pass checkUrl (the system allowlist can open private hosts, the account
+ * allowlist cannot) and, if either allowlist has entries, its host must
+ * be on one of them.
+ *
+ * @param {string} rawUrl - URL the page asked for
+ * @param {Object} [options] - Check options
+ * @param {boolean} [options.allowExternal=false] - The document's
+ *   `security.allowExternalResources`
+ * @param {string[]} [options.allowlist] - System allowlist (hosts,
+ *   *.wildcards, IPs, CIDRs)
+ * @param {string[]} [options.accountAllowlist] - The account's allowlist
+ *   (hosts and *.wildcards)
+ * @param {Function} [options.lookup] - DNS lookup override (for tests)
+ * @returns {Promise<Object>} Result with allowed and reason
+ *
+ * @example
+ * const result = await checkResourceUrl("https://fonts.example.com/a.woff2", {
+ *   allowExternal: true,
+ *   accountAllowlist: ["fonts.example.com"],
+ * });
+ */
+async function checkResourceUrl(rawUrl, options = {}) {
+  const {
+    allowExternal = false,
+    allowlist = [],
+    accountAllowlist = [],
+    lookup,
+  } = options;
+
+  if (/^(data|blob):/i.test(rawUrl)) {
+    return { allowed: true, reason: null };
+  }
+  if (!allowExternal) {
+    return {
+      allowed: false,
+      reason:
+        "External resources are disabled for this document (security.allowExternalResources)",
+    };
+  }
+
+  const result = await checkUrl(rawUrl, {
+    allowlist,
+    ...(lookup && { lookup }),
+  });
+
+  if (!result.allowed) {
+    return { allowed: false, reason: result.reason };
+  }
+
+  const domains = [...allowlist, ...accountAllowlist];
+  const hostname = normalizeHostname(result.url.hostname);
+
+  if (
+    domains.length > 0 &&
+    !isHostAllowlisted(hostname, domains) &&
+    !isAddressAllowlisted(hostname, allowlist)
+  ) {
+    return {
+      allowed: false,
+      reason: `Host "${hostname}" is not on the resource allowlist`,
+    };
+  }
+
+  return { allowed: true, reason: null };
+}
+
+module.exports = {
+  isPrivateAddress,
+  isHostAllowlisted,
+  isAddressAllowlisted,
+  resolveAllowedAddress,
+  checkUrl,
+  checkResourceUrl,
+};
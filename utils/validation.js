@@ -10,6 +10,9 @@
  * @version 1.0.0
  */
 
+// Ways a failed conversion can be reported to the client
+const ERROR_MODES = ["pdf", "json", "both"];
+
 /**
  * Validate email address format
  *
@@ -542,6 +545,84 @@ function validateApiKey(apiKey, prefix = "sk_live_") {
   return { isValid: true, error: null };
 }
 
+/**
+ * Validate an account's external resource allowlist
+ *
+ * Entries are host names ("assets.example.com"), subdomain wildcards
+ * ("*.example.com") or IP addresses. Entries are trimmed and lowercased,
+ * and duplicates dropped.
+ *
+ * @param {string[]} allowlist - Allowlist entries
+ * @param {number} [maxEntries=50] - Most entries allowed
+ * @returns {Object} Validation result with isValid, error and the sanitized allowlist
+ *
+ * @example
+ * const result = validateResourceAllowlist(["*.example.com", "fonts.gstatic.com"]);
+ * if (result.isValid) {
+ *   console.log(result.allowlist);
+ * }
+ */
+function validateResourceAllowlist(allowlist, maxEntries = 50) {
+  if (!Array.isArray(allowlist)) {
+    return { isValid: false, error: "Allowlist must be an array" };
+  }
+
+  if (allowlist.length > maxEntries) {
+    return {
+      isValid: false,
+      error: `Allowlist can have at most ${maxEntries} entries`,
+    };
+  }
+
+  const hostRegex =
+    /^(\*\.)?([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)*[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/;
+  const ipRegex = /^(\d{1,3}(\.\d{1,3}){3}|[0-9a-f:]+:[0-9a-f:.]*)$/;
+
+  const sanitized = [];
+
+  for (const entry of allowlist) {
+    const value = typeof entry === "string" ? entry.trim().toLowerCase() : "";
+
+    if (!value || (!hostRegex.test(value) && !ipRegex.test(value))) {
+      return {
+        isValid: false,
+        error: `"${entry}" is not a host name, *.wildcard domain or IP address`,
+      };
+    }
+    if (!sanitized.includes(value)) {
+      sanitized.push(value);
+    }
+  }
+
+  return { isValid: true, error: null, allowlist: sanitized };
+}
+
+/**
+ * Validate how failed conversions are reported
+ *
+ * "pdf" sends an error document, "json" a JSON error body, and "both"
+ * the JSON body with the error document included as base64.
+ *
+ * @param {string} errorMode - Error mode to validate
+ * @returns {Object} Validation result with isValid and error message
+ *
+ * @example
+ * const result = validateErrorMode("json");
+ * if (!result.isValid) {
+ *   console.log(result.error);
+ * }
+ */
+function validateErrorMode(errorMode) {
+  if (!ERROR_MODES.includes(errorMode)) {
+    return {
+      isValid: false,
+      error: `Error mode must be one of: ${ERROR_MODES.join(", ")}`,
+    };
+  }
+
+  return { isValid: true, error: null };
+}
+
 /**
  * Validate user registration data
  *
@@ -644,5 +725,8 @@ module.exports = {
   validateCountry,
   sanitizeInput,
   validateApiKey,
+  validateResourceAllowlist,
+  validateErrorMode,
   validateUserRegistration,
+  ERROR_MODES,
 };